@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { Toaster } from 'react-hot-toast';
 import { Loader2, Search, Sparkles } from 'lucide-react';
 import Header from './components/Header';
@@ -7,9 +7,12 @@ import ArticleCard from './components/ArticleCard';
 import ArticleDetail from './components/ArticleDetail';
 import RecentArticles from './components/RecentArticles';
 import Analytics from './components/Analytics';
+import Compare from './components/Compare';
+import Watchlists from './components/Watchlists';
 import { useNews } from './hooks/useNews';
 import { useInfiniteScroll } from './hooks/useInfiniteScroll';
 import { Button } from './components/ui/Button';
+import { searchesAPI } from './services/api';
 import toast from 'react-hot-toast';
 
 function App() {
@@ -17,6 +20,7 @@ function App() {
   const [selectedArticle, setSelectedArticle] = useState(null);
   const [lastSearchParams, setLastSearchParams] = useState(null);
   const [hasSearched, setHasSearched] = useState(false);
+  const [unreadAlerts, setUnreadAlerts] = useState(0);
 
   const { articles, loading, error, pagination, searchNews, reset } = useNews();
   
@@ -42,6 +46,22 @@ function App() {
 
   const { lastElementRef, isFetching, reset: resetInfiniteScroll } = useInfiniteScroll(fetchMore);
 
+  // Watchlist alerts are raised in the background, so poll the unread count for the header
+  useEffect(() => {
+    const fetchUnread = async () => {
+      try {
+        const response = await searchesAPI.getAlerts({ unread: true, limit: 1 });
+        setUnreadAlerts(response.data?.unreadCount || 0);
+      } catch (err) {
+        console.error('Failed to fetch unread alerts:', err);
+      }
+    };
+
+    fetchUnread();
+    const interval = setInterval(fetchUnread, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
   const handleSearch = useCallback(async (searchParams) => {
     try {
       reset();
@@ -50,13 +70,26 @@ function App() {
       setLastSearchParams(searchParams);
       setHasSearched(true);
       
-      await searchNews(searchParams, true);
-      toast.success('Search completed!');
+      const result = await searchNews(searchParams, true);
+      if (result.failover) {
+        toast(`${result.requestedProvider} is unavailable, results served by ${result.provider}`, { icon: '⚠️' });
+      } else {
+        toast.success('Search completed!');
+      }
     } catch (err) {
       toast.error(err.message || 'Search failed');
     }
   }, [searchNews, reset, resetInfiniteScroll]);
 
+  // Run a saved search from the Watchlists tab
+  const handleRunSavedSearch = useCallback((search) => {
+    const filters = Object.fromEntries(
+      Object.entries(search.filters || {}).filter(([_, value]) => value)
+    );
+    setActiveTab('discover');
+    handleSearch({ q: search.query, ...filters });
+  }, [handleSearch]);
+
   const handleArticleClick = useCallback((article) => {
     setSelectedArticle(article);
   }, []);
@@ -75,7 +108,7 @@ function App() {
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-green-50">
-      <Header activeTab={activeTab} onTabChange={handleTabChange} />
+      <Header activeTab={activeTab} onTabChange={handleTabChange} unreadAlerts={unreadAlerts} />
       
       <main className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Discover Tab - Hero Section with Search */}
@@ -261,6 +294,16 @@ function App() {
           />
         )}
 
+        {/* Compare Tab */}
+        {activeTab === 'compare' && (
+          <Compare />
+        )}
+
+        {/* Watchlists Tab */}
+        {activeTab === 'watchlists' && (
+          <Watchlists onRunSearch={handleRunSavedSearch} onUnreadChange={setUnreadAlerts} />
+        )}
+
         {/* Analytics Tab */}
         {activeTab === 'analytics' && (
           <Analytics />
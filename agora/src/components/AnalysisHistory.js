@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { History, Loader2, ArrowRight } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Badge } from './ui/Badge';
+import { analysisAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const AnalysisHistory = ({ articleId }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+
+  const toggleHistory = async () => {
+    if (expanded) {
+      setExpanded(false);
+      return;
+    }
+
+    setExpanded(true);
+    if (history) return;
+
+    try {
+      setLoading(true);
+      const response = await analysisAPI.getHistory(articleId);
+      setHistory(response.data);
+    } catch (err) {
+      console.error('Failed to load analysis history:', err);
+      toast.error('Failed to load analysis history');
+      setExpanded(false);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return new Date(dateString).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    } catch {
+      return 'Unknown date';
+    }
+  };
+
+  const renderChange = (label, change) => {
+    if (!change?.changed) return null;
+    return (
+      <div className="flex items-center gap-2 text-sm">
+        <span className="text-gray-500">{label}:</span>
+        <Badge variant="outline" className="capitalize">{change.from}</Badge>
+        <ArrowRight className="w-3 h-3 text-gray-400" />
+        <Badge variant="default" className="capitalize">{change.to}</Badge>
+      </div>
+    );
+  };
+
+  const renderSummaryDiff = (segments) => (
+    <p className="text-sm text-gray-700 leading-relaxed">
+      {segments.map((segment, index) => {
+        if (segment.type === 'added') {
+          return <span key={index} className="bg-green-100 text-green-800">{segment.text} </span>;
+        }
+        if (segment.type === 'removed') {
+          return <span key={index} className="bg-red-100 text-red-800 line-through">{segment.text} </span>;
+        }
+        return <span key={index}>{segment.text} </span>;
+      })}
+    </p>
+  );
+
+  if (!articleId) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <History className="w-5 h-5 text-primary-600" />
+            Analysis History
+          </CardTitle>
+          <Button variant="ghost" size="sm" onClick={toggleHistory}>
+            {expanded ? 'Hide' : 'Show'}
+          </Button>
+        </div>
+      </CardHeader>
+      {expanded && (
+        <CardContent>
+          {loading && (
+            <div className="flex items-center justify-center py-4">
+              <Loader2 className="w-5 h-5 animate-spin text-primary-600" />
+              <span className="ml-2 text-gray-600">Loading history...</span>
+            </div>
+          )}
+
+          {history && !loading && (
+            <div className="space-y-4">
+              {history.versions.map((version) => (
+                <div key={version.version} className="border-l-2 border-primary-200 pl-4 space-y-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-medium text-gray-900">Version {version.version}</span>
+                    {version.version === history.currentVersion && (
+                      <Badge variant="secondary">Current</Badge>
+                    )}
+                    <span className="text-xs text-gray-500">{formatDate(version.analyzedAt)}</span>
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {version.model || 'Unknown model'} · prompt {version.promptVersion || 'n/a'}
+                  </div>
+
+                  {version.changes ? (
+                    <div className="space-y-2">
+                      {renderChange('Sentiment', version.changes.sentiment)}
+                      {renderChange('Political bias', version.changes.politicalBias)}
+                      {version.changes.confidence.delta !== 0 && (
+                        <div className="text-sm text-gray-500">
+                          Confidence {version.changes.confidence.delta > 0 ? '+' : ''}
+                          {Math.round(version.changes.confidence.delta * 100)}%
+                        </div>
+                      )}
+                      {version.changes.summary.changed
+                        ? renderSummaryDiff(version.changes.summary.segments)
+                        : <p className="text-sm text-gray-500">Summary unchanged</p>}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-700 leading-relaxed">{version.summary}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      )}
+    </Card>
+  );
+};
+
+export default AnalysisHistory;
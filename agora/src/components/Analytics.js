@@ -1,14 +1,45 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Loader2, BarChart3, TrendingUp, TrendingDown, Activity, Calendar, Globe, Zap } from 'lucide-react';
+import { Loader2, BarChart3, TrendingUp, TrendingDown, Activity, Calendar, Globe, Zap, Gauge, Heart, Languages } from 'lucide-react';
 import { Button } from './ui/Button';
 import { Card, CardContent } from './ui/Card';
-import { analysisAPI } from '../services/api';
+import { Select, SelectContent, SelectItem } from './ui/Select';
+import { analysisAPI, newsAPI } from '../services/api';
+import { languageName } from '../utils/language';
 import toast from 'react-hot-toast';
 
+const LEAN_BUCKET_COLORS = {
+  strongLeft: 'bg-blue-600',
+  leanLeft: 'bg-blue-300',
+  center: 'bg-purple-400',
+  leanRight: 'bg-red-300',
+  strongRight: 'bg-red-600'
+};
+
+const EMOTION_COLORS = {
+  fear: 'bg-purple-500',
+  anger: 'bg-red-500',
+  hope: 'bg-green-500',
+  sadness: 'bg-blue-500',
+  joy: 'bg-yellow-400',
+  surprise: 'bg-orange-400'
+};
+
+const FRAMING_COLORS = {
+  conflict: 'bg-red-400',
+  human_interest: 'bg-pink-400',
+  economic_consequences: 'bg-green-400',
+  morality: 'bg-purple-400',
+  responsibility: 'bg-blue-400'
+};
+
 const Analytics = () => {
   const [stats, setStats] = useState(null);
   const [trends, setTrends] = useState(null);
   const [topSources, setTopSources] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [language, setLanguage] = useState('');
+  // Languages seen across all articles, so the filter keeps its options while one is selected
+  const [languageOptions, setLanguageOptions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -17,16 +48,21 @@ const Analytics = () => {
       setLoading(true);
       setError(null);
 
-      const [statsResponse, trendsResponse, sourcesResponse] = await Promise.all([
-        analysisAPI.getStats(),
+      const [statsResponse, trendsResponse, sourcesResponse, usageResponse] = await Promise.all([
+        analysisAPI.getStats(language ? { language } : undefined),
         analysisAPI.getTrends({ groupBy: 'day' }),
-        analysisAPI.getTopSources()
+        analysisAPI.getTopSources(),
+        // Usage is informational; don't fail the dashboard without it
+        newsAPI.getUsage().catch(() => null)
       ]);
 
 
 
       if (statsResponse?.data) {
         setStats(statsResponse.data);
+        if (!language) {
+          setLanguageOptions(Object.keys(statsResponse.data.languageBreakdown || {}).filter(code => code !== 'unknown'));
+        }
       }
       
       if (trendsResponse?.data) {
@@ -36,6 +72,8 @@ const Analytics = () => {
       if (sourcesResponse?.data) {
         setTopSources(sourcesResponse.data);
       }
+
+      setUsage(usageResponse?.data || null);
     } catch (err) {
       console.error('Failed to fetch analytics:', err);
       setError(err.message || 'Failed to load analytics');
@@ -43,7 +81,7 @@ const Analytics = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [language]);
 
   useEffect(() => {
     fetchAnalytics();
@@ -67,6 +105,22 @@ const Analytics = () => {
     }
   };
 
+  const formatLean = (value) => {
+    if (typeof value !== 'number') return 'N/A';
+    return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+  };
+
+  // Oldest period first; periods with no emotion-scored articles are left out
+  const emotionTrends = (trends || []).filter(period => period.emotions).slice().reverse();
+
+  const framingTotals = (trends || []).reduce((totals, period) => {
+    Object.entries(period.framingBreakdown || {}).forEach(([framing, count]) => {
+      totals[framing] = (totals[framing] || 0) + count;
+    });
+    return totals;
+  }, {});
+  const framedCount = Object.values(framingTotals).reduce((sum, count) => sum + count, 0);
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -117,10 +171,28 @@ const Analytics = () => {
           <h2 className="text-3xl font-bold text-gray-900">Analytics Dashboard</h2>
           <p className="text-gray-600">Insights from your analyzed articles</p>
         </div>
-        <Button onClick={fetchAnalytics} variant="outline" disabled={loading}>
-          <Activity className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
-          Refresh
-        </Button>
+        <div className="flex items-center gap-3">
+          {languageOptions.length > 1 && (
+            <div className="w-44">
+              <Select value={language} onValueChange={setLanguage} placeholder="All languages">
+                <SelectContent>
+                  <SelectItem value="" onSelect={() => setLanguage('')} selectedValue={language}>
+                    All languages
+                  </SelectItem>
+                  {languageOptions.map((code) => (
+                    <SelectItem key={code} value={code} onSelect={() => setLanguage(code)} selectedValue={language}>
+                      {languageName(code)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+          <Button onClick={fetchAnalytics} variant="outline" disabled={loading}>
+            <Activity className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
       </div>
 
       {/* Overview Stats */}
@@ -229,10 +301,191 @@ const Analytics = () => {
             ) : (
               <p className="text-gray-500">No political bias data available</p>
             )}
+
+            {stats.politicalScore?.count > 0 && (
+              <div className="mt-6 pt-4 border-t space-y-3">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-900">Mean political lean</span>
+                  <span className="text-sm text-gray-700">
+                    {formatLean(stats.politicalScore.mean)}
+                    <span className="text-gray-500"> ± {stats.politicalScore.stdDev.toFixed(2)}</span>
+                  </span>
+                </div>
+                <div className="flex h-2 rounded-full overflow-hidden bg-gray-200">
+                  {Object.entries(stats.politicalScore.distribution).map(([bucket, count]) => (
+                    <div
+                      key={bucket}
+                      className={LEAN_BUCKET_COLORS[bucket]}
+                      style={{ width: `${(count / stats.politicalScore.count) * 100}%` }}
+                      title={`${bucket}: ${count} articles`}
+                    />
+                  ))}
+                </div>
+                <div className="flex justify-between text-xs text-gray-500">
+                  <span>Left (-1)</span>
+                  <span>{stats.politicalScore.count} scored articles</span>
+                  <span>Right (+1)</span>
+                </div>
+                {Object.entries(stats.politicalScore.dimensions || {})
+                  .filter(([, summary]) => summary.count > 0)
+                  .map(([dimension, summary]) => (
+                    <div key={dimension} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-600 capitalize">{dimension}</span>
+                      <span className="text-gray-700">{formatLean(summary.mean)}</span>
+                    </div>
+                  ))}
+              </div>
+            )}
           </CardContent>
         </Card>
       </div>
 
+      {/* Language Distribution */}
+      {Object.keys(stats.languageBreakdown || {}).length > 0 && (
+        <Card className="pt-4">
+          <CardContent className="p-6">
+            <div className="flex items-center mb-6">
+              <Languages className="w-6 h-6 text-gray-700" />
+              <h3 className="text-xl font-semibold text-gray-900 ml-2">Languages</h3>
+            </div>
+
+            <div className="space-y-4">
+              {Object.entries(stats.languageBreakdown)
+                .sort((a, b) => b[1] - a[1])
+                .map(([code, count]) => {
+                  const percentage = stats.totalArticles > 0 ? (count / stats.totalArticles * 100).toFixed(1) : 0;
+                  return (
+                    <div key={code} className="flex items-center justify-between">
+                      <div className="flex items-center">
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-gray-700 bg-gray-100">
+                          {languageName(code)}
+                        </span>
+                        <span className="ml-3 text-sm text-gray-600">{count} articles</span>
+                      </div>
+                      <div className="flex items-center">
+                        <div className="w-24 bg-gray-200 rounded-full h-2 mr-3">
+                          <div className="h-2 rounded-full bg-primary-500" style={{ width: `${percentage}%` }}></div>
+                        </div>
+                        <span className="text-sm font-medium text-gray-900">{percentage}%</span>
+                      </div>
+                    </div>
+                  );
+                })}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Emotion & Framing Trends */}
+      {emotionTrends.length > 0 && (
+        <Card className="pt-4">
+          <CardContent className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center">
+                <Heart className="w-6 h-6 text-gray-700" />
+                <h3 className="text-xl font-semibold text-gray-900 ml-2">Emotion Trends</h3>
+              </div>
+              <div className="flex flex-wrap gap-3">
+                {Object.entries(EMOTION_COLORS).map(([emotion, color]) => (
+                  <span key={emotion} className="flex items-center text-xs text-gray-600 capitalize">
+                    <span className={`w-3 h-3 rounded-sm mr-1 ${color}`}></span>
+                    {emotion}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex items-end gap-4 overflow-x-auto pb-2">
+              {emotionTrends.map((period) => (
+                <div key={period._id} className="flex flex-col items-center flex-shrink-0">
+                  <div className="flex items-end gap-0.5 h-32">
+                    {Object.entries(EMOTION_COLORS).map(([emotion, color]) => (
+                      <div
+                        key={emotion}
+                        className={`w-2 rounded-t ${color}`}
+                        style={{ height: `${(period.emotions[emotion] || 0) * 100}%` }}
+                        title={`${emotion}: ${Math.round((period.emotions[emotion] || 0) * 100)}% (${period.emotionCount} articles)`}
+                      />
+                    ))}
+                  </div>
+                  <span className="text-xs text-gray-500 mt-1">{period._id}</span>
+                </div>
+              ))}
+            </div>
+
+            {framedCount > 0 && (
+              <div className="mt-6 pt-4 border-t space-y-3">
+                <span className="text-sm font-medium text-gray-900">Framing</span>
+                <div className="flex h-2 rounded-full overflow-hidden bg-gray-200">
+                  {Object.entries(framingTotals).map(([framing, count]) => (
+                    <div
+                      key={framing}
+                      className={FRAMING_COLORS[framing] || 'bg-gray-400'}
+                      style={{ width: `${(count / framedCount) * 100}%` }}
+                      title={`${framing.replace(/_/g, ' ')}: ${count} articles`}
+                    />
+                  ))}
+                </div>
+                <div className="flex flex-wrap gap-3">
+                  {Object.entries(framingTotals).map(([framing, count]) => (
+                    <span key={framing} className="flex items-center text-xs text-gray-600 capitalize">
+                      <span className={`w-3 h-3 rounded-sm mr-1 ${FRAMING_COLORS[framing] || 'bg-gray-400'}`}></span>
+                      {framing.replace(/_/g, ' ')} ({count})
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Provider Quota Usage */}
+      {usage?.providers?.length > 0 && (
+        <Card className="pt-4">
+          <CardContent className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center">
+                <Gauge className="w-6 h-6 text-gray-700" />
+                <h3 className="text-xl font-semibold text-gray-900 ml-2">News Provider Usage (Today)</h3>
+              </div>
+              {usage.resetAt && (
+                <span className="text-sm text-gray-500">
+                  Resets {new Date(usage.resetAt).toLocaleString()}
+                </span>
+              )}
+            </div>
+
+            <div className="space-y-4">
+              {usage.providers.map((provider) => {
+                const percentage = provider.limit ? Math.min(100, (provider.used / provider.limit) * 100) : 0;
+                return (
+                  <div key={provider.provider} className="flex items-center justify-between">
+                    <div className="flex items-center">
+                      <span className="text-sm font-medium text-gray-900 capitalize w-24">{provider.provider}</span>
+                      <span className="ml-3 text-sm text-gray-600">
+                        {provider.used} / {provider.limit ?? '∞'} requests
+                      </span>
+                    </div>
+                    <div className="flex items-center">
+                      <div className="w-32 bg-gray-200 rounded-full h-2 mr-3">
+                        <div
+                          className={`h-2 rounded-full ${provider.exhausted ? 'bg-red-500' : percentage >= 80 ? 'bg-orange-500' : 'bg-green-500'}`}
+                          style={{ width: `${percentage}%` }}
+                        ></div>
+                      </div>
+                      <span className={`text-sm font-medium ${provider.exhausted ? 'text-red-600' : 'text-gray-900'}`}>
+                        {provider.exhausted ? 'Exhausted' : provider.limit ? `${provider.remaining} left` : 'Unlimited'}
+                      </span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Top Sources Table */}
       <div className="mt-8">
         <Card className="pt-4">
@@ -256,6 +509,9 @@ const Analytics = () => {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Avg Confidence
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Mean Lean
+                      </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Latest Article
                       </th>
@@ -275,6 +531,11 @@ const Analytics = () => {
                             {source.avgConfidence ? `${(source.avgConfidence * 100).toFixed(1)}%` : 'N/A'}
                           </div>
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">
+                            {source.politicalScore?.count > 0 ? formatLean(source.politicalScore.mean) : 'N/A'}
+                          </div>
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm text-gray-500">
                             {source.latestArticle ? new Date(source.latestArticle).toLocaleDateString() : 'N/A'}
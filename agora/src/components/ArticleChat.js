@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { MessageCircle, Send, Loader2, RotateCcw } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { analysisAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const SUGGESTED_QUESTIONS = [
+  'Who is the main source?',
+  'What numbers are cited?',
+  'What happens next?'
+];
+
+const ArticleChat = ({ articleId }) => {
+  const [messages, setMessages] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [question, setQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const [expandedCitation, setExpandedCitation] = useState(null);
+
+  const ask = async (text) => {
+    const trimmed = text.trim();
+    if (!trimmed || asking) return;
+
+    try {
+      setAsking(true);
+      setQuestion('');
+      const response = await analysisAPI.askArticle(articleId, { question: trimmed, conversationId });
+      const answer = response.data;
+      setConversationId(answer.conversationId);
+      setMessages(prev => [...prev, answer]);
+    } catch (err) {
+      console.error('Failed to answer question:', err);
+      toast.error(err.message || 'Failed to answer question');
+      setQuestion(trimmed);
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    ask(question);
+  };
+
+  const startOver = () => {
+    setMessages([]);
+    setConversationId(null);
+    setExpandedCitation(null);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <MessageCircle className="w-5 h-5 text-primary-600" />
+            Ask About This Article
+          </span>
+          {messages.length > 0 && (
+            <Button variant="outline" size="sm" onClick={startOver} disabled={asking}>
+              <RotateCcw className="w-4 h-4 mr-1" />
+              New conversation
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {messages.length === 0 && (
+          <div className="flex flex-wrap gap-2">
+            {SUGGESTED_QUESTIONS.map((suggestion) => (
+              <button
+                key={suggestion}
+                onClick={() => ask(suggestion)}
+                disabled={asking}
+                className="text-sm px-3 py-1 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {messages.map((message, index) => (
+          <div key={`${message.askedAt}-${index}`} className="space-y-2">
+            <div className="flex justify-end">
+              <p className="bg-primary-600 text-white text-sm rounded-lg px-3 py-2 max-w-[80%]">
+                {message.question}
+              </p>
+            </div>
+            <div className="bg-gray-50 rounded-lg px-3 py-2 space-y-2">
+              <p className={`text-sm ${message.grounded ? 'text-gray-800' : 'text-gray-500 italic'}`}>
+                {message.answer}
+              </p>
+              {message.citations.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {message.citations.map((citation) => {
+                    const key = `${index}-${citation.passage}`;
+                    return (
+                      <button
+                        key={key}
+                        onClick={() => setExpandedCitation(expandedCitation === key ? null : key)}
+                        className="text-xs px-2 py-0.5 rounded bg-purple-100 text-purple-800 hover:bg-purple-200"
+                      >
+                        P{citation.passage}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+              {message.citations
+                .filter((citation) => expandedCitation === `${index}-${citation.passage}`)
+                .map((citation) => (
+                  <blockquote
+                    key={citation.passage}
+                    className="border-l-4 border-purple-200 pl-3 text-sm text-gray-600 whitespace-pre-line"
+                  >
+                    {citation.text}
+                  </blockquote>
+                ))}
+            </div>
+          </div>
+        ))}
+
+        <form onSubmit={handleSubmit} className="flex items-center gap-2">
+          <Input
+            value={question}
+            onChange={(event) => setQuestion(event.target.value)}
+            placeholder={messages.length > 0 ? 'Ask a follow-up question...' : 'Ask a question about this article...'}
+            maxLength={500}
+            disabled={asking}
+          />
+          <Button type="submit" disabled={asking || !question.trim()}>
+            {asking ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ArticleChat;
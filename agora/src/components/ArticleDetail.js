@@ -3,9 +3,42 @@ import { X, Calendar, User, ExternalLink, Brain, Loader2, AlertCircle } from 'lu
 import { Button } from './ui/Button';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
 import { Badge } from './ui/Badge';
+import AnalysisHistory from './AnalysisHistory';
+import QuotesPanel from './QuotesPanel';
+import ArticleChat from './ArticleChat';
 import { analysisAPI } from '../services/api';
+import { languageName } from '../utils/language';
 import toast from 'react-hot-toast';
 
+const POLITICAL_DIMENSION_LABELS = {
+  economic: 'Economic',
+  social: 'Social',
+  establishment: 'Establishment'
+};
+
+const FRAMING_LABELS = {
+  conflict: 'Conflict',
+  human_interest: 'Human interest',
+  economic_consequences: 'Economic consequences',
+  morality: 'Morality',
+  responsibility: 'Responsibility'
+};
+
+const EMOTION_COLORS = {
+  fear: 'bg-purple-400',
+  anger: 'bg-red-400',
+  hope: 'bg-green-400',
+  sadness: 'bg-blue-400',
+  joy: 'bg-yellow-400',
+  surprise: 'bg-orange-400'
+};
+
+const CHUNK_SENTIMENT_COLORS = {
+  positive: 'bg-green-400',
+  neutral: 'bg-gray-300',
+  negative: 'bg-red-400'
+};
+
 const ArticleDetail = ({ article, onClose }) => {
   const [analysis, setAnalysis] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -23,10 +56,23 @@ const ArticleDetail = ({ article, onClose }) => {
         setAnalysis({
           data: {
             summary: article.summary,
+            originalSummary: article.originalSummary,
+            language: article.language,
             sentiment: article.sentiment,
             title: article.title,
             description: article.description,
             content: article.content,
+            id: article.id || article._id,
+            analysisVersion: article.analysisVersion,
+            politicalScore: article.politicalScore,
+            emotions: article.emotions,
+            framing: article.framing,
+            evidence: article.evidence,
+            analysisMode: article.analysisMode,
+            chunks: article.chunks,
+            quotes: article.quotes,
+            fullText: article.fullText,
+            extraction: article.extraction,
             url: article.url,
             urlToImage: article.urlToImage,
             publishedAt: article.publishedAt,
@@ -102,6 +148,133 @@ const ArticleDetail = ({ article, onClose }) => {
     }
   };
 
+  // Marker on a -1..1 track; dimensions use a lighter style
+  const renderPoliticalScale = (label, value, isDimension = false) => (
+    <div className="flex items-center justify-between">
+      <span className={isDimension ? 'text-sm text-gray-600' : 'font-medium text-gray-900'}>{label}</span>
+      <div className="flex items-center gap-2">
+        <div className="relative w-28 h-2 rounded-full bg-gradient-to-r from-blue-200 via-gray-200 to-red-200">
+          <div
+            className={`absolute top-1/2 w-3 h-3 -mt-1.5 -ml-1.5 rounded-full border-2 border-white ${isDimension ? 'bg-gray-500' : 'bg-gray-800'}`}
+            style={{ left: `${((value + 1) / 2) * 100}%` }}
+          />
+        </div>
+        <span className="text-sm text-gray-600 w-10 text-right">
+          {value > 0 ? '+' : ''}{value.toFixed(2)}
+        </span>
+      </div>
+    </div>
+  );
+
+  const renderEmotions = (emotions) => {
+    if (!emotions) return null;
+
+    return (
+      <div className="space-y-1">
+        <span className="font-medium text-gray-900">Emotions</span>
+        {Object.entries(emotions).map(([emotion, value]) => (
+          <div key={emotion} className="flex items-center justify-between text-sm">
+            <span className="text-gray-600 capitalize">{emotion}</span>
+            <div className="flex items-center gap-2">
+              <div className="w-20 h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className={`h-full ${EMOTION_COLORS[emotion] || 'bg-gray-400'}`} style={{ width: `${value * 100}%` }} />
+              </div>
+              <span className="text-xs text-gray-500 w-8 text-right">{Math.round(value * 100)}%</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // Long articles are analyzed in parts; show how tone shifts from part to part
+  const renderChunkTones = (chunks) => {
+    if (!chunks || chunks.length < 2) return null;
+    const totalTokens = chunks.reduce((sum, chunk) => sum + (chunk.tokens || 1), 0);
+
+    return (
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="font-medium text-gray-900">Tone by Section</span>
+          <span className="text-xs text-gray-500">{chunks.length} parts analyzed</span>
+        </div>
+        <div className="flex h-3 rounded-full overflow-hidden gap-0.5">
+          {chunks.map(chunk => (
+            <div
+              key={chunk.index}
+              className={CHUNK_SENTIMENT_COLORS[chunk.sentiment?.score] || 'bg-gray-200'}
+              style={{ width: `${((chunk.tokens || 1) / totalTokens) * 100}%` }}
+              title={`Part ${chunk.index + 1}: ${chunk.sentiment?.score}, ${chunk.politicalBias}`}
+            />
+          ))}
+        </div>
+        <div className="space-y-1">
+          {chunks.map(chunk => (
+            <div key={chunk.index} className="flex items-start gap-2 text-xs">
+              <span className="text-gray-500 w-12 shrink-0">Part {chunk.index + 1}</span>
+              <Badge variant={getSentimentColor(chunk.sentiment?.score)} className="text-xs shrink-0">
+                {chunk.sentiment?.score}
+              </Badge>
+              <Badge variant={getPoliticalBiasColor(chunk.politicalBias)} className="text-xs shrink-0">
+                {chunk.politicalBias}
+              </Badge>
+              <span className="text-gray-600 line-clamp-2">{chunk.summary}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const evidenceFor = (analyzedArticle, field) =>
+    (analyzedArticle?.evidence || []).filter(span => span.field === field);
+
+  // Split text at span boundaries so overlapping sentiment and bias spans both show
+  const renderWithEvidence = (text, spans) => {
+    const validSpans = spans.filter(span => span.start >= 0 && span.end <= text.length && span.start < span.end);
+    if (validSpans.length === 0) return text;
+
+    const boundaries = [...new Set([0, text.length, ...validSpans.flatMap(span => [span.start, span.end])])]
+      .sort((a, b) => a - b);
+
+    return boundaries.slice(0, -1).map((start, index) => {
+      const end = boundaries[index + 1];
+      const covering = validSpans.filter(span => span.start <= start && span.end >= end);
+      const segment = text.slice(start, end);
+      if (covering.length === 0) return <React.Fragment key={start}>{segment}</React.Fragment>;
+
+      const supports = new Set(covering.map(span => span.supports));
+      return (
+        <mark
+          key={start}
+          className={`rounded px-0.5 ${supports.size > 1 ? 'bg-orange-100' : supports.has('sentiment') ? 'bg-yellow-100' : 'bg-purple-100'}`}
+          title={covering.map(span => span.explanation).filter(Boolean).join(' | ')}
+        >
+          {segment}
+        </mark>
+      );
+    });
+  };
+
+  const renderEvidenceQuotes = (evidence, supports) => {
+    const spans = (evidence || []).filter(span => span.supports === supports);
+    if (spans.length === 0) return null;
+
+    return (
+      <ul className="space-y-1">
+        {spans.map(span => (
+          <li
+            key={`${span.field}-${span.start}`}
+            className={`text-xs text-gray-600 italic border-l-2 pl-2 ${supports === 'sentiment' ? 'border-yellow-300' : 'border-purple-300'}`}
+            title={span.explanation || undefined}
+          >
+            “{span.quote}”
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
   const handleExternalClick = () => {
     window.open(article.url, '_blank', 'noopener,noreferrer');
   };
@@ -216,13 +389,31 @@ const ArticleDetail = ({ article, onClose }) => {
                   {/* Summary */}
                   {analysisData.summary && (
                     <div>
-                      <h4 className="font-medium text-gray-900 mb-2">Summary</h4>
+                      <div className="flex items-center justify-between mb-2">
+                        <h4 className="font-medium text-gray-900">
+                          Summary{analysisData.originalSummary ? ' (English)' : ''}
+                        </h4>
+                        {analysisData.language && (
+                          <Badge variant="outline">{languageName(analysisData.language)}</Badge>
+                        )}
+                      </div>
                       <p className="text-gray-700 leading-relaxed bg-gray-50 p-4 rounded-lg">
                         {analysisData.summary}
                       </p>
                     </div>
                   )}
 
+                  {analysisData.originalSummary && (
+                    <div>
+                      <h4 className="font-medium text-gray-900 mb-2">
+                        Summary ({languageName(analysisData.language)})
+                      </h4>
+                      <p className="text-gray-700 leading-relaxed bg-gray-50 p-4 rounded-lg" lang={analysisData.language}>
+                        {analysisData.originalSummary}
+                      </p>
+                    </div>
+                  )}
+
                   {/* Sentiment Analysis */}
                   <div className="grid grid-cols-1 gap-4">
                     <div className="flex items-center justify-between">
@@ -247,12 +438,45 @@ const ArticleDetail = ({ article, onClose }) => {
                       </div>
                     </div>
 
+                    {renderEvidenceQuotes(analysisData.evidence, 'sentiment')}
+
                     <div className="flex items-center justify-between">
                       <span className="font-medium text-gray-900">Political Bias</span>
                       <Badge variant={getPoliticalBiasColor(sentimentData.politicalBias)}>
                         {sentimentData.politicalBias || 'Unknown'}
                       </Badge>
                     </div>
+
+                    {analysisData.politicalScore && (
+                      <div className="space-y-2">
+                        {renderPoliticalScale('Political Lean', analysisData.politicalScore.score)}
+                        <div className="text-xs text-gray-500 text-right">
+                          {Math.round((analysisData.politicalScore.confidence || 0) * 100)}% confidence
+                        </div>
+                        {Object.entries(analysisData.politicalScore.dimensions || {})
+                          .filter(([, value]) => typeof value === 'number')
+                          .map(([dimension, value]) => (
+                            <div key={dimension}>
+                              {renderPoliticalScale(POLITICAL_DIMENSION_LABELS[dimension] || dimension, value, true)}
+                            </div>
+                          ))}
+                      </div>
+                    )}
+
+                    {renderEvidenceQuotes(analysisData.evidence, 'politicalBias')}
+
+                    {analysisData.framing && (
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-900">Framing</span>
+                        <Badge variant="outline">
+                          {FRAMING_LABELS[analysisData.framing] || analysisData.framing}
+                        </Badge>
+                      </div>
+                    )}
+
+                    {renderEmotions(analysisData.emotions)}
+
+                    {renderChunkTones(analysisData.chunks)}
                   </div>
 
                   {/* Analysis Date */}
@@ -267,6 +491,31 @@ const ArticleDetail = ({ article, onClose }) => {
           </CardContent>
         </Card>
 
+        {/* Analysis History */}
+        {analysis && !loading && (
+          <AnalysisHistory
+            key={`${article.url}-${(analysis.data || analysis).analysisVersion || 1}`}
+            articleId={(analysis.data || analysis).id || article.id || article._id}
+          />
+        )}
+
+        {/* Quotes */}
+        {analysis && !loading && (analysis.data || analysis).quotes?.length > 0 && (
+          <QuotesPanel
+            key={article.url}
+            quotes={(analysis.data || analysis).quotes}
+            articleId={(analysis.data || analysis).id || article.id || article._id}
+          />
+        )}
+
+        {/* Questions */}
+        {analysis && !loading && (
+          <ArticleChat
+            key={article.url}
+            articleId={(analysis.data || analysis).id || article.id || article._id}
+          />
+        )}
+
         {/* Article Content */}
         <Card>
           <CardHeader>
@@ -284,16 +533,46 @@ const ArticleDetail = ({ article, onClose }) => {
               </div>
             )}
 
-            {article.content && article.content !== article.description && (
-              <div className="space-y-4">
-                <div>
-                  <h4 className="font-medium text-gray-900 mb-2">Full Content</h4>
-                  <div className="text-gray-700 leading-relaxed whitespace-pre-wrap">
-                    {article.content}
+            {(() => {
+              const analyzedArticle = analysis?.data || analysis;
+              const fullText = analyzedArticle?.fullText;
+              if (!fullText) return null;
+
+              return (
+                <div className="space-y-4">
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <h4 className="font-medium text-gray-900">Full Text</h4>
+                      {analyzedArticle.extraction?.quality && (
+                        <Badge variant="outline" className="text-xs">
+                          {analyzedArticle.extraction.quality === 'full' ? 'Full extraction' : 'Partial extraction'}
+                        </Badge>
+                      )}
+                    </div>
+                    <div className="text-gray-700 leading-relaxed whitespace-pre-wrap">
+                        {renderWithEvidence(fullText, evidenceFor(analyzedArticle, 'fullText'))}
+                    </div>
                   </div>
                 </div>
-              </div>
-            )}
+              );
+            })()}
+
+            {(() => {
+              const analyzedArticle = analysis?.data || analysis;
+              const content = analyzedArticle?.content || article.content;
+              if (analyzedArticle?.fullText || !content || content === article.description) return null;
+
+              return (
+                <div className="space-y-4">
+                  <div>
+                    <h4 className="font-medium text-gray-900 mb-2">Full Content</h4>
+                    <div className="text-gray-700 leading-relaxed whitespace-pre-wrap">
+                      {renderWithEvidence(content, evidenceFor(analyzedArticle, 'content'))}
+                    </div>
+                  </div>
+                </div>
+              );
+            })()}
 
             {/* Source Link */}
             <div className="pt-4 border-t">
@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, GitCompare, RefreshCw, ExternalLink, CheckCircle2, MinusCircle, Quote } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Badge } from './ui/Badge';
+import { analysisAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const BIAS_COLORS = {
+  left: 'bg-blue-100 text-blue-800',
+  center: 'bg-purple-100 text-purple-800',
+  right: 'bg-red-100 text-red-800'
+};
+
+const Compare = () => {
+  const [stories, setStories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedStory, setSelectedStory] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+
+  const fetchStories = useCallback(async () => {
+    try {
+      setLoading(true);
+      // Only stories covered by more than one outlet have anything to compare
+      const response = await analysisAPI.getStories({ minSources: 2, limit: 20 });
+      setStories(response.data?.stories || []);
+    } catch (err) {
+      console.error('Failed to fetch stories:', err);
+      toast.error('Failed to load stories');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStories();
+  }, [fetchStories]);
+
+  const compareStory = async (story, refresh = false) => {
+    try {
+      setSelectedStory(story);
+      setComparing(true);
+      if (!refresh) setComparison(null);
+      const response = await analysisAPI.compare({ storyId: story.id, refresh });
+      setComparison(response.data);
+    } catch (err) {
+      console.error('Failed to compare coverage:', err);
+      toast.error(err.message || 'Failed to compare coverage');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return new Date(dateString).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+      });
+    } catch {
+      return 'Unknown date';
+    }
+  };
+
+  const renderFactList = (facts, Icon, iconClass, emptyText) => {
+    if (!facts || facts.length === 0) {
+      return <p className="text-sm text-gray-400 italic">{emptyText}</p>;
+    }
+    return (
+      <ul className="space-y-1">
+        {facts.map((fact, index) => (
+          <li key={index} className="flex items-start gap-2 text-sm text-gray-700">
+            <Icon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${iconClass}`} />
+            <span>{fact}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  const renderOutlet = (outlet) => (
+    <Card key={outlet.articleId} className="pt-4 min-w-[280px] flex-1">
+      <CardContent className="p-4 space-y-4">
+        <div className="space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-sm font-semibold text-gray-900">{outlet.source?.name || 'Unknown source'}</span>
+            <span className="text-xs text-gray-400">{outlet.label}</span>
+          </div>
+          <a
+            href={outlet.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-sm text-primary-700 hover:underline inline-flex items-start gap-1"
+          >
+            {outlet.title}
+            <ExternalLink className="w-3 h-3 mt-1 flex-shrink-0" />
+          </a>
+          <div className="flex flex-wrap gap-2">
+            {outlet.sentiment?.score && (
+              <Badge variant={outlet.sentiment.score} className="capitalize">{outlet.sentiment.score}</Badge>
+            )}
+            {outlet.sentiment?.politicalBias && (
+              <Badge className={`capitalize ${BIAS_COLORS[outlet.sentiment.politicalBias] || ''}`}>
+                {outlet.sentiment.politicalBias}
+              </Badge>
+            )}
+            {typeof outlet.politicalScore === 'number' && (
+              <Badge variant="outline">
+                Lean {outlet.politicalScore > 0 ? '+' : ''}{outlet.politicalScore.toFixed(2)}
+              </Badge>
+            )}
+          </div>
+        </div>
+
+        {outlet.framing && (
+          <div>
+            <h5 className="text-xs font-semibold uppercase text-gray-500 mb-1">Framing</h5>
+            <p className="text-sm text-gray-700">{outlet.framing}</p>
+          </div>
+        )}
+
+        <div>
+          <h5 className="text-xs font-semibold uppercase text-gray-500 mb-1">Only Here</h5>
+          {renderFactList(outlet.includedFacts, CheckCircle2, 'text-green-600', 'Nothing the others leave out')}
+        </div>
+
+        <div>
+          <h5 className="text-xs font-semibold uppercase text-gray-500 mb-1">Left Out</h5>
+          {renderFactList(outlet.omittedFacts, MinusCircle, 'text-red-500', 'Covers what the others report')}
+        </div>
+
+        <div>
+          <h5 className="text-xs font-semibold uppercase text-gray-500 mb-1">Loaded Language</h5>
+          {outlet.loadedLanguage?.length > 0 ? (
+            <ul className="space-y-2">
+              {outlet.loadedLanguage.map((span, index) => (
+                <li key={index} className="text-sm">
+                  <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded bg-yellow-100 text-yellow-900">
+                    <Quote className="w-3 h-3" />
+                    {span.quote}
+                  </span>
+                  {span.explanation && <p className="text-xs text-gray-500 mt-1">{span.explanation}</p>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-400 italic">Neutral wording</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+        <span className="ml-3 text-lg text-gray-600">Loading stories...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Compare Coverage</h2>
+          <p className="text-gray-600">See how different outlets report the same story</p>
+        </div>
+        <Button onClick={fetchStories} variant="outline">
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      {stories.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="max-w-md mx-auto space-y-4">
+            <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto">
+              <GitCompare className="w-8 h-8 text-gray-400" />
+            </div>
+            <h3 className="text-xl font-semibold text-gray-900">No Stories to Compare</h3>
+            <p className="text-gray-600">
+              Analyze articles about the same event from at least two outlets to compare their coverage.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          {/* Story List */}
+          <div className="space-y-3">
+            {stories.map((story) => (
+              <button
+                key={story.id}
+                onClick={() => compareStory(story)}
+                disabled={comparing}
+                className={`w-full text-left p-4 rounded-lg border transition-colors ${
+                  selectedStory?.id === story.id
+                    ? 'border-primary-500 bg-primary-50'
+                    : 'border-gray-200 bg-white hover:bg-gray-50'
+                }`}
+              >
+                <p className="text-sm font-medium text-gray-900 line-clamp-2">{story.title}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {story.sourceCount} sources · {story.articleCount} articles · {formatDate(story.lastPublishedAt)}
+                </p>
+              </button>
+            ))}
+          </div>
+
+          {/* Comparison */}
+          <div className="lg:col-span-3 space-y-6">
+            {!selectedStory && (
+              <div className="text-center py-12 text-gray-500">
+                <GitCompare className="w-10 h-10 mx-auto mb-3 text-gray-300" />
+                Pick a story to compare how each outlet covered it
+              </div>
+            )}
+
+            {comparing && !comparison && (
+              <div className="flex items-center justify-center py-12">
+                <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+                <span className="ml-3 text-lg text-gray-600">Comparing coverage...</span>
+              </div>
+            )}
+
+            {comparison && (
+              <>
+                <Card className="pt-4">
+                  <CardHeader>
+                    <div className="flex items-center justify-between gap-4">
+                      <CardTitle className="text-lg">{selectedStory?.title}</CardTitle>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => compareStory(selectedStory, true)}
+                        disabled={comparing}
+                      >
+                        <RefreshCw className={`w-4 h-4 mr-2 ${comparing ? 'animate-spin' : ''}`} />
+                        Regenerate
+                      </Button>
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      {comparison.cached ? 'Cached' : 'Generated'} {formatDate(comparison.comparedAt)} · {comparison.model}
+                    </p>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    <p className="text-gray-700">{comparison.summary}</p>
+
+                    {comparison.sharedFacts?.length > 0 && (
+                      <div>
+                        <h4 className="text-sm font-semibold text-gray-900 mb-2">Reported by All</h4>
+                        {renderFactList(comparison.sharedFacts, CheckCircle2, 'text-gray-400')}
+                      </div>
+                    )}
+
+                    {comparison.framingDifferences?.length > 0 && (
+                      <div>
+                        <h4 className="text-sm font-semibold text-gray-900 mb-2">Framing Differences</h4>
+                        <ul className="list-disc list-inside space-y-1 text-sm text-gray-700">
+                          {comparison.framingDifferences.map((difference, index) => (
+                            <li key={index}>{difference}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </CardContent>
+                </Card>
+
+                {/* Side-by-side outlets */}
+                <div className="flex gap-4 overflow-x-auto pb-2">
+                  {comparison.outlets.map(renderOutlet)}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Compare;
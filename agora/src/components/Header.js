@@ -1,11 +1,13 @@
 import React from 'react';
-import { Leaf, Search, Database, BarChart3 } from 'lucide-react';
+import { Leaf, Search, Database, BarChart3, GitCompare, Bell } from 'lucide-react';
 import LiveHeadlines from './LiveHeadlines';
 
-const Header = ({ activeTab = 'discover', onTabChange }) => {
+const Header = ({ activeTab = 'discover', onTabChange, unreadAlerts = 0 }) => {
   const tabs = [
     { id: 'discover', label: 'Discover', icon: Search },
     { id: 'recent', label: 'Recent Articles', icon: Database },
+    { id: 'compare', label: 'Compare', icon: GitCompare },
+    { id: 'watchlists', label: 'Watchlists', icon: Bell, badge: unreadAlerts },
     { id: 'analytics', label: 'Analytics', icon: BarChart3 }
   ];
 
@@ -46,6 +48,11 @@ const Header = ({ activeTab = 'discover', onTabChange }) => {
                 >
                   <Icon className={`w-4 h-4 ${isActive ? 'text-white' : 'text-gray-500'}`} />
                   <span className="hidden sm:inline">{tab.label}</span>
+                  {tab.badge > 0 && (
+                    <span className={`px-1.5 rounded-full text-xs ${isActive ? 'bg-white text-primary-700' : 'bg-primary-600 text-white'}`}>
+                      {tab.badge > 99 ? '99+' : tab.badge}
+                    </span>
+                  )}
                 </button>
               );
             })}
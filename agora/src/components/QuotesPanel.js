@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { MessageSquareQuote, Loader2, ExternalLink, ChevronDown, ChevronUp } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { analysisAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const QuotesPanel = ({ quotes, articleId }) => {
+  // Other articles quoting each speaker, loaded when the speaker is expanded
+  const [elsewhere, setElsewhere] = useState({});
+  const [loadingSpeaker, setLoadingSpeaker] = useState(null);
+  const [expandedSpeaker, setExpandedSpeaker] = useState(null);
+
+  const toggleSpeaker = async (speaker) => {
+    if (expandedSpeaker === speaker) {
+      setExpandedSpeaker(null);
+      return;
+    }
+
+    setExpandedSpeaker(speaker);
+    if (elsewhere[speaker]) return;
+
+    try {
+      setLoadingSpeaker(speaker);
+      const response = await analysisAPI.getQuotes({ speaker, excludeArticle: articleId, limit: 10 });
+      setElsewhere(prev => ({ ...prev, [speaker]: response.data?.quotes || [] }));
+    } catch (err) {
+      console.error('Failed to load quotes:', err);
+      toast.error('Failed to load other quotes');
+      setExpandedSpeaker(null);
+    } finally {
+      setLoadingSpeaker(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return new Date(dateString).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+      });
+    } catch {
+      return 'Unknown date';
+    }
+  };
+
+  const renderElsewhere = (speaker) => {
+    const others = elsewhere[speaker] || [];
+    if (others.length === 0) {
+      return <p className="text-xs text-gray-400 italic">Not quoted in other analyzed articles</p>;
+    }
+
+    return (
+      <ul className="space-y-2">
+        {others.map((other, index) => (
+          <li key={`${other.article.id}-${index}`} className="text-sm">
+            <p className="text-gray-700 italic">“{other.text}”</p>
+            <a
+              href={other.article.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-xs text-primary-700 hover:underline inline-flex items-center gap-1"
+            >
+              {other.article.source?.name || 'Unknown source'} · {other.article.title}
+              <ExternalLink className="w-3 h-3 flex-shrink-0" />
+            </a>
+            <span className="text-xs text-gray-400 ml-2">{formatDate(other.article.publishedAt)}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <MessageSquareQuote className="w-5 h-5 text-primary-600" />
+          Quotes
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {quotes.map((quote, index) => (
+          <div key={`${quote.start}-${index}`} className="border-l-4 border-primary-200 pl-3 space-y-1">
+            <p className="text-gray-800 italic">“{quote.text}”</p>
+            <button
+              onClick={() => toggleSpeaker(quote.speaker)}
+              className="text-sm text-gray-600 hover:text-gray-900 inline-flex items-center gap-1"
+            >
+              <span className="font-medium">{quote.speaker}</span>
+              {quote.role && <span className="text-gray-500">, {quote.role}</span>}
+              {expandedSpeaker === quote.speaker
+                ? <ChevronUp className="w-3 h-3" />
+                : <ChevronDown className="w-3 h-3" />}
+            </button>
+
+            {expandedSpeaker === quote.speaker && (
+              <div className="bg-gray-50 rounded-lg p-3 mt-2">
+                <p className="text-xs font-semibold uppercase text-gray-500 mb-2">
+                  {quote.speaker} in other articles
+                </p>
+                {loadingSpeaker === quote.speaker ? (
+                  <div className="flex items-center text-sm text-gray-500">
+                    <Loader2 className="w-4 h-4 animate-spin mr-2" />
+                    Loading...
+                  </div>
+                ) : renderElsewhere(quote.speaker)}
+              </div>
+            )}
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default QuotesPanel;
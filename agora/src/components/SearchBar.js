@@ -1,17 +1,33 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Settings, X } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, Settings, X, Bookmark, Bell } from 'lucide-react';
 import { Button } from './ui/Button';
 import { Input } from './ui/Input';
 import { Select, SelectContent, SelectItem } from './ui/Select';
 import { Card, CardContent } from './ui/Card';
-import { newsAPI } from '../services/api';
+import { newsAPI, searchesAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
+// Search filters as the news API and saved searches name them
+const toFilters = (config) => Object.fromEntries(
+  Object.entries({
+    provider: config.provider,
+    searchIn: config.searchIn,
+    sortBy: config.sortBy,
+    country: config.country,
+    lang: config.language
+  }).filter(([_, value]) => value)
+);
+
 const SearchBar = ({ onSearch, loading }) => {
   const [query, setQuery] = useState('');
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [providers, setProviders] = useState([]);
   const [searchOptions, setSearchOptions] = useState({});
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [showSave, setShowSave] = useState(false);
+  const [saveName, setSaveName] = useState('');
+  const [saveWatch, setSaveWatch] = useState(false);
+  const [saving, setSaving] = useState(false);
   
   // Search configuration
   const [config, setConfig] = useState({
@@ -22,6 +38,15 @@ const SearchBar = ({ onSearch, loading }) => {
     language: ''
   });
 
+  const loadSavedSearches = useCallback(async () => {
+    try {
+      const response = await searchesAPI.list();
+      setSavedSearches(response.data || []);
+    } catch (error) {
+      console.error('Failed to load saved searches:', error);
+    }
+  }, []);
+
   // Load providers and search options on mount
   useEffect(() => {
     const loadOptions = async () => {
@@ -47,7 +72,8 @@ const SearchBar = ({ onSearch, loading }) => {
     };
 
     loadOptions();
-  }, []);
+    loadSavedSearches();
+  }, [loadSavedSearches]);
 
   const handleSearch = (e) => {
     e.preventDefault();
@@ -60,14 +86,54 @@ const SearchBar = ({ onSearch, loading }) => {
     // Build search parameters
     const searchParams = {
       q: query.trim(),
-      ...Object.fromEntries(
-        Object.entries(config).filter(([_, value]) => value)
-      )
+      ...toFilters(config)
     };
 
     onSearch(searchParams);
   };
 
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (!saveName.trim()) {
+      toast.error('Please name the search');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await searchesAPI.create({
+        name: saveName.trim(),
+        query: query.trim(),
+        filters: toFilters(config),
+        watch: { enabled: saveWatch }
+      });
+      toast.success(saveWatch ? 'Search saved and watched' : 'Search saved');
+      setShowSave(false);
+      setSaveName('');
+      setSaveWatch(false);
+      loadSavedSearches();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save search');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Fill the bar with a saved search and run it
+  const runSavedSearch = (search) => {
+    const filters = search.filters || {};
+    setQuery(search.query);
+    setConfig({
+      provider: filters.provider || '',
+      searchIn: filters.searchIn || '',
+      sortBy: filters.sortBy || '',
+      country: filters.country || '',
+      language: filters.lang || ''
+    });
+    onSearch({ q: search.query, ...toFilters({ ...filters, language: filters.lang }) });
+  };
+
   const handleConfigChange = (key, value) => {
     setConfig(prev => ({
       ...prev,
@@ -98,7 +164,7 @@ const SearchBar = ({ onSearch, loading }) => {
             placeholder="Search for news articles..."
             value={query}
             onChange={(e) => setQuery(e.target.value)}
-            className="pl-12 pr-24 h-14 text-lg border-2 border-gray-200 focus:border-primary-500 rounded-2xl shadow-sm"
+            className="pl-12 pr-52 h-14 text-lg border-2 border-gray-200 focus:border-primary-500 rounded-2xl shadow-sm"
           />
           <div className="absolute right-2 top-1/2 transform -translate-y-1/2 flex items-center space-x-2">
             <Button
@@ -110,6 +176,20 @@ const SearchBar = ({ onSearch, loading }) => {
             >
               <Settings className="w-4 h-4" />
             </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              title="Save search"
+              disabled={!query.trim()}
+              onClick={() => {
+                setShowSave(!showSave);
+                if (!saveName) setSaveName(query.trim());
+              }}
+              className={`rounded-xl ${showSave ? 'bg-primary-100 text-primary-700' : ''}`}
+            >
+              <Bookmark className="w-4 h-4" />
+            </Button>
             <Button
               type="submit"
               disabled={loading || !query.trim()}
@@ -121,6 +201,56 @@ const SearchBar = ({ onSearch, loading }) => {
         </div>
       </form>
 
+      {/* Save Search */}
+      {showSave && (
+        <form onSubmit={handleSave} className="flex flex-wrap items-center gap-3 p-3 bg-white border border-gray-200 rounded-xl animate-fade-in">
+          <Input
+            type="text"
+            placeholder="Name this search"
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            className="flex-1 min-w-[12rem]"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={saveWatch}
+              onChange={(e) => setSaveWatch(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Watch for new articles
+          </label>
+          <Button type="submit" size="sm" disabled={saving || !saveName.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+          <Button type="button" variant="ghost" size="sm" onClick={() => setShowSave(false)}>
+            Cancel
+          </Button>
+        </form>
+      )}
+
+      {/* Saved Searches */}
+      {savedSearches.length > 0 && (
+        <div className="flex flex-wrap items-center justify-center gap-2">
+          {savedSearches.map((search) => (
+            <button
+              key={search.id}
+              type="button"
+              onClick={() => runSavedSearch(search)}
+              disabled={loading}
+              title={search.query}
+              className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full border border-gray-200 bg-white text-sm text-gray-700 hover:border-primary-300 hover:text-primary-700 transition-colors disabled:opacity-50"
+            >
+              {search.watch?.enabled ? <Bell className="w-3 h-3" /> : <Bookmark className="w-3 h-3" />}
+              {search.name}
+              {search.unreadAlerts > 0 && (
+                <span className="ml-1 px-1.5 rounded-full bg-primary-600 text-white text-xs">{search.unreadAlerts}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Advanced Search Options */}
       {showAdvanced && (
         <Card className="animate-fade-in border-gray-200">
@@ -158,12 +288,17 @@ const SearchBar = ({ onSearch, loading }) => {
                 <Select
                   value={config.provider}
                   onValueChange={(value) => handleConfigChange('provider', value)}
-                  placeholder="All providers"
+                  placeholder="Default provider"
                 >
                   <SelectContent>
                     <SelectItem value="" onSelect={() => handleConfigChange('provider', '')} selectedValue={config.provider}>
-                      All providers
+                      Default provider
                     </SelectItem>
+                    {providers.length > 1 && (
+                      <SelectItem value="all" onSelect={() => handleConfigChange('provider', 'all')} selectedValue={config.provider}>
+                        All providers (merged)
+                      </SelectItem>
+                    )}
                     {providers.map((provider) => (
                       <SelectItem
                         key={provider.name}
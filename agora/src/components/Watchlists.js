@@ -0,0 +1,488 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Bell, BellOff, Play, RefreshCw, Trash2, Plus, X, CheckCheck, Check, ExternalLink, AlertTriangle } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Badge } from './ui/Badge';
+import { Select, SelectContent, SelectItem } from './ui/Select';
+import { searchesAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const METRICS = {
+  negative_share: 'Negative share',
+  positive_share: 'Positive share',
+  neutral_share: 'Neutral share',
+  left_share: 'Left-leaning share',
+  center_share: 'Center share',
+  right_share: 'Right-leaning share',
+  article_count: 'Article count'
+};
+
+const INTERVALS = [
+  { minutes: 15, label: 'Every 15 minutes' },
+  { minutes: 30, label: 'Every 30 minutes' },
+  { minutes: 60, label: 'Hourly' },
+  { minutes: 180, label: 'Every 3 hours' },
+  { minutes: 360, label: 'Every 6 hours' },
+  { minutes: 1440, label: 'Daily' }
+];
+
+const EMPTY_CONDITION = { metric: 'negative_share', operator: 'above', threshold: '60', windowHours: '24' };
+
+// Conditions as the API expects them, without the state the server keeps
+const toConditionInput = ({ metric, operator, threshold, windowHours, minArticles }) => ({
+  metric, operator, threshold, windowHours, minArticles
+});
+
+const Watchlists = ({ onRunSearch, onUnreadChange }) => {
+  const [searches, setSearches] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [newCondition, setNewCondition] = useState(EMPTY_CONDITION);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [searchesResponse, alertsResponse] = await Promise.all([
+        searchesAPI.list(),
+        searchesAPI.getAlerts({ limit: 50 })
+      ]);
+      setSearches(searchesResponse.data || []);
+      setAlerts(alertsResponse.data?.alerts || []);
+      setUnreadCount(alertsResponse.data?.unreadCount || 0);
+      onUnreadChange && onUnreadChange(alertsResponse.data?.unreadCount || 0);
+    } catch (err) {
+      console.error('Failed to load watchlists:', err);
+      toast.error('Failed to load saved searches');
+    } finally {
+      setLoading(false);
+    }
+  }, [onUnreadChange]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const updateSearch = async (search, changes, successMessage) => {
+    try {
+      setBusyId(search.id);
+      const response = await searchesAPI.update(search.id, changes);
+      setSearches(prev => prev.map(item => item.id === search.id ? { ...response.data, unreadAlerts: item.unreadAlerts } : item));
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (err) {
+      toast.error(err.message || 'Failed to update saved search');
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const checkSearch = async (search) => {
+    try {
+      setBusyId(search.id);
+      const response = await searchesAPI.check(search.id);
+      const { check, alerts: raised } = response.data;
+      if (check.status === 'failed') {
+        toast.error(check.error?.message || 'Check failed');
+      } else {
+        toast.success(`${check.newArticles} new of ${check.fetched} articles, ${raised.length} alert${raised.length === 1 ? '' : 's'}`);
+      }
+      await fetchAll();
+    } catch (err) {
+      toast.error(err.message || 'Failed to check saved search');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deleteSearch = async (search) => {
+    if (!window.confirm(`Delete "${search.name}" and its alerts?`)) return;
+
+    try {
+      setBusyId(search.id);
+      await searchesAPI.remove(search.id);
+      toast.success('Saved search deleted');
+      await fetchAll();
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete saved search');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const addCondition = async (search) => {
+    const isShare = newCondition.metric !== 'article_count';
+    const condition = {
+      metric: newCondition.metric,
+      operator: newCondition.operator,
+      // Shares are entered as percentages
+      threshold: isShare ? Number(newCondition.threshold) / 100 : Number(newCondition.threshold),
+      windowHours: Number(newCondition.windowHours)
+    };
+
+    const saved = await updateSearch(search, {
+      watch: { conditions: [...search.watch.conditions.map(toConditionInput), condition] }
+    }, 'Condition added');
+    if (saved) {
+      setEditingId(null);
+      setNewCondition(EMPTY_CONDITION);
+    }
+  };
+
+  const removeCondition = (search, index) => {
+    updateSearch(search, {
+      watch: { conditions: search.watch.conditions.filter((_, i) => i !== index).map(toConditionInput) }
+    });
+  };
+
+  const markRead = async (alert) => {
+    try {
+      await searchesAPI.markAlertRead(alert.id, !alert.read);
+      await fetchAll();
+    } catch (err) {
+      toast.error(err.message || 'Failed to update alert');
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await searchesAPI.markAllAlertsRead();
+      await fetchAll();
+    } catch (err) {
+      toast.error(err.message || 'Failed to mark alerts read');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'never';
+    try {
+      return new Date(dateString).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+      });
+    } catch {
+      return 'Unknown date';
+    }
+  };
+
+  const describeCondition = (condition) => {
+    const isShare = condition.metric !== 'article_count';
+    const threshold = isShare ? `${Math.round(condition.threshold * 100)}%` : condition.threshold;
+    return `${METRICS[condition.metric] || condition.metric} ${condition.operator} ${threshold} in ${condition.windowHours}h`;
+  };
+
+  const renderFilters = (filters = {}) => {
+    const active = Object.entries(filters).filter(([_, value]) => value);
+    if (active.length === 0) return null;
+    return (
+      <div className="flex flex-wrap gap-1">
+        {active.map(([key, value]) => (
+          <Badge key={key} variant="outline">{key}: {value}</Badge>
+        ))}
+      </div>
+    );
+  };
+
+  const renderConditionForm = (search) => (
+    <div className="grid grid-cols-2 md:grid-cols-5 gap-2 items-center p-3 bg-gray-50 rounded-lg">
+      <Select
+        value={METRICS[newCondition.metric]}
+        placeholder="Metric"
+        className="col-span-2"
+      >
+        <SelectContent>
+          {Object.entries(METRICS).map(([metric, label]) => (
+            <SelectItem
+              key={metric}
+              value={metric}
+              onSelect={() => setNewCondition(prev => ({ ...prev, metric, threshold: metric === 'article_count' ? '10' : '60' }))}
+              selectedValue={newCondition.metric}
+            >
+              {label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select value={newCondition.operator} placeholder="Operator">
+        <SelectContent>
+          {['above', 'below'].map((operator) => (
+            <SelectItem
+              key={operator}
+              value={operator}
+              onSelect={() => setNewCondition(prev => ({ ...prev, operator }))}
+              selectedValue={newCondition.operator}
+            >
+              {operator}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <div className="flex items-center gap-1">
+        <Input
+          type="number"
+          min="0"
+          value={newCondition.threshold}
+          onChange={(e) => setNewCondition(prev => ({ ...prev, threshold: e.target.value }))}
+        />
+        {newCondition.metric !== 'article_count' && <span className="text-sm text-gray-500">%</span>}
+      </div>
+      <div className="flex items-center gap-1">
+        <Input
+          type="number"
+          min="1"
+          value={newCondition.windowHours}
+          onChange={(e) => setNewCondition(prev => ({ ...prev, windowHours: e.target.value }))}
+        />
+        <span className="text-sm text-gray-500">h</span>
+      </div>
+      <div className="col-span-2 md:col-span-5 flex justify-end gap-2">
+        <Button variant="ghost" size="sm" onClick={() => setEditingId(null)}>
+          Cancel
+        </Button>
+        <Button size="sm" onClick={() => addCondition(search)} disabled={busyId === search.id || newCondition.threshold === ''}>
+          Add condition
+        </Button>
+      </div>
+    </div>
+  );
+
+  const renderSearch = (search) => {
+    const busy = busyId === search.id || search.checking;
+    const lastCheck = search.lastCheck;
+
+    return (
+      <Card key={search.id} className="border-gray-200">
+        <CardContent className="p-4 space-y-3">
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0 space-y-1">
+              <div className="flex items-center gap-2">
+                <h3 className="font-semibold text-gray-900 truncate">{search.name}</h3>
+                {search.unreadAlerts > 0 && (
+                  <Badge variant="default">{search.unreadAlerts} unread</Badge>
+                )}
+              </div>
+              <p className="text-sm text-gray-600 truncate">"{search.query}"</p>
+              {renderFilters(search.filters)}
+            </div>
+            <div className="flex items-center gap-1 flex-shrink-0">
+              <Button variant="outline" size="sm" onClick={() => onRunSearch && onRunSearch(search)} title="Run search">
+                <Play className="w-4 h-4 mr-1" />
+                Run
+              </Button>
+              <Button variant="ghost" size="icon" onClick={() => checkSearch(search)} disabled={busy} title="Check now">
+                {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => updateSearch(search, { watch: { enabled: !search.watch.enabled } },
+                  search.watch.enabled ? 'Watch paused' : 'Watching for new articles')}
+                disabled={busy}
+                title={search.watch.enabled ? 'Stop watching' : 'Watch'}
+                className={search.watch.enabled ? 'text-primary-700' : 'text-gray-400'}
+              >
+                {search.watch.enabled ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />}
+              </Button>
+              <Button variant="ghost" size="icon" onClick={() => deleteSearch(search)} disabled={busy} title="Delete">
+                <Trash2 className="w-4 h-4 text-gray-500" />
+              </Button>
+            </div>
+          </div>
+
+          {search.watch.enabled && (
+            <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+              <div className="w-44">
+                <Select
+                  value={(INTERVALS.find(interval => interval.minutes === search.watch.intervalMinutes) || {}).label
+                    || `Every ${search.watch.intervalMinutes} minutes`}
+                >
+                  <SelectContent>
+                    {INTERVALS.map((interval) => (
+                      <SelectItem
+                        key={interval.minutes}
+                        value={interval.minutes}
+                        onSelect={() => updateSearch(search, { watch: { intervalMinutes: interval.minutes } })}
+                        selectedValue={search.watch.intervalMinutes}
+                      >
+                        {interval.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <span>Next check {formatDate(search.nextCheckAt)}</span>
+            </div>
+          )}
+
+          {lastCheck && (
+            <p className={`text-xs ${lastCheck.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+              {lastCheck.status === 'failed'
+                ? `Last check failed ${formatDate(lastCheck.completedAt)}: ${lastCheck.error?.message || 'unknown error'}`
+                : `Last checked ${formatDate(lastCheck.completedAt)}: ${lastCheck.newArticles} new of ${lastCheck.fetched}`}
+            </p>
+          )}
+
+          {/* Conditions */}
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              {search.watch.conditions.map((condition, index) => (
+                <Badge
+                  key={index}
+                  variant={condition.met ? 'negative' : 'neutral'}
+                  className="gap-1"
+                  title={condition.lastValue !== null && condition.lastValue !== undefined ? `Last value: ${condition.lastValue}` : 'Not evaluated yet'}
+                >
+                  {condition.met && <AlertTriangle className="w-3 h-3" />}
+                  {describeCondition(condition)}
+                  <button type="button" onClick={() => removeCondition(search, index)} className="ml-1 hover:text-gray-900">
+                    <X className="w-3 h-3" />
+                  </button>
+                </Badge>
+              ))}
+              {editingId !== search.id && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => {
+                    setEditingId(search.id);
+                    setNewCondition(EMPTY_CONDITION);
+                  }}
+                  className="text-xs h-7"
+                >
+                  <Plus className="w-3 h-3 mr-1" />
+                  Condition
+                </Button>
+              )}
+            </div>
+            {editingId === search.id && renderConditionForm(search)}
+            {search.watch.conditions.length > 0 && !search.watch.enabled && (
+              <p className="text-xs text-gray-400">Conditions are evaluated only while the search is watched or checked.</p>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    );
+  };
+
+  const renderAlert = (alert) => (
+    <div
+      key={alert.id}
+      className={`p-3 rounded-lg border ${alert.read ? 'border-gray-100 bg-white' : 'border-primary-200 bg-primary-50'}`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0 space-y-1">
+          <div className="flex items-center gap-2">
+            <Badge variant={alert.type === 'condition' ? 'negative' : 'secondary'}>
+              {alert.type === 'condition' ? 'Condition' : 'New articles'}
+            </Badge>
+            <span className="text-xs text-gray-500">{alert.searchName} · {formatDate(alert.createdAt)}</span>
+          </div>
+          <p className={`text-sm ${alert.read ? 'text-gray-600' : 'text-gray-900 font-medium'}`}>{alert.message}</p>
+        </div>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => markRead(alert)}
+          title={alert.read ? 'Mark unread' : 'Mark read'}
+          className="h-8 w-8 flex-shrink-0"
+        >
+          <Check className={`w-4 h-4 ${alert.read ? 'text-gray-300' : 'text-primary-600'}`} />
+        </Button>
+      </div>
+      {alert.articles.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {alert.articles.slice(0, 3).map((article) => (
+            <li key={article.url} className="text-xs">
+              <a
+                href={article.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-1 text-primary-700 hover:underline"
+              >
+                {article.title}
+                <ExternalLink className="w-3 h-3 flex-shrink-0" />
+              </a>
+              {article.source && <span className="text-gray-400"> · {article.source}</span>}
+            </li>
+          ))}
+          {alert.articles.length > 3 && (
+            <li className="text-xs text-gray-400">and {alert.articles.length - 3} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+        <span className="ml-3 text-lg text-gray-600">Loading saved searches...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Watchlists</h2>
+          <p className="text-gray-600">Saved searches, and alerts on new articles and coverage conditions</p>
+        </div>
+        <Button variant="outline" onClick={fetchAll}>
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-5">
+        {/* Saved Searches */}
+        <div className="lg:col-span-3 space-y-4">
+          {searches.length === 0 ? (
+            <Card className="border-gray-200">
+              <CardContent className="p-8 text-center space-y-2">
+                <Bell className="w-10 h-10 text-gray-300 mx-auto" />
+                <p className="text-gray-600">No saved searches yet.</p>
+                <p className="text-sm text-gray-500">Search on the Discover tab and use the bookmark button to save it.</p>
+              </CardContent>
+            </Card>
+          ) : (
+            searches.map(renderSearch)
+          )}
+        </div>
+
+        {/* Alerts */}
+        <Card className="lg:col-span-2 border-gray-200 self-start">
+          <CardHeader className="pb-2">
+            <div className="flex items-center justify-between">
+              <CardTitle className="text-lg flex items-center gap-2">
+                Alerts
+                {unreadCount > 0 && <Badge variant="default">{unreadCount} unread</Badge>}
+              </CardTitle>
+              {unreadCount > 0 && (
+                <Button variant="ghost" size="sm" onClick={markAllRead}>
+                  <CheckCheck className="w-4 h-4 mr-1" />
+                  Mark all read
+                </Button>
+              )}
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {alerts.length === 0 ? (
+              <p className="text-sm text-gray-400 italic">No alerts yet. Watched searches raise them as new articles come in.</p>
+            ) : (
+              alerts.map(renderAlert)
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Watchlists;
@@ -42,7 +42,10 @@ export const useNews = () => {
 
       return {
         hasMore: response.pagination?.hasNextPage || false,
-        articles: response.articles || []
+        articles: response.articles || [],
+        provider: response.provider,
+        requestedProvider: response.requestedProvider,
+        failover: response.failover || null
       };
 
     } catch (err) {
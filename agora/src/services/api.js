@@ -68,6 +68,12 @@ export const newsAPI = {
     const response = await api.get('/news/enums');
     return response.data;
   },
+
+  // Get per-provider daily quota usage
+  getUsage: async () => {
+    const response = await api.get('/news/usage');
+    return response.data;
+  },
 };
 
 // Analysis API functions
@@ -86,9 +92,9 @@ export const analysisAPI = {
     return response.data;
   },
 
-  // Get analysis statistics
-  getStats: async () => {
-    const response = await api.get('/analysis/stats');
+  // Get analysis statistics, e.g. { language: 'es' }
+  getStats: async (params) => {
+    const response = await api.get('/analysis/stats', { params });
     return response.data;
   },
 
@@ -115,6 +121,85 @@ export const analysisAPI = {
     const response = await api.post(`/analysis/reanalyze/${articleId}`);
     return response.data.data;
   },
+
+  // Ask a question about an analyzed article; pass conversationId to follow up
+  askArticle: async (articleId, { question, conversationId }) => {
+    const response = await api.post(`/analysis/article/${articleId}/ask`, { question, conversationId });
+    return response.data;
+  },
+
+  // Get every analysis version of an article with changes between runs
+  getHistory: async (articleId) => {
+    const response = await api.get(`/analysis/article/${articleId}/history`);
+    return response.data;
+  },
+
+  // Get direct quotes, e.g. { speaker, excludeArticle }
+  getQuotes: async (params) => {
+    const response = await api.get('/analysis/quotes', { params });
+    return response.data;
+  },
+
+  // List stories (articles about the same event across sources)
+  getStories: async (params) => {
+    const response = await api.get('/analysis/stories', { params });
+    return response.data;
+  },
+
+  // Compare coverage of the same event: { articleIds } or { storyId }
+  compare: async (body) => {
+    const response = await api.post('/analysis/compare', body);
+    return response.data;
+  },
+};
+
+// Saved searches and watchlist alerts
+export const searchesAPI = {
+  // List saved searches with their unread alert counts
+  list: async () => {
+    const response = await api.get('/searches');
+    return response.data;
+  },
+
+  // Save a search: { name, query, filters, watch: { enabled, intervalMinutes, conditions } }
+  create: async (search) => {
+    const response = await api.post('/searches', search);
+    return response.data;
+  },
+
+  // Change a saved search; watch fields merge with the current ones
+  update: async (searchId, changes) => {
+    const response = await api.patch(`/searches/${searchId}`, changes);
+    return response.data;
+  },
+
+  remove: async (searchId) => {
+    const response = await api.delete(`/searches/${searchId}`);
+    return response.data;
+  },
+
+  // Check a saved search for new articles and conditions now
+  check: async (searchId) => {
+    const response = await api.post(`/searches/${searchId}/check`);
+    return response.data;
+  },
+
+  // Get alerts, e.g. { unread: true, searchId }
+  getAlerts: async (params) => {
+    const response = await api.get('/searches/alerts', { params });
+    return response.data;
+  },
+
+  markAlertRead: async (alertId, read = true) => {
+    const response = await api.patch(`/searches/alerts/${alertId}`, { read });
+    return response.data;
+  },
+
+  // Mark every unread alert read, or only those of one saved search
+  markAllAlertsRead: async (searchId) => {
+    const response = await api.post('/searches/alerts/read', { searchId });
+    return response.data;
+  },
 };
 
 export default api;
@@ -0,0 +1,13 @@
+const displayNames = typeof Intl !== 'undefined' && Intl.DisplayNames
+  ? new Intl.DisplayNames(['en'], { type: 'language' })
+  : null;
+
+// English name of an ISO 639-1 code ("es" -> "Spanish"); falls back to the code itself
+export function languageName(code) {
+  if (!code || code === 'unknown') return 'Unknown';
+  try {
+    return displayNames?.of(code) || code;
+  } catch {
+    return code;
+  }
+}
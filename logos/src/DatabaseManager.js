@@ -1,6 +1,20 @@
 const mongoose = require('mongoose');
 const Article = require('./models/Article');
+const AnalysisVersion = require('./models/AnalysisVersion');
+const Story = require('./models/Story');
+const Comparison = require('./models/Comparison');
+const IngestionJob = require('./models/IngestionJob');
+const SavedSearch = require('./models/SavedSearch');
+const Alert = require('./models/Alert');
+const WatchSeenUrl = require('./models/WatchSeenUrl');
 const { ValidationError } = require('./news/errors/NewsErrors');
+const { normalizeEntityName } = require('./ai/entities');
+const { Emotions } = require('./ai/enums');
+
+// User text matched as a substring, not as a pattern
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 /**
  * DatabaseManager - Handles all database operations for article analysis
@@ -176,9 +190,10 @@ class DatabaseManager {
    * Save analyzed article to database
    * @param {Object} articleData - Raw article data
    * @param {Object} analysis - AI analysis results
+   * @param {Object} meta - Analysis metadata { model, promptVersion }
    * @returns {Promise<Object>} Saved article document
    */
-  async saveArticle(articleData, analysis) {
+  async saveArticle(articleData, analysis, meta = {}) {
     await this._ensureConnection();
     
     try {
@@ -186,6 +201,8 @@ class DatabaseManager {
         title: articleData.title,
         description: articleData.description || '',
         content: articleData.content,
+        fullText: articleData.fullText || null,
+        extraction: articleData.extraction,
         url: articleData.url,
         urlToImage: articleData.urlToImage || null,
         publishedAt: articleData.publishedAt ? new Date(articleData.publishedAt) : new Date(),
@@ -193,16 +210,21 @@ class DatabaseManager {
           name: articleData.source?.name || 'Unknown',
           url: articleData.source?.url || null
         },
-        summary: analysis.summary,
-        sentiment: {
-          score: analysis.sentiment.score,
-          confidence: analysis.sentiment.confidence,
-          politicalBias: analysis.politicalBias
-        },
-        analyzedAt: new Date()
+        language: articleData.language || null,
+        ...this._analysisFields(analysis),
+        analyzedAt: new Date(),
+        analysis: {
+          version: 1,
+          model: meta.model || null,
+          promptVersion: meta.promptVersion || null,
+          mode: analysis.mode || 'single'
+        }
       });
 
-      return await articleDoc.save();
+      const saved = await articleDoc.save();
+      await this._createVersion(saved.toObject(), 1);
+
+      return saved;
 
     } catch (error) {
       if (error.code === 11000) { // Duplicate key error
@@ -271,6 +293,184 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Record a new analysis run for an existing article, keeping its id and previous versions
+   * @param {string} id - Article ID
+   * @param {Object} analysis - AI analysis results
+   * @param {Object} meta - Analysis metadata { model, promptVersion }
+   * @param {Object} articleUpdates - Article fields refreshed during the run (content, fullText, extraction, language)
+   * @returns {Promise<Object|null>} Updated article or null if not found
+   */
+  async addAnalysisVersion(id, analysis, meta = {}, articleUpdates = {}) {
+    await this._ensureConnection();
+
+    if (!this._isValidObjectId(id)) {
+      return null;
+    }
+
+    try {
+      const article = await Article.findById(id).lean();
+      if (!article) {
+        return null;
+      }
+
+      await this._ensureInitialVersion(article);
+
+      const latest = await AnalysisVersion.findOne({ article: article._id }).sort({ version: -1 }).lean();
+      const version = (latest?.version || 0) + 1;
+      const analyzedAt = new Date();
+
+      const analysisFields = this._analysisFields(analysis);
+      const updated = {
+        ...article,
+        ...articleUpdates,
+        ...analysisFields,
+        analyzedAt,
+        analysis: {
+          version,
+          model: meta.model || null,
+          promptVersion: meta.promptVersion || null,
+          mode: analysis.mode || 'single'
+        }
+      };
+
+      await this._createVersion(updated, version);
+
+      return await Article.findByIdAndUpdate(
+        id,
+        {
+          $set: {
+            ...articleUpdates,
+            ...analysisFields,
+            analyzedAt,
+            analysis: updated.analysis
+          }
+        },
+        { new: true, lean: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) { // Another run claimed this version number
+        throw new ValidationError('Article is already being re-analyzed');
+      }
+      throw new Error(`Failed to record analysis version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an article together with every analysis version, oldest first
+   * @param {string} id - Article ID
+   * @returns {Promise<Object|null>} { article, versions } or null if not found
+   */
+  async getAnalysisHistory(id) {
+    await this._ensureConnection();
+
+    if (!this._isValidObjectId(id)) {
+      return null;
+    }
+
+    try {
+      const article = await Article.findById(id).lean();
+      if (!article) {
+        return null;
+      }
+
+      let versions = await AnalysisVersion.find({ article: article._id }).sort({ version: 1 }).lean();
+
+      // Articles analyzed before versioning have their only verdict on the article itself
+      if (versions.length === 0) {
+        versions = [this._versionFromArticle(article, 1)];
+      }
+
+      return { article, versions };
+    } catch (error) {
+      throw new Error(`Failed to get analysis history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the article's current verdict as a version record
+   * @private
+   */
+  async _createVersion(article, version) {
+    return AnalysisVersion.create(this._versionFromArticle(article, version));
+  }
+
+  /**
+   * Backfill version 1 for articles analyzed before versioning existed
+   * @private
+   */
+  async _ensureInitialVersion(article) {
+    const count = await AnalysisVersion.countDocuments({ article: article._id });
+    if (count === 0) {
+      await this._createVersion(article, article.analysis?.version || 1);
+    }
+  }
+
+  /**
+   * Article fields produced by an analysis run
+   * @private
+   */
+  _analysisFields(analysis) {
+    const politicalScore = analysis.politicalScore;
+
+    return {
+      summary: analysis.summary,
+      originalSummary: analysis.originalSummary || null,
+      sentiment: {
+        score: analysis.sentiment.score,
+        confidence: analysis.sentiment.confidence,
+        politicalBias: analysis.politicalBias
+      },
+      politicalScore: politicalScore
+        ? {
+          score: politicalScore.score,
+          confidence: politicalScore.confidence,
+          dimensions: {
+            economic: politicalScore.dimensions?.economic ?? null,
+            social: politicalScore.dimensions?.social ?? null,
+            establishment: politicalScore.dimensions?.establishment ?? null
+          }
+        }
+        : null,
+      emotions: analysis.emotions || null,
+      framing: analysis.framing || null,
+      evidence: analysis.evidence || [],
+      chunks: analysis.chunks || [],
+      entities: analysis.entities || [],
+      claims: analysis.claims || [],
+      quotes: analysis.quotes || [],
+      headline: analysis.headline || null
+    };
+  }
+
+  _versionFromArticle(article, version) {
+    return {
+      article: article._id,
+      version,
+      model: article.analysis?.model || null,
+      promptVersion: article.analysis?.promptVersion || null,
+      summary: article.summary,
+      originalSummary: article.originalSummary || null,
+      sentiment: {
+        score: article.sentiment.score,
+        confidence: article.sentiment.confidence,
+        politicalBias: article.sentiment.politicalBias
+      },
+      politicalScore: article.politicalScore || null,
+      emotions: article.emotions || null,
+      framing: article.framing || null,
+      evidence: article.evidence || [],
+      analysisMode: article.analysis?.mode || 'single',
+      chunks: article.chunks || [],
+      entities: article.entities || [],
+      claims: article.claims || [],
+      quotes: article.quotes || [],
+      headline: article.headline || null,
+      extractionQuality: article.extraction?.quality || null,
+      analyzedAt: article.analyzedAt
+    };
+  }
+
   /**
    * Delete article by ID
    * @param {string} id - Article ID
@@ -283,7 +483,13 @@ class DatabaseManager {
       if (!this._isValidObjectId(id)) {
         return null;
       }
-      return await Article.findByIdAndDelete(id).lean();
+      const deleted = await Article.findByIdAndDelete(id).lean();
+      if (deleted) {
+        await AnalysisVersion.deleteMany({ article: deleted._id });
+        await Comparison.deleteMany({ articles: deleted._id });
+        if (deleted.story) await this._refreshStory(deleted.story);
+      }
+      return deleted;
     } catch (error) {
       throw new Error(`Failed to delete article: ${error.message}`);
     }
@@ -298,7 +504,13 @@ class DatabaseManager {
     await this._ensureConnection();
     
     try {
-      return await Article.findOneAndDelete({ url }).lean();
+      const deleted = await Article.findOneAndDelete({ url }).lean();
+      if (deleted) {
+        await AnalysisVersion.deleteMany({ article: deleted._id });
+        await Comparison.deleteMany({ articles: deleted._id });
+        if (deleted.story) await this._refreshStory(deleted.story);
+      }
+      return deleted;
     } catch (error) {
       throw new Error(`Failed to delete article by URL: ${error.message}`);
     }
@@ -332,12 +544,30 @@ class DatabaseManager {
         title,
         description,
         content,
+
+        // ISO 639-1 article language
+        language,
         
         // Sentiment filters
         sentiment,
         politicalBias,
         minConfidence,
         maxConfidence,
+        minPoliticalScore,
+        maxPoliticalScore,
+
+        // Entity filter (name as mentioned, matched on the normalized form)
+        entity,
+
+        // Claim filters: articles with a claim of this type, and/or a claim mentioning the keyword
+        claimType,
+        claim,
+
+        // Headline filters (0.0-1.0)
+        minSensationalism,
+        maxSensationalism,
+        minConsistency,
+        maxConsistency,
         
         // Date filters
         dateFrom,
@@ -373,10 +603,20 @@ class DatabaseManager {
         title,
         description,
         content,
+        language,
         sentiment,
         politicalBias,
         minConfidence,
         maxConfidence,
+        minPoliticalScore,
+        maxPoliticalScore,
+        entity,
+        claimType,
+        claim,
+        minSensationalism,
+        maxSensationalism,
+        minConsistency,
+        maxConsistency,
         dateFrom,
         dateTo,
         publishedFrom,
@@ -391,7 +631,7 @@ class DatabaseManager {
       // Build field selection
       let selectFields = fields;
       if (!includeContent && !fields) {
-        selectFields = '-content'; // Exclude full content for performance by default
+        selectFields = '-content -fullText'; // Exclude full content for performance by default
       }
 
       // Execute query with count using aggregation for better performance
@@ -509,13 +749,15 @@ class DatabaseManager {
 
   /**
    * Get comprehensive analysis statistics
+   * @param {Object} options - { language } to limit the statistics to one ISO 639-1 language
    * @returns {Promise<Object>} Statistics summary
    */
-  async getAnalysisStats() {
+  async getAnalysisStats(options = {}) {
     await this._ensureConnection();
     
     try {
       const stats = await Article.aggregate([
+        ...(options.language ? [{ $match: { language: options.language } }] : []),
         {
           $group: {
             _id: null,
@@ -523,6 +765,13 @@ class DatabaseManager {
             avgConfidence: { $avg: '$sentiment.confidence' },
             sentimentBreakdown: { $push: '$sentiment.score' },
             politicalBreakdown: { $push: '$sentiment.politicalBias' },
+            // Articles analyzed before language detection count as unknown
+            languageBreakdown: { $push: { $ifNull: ['$language', 'unknown'] } },
+            politicalScores: { $push: '$politicalScore.score' },
+            politicalConfidence: { $avg: '$politicalScore.confidence' },
+            economicScores: { $push: '$politicalScore.dimensions.economic' },
+            socialScores: { $push: '$politicalScore.dimensions.social' },
+            establishmentScores: { $push: '$politicalScore.dimensions.establishment' },
             recentArticles: {
               $sum: {
                 $cond: [
@@ -544,6 +793,8 @@ class DatabaseManager {
           avgConfidence: 0,
           sentimentBreakdown: {},
           politicalBreakdown: {},
+          languageBreakdown: {},
+          politicalScore: this._summarizePoliticalScores({}),
           recentArticles: 0,
           oldestArticle: null,
           newestArticle: null
@@ -557,6 +808,8 @@ class DatabaseManager {
         avgConfidence: Math.round(result.avgConfidence * 100) / 100,
         sentimentBreakdown: this._countArray(result.sentimentBreakdown),
         politicalBreakdown: this._countArray(result.politicalBreakdown),
+        languageBreakdown: this._countArray(result.languageBreakdown),
+        politicalScore: this._summarizePoliticalScores(result),
         recentArticles: result.recentArticles,
         oldestArticle: result.oldestArticle,
         newestArticle: result.newestArticle
@@ -568,7 +821,7 @@ class DatabaseManager {
   }
 
   /**
-   * Get sentiment trends over time
+   * Get sentiment trends over time, with each period's mean emotions and framing breakdown
    * @param {Object} options - Options for trend analysis
    * @returns {Promise<Array>} Sentiment trends
    */
@@ -606,7 +859,9 @@ class DatabaseManager {
               sentiment: '$sentiment.score'
             },
             count: { $sum: 1 },
-            avgConfidence: { $avg: '$sentiment.confidence' }
+            avgConfidence: { $avg: '$sentiment.confidence' },
+            emotions: { $push: '$emotions' },
+            framings: { $push: '$framing' }
           }
         },
         {
@@ -619,14 +874,27 @@ class DatabaseManager {
                 avgConfidence: '$avgConfidence'
               }
             },
-            totalCount: { $sum: '$count' }
+            totalCount: { $sum: '$count' },
+            emotions: { $push: '$emotions' },
+            framings: { $push: '$framings' }
           }
         },
         { $sort: { _id: -1 } },
         { $limit: limit }
       ];
 
-      return await Article.aggregate(pipeline);
+      const trends = await Article.aggregate(pipeline);
+
+      // Articles analyzed before emotions and framing existed don't count toward them
+      return trends.map(({ emotions, framings, ...period }) => {
+        const scored = emotions.flat().filter(scores => typeof scores?.fear === 'number');
+        return {
+          ...period,
+          emotionCount: scored.length,
+          emotions: this._meanEmotions(scored),
+          framingBreakdown: this._countArray(framings.flat().filter(Boolean))
+        };
+      });
 
     } catch (error) {
       throw new Error(`Failed to get sentiment trends: ${error.message}`);
@@ -644,13 +912,18 @@ class DatabaseManager {
     try {
       const { limit = 10, minArticles = 1 } = options;
 
-      return await Article.aggregate([
+      const sources = await Article.aggregate([
         { $group: {
           _id: '$source.name',
           articleCount: { $sum: 1 },
           avgConfidence: { $avg: '$sentiment.confidence' },
           sentimentBreakdown: { $push: '$sentiment.score' },
           politicalBreakdown: { $push: '$sentiment.politicalBias' },
+          politicalScores: { $push: '$politicalScore.score' },
+          politicalConfidence: { $avg: '$politicalScore.confidence' },
+          economicScores: { $push: '$politicalScore.dimensions.economic' },
+          socialScores: { $push: '$politicalScore.dimensions.social' },
+          establishmentScores: { $push: '$politicalScore.dimensions.establishment' },
           latestArticle: { $max: '$analyzedAt' }
         }},
         { $match: { articleCount: { $gte: minArticles } } },
@@ -662,103 +935,1242 @@ class DatabaseManager {
           avgConfidence: { $round: ['$avgConfidence', 3] },
           sentimentBreakdown: 1,
           politicalBreakdown: 1,
+          politicalScores: 1,
+          politicalConfidence: 1,
+          economicScores: 1,
+          socialScores: 1,
+          establishmentScores: 1,
           latestArticle: 1,
           _id: 0
         }}
       ]);
 
+      return sources.map(source => ({
+        sourceName: source.sourceName,
+        articleCount: source.articleCount,
+        avgConfidence: source.avgConfidence,
+        sentimentBreakdown: this._countArray(source.sentimentBreakdown),
+        politicalBreakdown: this._countArray(source.politicalBreakdown),
+        politicalScore: this._summarizePoliticalScores(source),
+        latestArticle: source.latestArticle
+      }));
+
     } catch (error) {
       throw new Error(`Failed to get top sources: ${error.message}`);
     }
   }
 
   /**
-   * Build MongoDB query from search criteria
+   * Rank sources by how sensational their headlines are
+   * @param {Object} options - { limit, minArticles } (only articles with headline scores count)
+   * @returns {Promise<Array>} Sources, most sensational first
    */
-  _buildSearchQuery(criteria) {
-    const query = {};
+  async getMostSensationalSources(options = {}) {
+    await this._ensureConnection();
 
-    // Text search
-    if (criteria.title) {
-      query.title = { $regex: criteria.title, $options: 'i' };
-    }
-    if (criteria.description) {
-      query.description = { $regex: criteria.description, $options: 'i' };
-    }
-    if (criteria.content) {
-      query.content = { $regex: criteria.content, $options: 'i' };
-    }
+    try {
+      const { limit = 10, minArticles = 3 } = options;
 
-    // Sentiment filters
-    if (criteria.sentiment) {
-      query['sentiment.score'] = criteria.sentiment;
-    }
-    if (criteria.politicalBias) {
-      query['sentiment.politicalBias'] = criteria.politicalBias;
+      const sources = await Article.aggregate([
+        { $match: { 'headline.sensationalism': { $type: 'number' } } },
+        { $group: {
+          _id: '$source.name',
+          articleCount: { $sum: 1 },
+          avgSensationalism: { $avg: '$headline.sensationalism' },
+          avgConsistency: { $avg: '$headline.consistency' },
+          // Clickbait share: sensational headlines the body does not back up
+          clickbaitCount: { $sum: { $cond: [
+            { $and: [{ $gte: ['$headline.sensationalism', 0.6] }, { $lt: ['$headline.consistency', 0.5] }] }, 1, 0
+          ] } },
+          latestArticle: { $max: '$analyzedAt' }
+        }},
+        { $match: { articleCount: { $gte: minArticles } } },
+        { $sort: { avgSensationalism: -1, articleCount: -1 } },
+        { $limit: limit },
+        { $project: {
+          sourceName: '$_id',
+          articleCount: 1,
+          avgSensationalism: { $round: ['$avgSensationalism', 3] },
+          avgConsistency: { $round: ['$avgConsistency', 3] },
+          clickbaitShare: { $round: [{ $divide: ['$clickbaitCount', '$articleCount'] }, 3] },
+          latestArticle: 1,
+          _id: 0
+        }}
+      ]);
+
+      return sources;
+
+    } catch (error) {
+      throw new Error(`Failed to get most sensational sources: ${error.message}`);
     }
+  }
 
-    // Confidence range
-    if (criteria.minConfidence !== undefined || criteria.maxConfidence !== undefined) {
-      query['sentiment.confidence'] = {};
-      if (criteria.minConfidence !== undefined) {
-        query['sentiment.confidence'].$gte = criteria.minConfidence;
-      }
-      if (criteria.maxConfidence !== undefined) {
-        query['sentiment.confidence'].$lte = criteria.maxConfidence;
+  /**
+   * Get the most covered entities with how articles portray them
+   * @param {Object} options - Options for entity analysis
+   * @returns {Promise<Array>} Top entities
+   */
+  async getTopEntities(options = {}) {
+    await this._ensureConnection();
+
+    try {
+      const { limit = 20, type, minArticles = 1, dateFrom, dateTo } = options;
+
+      const matchStage = { 'entities.0': { $exists: true } };
+      if (dateFrom || dateTo) {
+        matchStage.analyzedAt = {};
+        if (dateFrom) matchStage.analyzedAt.$gte = new Date(dateFrom);
+        if (dateTo) matchStage.analyzedAt.$lte = new Date(dateTo);
       }
-    }
 
-    // Date ranges
-    if (criteria.dateFrom || criteria.dateTo) {
-      query.analyzedAt = {};
-      if (criteria.dateFrom) query.analyzedAt.$gte = new Date(criteria.dateFrom);
-      if (criteria.dateTo) query.analyzedAt.$lte = new Date(criteria.dateTo);
-    }
+      const entities = await Article.aggregate([
+        { $match: matchStage },
+        { $unwind: '$entities' },
+        ...(type ? [{ $match: { 'entities.type': type } }] : []),
+        { $group: {
+          _id: '$entities.normalized',
+          name: { $first: '$entities.name' },
+          types: { $push: '$entities.type' },
+          articleCount: { $sum: 1 },
+          mentions: { $sum: '$entities.mentions' },
+          avgConfidence: { $avg: '$entities.sentiment.confidence' },
+          sentimentBreakdown: { $push: '$entities.sentiment.score' },
+          latestArticle: { $max: '$analyzedAt' }
+        }},
+        { $match: { articleCount: { $gte: minArticles } } },
+        { $sort: { articleCount: -1, mentions: -1 } },
+        { $limit: limit },
+        { $project: {
+          normalized: '$_id',
+          name: 1,
+          types: 1,
+          articleCount: 1,
+          mentions: 1,
+          avgConfidence: { $round: ['$avgConfidence', 3] },
+          sentimentBreakdown: 1,
+          latestArticle: 1,
+          _id: 0
+        }}
+      ]);
 
-    if (criteria.publishedFrom || criteria.publishedTo) {
-      query.publishedAt = {};
-      if (criteria.publishedFrom) query.publishedAt.$gte = new Date(criteria.publishedFrom);
-      if (criteria.publishedTo) query.publishedAt.$lte = new Date(criteria.publishedTo);
+      return entities.map(entity => {
+        const sentimentBreakdown = this._countArray(entity.sentimentBreakdown);
+        const types = this._countArray(entity.types);
+
+        return {
+          name: entity.name,
+          normalized: entity.normalized,
+          type: Object.keys(types).sort((a, b) => types[b] - types[a])[0],
+          articleCount: entity.articleCount,
+          mentions: entity.mentions,
+          avgConfidence: entity.avgConfidence,
+          sentimentBreakdown,
+          // Share of positive minus share of negative portrayals, in [-1, 1]
+          netSentiment: Math.round(
+            (((sentimentBreakdown.positive || 0) - (sentimentBreakdown.negative || 0)) / entity.articleCount) * 1000
+          ) / 1000,
+          latestArticle: entity.latestArticle
+        };
+      });
+
+    } catch (error) {
+      throw new Error(`Failed to get top entities: ${error.message}`);
     }
+  }
 
-    // Source filters
-    if (criteria.sourceName) {
-      query['source.name'] = { $regex: criteria.sourceName, $options: 'i' };
+  /**
+   * Search the quote index: direct quotes across articles, newest first
+   * @param {Object} options - { speaker, q, excludeArticleId, page, limit }
+   * @returns {Promise<Object>} Quotes with their articles, and pagination
+   */
+  async searchQuotes(options = {}) {
+    await this._ensureConnection();
+
+    try {
+      const { speaker, q, excludeArticleId, page = 1, limit = 20 } = options;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(this.maxLimit, Math.max(1, parseInt(limit)));
+
+      const quoteMatch = {};
+      if (speaker) quoteMatch['quotes.speakerNormalized'] = normalizeEntityName(speaker);
+      if (q) quoteMatch['quotes.text'] = { $regex: escapeRegex(q), $options: 'i' };
+
+      // The same conditions on the article narrow the unwind to articles with a matching quote
+      const articleMatch = { 'quotes.0': { $exists: true } };
+      if (speaker) articleMatch['quotes.speakerNormalized'] = quoteMatch['quotes.speakerNormalized'];
+      if (excludeArticleId && this._isValidObjectId(excludeArticleId)) {
+        articleMatch._id = { $ne: new mongoose.Types.ObjectId(String(excludeArticleId)) };
+      }
+
+      const [result] = await Article.aggregate([
+        { $match: articleMatch },
+        { $unwind: '$quotes' },
+        { $match: quoteMatch },
+        { $sort: { publishedAt: -1, 'quotes.start': 1 } },
+        { $facet: {
+          data: [
+            { $skip: (pageNum - 1) * limitNum },
+            { $limit: limitNum },
+            { $project: {
+              _id: 0,
+              text: '$quotes.text',
+              speaker: '$quotes.speaker',
+              role: '$quotes.role',
+              field: '$quotes.field',
+              start: '$quotes.start',
+              end: '$quotes.end',
+              article: {
+                id: '$_id',
+                title: '$title',
+                url: '$url',
+                source: '$source',
+                publishedAt: '$publishedAt'
+              }
+            }}
+          ],
+          count: [{ $count: 'total' }]
+        }}
+      ]);
+
+      const totalCount = result.count[0]?.total || 0;
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      return {
+        quotes: result.data,
+        pagination: {
+          currentPage: pageNum,
+          limit: limitNum,
+          totalResults: totalCount,
+          totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPreviousPage: pageNum > 1
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to search quotes: ${error.message}`);
     }
-    if (criteria.sourceUrl) {
-      query['source.url'] = { $regex: criteria.sourceUrl, $options: 'i' };
+  }
+
+  /**
+   * Clustered articles published within a time window, with the terms they were clustered on
+   * @param {Object} options - { excludeId, from, to, limit }
+   * @returns {Promise<Array>} Candidate articles
+   */
+  async findStoryCandidates({ excludeId, from, to, limit = 1000 }) {
+    await this._ensureConnection();
+
+    try {
+      return await Article.find({
+        ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+        story: { $ne: null },
+        publishedAt: { $gte: from, $lte: to }
+      })
+        .select('story storyTerms publishedAt')
+        .sort({ publishedAt: -1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to find story candidates: ${error.message}`);
     }
+  }
 
-    return query;
+  /**
+   * Analyzed articles not yet assigned to a story, oldest first
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Articles
+   */
+  async findArticlesWithoutStory({ limit = 200 } = {}) {
+    await this._ensureConnection();
+
+    try {
+      return await Article.find({ story: null })
+        .select('title description content fullText entities publishedAt analyzedAt')
+        .sort({ publishedAt: 1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to find unclustered articles: ${error.message}`);
+    }
   }
 
   /**
-   * Build MongoDB projection from field selection
+   * Find several articles by ID; invalid or unknown ids are skipped
+   * @param {Array<string>} ids - Article IDs
+   * @returns {Promise<Array>} Found articles
    */
-  _buildProjection(fields) {
-    if (typeof fields === 'string') {
-      // Handle string field selection like '-content'
-      const projection = {};
-      fields.split(' ').forEach(field => {
-        if (field.startsWith('-')) {
-          projection[field.substring(1)] = 0;
-        } else {
-          projection[field] = 1;
-        }
-      });
-      return projection;
+  async findArticlesByIds(ids) {
+    await this._ensureConnection();
+
+    try {
+      const validIds = ids.filter(id => this._isValidObjectId(id));
+      return await Article.find({ _id: { $in: validIds } }).lean();
+    } catch (error) {
+      throw new Error(`Failed to find articles: ${error.message}`);
     }
-    return fields; // Assume it's already a proper projection object
   }
 
   /**
-   * Count array elements
+   * Get a cached coverage comparison
+   * @param {string} key - Comparison key
+   * @returns {Promise<Object|null>} Comparison or null if not cached
    */
-  _countArray(array) {
-    return array.reduce((acc, item) => {
-      acc[item] = (acc[item] || 0) + 1;
-      return acc;
-    }, {});
+  async findComparison(key) {
+    await this._ensureConnection();
+
+    try {
+      return await Comparison.findOne({ key }).lean();
+    } catch (error) {
+      throw new Error(`Failed to find comparison: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a coverage comparison, replacing any earlier one for the same key
+   * @param {Object} comparison - { key, articles, story, articleVersions, model, promptVersion, result }
+   * @returns {Promise<Object>} Stored comparison
+   */
+  async saveComparison(comparison) {
+    await this._ensureConnection();
+
+    try {
+      const { key, ...fields } = comparison;
+      return await Comparison.findOneAndUpdate(
+        { key },
+        { $set: fields },
+        { upsert: true, new: true, lean: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to save comparison: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an empty story; members are added with assignArticleToStory
+   * @param {Object} storyData - { title, keywords }
+   * @returns {Promise<Object>} Created story
+   */
+  async createStory(storyData) {
+    await this._ensureConnection();
+
+    try {
+      const story = await Story.create({ title: storyData.title, keywords: storyData.keywords || [] });
+      return story.toObject();
+    } catch (error) {
+      throw new Error(`Failed to create story: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put an article in a story and refresh the story's counts, sources and time span
+   * @param {string} articleId - Article ID
+   * @param {string} storyId - Story ID
+   * @param {Array<Object>} storyTerms - Terms the article was clustered on
+   * @param {Object} storyUpdates - Optional story fields to set (e.g. keywords)
+   * @returns {Promise<Object|null>} Updated story
+   */
+  async assignArticleToStory(articleId, storyId, storyTerms, storyUpdates = {}) {
+    await this._ensureConnection();
+
+    try {
+      const article = await Article.findByIdAndUpdate(
+        articleId,
+        { $set: { story: storyId, storyTerms } },
+        { new: false, lean: true }
+      );
+
+      // Moving an article between stories leaves the old one to refresh too
+      if (article?.story && String(article.story) !== String(storyId)) {
+        await this._refreshStory(article.story);
+      }
+
+      return await this._refreshStory(storyId, storyUpdates);
+    } catch (error) {
+      throw new Error(`Failed to assign article to story: ${error.message}`);
+    }
+  }
+
+  /**
+   * List stories, most recently updated first, with the spread of coverage across their articles
+   * @param {Object} options - Options for story listing
+   * @returns {Promise<Object>} Stories with pagination
+   */
+  async getStories(options = {}) {
+    await this._ensureConnection();
+
+    try {
+      const { page = 1, limit = 20, minArticles = 1, minSources = 1, dateFrom, dateTo } = options;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(this.maxLimit, Math.max(1, parseInt(limit)));
+
+      const query = { articleCount: { $gte: minArticles } };
+      if (minSources > 1) {
+        query[`sources.${minSources - 1}`] = { $exists: true };
+      }
+      if (dateFrom || dateTo) {
+        query.lastPublishedAt = {};
+        if (dateFrom) query.lastPublishedAt.$gte = new Date(dateFrom);
+        if (dateTo) query.lastPublishedAt.$lte = new Date(dateTo);
+      }
+
+      const [stories, totalCount] = await Promise.all([
+        Story.find(query)
+          .sort({ lastPublishedAt: -1 })
+          .skip((pageNum - 1) * limitNum)
+          .limit(limitNum)
+          .lean(),
+        Story.countDocuments(query)
+      ]);
+
+      const breakdowns = await Article.aggregate([
+        { $match: { story: { $in: stories.map(story => story._id) } } },
+        { $group: {
+          _id: '$story',
+          sentimentBreakdown: { $push: '$sentiment.score' },
+          politicalBreakdown: { $push: '$sentiment.politicalBias' }
+        }}
+      ]);
+      const breakdownByStory = new Map(breakdowns.map(entry => [String(entry._id), entry]));
+
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      return {
+        stories: stories.map(story => {
+          const breakdown = breakdownByStory.get(String(story._id));
+          return {
+            ...story,
+            sentimentBreakdown: this._countArray(breakdown?.sentimentBreakdown || []),
+            politicalBreakdown: this._countArray(breakdown?.politicalBreakdown || [])
+          };
+        }),
+        pagination: {
+          currentPage: pageNum,
+          limit: limitNum,
+          totalResults: totalCount,
+          totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPreviousPage: pageNum > 1
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get stories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a story with its member articles, earliest first
+   * @param {string} id - Story ID
+   * @returns {Promise<Object|null>} { story, articles } or null if not found
+   */
+  async getStoryWithArticles(id) {
+    await this._ensureConnection();
+
+    if (!this._isValidObjectId(id)) {
+      return null;
+    }
+
+    try {
+      const story = await Story.findById(id).lean();
+      if (!story) {
+        return null;
+      }
+
+      const articles = await Article.find({ story: story._id })
+        .select('-content -fullText -chunks -storyTerms -evidence')
+        .sort({ publishedAt: 1 })
+        .lean();
+
+      return { story, articles };
+    } catch (error) {
+      throw new Error(`Failed to get story: ${error.message}`);
+    }
+  }
+
+  /**
+   * URLs among the given ones that are already stored
+   * @param {Array<string>} urls - Article URLs
+   * @returns {Promise<Set<string>>} Stored URLs
+   */
+  async findExistingUrls(urls) {
+    await this._ensureConnection();
+
+    try {
+      const found = await Article.find({ url: { $in: urls } }, { url: 1 }).lean();
+      return new Set(found.map(article => article.url));
+    } catch (error) {
+      throw new Error(`Failed to look up article URLs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a scheduled ingestion job
+   * @param {Object} jobData - Validated job definition with its first nextRunAt
+   * @returns {Promise<Object>} Stored job
+   */
+  async createIngestionJob(jobData) {
+    await this._ensureConnection();
+
+    try {
+      const job = await IngestionJob.create(jobData);
+      return job.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(`A job named "${jobData.name}" already exists`);
+      }
+      throw new Error(`Failed to create ingestion job: ${error.message}`);
+    }
+  }
+
+  /**
+   * All ingestion jobs, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listIngestionJobs() {
+    await this._ensureConnection();
+
+    try {
+      return await IngestionJob.find().sort({ createdAt: 1 }).lean();
+    } catch (error) {
+      throw new Error(`Failed to list ingestion jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an ingestion job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async findIngestionJob(id) {
+    await this._ensureConnection();
+
+    try {
+      if (!this._isValidObjectId(id)) {
+        return null;
+      }
+      return await IngestionJob.findById(id).lean();
+    } catch (error) {
+      throw new Error(`Failed to find ingestion job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an ingestion job's definition or schedule
+   * @param {string} id - Job ID
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<Object|null>} Updated job or null if not found
+   */
+  async updateIngestionJob(id, updates) {
+    await this._ensureConnection();
+
+    try {
+      if (!this._isValidObjectId(id)) {
+        return null;
+      }
+      return await IngestionJob.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true, lean: true });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(`A job named "${updates.name}" already exists`);
+      }
+      throw new Error(`Failed to update ingestion job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an ingestion job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Deleted job or null if not found
+   */
+  async deleteIngestionJob(id) {
+    await this._ensureConnection();
+
+    try {
+      if (!this._isValidObjectId(id)) {
+        return null;
+      }
+      return await IngestionJob.findByIdAndDelete(id).lean();
+    } catch (error) {
+      throw new Error(`Failed to delete ingestion job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enabled ingestion jobs whose next run is due, most overdue first
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async findDueIngestionJobs(now, limit = 20) {
+    await this._ensureConnection();
+
+    try {
+      return await IngestionJob.find({ enabled: true, nextRunAt: { $lte: now } })
+        .sort({ nextRunAt: 1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to find due ingestion jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim a job for one run; no other run of it starts, on any instance, until the run is
+   * recorded or the claim expires
+   * @param {string} id - Job ID
+   * @param {Object} claim - { now, until, due } where due only claims an enabled job whose next run is due
+   * @returns {Promise<Object|null>} Claimed job, or null if it is missing, already running or not due
+   */
+  async claimIngestionJob(id, { now, until, due = false }) {
+    await this._ensureConnection();
+
+    try {
+      if (!this._isValidObjectId(id)) {
+        return null;
+      }
+      return await IngestionJob.findOneAndUpdate({
+        _id: id,
+        $or: [{ runningUntil: null }, { runningUntil: { $lte: now } }],
+        ...(due ? { enabled: true, nextRunAt: { $lte: now } } : {})
+      }, { $set: { runningUntil: until } }, { new: true, lean: true });
+    } catch (error) {
+      throw new Error(`Failed to claim ingestion job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a finished run, release the job's claim and schedule the next run
+   * @param {string} id - Job ID
+   * @param {Object} run - Run outcome
+   * @param {Object} schedule - { nextRunAt, consecutiveFailures, historySize }
+   * @returns {Promise<Object|null>} Updated job or null if it was deleted meanwhile
+   */
+  async recordIngestionRun(id, run, { nextRunAt, consecutiveFailures, historySize }) {
+    await this._ensureConnection();
+
+    try {
+      // A job disabled during its run stays unscheduled
+      const job = await IngestionJob.findById(id, { enabled: 1 }).lean();
+      if (!job) {
+        return null;
+      }
+
+      return await IngestionJob.findByIdAndUpdate(id, {
+        $set: { lastRun: run, consecutiveFailures, nextRunAt: job.enabled ? nextRunAt : null, runningUntil: null },
+        $push: { recentRuns: { $each: [run], $slice: -historySize } }
+      }, { new: true, lean: true });
+    } catch (error) {
+      throw new Error(`Failed to record ingestion run: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a saved search
+   * @param {Object} searchData - Validated saved search with its first nextCheckAt
+   * @returns {Promise<Object>} Stored saved search
+   */
+  async createSavedSearch(searchData) {
+    await this._ensureConnection();
+
+    try {
+      const search = await SavedSearch.create(searchData);
+      return search.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(`A saved search named "${searchData.name}" already exists`);
+      }
+      throw new Error(`Failed to create saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * All saved searches by name, each with its number of unread alerts
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSavedSearches() {
+    await this._ensureConnection();
+
+    try {
+      const [searches, unread] = await Promise.all([
+        SavedSearch.find({}).sort({ name: 1 }).lean(),
+        Alert.aggregate([
+          { $match: { read: false } },
+          { $group: { _id: '$savedSearch', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const unreadBySearch = new Map(unread.map(entry => [String(entry._id), entry.count]));
+      return searches.map(search => ({ ...search, unreadAlerts: unreadBySearch.get(String(search._id)) || 0 }));
+    } catch (error) {
+      throw new Error(`Failed to list saved searches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a saved search by ID
+   * @param {string} id - Saved search ID
+   * @returns {Promise<Object|null>} Saved search or null if not found
+   */
+  async findSavedSearch(id) {
+    await this._ensureConnection();
+
+    try {
+      if (!this._isValidObjectId(id)) {
+        return null;
+      }
+      return await SavedSearch.findById(id).lean();
+    } catch (error) {
+      throw new Error(`Failed to find saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a saved search's query, filters or watch settings
+   * @param {string} id - Saved search ID
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<Object|null>} Updated saved search or null if not found
+   */
+  async updateSavedSearch(id, updates) {
+    await this._ensureConnection();
+
+    try {
+      if (!this._isValidObjectId(id)) {
+        return null;
+      }
+      return await SavedSearch.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true, lean: true });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(`A saved search named "${updates.name}" already exists`);
+      }
+      throw new Error(`Failed to update saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a saved search with its alerts and seen URLs
+   * @param {string} id - Saved search ID
+   * @returns {Promise<Object|null>} Deleted saved search or null if not found
+   */
+  async deleteSavedSearch(id) {
+    await this._ensureConnection();
+
+    try {
+      if (!this._isValidObjectId(id)) {
+        return null;
+      }
+      const deleted = await SavedSearch.findByIdAndDelete(id).lean();
+      if (deleted) {
+        await Promise.all([
+          Alert.deleteMany({ savedSearch: deleted._id }),
+          WatchSeenUrl.deleteMany({ savedSearch: deleted._id })
+        ]);
+      }
+      return deleted;
+    } catch (error) {
+      throw new Error(`Failed to delete saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Watched saved searches whose next check is due, most overdue first
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async findDueSavedSearches(now, limit = 20) {
+    await this._ensureConnection();
+
+    try {
+      return await SavedSearch.find({ 'watch.enabled': true, nextCheckAt: { $lte: now } })
+        .sort({ nextCheckAt: 1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to find due saved searches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a finished watchlist check: its outcome, newly seen URLs, condition state and next check
+   * @param {string} id - Saved search ID
+   * @param {Object} check - Check outcome
+   * @param {Object} updates - { newUrls, conditions, nextCheckAt, consecutiveFailures }
+   * @returns {Promise<Object|null>} Updated saved search or null if it was deleted meanwhile
+   */
+  async recordSavedSearchCheck(id, check, { newUrls = [], conditions, nextCheckAt, consecutiveFailures }) {
+    await this._ensureConnection();
+
+    try {
+      // A watch turned off during its check stays unscheduled
+      const search = await SavedSearch.findById(id, { 'watch.enabled': 1 }).lean();
+      if (!search) {
+        return null;
+      }
+
+      const updated = await SavedSearch.findByIdAndUpdate(id, {
+        $set: {
+          lastCheck: check,
+          consecutiveFailures,
+          nextCheckAt: search.watch?.enabled ? nextCheckAt : null,
+          ...(conditions ? { 'watch.conditions': conditions } : {})
+        }
+      }, { new: true, lean: true });
+
+      // Seen URLs are only kept for a saved search that still exists
+      if (updated && newUrls.length > 0) {
+        try {
+          await WatchSeenUrl.insertMany(newUrls.map(url => ({ savedSearch: id, url })), { ordered: false });
+        } catch (error) {
+          // A concurrent check already recorded some of them
+          if (error.code !== 11000) throw error;
+        }
+      }
+
+      return updated;
+    } catch (error) {
+      throw new Error(`Failed to record saved search check: ${error.message}`);
+    }
+  }
+
+  /**
+   * Which of the given URLs a saved search has already found
+   * @param {string} id - Saved search ID
+   * @param {Array<string>} urls - Candidate URLs
+   * @returns {Promise<Set<string>>} URLs seen before
+   */
+  async findSeenUrls(id, urls) {
+    await this._ensureConnection();
+
+    try {
+      const seen = await WatchSeenUrl.find({ savedSearch: id, url: { $in: urls } }, { url: 1 }).lean();
+      return new Set(seen.map(entry => entry.url));
+    } catch (error) {
+      throw new Error(`Failed to find seen URLs: ${error.message}`);
+    }
+  }
+
+  /**
+   * URLs a saved search has found, optionally only those first seen since a date
+   * @param {string} id - Saved search ID
+   * @param {Object} options - { since }
+   * @returns {Promise<Array<string>>}
+   */
+  async listSeenUrls(id, { since } = {}) {
+    await this._ensureConnection();
+
+    try {
+      const query = { savedSearch: id };
+      if (since) {
+        query.createdAt = { $gte: since };
+      }
+      const seen = await WatchSeenUrl.find(query, { url: 1 }).lean();
+      return seen.map(entry => entry.url);
+    } catch (error) {
+      throw new Error(`Failed to list seen URLs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a saved search has found any URL yet
+   * @param {string} id - Saved search ID
+   * @returns {Promise<boolean>}
+   */
+  async hasSeenUrls(id) {
+    await this._ensureConnection();
+
+    try {
+      return !!(await WatchSeenUrl.exists({ savedSearch: id }));
+    } catch (error) {
+      throw new Error(`Failed to check seen URLs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget the URLs a saved search has found, so its next check is a fresh baseline
+   * @param {string} id - Saved search ID
+   */
+  async clearSeenUrls(id) {
+    await this._ensureConnection();
+
+    try {
+      await WatchSeenUrl.deleteMany({ savedSearch: id });
+    } catch (error) {
+      throw new Error(`Failed to clear seen URLs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sentiment and bias counts over the stored articles among the given URLs
+   * @param {Array<string>} urls - Article URLs
+   * @param {Object} options - { since } to count only articles published since then
+   * @returns {Promise<Object>} { articleCount, sentimentBreakdown, politicalBreakdown }
+   */
+  async summarizeArticlesByUrl(urls, { since } = {}) {
+    await this._ensureConnection();
+
+    try {
+      const match = { url: { $in: urls } };
+      if (since) {
+        match.publishedAt = { $gte: since };
+      }
+
+      const [result] = await Article.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            articleCount: { $sum: 1 },
+            sentimentBreakdown: { $push: '$sentiment.score' },
+            politicalBreakdown: { $push: '$sentiment.politicalBias' }
+          }
+        }
+      ]);
+
+      return {
+        articleCount: result?.articleCount || 0,
+        sentimentBreakdown: this._countArray(result?.sentimentBreakdown || []),
+        politicalBreakdown: this._countArray(result?.politicalBreakdown || [])
+      };
+    } catch (error) {
+      throw new Error(`Failed to summarize articles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store watchlist alerts
+   * @param {Array<Object>} alerts - Alert documents
+   * @returns {Promise<Array<Object>>} Stored alerts
+   */
+  async createAlerts(alerts) {
+    await this._ensureConnection();
+
+    try {
+      const created = await Alert.insertMany(alerts);
+      return created.map(alert => alert.toObject());
+    } catch (error) {
+      throw new Error(`Failed to create alerts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Alerts, newest first
+   * @param {Object} options - { savedSearch, unread, page, limit }
+   * @returns {Promise<Object>} { alerts, unreadCount, pagination }
+   */
+  async listAlerts(options = {}) {
+    await this._ensureConnection();
+
+    try {
+      const { savedSearch, unread, page = 1, limit = 20 } = options;
+      const pageNum = Math.max(1, parseInt(page) || 1);
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+      const scope = {};
+      if (savedSearch) {
+        if (!this._isValidObjectId(savedSearch)) {
+          return { alerts: [], unreadCount: 0, pagination: { currentPage: pageNum, limit: limitNum, totalResults: 0, totalPages: 0 } };
+        }
+        scope.savedSearch = savedSearch;
+      }
+      const query = unread ? { ...scope, read: false } : scope;
+
+      const [alerts, totalResults, unreadCount] = await Promise.all([
+        Alert.find(query).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+        Alert.countDocuments(query),
+        Alert.countDocuments({ ...scope, read: false })
+      ]);
+
+      return {
+        alerts,
+        unreadCount,
+        pagination: {
+          currentPage: pageNum,
+          limit: limitNum,
+          totalResults,
+          totalPages: Math.ceil(totalResults / limitNum)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to list alerts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark one alert read or unread
+   * @param {string} id - Alert ID
+   * @param {boolean} read
+   * @returns {Promise<Object|null>} Updated alert or null if not found
+   */
+  async setAlertRead(id, read) {
+    await this._ensureConnection();
+
+    try {
+      if (!this._isValidObjectId(id)) {
+        return null;
+      }
+      return await Alert.findByIdAndUpdate(id, { $set: { read, readAt: read ? new Date() : null } }, { new: true, lean: true });
+    } catch (error) {
+      throw new Error(`Failed to update alert: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark every unread alert read, optionally only those of one saved search
+   * @param {Object} options - { savedSearch }
+   * @returns {Promise<number>} Number of alerts marked read
+   */
+  async markAlertsRead({ savedSearch } = {}) {
+    await this._ensureConnection();
+
+    try {
+      const query = { read: false };
+      if (savedSearch) {
+        if (!this._isValidObjectId(savedSearch)) {
+          return 0;
+        }
+        query.savedSearch = savedSearch;
+      }
+      const result = await Alert.updateMany(query, { $set: { read: true, readAt: new Date() } });
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to mark alerts read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recompute a story's member count, sources and time span; remove it when it has no members left
+   * @private
+   */
+  async _refreshStory(storyId, updates = {}) {
+    const [stats] = await Article.aggregate([
+      { $match: { story: new mongoose.Types.ObjectId(String(storyId)) } },
+      { $group: {
+        _id: null,
+        articleCount: { $sum: 1 },
+        sources: { $addToSet: '$source.name' },
+        firstPublishedAt: { $min: '$publishedAt' },
+        lastPublishedAt: { $max: '$publishedAt' }
+      }}
+    ]);
+
+    if (!stats) {
+      await Story.findByIdAndDelete(storyId);
+      return null;
+    }
+
+    const { _id, ...fields } = stats;
+    return Story.findByIdAndUpdate(storyId, { $set: { ...fields, ...updates } }, { new: true, lean: true });
+  }
+
+  /**
+   * Build MongoDB query from search criteria
+   */
+  _buildSearchQuery(criteria) {
+    const query = {};
+
+    // Text search
+    if (criteria.title) {
+      query.title = { $regex: criteria.title, $options: 'i' };
+    }
+    if (criteria.description) {
+      query.description = { $regex: criteria.description, $options: 'i' };
+    }
+    if (criteria.content) {
+      query.content = { $regex: criteria.content, $options: 'i' };
+    }
+
+    if (criteria.language) {
+      query.language = criteria.language;
+    }
+
+    // Sentiment filters
+    if (criteria.sentiment) {
+      query['sentiment.score'] = criteria.sentiment;
+    }
+    if (criteria.politicalBias) {
+      query['sentiment.politicalBias'] = criteria.politicalBias;
+    }
+
+    // Confidence range
+    if (criteria.minConfidence !== undefined || criteria.maxConfidence !== undefined) {
+      query['sentiment.confidence'] = {};
+      if (criteria.minConfidence !== undefined) {
+        query['sentiment.confidence'].$gte = criteria.minConfidence;
+      }
+      if (criteria.maxConfidence !== undefined) {
+        query['sentiment.confidence'].$lte = criteria.maxConfidence;
+      }
+    }
+
+    // Continuous political score range (-1 left to 1 right)
+    if (criteria.minPoliticalScore !== undefined || criteria.maxPoliticalScore !== undefined) {
+      query['politicalScore.score'] = {};
+      if (criteria.minPoliticalScore !== undefined) {
+        query['politicalScore.score'].$gte = criteria.minPoliticalScore;
+      }
+      if (criteria.maxPoliticalScore !== undefined) {
+        query['politicalScore.score'].$lte = criteria.maxPoliticalScore;
+      }
+    }
+
+    // Articles naming an entity
+    if (criteria.entity) {
+      query['entities.normalized'] = normalizeEntityName(criteria.entity);
+    }
+
+    // Headline sensationalism and headline-body consistency ranges
+    if (criteria.minSensationalism !== undefined || criteria.maxSensationalism !== undefined) {
+      query['headline.sensationalism'] = {};
+      if (criteria.minSensationalism !== undefined) {
+        query['headline.sensationalism'].$gte = criteria.minSensationalism;
+      }
+      if (criteria.maxSensationalism !== undefined) {
+        query['headline.sensationalism'].$lte = criteria.maxSensationalism;
+      }
+    }
+    if (criteria.minConsistency !== undefined || criteria.maxConsistency !== undefined) {
+      query['headline.consistency'] = {};
+      if (criteria.minConsistency !== undefined) {
+        query['headline.consistency'].$gte = criteria.minConsistency;
+      }
+      if (criteria.maxConsistency !== undefined) {
+        query['headline.consistency'].$lte = criteria.maxConsistency;
+      }
+    }
+
+    // Claims: both conditions must hold for the same claim
+    if (criteria.claimType || criteria.claim) {
+      query.claims = {
+        $elemMatch: {
+          ...(criteria.claimType && { type: criteria.claimType }),
+          ...(criteria.claim && { text: { $regex: escapeRegex(criteria.claim), $options: 'i' } })
+        }
+      };
+    }
+
+    // Date ranges
+    if (criteria.dateFrom || criteria.dateTo) {
+      query.analyzedAt = {};
+      if (criteria.dateFrom) query.analyzedAt.$gte = new Date(criteria.dateFrom);
+      if (criteria.dateTo) query.analyzedAt.$lte = new Date(criteria.dateTo);
+    }
+
+    if (criteria.publishedFrom || criteria.publishedTo) {
+      query.publishedAt = {};
+      if (criteria.publishedFrom) query.publishedAt.$gte = new Date(criteria.publishedFrom);
+      if (criteria.publishedTo) query.publishedAt.$lte = new Date(criteria.publishedTo);
+    }
+
+    // Source filters
+    if (criteria.sourceName) {
+      query['source.name'] = { $regex: criteria.sourceName, $options: 'i' };
+    }
+    if (criteria.sourceUrl) {
+      query['source.url'] = { $regex: criteria.sourceUrl, $options: 'i' };
+    }
+
+    return query;
+  }
+
+  /**
+   * Build MongoDB projection from field selection
+   */
+  _buildProjection(fields) {
+    if (typeof fields === 'string') {
+      // Handle string field selection like '-content'
+      const projection = {};
+      fields.split(' ').forEach(field => {
+        if (field.startsWith('-')) {
+          projection[field.substring(1)] = 0;
+        } else {
+          projection[field] = 1;
+        }
+      });
+      return projection;
+    }
+    return fields; // Assume it's already a proper projection object
+  }
+
+  /**
+   * Mean, spread and distribution of continuous political scores
+   * @param {Object} group - Aggregation group with politicalScores, politicalConfidence and per-dimension score arrays
+   */
+  _summarizePoliticalScores(group) {
+    return {
+      ...this._summarizeScores(group.politicalScores),
+      avgConfidence: typeof group.politicalConfidence === 'number'
+        ? Math.round(group.politicalConfidence * 1000) / 1000
+        : null,
+      dimensions: {
+        economic: this._summarizeScores(group.economicScores),
+        social: this._summarizeScores(group.socialScores),
+        establishment: this._summarizeScores(group.establishmentScores)
+      }
+    };
+  }
+
+  /**
+   * Summarize scores in [-1, 1]; missing values (older articles, untouched dimensions) are ignored
+   */
+  _summarizeScores(values = []) {
+    const scores = values.filter(value => typeof value === 'number');
+    const distribution = {
+      strongLeft: 0,  // [-1, -0.6)
+      leanLeft: 0,    // [-0.6, -0.2)
+      center: 0,      // [-0.2, 0.2]
+      leanRight: 0,   // (0.2, 0.6]
+      strongRight: 0  // (0.6, 1]
+    };
+
+    for (const score of scores) {
+      if (score < -0.6) distribution.strongLeft++;
+      else if (score < -0.2) distribution.leanLeft++;
+      else if (score <= 0.2) distribution.center++;
+      else if (score <= 0.6) distribution.leanRight++;
+      else distribution.strongRight++;
+    }
+
+    if (scores.length === 0) {
+      return { count: 0, mean: null, stdDev: null, distribution };
+    }
+
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+
+    return {
+      count: scores.length,
+      mean: Math.round(mean * 1000) / 1000,
+      stdDev: Math.round(Math.sqrt(variance) * 1000) / 1000,
+      distribution
+    };
+  }
+
+  /**
+   * Count array elements
+   */
+  _countArray(array) {
+    return array.reduce((acc, item) => {
+      acc[item] = (acc[item] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Mean intensity of each emotion, or null when nothing was scored
+   * @private
+   */
+  _meanEmotions(scored) {
+    if (scored.length === 0) {
+      return null;
+    }
+
+    const means = {};
+    for (const emotion of Object.values(Emotions)) {
+      const total = scored.reduce((sum, scores) => sum + (scores[emotion] || 0), 0);
+      means[emotion] = Math.round((total / scored.length) * 1000) / 1000;
+    }
+    return means;
   }
 
   /**
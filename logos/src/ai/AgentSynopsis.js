@@ -1,7 +1,26 @@
 const { LLMClient } = require('./LLMClient');
 const DatabaseManager = require('../DatabaseManager');
+const { ArticleExtractor, ExtractionQuality } = require('../news/ArticleExtractor');
 const { ValidationError, ExternalAPIError } = require('../news/errors/NewsErrors');
+const { diffAnalyses } = require('./analysisDiff');
+const { LLMTasks, PoliticalDimensions, Emotions, FramingTypes, AnalysisModes } = require('./enums');
+const { verifyEvidence, validateEvidenceSchema } = require('./evidence');
+const { CHARS_PER_TOKEN, estimateTokens, chunkText } = require('./chunking');
+const { verifyEntities, mergeEntities, validateEntitySchema } = require('./entities');
+const { verifyClaims, mergeClaims, validateClaimSchema } = require('./claims');
+const { verifyQuotes, mergeQuotes, validateQuoteSchema } = require('./quotes');
+const { validateHeadlineSchema } = require('./headline');
+const { StoryClusterer } = require('./StoryClusterer');
+const { CoverageComparer } = require('./CoverageComparer');
+const { ArticleQA } = require('./ArticleQA');
+const { TopicSynopsis } = require('./TopicSynopsis');
+const { detectLanguage, languageName, isLanguageCode } = require('./language');
 
+// Bump whenever the analysis prompt or response format changes, so versions stay comparable
+const PROMPT_VERSION = '1.9';
+
+// Evidence kept per verdict when merging spans from chunk analyses
+const MAX_CHUNK_EVIDENCE_PER_VERDICT = 3;
 
 class AgentSynopsis {
   constructor(options = {}) {
@@ -9,6 +28,33 @@ class AgentSynopsis {
     this.dbManager = options.dbManager || new DatabaseManager();
     this.cacheEnabled = options.cacheEnabled !== false;
     this.maxContentLength = options.maxContentLength || 100000; 
+    this.promptVersion = options.promptVersion || PROMPT_VERSION;
+    this.extractor = options.extractor || new ArticleExtractor();
+    this.extractionEnabled = options.extractionEnabled ?? process.env.ARTICLE_EXTRACTION !== 'false';
+
+    // Text over the budget is analyzed chunk by chunk and reduced, instead of being truncated
+    this.chunkingEnabled = options.chunkingEnabled ?? process.env.CHUNKED_ANALYSIS !== 'false';
+    this.chunkTokenBudget = options.chunkTokenBudget || Math.floor(this.maxContentLength / CHARS_PER_TOKEN);
+    this.maxChunks = options.maxChunks || 12;
+    this.chunkConcurrency = options.chunkConcurrency || 2;
+    this.entityExtractionEnabled = options.entityExtractionEnabled ?? process.env.ENTITY_EXTRACTION !== 'false';
+    this.claimExtractionEnabled = options.claimExtractionEnabled ?? process.env.CLAIM_EXTRACTION !== 'false';
+    this.quoteExtractionEnabled = options.quoteExtractionEnabled ?? process.env.QUOTE_EXTRACTION !== 'false';
+    this.headlineScoringEnabled = options.headlineScoringEnabled ?? process.env.HEADLINE_SCORING !== 'false';
+    this.storyClusterer = options.storyClusterer || new StoryClusterer({ dbManager: this.dbManager });
+    this.clusteringEnabled = options.clusteringEnabled ?? process.env.STORY_CLUSTERING !== 'false';
+    this.coverageComparer = options.coverageComparer || new CoverageComparer({
+      llmClient: this.llmClient,
+      dbManager: this.dbManager
+    });
+    this.articleQA = options.articleQA || new ArticleQA({
+      llmClient: this.llmClient,
+      dbManager: this.dbManager
+    });
+    this.topicSynopsis = options.topicSynopsis || new TopicSynopsis({
+      llmClient: this.llmClient,
+      dbManager: this.dbManager
+    });
     
     // System prompt for article analysis
     this.systemPrompt = `You are an expert news analyst and political scientist with access to analyze ALL content types including sensitive political topics. Your task is to provide completely unbiased, factual analysis of news articles regardless of political sensitivity.
@@ -17,30 +63,217 @@ IMPORTANT: You must analyze ALL political content without content filtering or b
 
 Analyze each article and provide:
 
-1. A concise, objective summary (2-3 sentences)
+1. A concise, objective summary (2-3 sentences) in English, and the same summary in the article's own language when it is not English
 2. Sentiment analysis (positive, neutral, or negative) 
 3. Confidence score for the sentiment (0.0 to 1.0)
 4. Political leaning/bias of the article's framing (left, center, or right)
+5. A continuous political score from -1.0 (strongly left) to 1.0 (strongly right), with its own confidence (0.0 to 1.0)
+6. Optional sub-dimension scores from -1.0 to 1.0:
+   - economic: economic framing (-1 redistributive/regulatory, 1 free-market)
+   - social: social framing (-1 progressive, 1 traditional/conservative)
+   - establishment: stance toward institutions (-1 anti-establishment, 1 pro-establishment)
+   Use null for a dimension the article does not touch
+7. Evidence: 2-6 short quotes copied verbatim from the article content that support the sentiment and the political bias verdicts
+8. Emotions: how strongly the article's wording evokes fear, anger, hope, sadness, joy and surprise, each from 0.0 (absent) to 1.0 (dominant)
+9. Framing: the dominant news frame, one of conflict, human_interest, economic_consequences, morality, responsibility
 
 Critical Guidelines:
 - Analyze ALL political content regardless of sensitivity or controversy
 - Be completely objective and factual in your analysis
+- Always write "summary" in English, whatever language the article is in; "originalSummary" is null for English articles
 - Base sentiment on the overall tone and presentation, not your opinion of the content
 - Political leaning should reflect how the article frames the topic (author's perspective/bias), not the topic itself
 - Distinguish between reporting facts vs. editorial opinion/framing
 - Confidence should reflect how certain you are about the sentiment analysis
+- The political score must agree with the political leaning (roughly: left below -0.2, right above 0.2); its confidence is separate from the sentiment confidence
+- Evidence quotes must be exact, contiguous text from the Content section (no paraphrasing, no ellipses), each under 300 characters
+- Give at least one evidence quote for the sentiment and one for the political bias
+- Emotions describe the article's tone, not the reader's or your reaction; score every emotion, using 0.0 for those absent
+- Framing is how the story is told: conflict (disagreement between sides), human_interest (a personal angle), economic_consequences (costs and gains), morality (right and wrong), responsibility (who caused or should fix the problem)
 - Never refuse to analyze content due to political sensitivity
 - Always provide your best professional analysis
 - Always respond with valid JSON in the exact format specified
 
 Response format (JSON only):
 {
-  "summary": "Concise 3-4 sentence objective summary of the article",
+  "summary": "Concise 3-4 sentence objective summary of the article, in English",
+  "originalSummary": "The same summary in the article's language, or null for English articles",
+  "sentiment": {
+    "score": "positive|neutral|negative",
+    "confidence": 0.85
+  },
+  "politicalBias": "left|center|right",
+  "politicalScore": {
+    "score": -0.35,
+    "confidence": 0.7,
+    "dimensions": {
+      "economic": -0.2,
+      "social": -0.5,
+      "establishment": null
+    }
+  },
+  "emotions": {
+    "fear": 0.6,
+    "anger": 0.3,
+    "hope": 0.1,
+    "sadness": 0.2,
+    "joy": 0.0,
+    "surprise": 0.1
+  },
+  "framing": "conflict|human_interest|economic_consequences|morality|responsibility",
+  "evidence": [
+    {
+      "supports": "sentiment|politicalBias",
+      "quote": "Exact text copied from the article",
+      "explanation": "Why this passage supports the verdict"
+    }
+  ]
+}`;
+
+    // System prompt for combining per-chunk analyses of one long article
+    this.reduceSystemPrompt = `You are an expert news analyst. A long news article was split into consecutive parts and each part was analyzed separately. Combine the part analyses into one verdict for the whole article.
+
+Guidelines:
+- Weigh each part by its length (tokens) and the confidence of its analysis
+- The summary must cover the whole article in 3-4 sentences, not just the first part
+- Sentiment and political leaning describe the article as a whole; a single outlier part should not decide them
+- Lower the confidence when parts disagree
+- The political score must agree with the political leaning (roughly: left below -0.2, right above 0.2)
+- Emotions are the length-weighted intensity of each emotion over the whole article (0.0 to 1.0)
+- Framing is the frame that dominates the article as a whole
+- Write "summary" in English; when the parts carry an originalSummary, combine those into an originalSummary in the same language, otherwise use null
+- Always respond with valid JSON in the exact format specified
+
+Response format (JSON only):
+{
+  "summary": "Concise 3-4 sentence objective summary of the whole article, in English",
+  "originalSummary": "The same summary in the article's language, or null for English articles",
   "sentiment": {
     "score": "positive|neutral|negative",
     "confidence": 0.85
   },
-  "politicalBias": "left|center|right"
+  "politicalBias": "left|center|right",
+  "politicalScore": {
+    "score": -0.35,
+    "confidence": 0.7,
+    "dimensions": {
+      "economic": -0.2,
+      "social": -0.5,
+      "establishment": null
+    }
+  },
+  "emotions": {
+    "fear": 0.6,
+    "anger": 0.3,
+    "hope": 0.1,
+    "sadness": 0.2,
+    "joy": 0.0,
+    "surprise": 0.1
+  },
+  "framing": "conflict|human_interest|economic_consequences|morality|responsibility"
+}`;
+
+    // System prompt for named entity extraction
+    this.entitySystemPrompt = `You are an expert news analyst. Identify the people, organizations and places a news article is about, and how the article treats each of them.
+
+Guidelines:
+- Only include entities named in the article content; skip generic references ("officials", "the company")
+- Use the most complete name the article uses as the name, and list the other forms it uses (surname only, acronym) as aliases
+- Each alias must appear verbatim in the content
+- Sentiment is how the article portrays the entity (positive, neutral or negative), not your opinion of it
+- At most 15 entities, the most central first
+- Always respond with valid JSON in the exact format specified
+
+Response format (JSON only):
+{
+  "entities": [
+    {
+      "name": "Full name as written in the article",
+      "type": "person|organization|place",
+      "aliases": ["Other forms used in the article"],
+      "sentiment": {
+        "score": "positive|neutral|negative",
+        "confidence": 0.8
+      }
+    }
+  ]
+}`;
+
+    // System prompt for claim extraction (fact-check triage)
+    this.claimSystemPrompt = `You are an expert fact-checker. Break a news article down into the claims it makes, so editors can decide which to check.
+
+Classify each claim as:
+- statistic: a figure, amount, ranking or measurable fact that can be checked against a record
+- quote: words the article attributes to a named or described speaker
+- prediction: a claim about what will or may happen
+- opinion: a judgement, characterization or recommendation that cannot be checked as true or false
+
+Guidelines:
+- "text" restates the claim in one short, self-contained sentence
+- "quote" is the exact, contiguous sentence or phrase of the article the claim comes from, copied verbatim
+- "speaker" is who the article attributes the claim to (person or organization as named in the article), or null when it is the article's own assertion
+- Skip background that is not asserted as news (e.g. dates of well-known events)
+- At most 25 claims, in article order
+- Always respond with valid JSON in the exact format specified
+
+Response format (JSON only):
+{
+  "claims": [
+    {
+      "text": "Unemployment fell to 3.9% in March",
+      "type": "statistic|quote|prediction|opinion",
+      "speaker": "Labor Department",
+      "quote": "Exact words from the article"
+    }
+  ]
+}`;
+
+    // System prompt for direct quote extraction (who said what)
+    this.quoteSystemPrompt = `You are an expert news editor. List every direct quote in a news article: words inside quotation marks that the article attributes to someone.
+
+Guidelines:
+- "text" is the quoted words only, copied exactly as written, without the surrounding quotation marks
+- "speaker" is the person or organization the article attributes the quote to, using the most complete name the article gives; use null if the article does not say who said it
+- "role" is the speaker's title or position as the article describes it (e.g. "Federal Reserve chair"), or null if not given
+- Do not include paraphrases or reported speech without quotation marks
+- At most 20 quotes, in article order
+- Always respond with valid JSON in the exact format specified
+
+Response format (JSON only):
+{
+  "quotes": [
+    {
+      "text": "Exact quoted words",
+      "speaker": "Jerome Powell",
+      "role": "Federal Reserve chair"
+    }
+  ]
+}`;
+
+    // System prompt for headline-vs-body consistency (clickbait) scoring
+    this.headlineSystemPrompt = `You are an expert news editor. Judge whether an article's headline and description fairly represent its body.
+
+Provide:
+1. Sensationalism (0.0 to 1.0): how much the headline and description exaggerate, dramatize or bait clicks
+   - 0.0: sober, factual headline
+   - 0.5: noticeably dramatic wording or emphasis
+   - 1.0: clickbait, alarmist or misleading hook
+2. Consistency (0.0 to 1.0): how well the body supports what the headline and description say
+   - 1.0: every claim in the headline is backed by the body, with the same tone
+   - 0.5: the body only partly supports the headline, or softens it considerably
+   - 0.0: the body contradicts the headline or never addresses it
+3. A short explanation (one or two sentences) naming what drives the scores
+
+Guidelines:
+- Judge the headline against this body only, not against outside knowledge
+- A strongly worded headline that the body fully backs is sensational but consistent
+- Always respond with valid JSON in the exact format specified
+
+Response format (JSON only):
+{
+  "sensationalism": 0.2,
+  "consistency": 0.9,
+  "explanation": "Why the headline does or does not match the article"
 }`;
   }
 
@@ -55,18 +288,231 @@ Response format (JSON only):
         }
       }
 
-      const analysis = await this._performLLMAnalysis(articleData);
-      const savedArticle = await this.dbManager.saveArticle(articleData, analysis);
+      const preparedArticle = this._detectLanguage(await this._prepareContent(articleData));
+      const analysis = await this._performLLMAnalysis(preparedArticle);
+      const savedArticle = await this.dbManager.saveArticle(preparedArticle, analysis, this._getAnalysisMeta());
+      const story = await this._assignStory(savedArticle);
 
-      return this._formatResponse(savedArticle);
+      return { ...this._formatResponse(savedArticle), story };
     } catch (error) {
       console.error('Article analysis failed:', error.message);
       throw this._handleError(error);
     }
   }
 
-  async getAnalysisStats() {
-    return await this.dbManager.getAnalysisStats();
+  /**
+   * Run a fresh analysis of a stored article as a new version under the same id
+   * @param {string} id - Article ID
+   * @returns {Promise<Object|null>} Updated article or null if not found
+   */
+  async reanalyzeArticle(id) {
+    try {
+      const existing = await this.dbManager.findById(id);
+      if (!existing) {
+        return null;
+      }
+
+      const articleData = {
+        title: existing.title,
+        description: existing.description,
+        content: existing.content,
+        url: existing.url,
+        urlToImage: existing.urlToImage,
+        publishedAt: existing.publishedAt,
+        source: existing.source,
+        language: existing.language
+      };
+
+      // Reuse previously extracted text rather than fetching the page again
+      const preparedArticle = this._detectLanguage(existing.fullText
+        ? { ...articleData, fullText: existing.fullText, extraction: existing.extraction }
+        : await this._prepareContent(articleData));
+
+      const analysis = await this._performLLMAnalysis(preparedArticle);
+      const updated = await this.dbManager.addAnalysisVersion(id, analysis, this._getAnalysisMeta(), {
+        content: preparedArticle.content,
+        fullText: preparedArticle.fullText,
+        extraction: preparedArticle.extraction,
+        language: preparedArticle.language
+      });
+
+      if (!updated) {
+        return null;
+      }
+
+      // New text or entities can change which story the article belongs to
+      const story = await this._assignStory(updated);
+
+      return { ...this._formatResponse(updated), story };
+    } catch (error) {
+      console.error('Article re-analysis failed:', error.message);
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Every analysis version of an article, newest first, each with its changes from the previous run
+   * @param {string} id - Article ID
+   * @returns {Promise<Object|null>} History or null if not found
+   */
+  async getAnalysisHistory(id) {
+    const history = await this.dbManager.getAnalysisHistory(id);
+    if (!history) {
+      return null;
+    }
+
+    const versions = history.versions.map(version => this._formatVersion(version));
+    const withChanges = versions.map((version, index) => ({
+      ...version,
+      changes: index > 0 ? diffAnalyses(versions[index - 1], version) : null
+    }));
+
+    return {
+      articleId: history.article._id,
+      title: history.article.title,
+      url: history.article.url,
+      currentVersion: versions[versions.length - 1].version,
+      totalVersions: versions.length,
+      versions: withChanges.reverse()
+    };
+  }
+
+  /**
+   * Compare two analysis versions of an article
+   * @param {string} id - Article ID
+   * @param {Object} options - { from, to } version numbers; defaults to the two latest
+   * @returns {Promise<Object|null>} Diff or null if the article is not found
+   */
+  async diffAnalysisVersions(id, { from, to } = {}) {
+    const history = await this.dbManager.getAnalysisHistory(id);
+    if (!history) {
+      return null;
+    }
+
+    const versions = history.versions.map(version => this._formatVersion(version));
+    const latest = versions[versions.length - 1].version;
+    const toVersion = to ?? latest;
+    const fromVersion = from ?? toVersion - 1;
+
+    const fromEntry = versions.find(version => version.version === fromVersion);
+    const toEntry = versions.find(version => version.version === toVersion);
+
+    if (!fromEntry || !toEntry) {
+      throw new ValidationError(
+        versions.length < 2
+          ? 'Article has only one analysis version; re-analyze it to compare'
+          : `Unknown version. Available versions: 1-${latest}`
+      );
+    }
+
+    return {
+      articleId: history.article._id,
+      ...diffAnalyses(fromEntry, toEntry),
+      versions: { from: fromEntry, to: toEntry }
+    };
+  }
+
+  /**
+   * Stories (articles about the same event across sources), most recent first
+   * @param {Object} options - { page, limit, minArticles, minSources, dateFrom, dateTo }
+   * @returns {Promise<Object>} Stories with pagination
+   */
+  async getStories(options = {}) {
+    const result = await this.dbManager.getStories(options);
+    return {
+      stories: result.stories.map(story => this._formatStory(story)),
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * A story with its articles and each source's sentiment and bias side by side
+   * @param {string} id - Story ID
+   * @returns {Promise<Object|null>} Story detail or null if not found
+   */
+  async getStory(id) {
+    const result = await this.dbManager.getStoryWithArticles(id);
+    if (!result) {
+      return null;
+    }
+
+    const articles = result.articles.map(article => ({
+      id: article._id,
+      title: article.title,
+      url: article.url,
+      urlToImage: article.urlToImage,
+      source: article.source,
+      publishedAt: article.publishedAt,
+      summary: article.summary,
+      sentiment: {
+        score: article.sentiment.score,
+        confidence: article.sentiment.confidence,
+        politicalBias: article.sentiment.politicalBias
+      },
+      politicalScore: this._formatPoliticalScore(article.politicalScore)
+    }));
+
+    return {
+      ...this._formatStory(result.story),
+      coverage: this._coverageBySource(articles),
+      articles
+    };
+  }
+
+  /**
+   * Cluster stored articles that have no story yet
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { assigned, created }
+   */
+  async assignPendingStories(options = {}) {
+    return await this.storyClusterer.assignPending(options);
+  }
+
+  /**
+   * Compare how several outlets covered the same event
+   * @param {Object} options - { articleIds } or { storyId }, and refresh to bypass the cached comparison
+   * @returns {Promise<Object|null>} Comparison or null if the story was not found
+   */
+  async compareCoverage(options = {}) {
+    return await this.coverageComparer.compare(options);
+  }
+
+  /**
+   * Answer a question about a stored article, citing the passages used
+   * @param {string} id - Article ID
+   * @param {Object} options - { question, conversationId } where conversationId continues an earlier exchange
+   * @returns {Promise<Object|null>} Answer or null if the article was not found
+   */
+  async askArticle(id, options = {}) {
+    return await this.articleQA.ask({ articleId: id, ...options });
+  }
+
+  /**
+   * Brief the press coverage of a topic: key developments, perspectives and verdict distributions
+   * @param {Object} options - { criteria, maxArticles } where criteria is a search criteria object
+   * @returns {Promise<Object|null>} Briefing or null if no analyzed article matches
+   */
+  async synthesizeTopic(options = {}) {
+    return await this.topicSynopsis.synthesize(options);
+  }
+
+  /**
+   * Extract the main text of an article without analyzing or saving it
+   * @param {Object} options - { url, html }; html is used as-is when given, otherwise url is fetched
+   * @returns {Promise<Object>} Extraction result
+   */
+  async extractArticle({ url, html } = {}) {
+    if (html !== undefined) {
+      return this.extractor.extractFromHtml(html, url || null);
+    }
+    if (!url || typeof url !== 'string') {
+      throw new ValidationError('Provide a url or raw html to extract');
+    }
+    return this.extractor.extractFromUrl(url);
+  }
+
+  async getAnalysisStats(options = {}) {
+    return await this.dbManager.getAnalysisStats(options);
   }
   async searchAnalyzedArticles(criteria = {}) {
     const result = await this.dbManager.searchArticles(criteria);
@@ -105,65 +551,583 @@ Response format (JSON only):
     return await this.dbManager.getTopSources(options);
   }
 
+  async getMostSensationalSources(options = {}) {
+    return await this.dbManager.getMostSensationalSources(options);
+  }
+
+  async getTopEntities(options = {}) {
+    return await this.dbManager.getTopEntities(options);
+  }
+
+  async findByEntity(name, options = {}) {
+    return this.searchAnalyzedArticles({ ...options, entity: name });
+  }
+
+  /**
+   * Search the who-said-what index
+   * @param {Object} options - { speaker, q, excludeArticleId, page, limit }
+   * @returns {Promise<Object>} { quotes, pagination }
+   */
+  async searchQuotes(options = {}) {
+    return await this.dbManager.searchQuotes(options);
+  }
+
   _validateArticleData(articleData) {
     if (!articleData || typeof articleData !== 'object') {
       throw new ValidationError('Article data must be an object');
     }
 
-    const required = ['title', 'content', 'url'];
+    const required = ['title', 'url'];
     for (const field of required) {
       if (!articleData[field] || typeof articleData[field] !== 'string') {
         throw new ValidationError(`Article ${field} is required and must be a string`);
       }
     }
 
-    if (articleData.content.length < 50) {
+    // Content may be missing or truncated; extraction can recover the full text
+    for (const field of ['content', 'html']) {
+      if (articleData[field] !== undefined && articleData[field] !== null && typeof articleData[field] !== 'string') {
+        throw new ValidationError(`Article ${field} must be a string`);
+      }
+    }
+
+    if (articleData.language !== undefined && articleData.language !== null && !isLanguageCode(articleData.language)) {
+      throw new ValidationError('Article language must be an ISO 639-1 code (e.g. en, es)');
+    }
+  }
+
+  /**
+   * Replace truncated or short provider content with the extracted full text when possible
+   * @param {Object} articleData - Validated article data (may include raw html)
+   * @returns {Promise<Object>} Article data with fullText and extraction details
+   * @private
+   */
+  async _prepareContent(articleData) {
+    const { html, ...article } = articleData;
+    const providerContent = this.extractor.stripTruncationMarker(article.content);
+    let extraction = { quality: ExtractionQuality.PROVIDER, method: 'provider', length: providerContent.length };
+    let fullText = null;
+
+    const shouldExtract = html !== undefined ||
+      (this.extractionEnabled && this.extractor.needsExtraction(article.content));
+
+    if (shouldExtract) {
+      try {
+        const result = html !== undefined
+          ? this.extractor.extractFromHtml(html, article.url)
+          : await this.extractor.extractFromUrl(article.url);
+
+        if (result.quality !== ExtractionQuality.FAILED && result.length > providerContent.length) {
+          fullText = result.text;
+          extraction = { quality: result.quality, method: result.method, length: result.length };
+        } else {
+          extraction = { ...extraction, error: 'Extracted text was not longer than provider content' };
+        }
+      } catch (error) {
+        console.warn(`Article extraction failed for ${article.url}:`, error.message);
+        extraction = { ...extraction, quality: ExtractionQuality.FAILED, error: error.message };
+      }
+      extraction.extractedAt = new Date();
+    }
+
+    const analyzableText = fullText || providerContent;
+    if (analyzableText.length < 50) {
       throw new ValidationError('Article content is too short for meaningful analysis');
     }
+
+    return {
+      ...article,
+      content: article.content || analyzableText,
+      fullText,
+      extraction
+    };
+  }
+
+  /**
+   * Tag the article with the ISO 639-1 code of its text
+   * A language supplied by the caller is only used when the text is too short to call.
+   * @private
+   */
+  _detectLanguage(article) {
+    const detected = detectLanguage([article.title, article.description, article.fullText || article.content]
+      .filter(Boolean)
+      .join('\n'));
+
+    return { ...article, language: detected?.language || article.language || null };
+  }
+
+  /**
+   * Non-English articles get their summary in both English and the original language
+   * @private
+   */
+  _translatesSummary(language) {
+    return Boolean(language) && language !== 'en';
   }
 
   async _performLLMAnalysis(articleData) {
     try {
-      // Prepare content for LLM (truncate if too long)
-      const truncatedContent = this._truncateContent(articleData.content);
-      
-      const userPrompt = `ANALYZE THIS NEWS ARTICLE - ALL CONTENT TYPES PERMITTED:
+      // Evidence offsets index into the stored text the analysis was run on
+      const field = articleData.fullText ? 'fullText' : 'content';
+      const chunks = this._splitForAnalysis(articleData[field]);
 
-This is for academic research and journalistic analysis. You must provide unbiased analysis regardless of political sensitivity.
+      const analysis = chunks.length === 1
+        ? await this._analyzeSinglePass(articleData, field)
+        : await this._analyzeInChunks(articleData, field, chunks);
+      const entities = await this._extractEntities(articleData, articleData[field], chunks);
+      const claims = await this._extractClaims(articleData, field, chunks);
+      const quotes = await this._extractQuotes(articleData, field, chunks);
+      const headline = await this._scoreHeadline(articleData, chunks, analysis);
+      const originalSummary = this._translatesSummary(articleData.language) ? analysis.originalSummary : null;
+
+      return { ...analysis, originalSummary, entities, claims, quotes, headline };
+
+    } catch (error) {
+      throw new ExternalAPIError('LLM Analysis', error);
+    }
+  }
+
+  /**
+   * Put a newly saved or re-analyzed article in its story; clustering problems never fail the analysis itself
+   * @private
+   */
+  async _assignStory(article) {
+    if (!this.clusteringEnabled) {
+      return null;
+    }
+
+    try {
+      const { storyId } = await this.storyClusterer.assignArticle(article);
+      return storyId;
+    } catch (error) {
+      console.warn(`Story clustering failed for ${article.url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Pieces of text the LLM sees: one when the text fits the budget (or chunking is off), else chunks
+   * @private
+   */
+  _splitForAnalysis(text) {
+    if (!this.chunkingEnabled || estimateTokens(text) <= this.chunkTokenBudget) {
+      const content = this._truncateContent(text);
+      return [{ index: 0, start: 0, end: content.length, text: content, tokens: estimateTokens(content) }];
+    }
+    return chunkText(text, { maxTokens: this.chunkTokenBudget, maxChunks: this.maxChunks });
+  }
+
+  async _analyzeSinglePass(articleData, field) {
+    const response = await this._analyzeText(articleData, this._truncateContent(articleData[field]));
+
+    // Keep only evidence that really appears in the stored text, with offsets into it
+    const { evidence, rejected } = verifyEvidence(response.evidence, articleData[field], field);
+    this._warnRejectedEvidence(rejected, articleData.url);
+
+    return { ...response, evidence, mode: AnalysisModes.SINGLE, chunks: [] };
+  }
+
+  /**
+   * Map-reduce analysis: analyze each chunk on its own, then combine the chunk verdicts
+   * @private
+   */
+  async _analyzeInChunks(articleData, field, chunks) {
+    const responses = await this._mapChunks(chunks, chunk =>
+      this._analyzeText(articleData, chunk.text, { part: chunk.index + 1, totalParts: chunks.length })
+    );
+
+    let rejected = 0;
+    const candidates = [];
+    const chunkResults = chunks.map((chunk, i) => {
+      const response = responses[i];
+
+      // Verify against the chunk the model saw, then shift offsets into the full text
+      const verified = verifyEvidence(response.evidence, chunk.text, field);
+      rejected += verified.rejected;
+      for (const span of verified.evidence) {
+        candidates.push({ chunk: chunk.index, span: { ...span, start: span.start + chunk.start, end: span.end + chunk.start } });
+      }
+
+      return {
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        tokens: chunk.tokens,
+        summary: response.summary,
+        originalSummary: this._translatesSummary(articleData.language) ? response.originalSummary : null,
+        sentiment: {
+          score: response.sentiment.score,
+          confidence: response.sentiment.confidence
+        },
+        politicalBias: response.politicalBias,
+        politicalScore: {
+          score: response.politicalScore.score,
+          confidence: response.politicalScore.confidence,
+          dimensions: response.politicalScore.dimensions || null
+        },
+        emotions: response.emotions,
+        framing: response.framing
+      };
+    });
+    this._warnRejectedEvidence(rejected, articleData.url);
+
+    const reduced = await this._reduceChunkAnalyses(articleData, chunkResults);
+
+    return {
+      ...reduced,
+      evidence: this._selectChunkEvidence(candidates, chunkResults, reduced),
+      mode: AnalysisModes.CHUNKED,
+      chunks: chunkResults
+    };
+  }
+
+  /**
+   * People, organizations and places in the article, with mention counts verified against the text
+   * Entities are secondary to the verdict, so a failure here is logged and yields no entities.
+   * @private
+   */
+  async _extractEntities(articleData, text, chunks) {
+    if (!this.entityExtractionEnabled) {
+      return [];
+    }
+
+    try {
+      let rejected = 0;
+      const lists = await this._mapChunks(chunks, async chunk => {
+        const partNote = chunks.length > 1 ? `Part ${chunk.index + 1} of ${chunks.length} of a long article.\n\n` : '';
+        const userPrompt = `${partNote}Title: ${articleData.title}
+
+Content: ${chunk.text}
+
+List the people, organizations and places in this content in the specified JSON format.`;
+
+        const response = await this.llmClient.callLLMJson(
+          this.entitySystemPrompt,
+          userPrompt,
+          {
+            task: LLMTasks.ENTITY_EXTRACTION,
+            input: {
+              title: articleData.title,
+              content: chunk.text
+            }
+          }
+        );
+
+        validateEntitySchema(response);
+        const verified = verifyEntities(response.entities, chunk.text);
+        rejected += verified.rejected;
+        return verified.entities;
+      });
+
+      if (rejected > 0) {
+        console.warn(`Discarded ${rejected} entities not found in article text: ${articleData.url}`);
+      }
+      return mergeEntities(lists, { text });
+    } catch (error) {
+      console.warn(`Entity extraction failed for ${articleData.url}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Factual claims, typed for fact-check triage, each tied to the verified sentence it came from
+   * Like entities, claims never fail the analysis: errors are logged and yield no claims.
+   * @private
+   */
+  async _extractClaims(articleData, field, chunks) {
+    if (!this.claimExtractionEnabled) {
+      return [];
+    }
+
+    try {
+      let rejected = 0;
+      const lists = await this._mapChunks(chunks, async chunk => {
+        const partNote = chunks.length > 1 ? `Part ${chunk.index + 1} of ${chunks.length} of a long article.\n\n` : '';
+        const userPrompt = `${partNote}Title: ${articleData.title}
+Source: ${articleData.source?.name || 'Unknown'}
+
+Content: ${chunk.text}
+
+List the claims in this content in the specified JSON format.`;
+
+        const response = await this.llmClient.callLLMJson(
+          this.claimSystemPrompt,
+          userPrompt,
+          {
+            task: LLMTasks.CLAIM_EXTRACTION,
+            input: {
+              title: articleData.title,
+              content: chunk.text
+            }
+          }
+        );
+
+        validateClaimSchema(response);
+        const verified = verifyClaims(response.claims, chunk.text, field);
+        rejected += verified.rejected;
+        // Offsets into the whole analyzed text, not the chunk
+        return verified.claims.map(claim => ({ ...claim, start: claim.start + chunk.start, end: claim.end + chunk.start }));
+      });
+
+      if (rejected > 0) {
+        console.warn(`Discarded ${rejected} claims whose source quote was not found in article text: ${articleData.url}`);
+      }
+      return mergeClaims(lists);
+    } catch (error) {
+      console.warn(`Claim extraction failed for ${articleData.url}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Direct quotes with their speakers, for the who-said-what index
+   * Like claims, quotes never fail the analysis: errors are logged and yield no quotes.
+   * @private
+   */
+  async _extractQuotes(articleData, field, chunks) {
+    if (!this.quoteExtractionEnabled) {
+      return [];
+    }
+
+    try {
+      let rejected = 0;
+      const lists = await this._mapChunks(chunks, async chunk => {
+        const partNote = chunks.length > 1 ? `Part ${chunk.index + 1} of ${chunks.length} of a long article.\n\n` : '';
+        const userPrompt = `${partNote}Title: ${articleData.title}
+
+Content: ${chunk.text}
+
+List the direct quotes in this content in the specified JSON format.`;
+
+        const response = await this.llmClient.callLLMJson(
+          this.quoteSystemPrompt,
+          userPrompt,
+          {
+            task: LLMTasks.QUOTE_EXTRACTION,
+            input: {
+              title: articleData.title,
+              content: chunk.text
+            }
+          }
+        );
+
+        validateQuoteSchema(response);
+        const verified = verifyQuotes(response.quotes, chunk.text, field);
+        rejected += verified.rejected;
+        return verified.quotes.map(quote => ({ ...quote, start: quote.start + chunk.start, end: quote.end + chunk.start }));
+      });
+
+      if (rejected > 0) {
+        console.warn(`Discarded ${rejected} quotes not found in article text or without a speaker: ${articleData.url}`);
+      }
+      return mergeQuotes(lists);
+    } catch (error) {
+      console.warn(`Quote extraction failed for ${articleData.url}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Sensationalism of the headline and how consistent the body is with it
+   * Like entities, a failure here is logged and leaves the article without headline scores.
+   * @private
+   */
+  async _scoreHeadline(articleData, chunks, analysis) {
+    if (!this.headlineScoringEnabled) {
+      return null;
+    }
+
+    try {
+      // A long article is judged on its opening plus the summary of the whole text
+      const body = chunks.length === 1
+        ? chunks[0].text
+        : `${chunks[0].text}\n\n[Summary of the full article: ${analysis.summary}]`;
+
+      const userPrompt = `Title: ${articleData.title}
+Description: ${articleData.description || 'No description'}
+
+Body: ${body}
+
+Score the headline against the body in the specified JSON format.`;
+
+      const response = await this.llmClient.callLLMJson(
+        this.headlineSystemPrompt,
+        userPrompt,
+        {
+          task: LLMTasks.HEADLINE_CONSISTENCY,
+          input: {
+            title: articleData.title,
+            description: articleData.description,
+            content: body
+          }
+        }
+      );
+
+      validateHeadlineSchema(response);
+      return {
+        sensationalism: response.sensationalism,
+        consistency: response.consistency,
+        explanation: response.explanation.trim()
+      };
+    } catch (error) {
+      console.warn(`Headline scoring failed for ${articleData.url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run fn over chunks, a few at a time so long articles don't flood the LLM
+   * @private
+   */
+  async _mapChunks(chunks, fn) {
+    const results = [];
+    for (let i = 0; i < chunks.length; i += this.chunkConcurrency) {
+      const batch = chunks.slice(i, i + this.chunkConcurrency);
+      results.push(...await Promise.all(batch.map(fn)));
+    }
+    return results;
+  }
+
+  async _reduceChunkAnalyses(articleData, chunkResults) {
+    const parts = chunkResults.map(chunk => ({
+      part: chunk.index + 1,
+      tokens: chunk.tokens,
+      summary: chunk.summary,
+      originalSummary: chunk.originalSummary,
+      sentiment: chunk.sentiment,
+      politicalBias: chunk.politicalBias,
+      politicalScore: chunk.politicalScore,
+      emotions: chunk.emotions,
+      framing: chunk.framing
+    }));
+
+    const userPrompt = `Combine these analyses of the ${parts.length} consecutive parts of one news article.
 
 Title: ${articleData.title}
+${this._languageNote(articleData.language)}
+${articleData.description ? `Description: ${articleData.description}` : ''}
+
+Part analyses:
+${JSON.stringify(parts, null, 2)}
+
+Provide the combined verdict for the whole article in the specified JSON format.`;
+
+    const response = await this.llmClient.callLLMJson(
+      this.reduceSystemPrompt,
+      userPrompt,
+      {
+        task: LLMTasks.ANALYSIS_REDUCE,
+        input: {
+          title: articleData.title,
+          description: articleData.description,
+          language: articleData.language,
+          chunks: parts
+        }
+      }
+    );
+
+    this._validateVerdict(response);
+    this._validateOriginalSummary(response, articleData.language);
+
+    return {
+      summary: response.summary,
+      originalSummary: response.originalSummary,
+      sentiment: response.sentiment,
+      politicalBias: response.politicalBias,
+      politicalScore: response.politicalScore,
+      emotions: response.emotions,
+      framing: response.framing
+    };
+  }
+
+  /**
+   * Keep evidence from chunks whose verdict agrees with the combined verdict, a few per verdict
+   * @private
+   */
+  _selectChunkEvidence(candidates, chunkResults, reduced) {
+    const agrees = ({ chunk, span }) => span.supports === 'sentiment'
+      ? chunkResults[chunk].sentiment.score === reduced.sentiment.score
+      : chunkResults[chunk].politicalBias === reduced.politicalBias;
+
+    const counts = {};
+    return candidates
+      .filter(agrees)
+      .map(candidate => candidate.span)
+      .filter(span => {
+        counts[span.supports] = (counts[span.supports] || 0) + 1;
+        return counts[span.supports] <= MAX_CHUNK_EVIDENCE_PER_VERDICT;
+      });
+  }
+
+  /**
+   * Analyze one piece of text: the whole article, or one part of it in chunked mode
+   * @private
+   */
+  async _analyzeText(articleData, content, { part, totalParts } = {}) {
+    const partNote = part
+      ? `\nThis is PART ${part} OF ${totalParts} of a long article. Analyze only this part; quote evidence only from the content below.\n`
+      : '';
+
+    const userPrompt = `ANALYZE THIS NEWS ARTICLE - ALL CONTENT TYPES PERMITTED:
+
+This is for academic research and journalistic analysis. You must provide unbiased analysis regardless of political sensitivity.
+${partNote}${this._languageNote(articleData.language)}
+Title: ${articleData.title}
 
 ${articleData.description ? `Description: ${articleData.description}` : ''}
 
-Content: ${truncatedContent}
+Content: ${content}
 
 REQUIRED ANALYSIS:
 1. Provide an objective summary without editorial commentary
 2. Determine sentiment based on tone/presentation (not your opinion of the content)
 3. Assess political bias of how the article frames the topic (author's perspective)
 4. Give confidence score for your sentiment analysis
+5. Score the political framing on the continuous scale and its sub-dimensions
+6. Quote the exact passages that support your sentiment and bias verdicts
+7. Score the emotions the article evokes and name its dominant frame
 
 Do not refuse to analyze any political content. Provide your professional journalistic analysis in the specified JSON format.`;
 
-      // Call LLM with JSON response format
-      const response = await this.llmClient.callLLMJson(
-        this.systemPrompt,
-        userPrompt
-      );
-
-      // Validate LLM response
-      this._validateLLMResponse(response);
+    // Call LLM with JSON response format
+    const response = await this.llmClient.callLLMJson(
+      this.systemPrompt,
+      userPrompt,
+      {
+        task: LLMTasks.ARTICLE_ANALYSIS,
+        input: {
+          title: articleData.title,
+          description: articleData.description,
+          language: articleData.language,
+          content
+        }
+      }
+    );
 
-      return response;
+    // Validate LLM response
+    this._validateLLMResponse(response);
+    this._validateOriginalSummary(response, articleData.language);
 
-    } catch (error) {
-      throw new ExternalAPIError('LLM Analysis', error);
-    }
+    return response;
   }
 
+  _languageNote(language) {
+    return this._translatesSummary(language)
+      ? `\nThe article is written in ${languageName(language)}. Write "summary" in English and "originalSummary" in ${languageName(language)}.\n`
+      : '';
+  }
 
+  _warnRejectedEvidence(rejected, url) {
+    if (rejected > 0) {
+      console.warn(`Discarded ${rejected} evidence span(s) not found in article text: ${url}`);
+    }
+  }
 
   _validateLLMResponse(response) {
+    this._validateVerdict(response);
+    validateEvidenceSchema(response.evidence);
+  }
+
+  _validateVerdict(response) {
     if (!response || typeof response !== 'object') {
       throw new Error('LLM response must be an object');
     }
@@ -173,6 +1137,11 @@ Do not refuse to analyze any political content. Provide your professional journa
       throw new Error('LLM response missing valid summary');
     }
 
+    if (response.originalSummary !== undefined && response.originalSummary !== null &&
+        typeof response.originalSummary !== 'string') {
+      throw new Error('LLM response has invalid original-language summary');
+    }
+
     if (!response.sentiment || typeof response.sentiment !== 'object') {
       throw new Error('LLM response missing valid sentiment object');
     }
@@ -192,6 +1161,260 @@ Do not refuse to analyze any political content. Provide your professional journa
     if (!validBias.includes(response.politicalBias)) {
       throw new Error('LLM response has invalid political bias');
     }
+
+    this._validatePoliticalScore(response.politicalScore);
+    this._validateEmotions(response.emotions);
+
+    if (!Object.values(FramingTypes).includes(response.framing)) {
+      throw new Error('LLM response has invalid framing label');
+    }
+  }
+
+  _validateOriginalSummary(response, language) {
+    if (this._translatesSummary(language) &&
+        (typeof response.originalSummary !== 'string' || response.originalSummary.trim().length === 0)) {
+      throw new Error(`LLM response missing summary in the original language (${language})`);
+    }
+  }
+
+  _validateEmotions(emotions) {
+    if (!emotions || typeof emotions !== 'object' || Array.isArray(emotions)) {
+      throw new Error('LLM response missing valid emotions object');
+    }
+
+    for (const emotion of Object.values(Emotions)) {
+      const value = emotions[emotion];
+      if (typeof value !== 'number' || isNaN(value) || value < 0 || value > 1) {
+        throw new Error(`LLM response has invalid ${emotion} emotion score (must be 0.0 to 1.0)`);
+      }
+    }
+  }
+
+  _validatePoliticalScore(politicalScore) {
+    const inRange = (value, min, max) => typeof value === 'number' && !isNaN(value) && value >= min && value <= max;
+
+    if (!politicalScore || typeof politicalScore !== 'object') {
+      throw new Error('LLM response missing valid political score object');
+    }
+
+    if (!inRange(politicalScore.score, -1, 1)) {
+      throw new Error('LLM response has invalid political score (must be between -1 and 1)');
+    }
+
+    if (!inRange(politicalScore.confidence, 0, 1)) {
+      throw new Error('LLM response has invalid political score confidence');
+    }
+
+    const dimensions = politicalScore.dimensions;
+    if (dimensions === undefined || dimensions === null) {
+      return;
+    }
+
+    if (typeof dimensions !== 'object' || Array.isArray(dimensions)) {
+      throw new Error('LLM response has invalid political dimensions');
+    }
+
+    for (const dimension of Object.values(PoliticalDimensions)) {
+      const value = dimensions[dimension];
+      if (value !== undefined && value !== null && !inRange(value, -1, 1)) {
+        throw new Error(`LLM response has invalid ${dimension} dimension score`);
+      }
+    }
+  }
+
+  _getAnalysisMeta() {
+    return {
+      model: this.llmClient.model || null,
+      promptVersion: this.promptVersion
+    };
+  }
+
+  _formatVersion(version) {
+    return {
+      version: version.version,
+      model: version.model,
+      promptVersion: version.promptVersion,
+      summary: version.summary,
+      originalSummary: version.originalSummary || null,
+      sentiment: {
+        score: version.sentiment.score,
+        confidence: version.sentiment.confidence,
+        politicalBias: version.sentiment.politicalBias
+      },
+      politicalScore: this._formatPoliticalScore(version.politicalScore),
+      emotions: this._formatEmotions(version.emotions),
+      framing: version.framing || null,
+      evidence: this._formatEvidence(version.evidence),
+      analysisMode: version.analysisMode || AnalysisModes.SINGLE,
+      chunks: this._formatChunks(version.chunks),
+      entities: this._formatEntities(version.entities),
+      claims: this._formatClaims(version.claims),
+      quotes: this._formatQuotes(version.quotes),
+      headline: this._formatHeadline(version.headline),
+      extractionQuality: version.extractionQuality || null,
+      analyzedAt: version.analyzedAt
+    };
+  }
+
+  _formatPoliticalScore(politicalScore) {
+    if (!politicalScore || typeof politicalScore.score !== 'number') {
+      return null; // Analyzed before the continuous scale existed
+    }
+
+    const dimensions = {};
+    for (const dimension of Object.values(PoliticalDimensions)) {
+      dimensions[dimension] = politicalScore.dimensions?.[dimension] ?? null;
+    }
+
+    return {
+      score: politicalScore.score,
+      confidence: politicalScore.confidence,
+      dimensions
+    };
+  }
+
+  _formatEvidence(evidence) {
+    return (evidence || []).map(span => ({
+      supports: span.supports,
+      quote: span.quote,
+      explanation: span.explanation || null,
+      field: span.field,
+      start: span.start,
+      end: span.end
+    }));
+  }
+
+  _formatChunks(chunks) {
+    return (chunks || []).map(chunk => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      tokens: chunk.tokens,
+      summary: chunk.summary,
+      originalSummary: chunk.originalSummary || null,
+      sentiment: {
+        score: chunk.sentiment.score,
+        confidence: chunk.sentiment.confidence
+      },
+      politicalBias: chunk.politicalBias,
+      politicalScore: this._formatPoliticalScore(chunk.politicalScore),
+      emotions: this._formatEmotions(chunk.emotions),
+      framing: chunk.framing || null
+    }));
+  }
+
+  _formatEmotions(emotions) {
+    if (!emotions || typeof emotions.fear !== 'number') {
+      return null; // Analyzed before emotion scoring existed
+    }
+
+    const formatted = {};
+    for (const emotion of Object.values(Emotions)) {
+      formatted[emotion] = emotions[emotion] ?? 0;
+    }
+    return formatted;
+  }
+
+  _formatEntities(entities) {
+    return (entities || []).map(entity => ({
+      name: entity.name,
+      type: entity.type,
+      aliases: entity.aliases || [],
+      mentions: entity.mentions,
+      sentiment: {
+        score: entity.sentiment?.score,
+        confidence: entity.sentiment?.confidence
+      }
+    }));
+  }
+
+  _formatHeadline(headline) {
+    if (!headline || typeof headline.sensationalism !== 'number') {
+      return null; // Analyzed before headline scoring existed, or scoring failed
+    }
+
+    return {
+      sensationalism: headline.sensationalism,
+      consistency: headline.consistency,
+      explanation: headline.explanation
+    };
+  }
+
+  _formatQuotes(quotes) {
+    return (quotes || []).map(quote => ({
+      text: quote.text,
+      speaker: quote.speaker,
+      role: quote.role || null,
+      field: quote.field,
+      start: quote.start,
+      end: quote.end
+    }));
+  }
+
+  _formatClaims(claims) {
+    return (claims || []).map(claim => ({
+      text: claim.text,
+      type: claim.type,
+      verifiable: claim.verifiable,
+      speaker: claim.speaker || null,
+      quote: claim.quote,
+      field: claim.field,
+      start: claim.start,
+      end: claim.end
+    }));
+  }
+
+  _formatStory(story) {
+    return {
+      id: story._id,
+      title: story.title,
+      keywords: story.keywords || [],
+      articleCount: story.articleCount,
+      sources: story.sources || [],
+      sourceCount: (story.sources || []).length,
+      firstPublishedAt: story.firstPublishedAt,
+      lastPublishedAt: story.lastPublishedAt,
+      ...(story.sentimentBreakdown && {
+        sentimentBreakdown: story.sentimentBreakdown,
+        politicalBreakdown: story.politicalBreakdown
+      })
+    };
+  }
+
+  /**
+   * One row per source: how that outlet's articles on the story lean, ordered left to right
+   * @private
+   */
+  _coverageBySource(articles) {
+    const bySource = new Map();
+    for (const article of articles) {
+      const name = article.source?.name || 'Unknown';
+      if (!bySource.has(name)) bySource.set(name, []);
+      bySource.get(name).push(article);
+    }
+
+    const count = values => values.reduce((acc, value) => {
+      acc[value] = (acc[value] || 0) + 1;
+      return acc;
+    }, {});
+    const mean = values => (values.length > 0
+      ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 1000) / 1000
+      : null);
+
+    return [...bySource.entries()]
+      .map(([source, sourceArticles]) => ({
+        source,
+        articleCount: sourceArticles.length,
+        sentiment: count(sourceArticles.map(article => article.sentiment.score)),
+        politicalBias: count(sourceArticles.map(article => article.sentiment.politicalBias)),
+        avgConfidence: mean(sourceArticles.map(article => article.sentiment.confidence)),
+        meanPoliticalScore: mean(sourceArticles
+          .map(article => article.politicalScore?.score)
+          .filter(score => typeof score === 'number')),
+        articleIds: sourceArticles.map(article => article.id)
+      }))
+      .sort((a, b) => (a.meanPoliticalScore ?? Infinity) - (b.meanPoliticalScore ?? Infinity) ||
+        a.source.localeCompare(b.source));
   }
 
   _formatResponse(article) {
@@ -200,17 +1423,35 @@ Do not refuse to analyze any political content. Provide your professional journa
       title: article.title,
       description: article.description,
       content: article.content,
+      fullText: article.fullText || null,
+      extraction: article.extraction || null,
       url: article.url,
       urlToImage: article.urlToImage,
       publishedAt: article.publishedAt,
       source: article.source,
+      language: article.language || null,
       summary: article.summary,
+      originalSummary: article.originalSummary || null,
       sentiment: {
         score: article.sentiment.score,
         confidence: article.sentiment.confidence,
         politicalBias: article.sentiment.politicalBias
       },
+      politicalScore: this._formatPoliticalScore(article.politicalScore),
+      emotions: this._formatEmotions(article.emotions),
+      framing: article.framing || null,
+      evidence: this._formatEvidence(article.evidence),
       analyzedAt: article.analyzedAt,
+      analysisVersion: article.analysis?.version || 1,
+      model: article.analysis?.model || null,
+      promptVersion: article.analysis?.promptVersion || null,
+      analysisMode: article.analysis?.mode || AnalysisModes.SINGLE,
+      chunks: this._formatChunks(article.chunks),
+      entities: this._formatEntities(article.entities),
+      claims: this._formatClaims(article.claims),
+      quotes: this._formatQuotes(article.quotes),
+      headline: this._formatHeadline(article.headline),
+      story: article.story || null,
       createdAt: article.createdAt,
       updatedAt: article.updatedAt
     };
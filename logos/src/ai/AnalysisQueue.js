@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { ValidationError } = require('../news/errors/NewsErrors');
+
+const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+  FAILED: 'failed'
+};
+
+const ItemStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * AnalysisQueue - In-process background queue for batch article analysis
+ *
+ * Features:
+ * - Accepts batches of articles and returns a job id immediately
+ * - Bounded concurrency shared across all jobs so large batches don't flood the LLM
+ * - Per-article progress, results and failures for polling
+ * - Re-uses AgentSynopsis.analyzeArticle (and its URL cache) for every item
+ * - Finished jobs expire after a configurable TTL
+ */
+class AnalysisQueue {
+  constructor(options = {}) {
+    if (!options.agent) {
+      throw new Error('AnalysisQueue requires an AgentSynopsis instance');
+    }
+
+    this.agent = options.agent;
+    this.concurrency = Math.max(1, parseInt(options.concurrency) || 3);
+    this.maxBatchSize = options.maxBatchSize || 1000;
+    this.jobTtlMs = options.jobTtlMs || 60 * 60 * 1000; // 1 hour
+
+    this.jobs = new Map();
+    this.pending = []; // { job, item, articleData }
+    this.activeCount = 0;
+    this.inFlight = new Map(); // url -> Promise, avoids analyzing the same URL twice at once
+  }
+
+  /**
+   * Enqueue a batch of articles for analysis
+   * @param {Array<Object>} articles - Raw article data as accepted by AgentSynopsis.analyzeArticle
+   * @returns {Object} Job summary (without per-item results)
+   */
+  enqueue(articles) {
+    if (!Array.isArray(articles) || articles.length === 0) {
+      throw new ValidationError('Batch must contain a non-empty array of articles');
+    }
+
+    if (articles.length > this.maxBatchSize) {
+      throw new ValidationError(`Batch size ${articles.length} exceeds the maximum of ${this.maxBatchSize} articles`);
+    }
+
+    this._pruneExpiredJobs();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: JobStatus.QUEUED,
+      total: articles.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      createdAt: new Date(),
+      startedAt: null,
+      completedAt: null,
+      items: articles.map((articleData, index) => ({
+        index,
+        url: articleData?.url || null,
+        title: articleData?.title || null,
+        status: ItemStatus.PENDING,
+        result: null,
+        error: null
+      }))
+    };
+
+    this.jobs.set(job.id, job);
+
+    job.items.forEach((item, index) => {
+      this.pending.push({ job, item, articleData: articles[index] });
+    });
+
+    this._drain();
+
+    return this._formatJob(job, { includeItems: false });
+  }
+
+  /**
+   * Get a job with its per-article progress
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job details or null if unknown/expired
+   */
+  getJob(id) {
+    this._pruneExpiredJobs();
+    const job = this.jobs.get(id);
+    return job ? this._formatJob(job, { includeItems: true }) : null;
+  }
+
+  /**
+   * Get queue-wide counters
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.activeCount,
+      pending: this.pending.length,
+      jobs: this.jobs.size
+    };
+  }
+
+  /**
+   * Start as many pending items as the concurrency limit allows
+   * @private
+   */
+  _drain() {
+    while (this.activeCount < this.concurrency && this.pending.length > 0) {
+      const task = this.pending.shift();
+      this.activeCount++;
+
+      this._runTask(task).finally(() => {
+        this.activeCount--;
+        this._drain();
+      });
+    }
+  }
+
+  /**
+   * Analyze a single queued item and record the outcome on its job
+   * @private
+   */
+  async _runTask({ job, item, articleData }) {
+    if (job.status === JobStatus.QUEUED) {
+      job.status = JobStatus.RUNNING;
+      job.startedAt = new Date();
+    }
+
+    item.status = ItemStatus.RUNNING;
+
+    try {
+      item.result = await this._analyze(articleData);
+      item.status = ItemStatus.SUCCEEDED;
+      job.succeeded++;
+    } catch (error) {
+      item.status = ItemStatus.FAILED;
+      item.error = {
+        message: error.message,
+        type: error.name,
+        statusCode: error.statusCode || 500
+      };
+      job.failed++;
+    }
+
+    job.processed++;
+
+    if (job.processed === job.total) {
+      job.completedAt = new Date();
+      if (job.failed === 0) {
+        job.status = JobStatus.COMPLETED;
+      } else if (job.succeeded === 0) {
+        job.status = JobStatus.FAILED;
+      } else {
+        job.status = JobStatus.COMPLETED_WITH_ERRORS;
+      }
+    }
+  }
+
+  /**
+   * Run the analysis, sharing the promise for URLs already in flight
+   * @private
+   */
+  _analyze(articleData) {
+    const url = articleData?.url;
+    if (!url || typeof url !== 'string') {
+      return this.agent.analyzeArticle(articleData);
+    }
+
+    if (this.inFlight.has(url)) {
+      return this.inFlight.get(url);
+    }
+
+    const promise = this.agent.analyzeArticle(articleData).finally(() => {
+      this.inFlight.delete(url);
+    });
+    this.inFlight.set(url, promise);
+    return promise;
+  }
+
+  /**
+   * Drop finished jobs older than the TTL
+   * @private
+   */
+  _pruneExpiredJobs() {
+    const cutoff = Date.now() - this.jobTtlMs;
+    for (const [id, job] of this.jobs) {
+      if (job.completedAt && job.completedAt.getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  _formatJob(job, { includeItems }) {
+    const formatted = {
+      id: job.id,
+      status: job.status,
+      total: job.total,
+      processed: job.processed,
+      succeeded: job.succeeded,
+      failed: job.failed,
+      progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) / 100 : 1,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    };
+
+    if (includeItems) {
+      formatted.items = job.items.map(item => ({ ...item }));
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = { AnalysisQueue, JobStatus, ItemStatus };
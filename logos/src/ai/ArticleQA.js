@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { ValidationError, ExternalAPIError } = require('../news/errors/NewsErrors');
+const { LLMTasks } = require('./enums');
+const { chunkText } = require('./chunking');
+const { tokenize } = require('./textHeuristics');
+
+const NOT_ANSWERED = 'The article does not say.';
+
+const SYSTEM_PROMPT = `You are a careful news research assistant. Answer the reader's question about one news article using ONLY the numbered passages of that article.
+
+Guidelines:
+- Use only information stated in the passages; never add outside knowledge or speculation
+- Cite every statement with the number of the passage it comes from, in square brackets like [P3]; cite several passages as [P2][P5]
+- If the passages do not answer the question, reply exactly: "${NOT_ANSWERED}" and cite nothing
+- Keep answers short: 1-4 sentences
+- Answer in the language of the question
+- Earlier questions and answers are context for follow-ups such as "what else did she say?"; they are not a source
+- Reply with the answer text only, no JSON and no preamble`;
+
+const CITATION = /\[P(\d+)\]/g;
+
+/**
+ * ArticleQA - Grounded question answering over one stored article
+ *
+ * Features:
+ * - Answers only from the article's stored text, split into numbered passages the model cites as [P3]
+ * - Citations are resolved back to passage offsets in the stored text, so they can be quoted or highlighted
+ * - Long articles send only the passages that best match the question
+ * - Keeps a short in-memory conversation per reader for follow-up questions; idle conversations expire
+ */
+class ArticleQA {
+  constructor(options = {}) {
+    if (!options.llmClient || !options.dbManager) {
+      throw new Error('ArticleQA requires an LLMClient and a DatabaseManager');
+    }
+
+    this.llmClient = options.llmClient;
+    this.dbManager = options.dbManager;
+    this.maxQuestionLength = options.maxQuestionLength || 500;
+    this.maxTurns = options.maxTurns || 6; // question/answer pairs kept as context
+    this.passageTokens = options.passageTokens || 60; // roughly a paragraph, so citations stay specific
+    this.contextTokens = options.contextTokens || 6000; // article text budget per question
+    this.conversationTtlMs = options.conversationTtlMs || 30 * 60 * 1000; // 30 minutes idle
+    this.maxConversations = options.maxConversations || 500;
+    this.systemPrompt = SYSTEM_PROMPT;
+
+    this.conversations = new Map();
+  }
+
+  /**
+   * Answer a question about a stored article
+   * @param {Object} request - { articleId, question, conversationId } (omit conversationId to start a new conversation)
+   * @returns {Promise<Object|null>} Answer with citations, or null if the article does not exist
+   */
+  async ask({ articleId, question, conversationId } = {}) {
+    if (typeof question !== 'string' || question.trim().length === 0) {
+      throw new ValidationError('Question is required and must be a string');
+    }
+    if (question.length > this.maxQuestionLength) {
+      throw new ValidationError(`Question must be at most ${this.maxQuestionLength} characters`);
+    }
+    if (conversationId !== undefined && conversationId !== null && typeof conversationId !== 'string') {
+      throw new ValidationError('Conversation id must be a string');
+    }
+
+    const article = await this.dbManager.findById(articleId);
+    if (!article) {
+      return null;
+    }
+
+    const conversation = this._getConversation(conversationId, String(article._id));
+    const field = article.fullText ? 'fullText' : 'content';
+    const passages = this._splitPassages(article[field]);
+    const selected = this._selectPassages(passages, question, conversation.turns);
+
+    const answer = await this._answer(article, question.trim(), selected, conversation.turns);
+    const citations = this._resolveCitations(answer, selected, field);
+
+    const turn = {
+      question: question.trim(),
+      answer,
+      citations,
+      askedAt: new Date()
+    };
+    conversation.turns = [...conversation.turns, turn].slice(-this.maxTurns);
+    conversation.updatedAt = Date.now();
+
+    return {
+      conversationId: conversation.id,
+      articleId: conversation.articleId,
+      question: turn.question,
+      answer,
+      grounded: citations.length > 0,
+      citations,
+      turns: conversation.turns.length,
+      model: this.llmClient.model || null,
+      askedAt: turn.askedAt
+    };
+  }
+
+  /**
+   * Continue a known conversation or start a new one (unknown or expired ids start afresh)
+   * @private
+   */
+  _getConversation(conversationId, articleId) {
+    this._pruneConversations();
+
+    const existing = conversationId ? this.conversations.get(conversationId) : null;
+    if (existing) {
+      if (existing.articleId !== articleId) {
+        throw new ValidationError('Conversation belongs to a different article');
+      }
+      return existing;
+    }
+
+    // Make room by dropping the least recently used conversation
+    if (this.conversations.size >= this.maxConversations) {
+      const [oldest] = [...this.conversations.values()].sort((a, b) => a.updatedAt - b.updatedAt);
+      this.conversations.delete(oldest.id);
+    }
+
+    const conversation = { id: crypto.randomUUID(), articleId, turns: [], updatedAt: Date.now() };
+    this.conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  _pruneConversations() {
+    const cutoff = Date.now() - this.conversationTtlMs;
+    for (const [id, conversation] of this.conversations) {
+      if (conversation.updatedAt < cutoff) {
+        this.conversations.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Numbered passages of the stored text, each an exact slice with its offsets
+   * @private
+   */
+  _splitPassages(text) {
+    return chunkText(text || '', { maxTokens: this.passageTokens }).map(chunk => ({
+      id: chunk.index + 1,
+      start: chunk.start,
+      end: chunk.end,
+      text: chunk.text,
+      tokens: chunk.tokens
+    }));
+  }
+
+  /**
+   * Passages sent to the model: all of them when they fit the budget, else the best matches in text order
+   * The lead passage is always kept, since it usually says who, what and where.
+   * @private
+   */
+  _selectPassages(passages, question, turns) {
+    const totalTokens = passages.reduce((sum, passage) => sum + passage.tokens, 0);
+    if (totalTokens <= this.contextTokens) {
+      return passages;
+    }
+
+    // Follow-ups like "what else?" lean on the previous question's terms
+    const terms = new Set(tokenize([question, turns[turns.length - 1]?.question].filter(Boolean).join(' '))
+      .filter(term => term.length > 3));
+    const scored = passages.map(passage => ({
+      passage,
+      score: passage.id === 1 ? Infinity : tokenize(passage.text).filter(token => terms.has(token)).length
+    }));
+
+    const selected = [];
+    let budget = this.contextTokens;
+    for (const { passage } of scored.sort((a, b) => b.score - a.score || a.passage.id - b.passage.id)) {
+      if (passage.tokens > budget && passage.id !== 1) continue;
+      selected.push(passage);
+      budget -= passage.tokens;
+    }
+
+    return selected.sort((a, b) => a.id - b.id);
+  }
+
+  async _answer(article, question, passages, turns) {
+    const history = turns.length > 0
+      ? `Earlier in this conversation:
+${turns.map(turn => `Q: ${turn.question}\nA: ${turn.answer}`).join('\n\n')}
+
+`
+      : '';
+
+    const userPrompt = `Title: ${article.title}
+Source: ${article.source?.name || 'Unknown'}
+Published: ${new Date(article.publishedAt).toISOString()}
+
+Passages:
+${passages.map(passage => `[P${passage.id}] ${passage.text}`).join('\n\n')}
+
+${history}Question: ${question}`;
+
+    try {
+      const answer = await this.llmClient.callLLM(this.systemPrompt, userPrompt, {
+        task: LLMTasks.ARTICLE_QA,
+        input: {
+          question,
+          passages: passages.map(passage => ({ id: passage.id, text: passage.text })),
+          history: turns.map(turn => ({ question: turn.question, answer: turn.answer }))
+        }
+      });
+
+      if (typeof answer !== 'string' || answer.trim().length === 0) {
+        throw new Error('LLM returned an empty answer');
+      }
+      return answer.trim();
+    } catch (error) {
+      throw new ExternalAPIError('Article Q&A', error);
+    }
+  }
+
+  /**
+   * Passages the answer cites, in order of first citation; citations of passages it was not shown are dropped
+   * @private
+   */
+  _resolveCitations(answer, passages, field) {
+    if (answer === NOT_ANSWERED) {
+      return [];
+    }
+
+    const cited = [];
+    for (const match of answer.matchAll(CITATION)) {
+      const passage = passages.find(candidate => candidate.id === parseInt(match[1]));
+      if (passage && !cited.includes(passage)) {
+        cited.push(passage);
+      }
+    }
+
+    return cited.map(passage => ({
+      passage: passage.id,
+      text: passage.text,
+      field,
+      start: passage.start,
+      end: passage.end
+    }));
+  }
+}
+
+module.exports = { ArticleQA, NOT_ANSWERED };
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const { ValidationError, ExternalAPIError } = require('../news/errors/NewsErrors');
+const { LLMTasks } = require('./enums');
+const { locateQuote } = require('./evidence');
+
+// Bump whenever the comparison prompt or response format changes; cached comparisons are then regenerated
+const PROMPT_VERSION = '1.0';
+
+const SYSTEM_PROMPT = `You are an expert media analyst. Several outlets covered the same news event. Compare their coverage objectively, without judging which outlet is right.
+
+For each article identify:
+1. Facts it reports that other articles leave out
+2. Facts most other articles report that it leaves out
+3. How it frames the event (angle, emphasis, who is quoted or blamed), in one or two sentences
+4. Loaded language: emotionally charged or partisan words and phrases, quoted exactly
+
+Guidelines:
+- A fact is a concrete claim (who, what, when, where, numbers), not an opinion
+- Refer to articles only by their labels (A1, A2, ...)
+- Loaded language quotes must be exact, contiguous text from that article's content, each under 100 characters; use an empty list when the wording is neutral
+- Keep every list short: at most 5 items
+- Always respond with valid JSON in the exact format specified
+
+Response format (JSON only):
+{
+  "summary": "2-3 sentence overview of how the coverage differs",
+  "sharedFacts": ["Facts reported by all or nearly all articles"],
+  "framingDifferences": ["Notable differences in framing between outlets"],
+  "outlets": [
+    {
+      "article": "A1",
+      "includedFacts": ["Facts this article reports that others leave out"],
+      "omittedFacts": ["Facts others report that this article leaves out"],
+      "framing": "How this article frames the event",
+      "loadedLanguage": [
+        { "quote": "exact words from the article", "explanation": "Why the wording is loaded" }
+      ]
+    }
+  ]
+}`;
+
+/**
+ * CoverageComparer - LLM comparison of how several outlets covered the same story
+ *
+ * Features:
+ * - Compares an explicit set of articles or the articles of a story cluster
+ * - Results are cached by the set of article ids and reused until a member is re-analyzed
+ *   or the prompt changes
+ * - Loaded-language quotes are verified against each article's text like evidence spans
+ */
+class CoverageComparer {
+  constructor(options = {}) {
+    if (!options.llmClient || !options.dbManager) {
+      throw new Error('CoverageComparer requires an LLMClient and a DatabaseManager');
+    }
+
+    this.llmClient = options.llmClient;
+    this.dbManager = options.dbManager;
+    this.promptVersion = options.promptVersion || PROMPT_VERSION;
+    this.maxArticles = options.maxArticles || 8;
+    this.contentLength = options.contentLength || 3000; // per article
+    this.systemPrompt = SYSTEM_PROMPT;
+  }
+
+  /**
+   * Compare the coverage of several articles
+   * @param {Object} request - { articleIds } or { storyId }; refresh bypasses the cache
+   * @returns {Promise<Object|null>} Comparison, or null if the story does not exist
+   */
+  async compare({ articleIds, storyId, refresh = false } = {}) {
+    const ids = await this._resolveArticleIds({ articleIds, storyId });
+    if (ids === null) {
+      return null;
+    }
+
+    const found = await this.dbManager.findArticlesByIds(ids);
+    const missing = ids.filter(id => !found.some(article => String(article._id) === id));
+    if (missing.length > 0) {
+      throw new ValidationError(`Articles not found: ${missing.join(', ')}`);
+    }
+
+    // Oldest first, so labels follow the order the story broke in
+    const articles = [...found].sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+    const key = this._cacheKey(ids);
+
+    const cached = await this.dbManager.findComparison(key);
+    if (cached && !refresh && this._isFresh(cached, articles)) {
+      return this._formatComparison(cached, articles, true);
+    }
+
+    const result = await this._generate(articles);
+    const saved = await this.dbManager.saveComparison({
+      key,
+      articles: articles.map(article => article._id),
+      story: storyId || null,
+      articleVersions: articles.map(article => ({ article: article._id, version: article.analysis?.version || 1 })),
+      model: this.llmClient.model || null,
+      promptVersion: this.promptVersion,
+      result
+    });
+
+    return this._formatComparison(saved, articles, false);
+  }
+
+  async _resolveArticleIds({ articleIds, storyId }) {
+    if ((articleIds === undefined) === (storyId === undefined)) {
+      throw new ValidationError('Provide either articleIds or storyId');
+    }
+
+    if (storyId !== undefined) {
+      if (typeof storyId !== 'string' || storyId.length === 0) {
+        throw new ValidationError('storyId must be a string');
+      }
+      const story = await this.dbManager.getStoryWithArticles(storyId);
+      if (!story) {
+        return null;
+      }
+      const ids = this._pickStoryArticles(story.articles);
+      if (ids.length < 2) {
+        throw new ValidationError('Story has fewer than 2 articles to compare');
+      }
+      return ids;
+    }
+
+    if (!Array.isArray(articleIds) || articleIds.some(id => typeof id !== 'string' || id.length === 0)) {
+      throw new ValidationError('articleIds must be an array of article id strings');
+    }
+
+    const ids = [...new Set(articleIds)];
+    if (ids.length < 2 || ids.length > this.maxArticles) {
+      throw new ValidationError(`Compare between 2 and ${this.maxArticles} distinct articles`);
+    }
+    return ids;
+  }
+
+  // One article per source first, then more articles from the same sources if there is room
+  _pickStoryArticles(storyArticles) {
+    const firstPerSource = new Map();
+    for (const article of storyArticles) {
+      const source = article.source?.name || 'Unknown';
+      if (!firstPerSource.has(source)) firstPerSource.set(source, article);
+    }
+
+    const picked = [...firstPerSource.values()];
+    for (const article of storyArticles) {
+      if (picked.length >= this.maxArticles) break;
+      if (!picked.includes(article)) picked.push(article);
+    }
+
+    return picked.slice(0, this.maxArticles).map(article => String(article._id));
+  }
+
+  _cacheKey(ids) {
+    return crypto.createHash('sha256').update([...ids].sort().join(',')).digest('hex');
+  }
+
+  _isFresh(cached, articles) {
+    if (cached.promptVersion !== this.promptVersion) {
+      return false;
+    }
+
+    return articles.every(article => cached.articleVersions?.some(entry =>
+      String(entry.article) === String(article._id) && entry.version === (article.analysis?.version || 1)
+    ));
+  }
+
+  async _generate(articles) {
+    const labelled = articles.map((article, index) => ({ label: `A${index + 1}`, article, text: this._articleText(article) }));
+
+    try {
+      const userPrompt = `COMPARE THE COVERAGE OF THIS NEWS EVENT ACROSS ${labelled.length} ARTICLES:
+
+${labelled.map(({ label, article, text }) => `[${label}] Source: ${article.source?.name || 'Unknown'}
+Title: ${article.title}
+Published: ${new Date(article.publishedAt).toISOString()}
+Content: ${text}`).join('\n\n---\n\n')}
+
+Provide the comparison in the specified JSON format, with one entry in "outlets" per article label.`;
+
+      const response = await this.llmClient.callLLMJson(this.systemPrompt, userPrompt, {
+        task: LLMTasks.COVERAGE_COMPARISON,
+        input: {
+          articles: labelled.map(({ label, article, text }) => ({
+            label,
+            source: article.source?.name || 'Unknown',
+            title: article.title,
+            content: text,
+            sentiment: article.sentiment?.score,
+            politicalBias: article.sentiment?.politicalBias
+          }))
+        }
+      });
+
+      this._validateComparison(response, labelled.map(entry => entry.label));
+
+      return {
+        summary: response.summary,
+        sharedFacts: response.sharedFacts,
+        framingDifferences: response.framingDifferences,
+        outlets: labelled.map(({ label, article, text }) => {
+          const outlet = response.outlets.find(entry => entry.article === label) || {};
+          return {
+            label,
+            articleId: String(article._id),
+            includedFacts: outlet.includedFacts || [],
+            omittedFacts: outlet.omittedFacts || [],
+            framing: outlet.framing || null,
+            loadedLanguage: this._verifyLoadedLanguage(outlet.loadedLanguage, article, text)
+          };
+        })
+      };
+    } catch (error) {
+      throw new ExternalAPIError('Coverage comparison', error);
+    }
+  }
+
+  _articleText(article) {
+    const text = article.fullText || article.content || article.description || '';
+    return text.length <= this.contentLength ? text : text.substring(0, this.contentLength) + '...';
+  }
+
+  // Keep quotes that really appear in the article, with offsets into the stored field
+  _verifyLoadedLanguage(spans, article, text) {
+    const field = article.fullText ? 'fullText' : 'content';
+    const verified = [];
+
+    for (const span of spans || []) {
+      // Only the text the model saw can be quoted; offsets still index the stored field
+      if (!locateQuote(text, span.quote)) continue;
+      const location = locateQuote(article[field], span.quote);
+      if (!location) continue;
+
+      verified.push({
+        quote: article[field].slice(location.start, location.end),
+        explanation: span.explanation || null,
+        field,
+        start: location.start,
+        end: location.end
+      });
+    }
+
+    return verified;
+  }
+
+  _validateComparison(response, labels) {
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (!response || typeof response !== 'object') {
+      throw new Error('LLM response must be an object');
+    }
+    if (typeof response.summary !== 'string' || response.summary.trim().length === 0) {
+      throw new Error('LLM response missing valid comparison summary');
+    }
+    if (!isStringList(response.sharedFacts) || !isStringList(response.framingDifferences)) {
+      throw new Error('LLM response has invalid sharedFacts or framingDifferences');
+    }
+    if (!Array.isArray(response.outlets)) {
+      throw new Error('LLM response missing outlets array');
+    }
+
+    const seen = new Set();
+    for (const outlet of response.outlets) {
+      if (!outlet || !labels.includes(outlet.article) || seen.has(outlet.article)) {
+        throw new Error('LLM response has an outlet entry with an unknown or repeated article label');
+      }
+      seen.add(outlet.article);
+
+      if (!isStringList(outlet.includedFacts || []) || !isStringList(outlet.omittedFacts || [])) {
+        throw new Error(`LLM response has invalid facts for ${outlet.article}`);
+      }
+      if (outlet.framing !== undefined && outlet.framing !== null && typeof outlet.framing !== 'string') {
+        throw new Error(`LLM response has invalid framing for ${outlet.article}`);
+      }
+      const loaded = outlet.loadedLanguage || [];
+      if (!Array.isArray(loaded) || loaded.some(span => !span || typeof span.quote !== 'string')) {
+        throw new Error(`LLM response has invalid loaded language for ${outlet.article}`);
+      }
+    }
+  }
+
+  _formatComparison(comparison, articles, cached) {
+    const result = comparison.result;
+
+    return {
+      id: comparison._id,
+      storyId: comparison.story || null,
+      articleIds: articles.map(article => article._id),
+      cached,
+      model: comparison.model,
+      promptVersion: comparison.promptVersion,
+      comparedAt: comparison.updatedAt,
+      summary: result.summary,
+      sharedFacts: result.sharedFacts,
+      framingDifferences: result.framingDifferences,
+      outlets: result.outlets.map(outlet => {
+        const article = articles.find(entry => String(entry._id) === outlet.articleId);
+        return {
+          label: outlet.label,
+          articleId: outlet.articleId,
+          title: article?.title,
+          url: article?.url,
+          source: article?.source,
+          publishedAt: article?.publishedAt,
+          sentiment: article?.sentiment && {
+            score: article.sentiment.score,
+            confidence: article.sentiment.confidence,
+            politicalBias: article.sentiment.politicalBias
+          },
+          politicalScore: article?.politicalScore?.score ?? null,
+          includedFacts: outlet.includedFacts,
+          omittedFacts: outlet.omittedFacts,
+          framing: outlet.framing,
+          loadedLanguage: outlet.loadedLanguage
+        };
+      })
+    };
+  }
+}
+
+module.exports = { CoverageComparer };
@@ -0,0 +1,395 @@
+const { ValidationError } = require('../news/errors/NewsErrors');
+const { NewsCategory, SortBy, ALL_PROVIDERS } = require('../news/enums');
+
+const IngestionJobTypes = {
+  HEADLINES: 'headlines', // NewsClient.getTopHeadlines
+  SEARCH: 'search'        // NewsClient.searchNews with the job's query
+};
+
+const RunStatus = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const RunTriggers = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual'
+};
+
+const DEFINITION_FIELDS = ['name', 'type', 'query', 'options', 'limit', 'intervalMinutes', 'enabled'];
+const OPTION_FIELDS = ['country', 'lang', 'category', 'provider', 'sortBy'];
+
+// A failing job waits at most this many intervals between attempts
+const MAX_BACKOFF_INTERVALS = 8;
+
+/**
+ * IngestionScheduler - Runs stored fetch jobs on a timer and queues what they find for analysis
+ *
+ * Features:
+ * - Jobs fetch top headlines or a search through NewsClient, so provider failover, quotas and
+ *   the search cache apply as for any other request
+ * - URLs already stored are skipped; new articles go to the shared AnalysisQueue as one batch
+ * - Job definitions, the next run and the outcome of recent runs are kept in MongoDB, so the
+ *   schedule survives restarts
+ * - A failing job backs off, doubling its wait with each consecutive failure
+ * - Each run is claimed in MongoDB before it starts, so a job never runs twice at once, even with
+ *   several instances sharing the database
+ */
+class IngestionScheduler {
+  constructor(options = {}) {
+    if (!options.newsClient || !options.dbManager || !options.analysisQueue) {
+      throw new Error('IngestionScheduler requires a NewsClient, a DatabaseManager and an AnalysisQueue');
+    }
+
+    this.newsClient = options.newsClient;
+    this.dbManager = options.dbManager;
+    this.analysisQueue = options.analysisQueue;
+    this.tickMs = options.tickMs || 60 * 1000; // how often due jobs are looked for
+    this.minIntervalMinutes = options.minIntervalMinutes || 5; // protects provider quotas
+    this.maxIntervalMinutes = options.maxIntervalMinutes || 7 * 24 * 60;
+    this.historySize = options.historySize || 10; // runs kept per job
+    this.claimMs = options.claimMs || 10 * 60 * 1000; // how long a run that never finishes blocks the job
+
+    this.timer = null;
+    this.ticking = false;
+    this.running = new Set(); // ids of jobs with a run in progress
+  }
+
+  /**
+   * Start looking for due jobs every tick
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.warn('IngestionScheduler: tick failed:', error.message));
+    }, this.tickMs);
+    this.timer.unref?.(); // never keeps the process alive on its own
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every due job, one after another
+   * @returns {Promise<Array<Object>>} Outcome of each run started
+   */
+  async tick() {
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    try {
+      const due = await this.dbManager.findDueIngestionJobs(new Date());
+      const runs = [];
+      for (const job of due) {
+        // Another instance, or a manual run, may have taken the job since it was listed
+        const claimed = await this._claim(job._id, true);
+        if (claimed) runs.push(await this._run(claimed, RunTriggers.SCHEDULE));
+      }
+      return runs;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      started: this.timer !== null,
+      tickMs: this.tickMs,
+      runningJobs: this.running.size,
+      minIntervalMinutes: this.minIntervalMinutes
+    };
+  }
+
+  async listJobs() {
+    const jobs = await this.dbManager.listIngestionJobs();
+    return jobs.map(job => this._formatJob(job));
+  }
+
+  async getJob(id) {
+    const job = await this.dbManager.findIngestionJob(id);
+    return job ? this._formatJob(job) : null;
+  }
+
+  /**
+   * Create a job; enabled jobs first run on the next tick
+   * @param {Object} definition - { name, type, query, options, limit, intervalMinutes, enabled }
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(definition) {
+    const fields = this._validateDefinition(definition);
+    const job = await this.dbManager.createIngestionJob({
+      ...fields,
+      nextRunAt: fields.enabled ? new Date() : null
+    });
+    return this._formatJob(job);
+  }
+
+  /**
+   * Change a job's definition; enabling a job or changing its interval reschedules it
+   * @param {string} id - Job ID
+   * @param {Object} changes - Any definition fields
+   * @returns {Promise<Object|null>} Updated job or null if not found
+   */
+  async updateJob(id, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ValidationError('Job changes must be an object');
+    }
+
+    const existing = await this.dbManager.findIngestionJob(id);
+    if (!existing) {
+      return null;
+    }
+
+    const current = Object.fromEntries(DEFINITION_FIELDS.map(field => [field, existing[field]]));
+    const fields = this._validateDefinition({
+      ...current,
+      ...changes,
+      options: changes.options !== undefined ? changes.options : current.options
+    });
+
+    let nextRunAt = existing.nextRunAt;
+    if (!fields.enabled) {
+      nextRunAt = null;
+    } else if (!existing.enabled || fields.intervalMinutes !== existing.intervalMinutes) {
+      nextRunAt = this._nextRunAt(existing.lastRun?.completedAt || new Date(0), fields.intervalMinutes, existing.consecutiveFailures);
+    }
+
+    const job = await this.dbManager.updateIngestionJob(id, { ...fields, nextRunAt });
+    return job ? this._formatJob(job) : null;
+  }
+
+  async deleteJob(id) {
+    const deleted = await this.dbManager.deleteIngestionJob(id);
+    return !!deleted;
+  }
+
+  /**
+   * Run a job now, whether or not it is due or enabled; its schedule restarts from this run
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} { job, run } or null if not found
+   */
+  async runJob(id) {
+    const job = await this.dbManager.findIngestionJob(id);
+    if (!job) {
+      return null;
+    }
+
+    const claimed = await this._claim(job._id, false);
+    if (!claimed) {
+      throw new ValidationError('Job is already running');
+    }
+
+    return this._run(claimed, RunTriggers.MANUAL);
+  }
+
+  /**
+   * Take the job's run claim in MongoDB; null if a run holds it, or (when due) the job is not due
+   * @private
+   */
+  _claim(id, due) {
+    const now = new Date();
+    return this.dbManager.claimIngestionJob(id, { now, until: new Date(now.getTime() + this.claimMs), due });
+  }
+
+  /**
+   * Fetch, skip stored URLs, queue the rest and record the outcome, which releases the claim
+   * @private
+   */
+  async _run(job, trigger) {
+    const id = String(job._id);
+    this.running.add(id);
+
+    const run = {
+      trigger,
+      status: RunStatus.SUCCEEDED,
+      startedAt: new Date(),
+      completedAt: null,
+      fetched: 0,
+      skipped: 0,
+      queued: 0,
+      analysisJobId: null,
+      error: null
+    };
+
+    try {
+      const articles = await this._fetch(job);
+      run.fetched = articles.length;
+
+      // Providers can repeat an article within a page; articles without a URL cannot be stored
+      const byUrl = new Map();
+      for (const article of articles) {
+        if (article?.url && !byUrl.has(article.url)) byUrl.set(article.url, article);
+      }
+      const existing = await this.dbManager.findExistingUrls([...byUrl.keys()]);
+      const fresh = [...byUrl.values()].filter(article => !existing.has(article.url));
+      run.skipped = run.fetched - fresh.length;
+
+      if (fresh.length > 0) {
+        const batch = this.analysisQueue.enqueue(fresh);
+        run.queued = batch.total;
+        run.analysisJobId = batch.id;
+      }
+    } catch (error) {
+      run.status = RunStatus.FAILED;
+      run.error = {
+        message: error.message,
+        type: error.name,
+        statusCode: error.statusCode || 500
+      };
+      console.warn(`IngestionScheduler: job "${job.name}" failed:`, error.message);
+    } finally {
+      this.running.delete(id);
+    }
+
+    run.completedAt = new Date();
+    const consecutiveFailures = run.status === RunStatus.FAILED ? (job.consecutiveFailures || 0) + 1 : 0;
+
+    const updated = await this.dbManager.recordIngestionRun(id, run, {
+      nextRunAt: this._nextRunAt(run.completedAt, job.intervalMinutes, consecutiveFailures),
+      consecutiveFailures,
+      historySize: this.historySize
+    });
+
+    return {
+      job: this._formatJob(updated || job),
+      run
+    };
+  }
+
+  async _fetch(job) {
+    const options = { limit: job.limit };
+    for (const field of OPTION_FIELDS) {
+      if (job.options?.[field]) options[field] = job.options[field];
+    }
+
+    const result = job.type === IngestionJobTypes.SEARCH
+      ? await this.newsClient.searchNews(job.query, options)
+      : await this.newsClient.getTopHeadlines(options);
+
+    return result.articles || [];
+  }
+
+  _nextRunAt(from, intervalMinutes, consecutiveFailures = 0) {
+    const intervals = consecutiveFailures > 0 ? Math.min(2 ** (consecutiveFailures - 1), MAX_BACKOFF_INTERVALS) : 1;
+    const next = new Date(new Date(from).getTime() + intervals * intervalMinutes * 60 * 1000);
+    return next < new Date() ? new Date() : next;
+  }
+
+  _validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new ValidationError('Job definition must be an object');
+    }
+
+    const { name, type, query, options = {}, limit = 20, intervalMinutes, enabled = true } = definition;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      throw new ValidationError('Job name is required and must be at most 100 characters');
+    }
+
+    const types = Object.values(IngestionJobTypes);
+    if (!types.includes(type)) {
+      throw new ValidationError(`Invalid job type. Must be: ${types.join(', ')}`);
+    }
+
+    if (type === IngestionJobTypes.SEARCH && (typeof query !== 'string' || query.trim().length === 0)) {
+      throw new ValidationError('Search jobs require a query');
+    }
+
+    const interval = Number(intervalMinutes);
+    if (!Number.isInteger(interval) || interval < this.minIntervalMinutes || interval > this.maxIntervalMinutes) {
+      throw new ValidationError(`intervalMinutes must be a whole number between ${this.minIntervalMinutes} and ${this.maxIntervalMinutes}`);
+    }
+
+    const limitNum = Number(limit);
+    if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > 100) {
+      throw new ValidationError('limit must be a whole number between 1 and 100');
+    }
+
+    if (typeof enabled !== 'boolean') {
+      throw new ValidationError('enabled must be a boolean');
+    }
+
+    return {
+      name: name.trim(),
+      type,
+      query: type === IngestionJobTypes.SEARCH ? query.trim() : null,
+      options: this._validateOptions(options || {}, type),
+      limit: limitNum,
+      intervalMinutes: interval,
+      enabled
+    };
+  }
+
+  _validateOptions(options, type) {
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new ValidationError('Job options must be an object');
+    }
+
+    const unknown = Object.keys(options).filter(field => !OPTION_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown job options: ${unknown.join(', ')}. Allowed: ${OPTION_FIELDS.join(', ')}`);
+    }
+
+    const validated = {};
+    for (const field of OPTION_FIELDS) {
+      const value = options[field];
+      if (value === undefined || value === null || value === '') {
+        validated[field] = null;
+        continue;
+      }
+      if (typeof value !== 'string') {
+        throw new ValidationError(`Job option ${field} must be a string`);
+      }
+      validated[field] = value;
+    }
+
+    const categories = Object.values(NewsCategory);
+    if (validated.category && !categories.includes(validated.category)) {
+      throw new ValidationError(`Invalid category. Must be: ${categories.join(', ')}`);
+    }
+
+    const sortOptions = Object.values(SortBy);
+    if (validated.sortBy && !sortOptions.includes(validated.sortBy)) {
+      throw new ValidationError(`Invalid sortBy. Must be: ${sortOptions.join(', ')}`);
+    }
+
+    // Fanning out to every provider is only supported for searches
+    const providers = [
+      ...this.newsClient.getAvailableProviders(),
+      ...(type === IngestionJobTypes.SEARCH ? [ALL_PROVIDERS] : [])
+    ];
+    if (validated.provider && !providers.includes(validated.provider)) {
+      throw new ValidationError(`Invalid provider. Must be: ${providers.join(', ')}`);
+    }
+
+    return validated;
+  }
+
+  _formatJob(job) {
+    const id = String(job._id);
+    return {
+      id,
+      name: job.name,
+      type: job.type,
+      query: job.query,
+      options: job.options,
+      limit: job.limit,
+      intervalMinutes: job.intervalMinutes,
+      enabled: job.enabled,
+      running: this.running.has(id) || (!!job.runningUntil && new Date(job.runningUntil) > new Date()),
+      nextRunAt: job.nextRunAt,
+      consecutiveFailures: job.consecutiveFailures || 0,
+      lastRun: job.lastRun || null,
+      recentRuns: job.recentRuns || [],
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+}
+
+module.exports = { IngestionScheduler, IngestionJobTypes, RunStatus, RunTriggers };
@@ -1,20 +1,94 @@
-const OpenAI = require("openai");
+const OpenAIProvider = require('./providers/OpenAIProvider');
+const LocalLLMProvider = require('./providers/LocalLLMProvider');
+const RuleBasedProvider = require('./providers/RuleBasedProvider');
+const { LLMProviderNames } = require('./enums');
 
+/**
+ * LLMClient - Provider-agnostic entry point for LLM calls
+ *
+ * Providers implement:
+ * - name, model
+ * - isReady(): whether the provider is configured
+ * - complete({ systemPrompt, userPrompt, json, task, input }): completion text
+ *
+ * Selection (LLM_PROVIDER overrides): OpenAI-compatible when LLM_API_KEY is set,
+ * otherwise a local server when LOCAL_LLM_URL is set, otherwise the rule-based stand-in.
+ */
 class LLMClient {
   constructor({
+    provider,
+    providerName = process.env.LLM_PROVIDER,
     apiKey = process.env.LLM_API_KEY,
     baseURL = process.env.LLM_API_URL,
     model = process.env.LLM_MODEL || "gpt-4o-mini",
+    localUrl = process.env.LOCAL_LLM_URL,
+    localModel = process.env.LOCAL_LLM_MODEL,
+    localApi = process.env.LOCAL_LLM_API,
     maxRetries = 3,
     maxTokens = 100000,
     retryDelayMs = 1500
   } = {}) {
-    if (!apiKey) throw new Error("Missing LLM_API_KEY");
-    this.client = new OpenAI({ apiKey: apiKey, baseURL: baseURL });
-    this.model = model;
-    this.maxRetries = maxRetries;
+    this.provider = provider || this._createProvider(providerName, {
+      apiKey, baseURL, model, maxTokens, localUrl, localModel, localApi
+    });
+    // Deterministic providers give the same answer every time, so retrying is pointless
+    this.maxRetries = this.provider.deterministic ? 1 : maxRetries;
     this.retryDelayMs = retryDelayMs;
-    this.maxTokens = maxTokens;
+
+    console.log(`LLM Client using ${this.provider.name} provider (${this.provider.model})`);
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  get providerName() {
+    return this.provider.name;
+  }
+
+  getInfo() {
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      deterministic: !!this.provider.deterministic
+    };
+  }
+
+  _createProvider(providerName, config) {
+    const name = providerName || (config.apiKey
+      ? LLMProviderNames.OPENAI
+      : config.localUrl ? LLMProviderNames.LOCAL : LLMProviderNames.RULE_BASED);
+
+    let provider;
+    switch (name) {
+      case LLMProviderNames.OPENAI:
+        provider = new OpenAIProvider({
+          apiKey: config.apiKey,
+          baseURL: config.baseURL,
+          model: config.model,
+          maxTokens: config.maxTokens
+        });
+        break;
+      case LLMProviderNames.LOCAL:
+        provider = new LocalLLMProvider({
+          baseUrl: config.localUrl,
+          model: config.localModel,
+          api: config.localApi
+        });
+        break;
+      case LLMProviderNames.RULE_BASED:
+        provider = new RuleBasedProvider();
+        break;
+      default:
+        throw new Error(`Unknown LLM_PROVIDER "${name}"; use ${Object.values(LLMProviderNames).join(', ')}`);
+    }
+
+    // An explicitly requested provider must not silently degrade to rule-based analysis
+    if (!provider.isReady()) {
+      throw new Error(`LLM provider ${name} is not configured. Set LLM_API_KEY for openai or LOCAL_LLM_URL for local.`);
+    }
+
+    return provider;
   }
 
   async _retry(fn) {
@@ -33,45 +107,47 @@ class LLMClient {
     throw lastErr;
   }
 
-
-  async callLLM(system_prompt, user_prompt) {
-    return this._retry(async () => {
-      const response = await this.client.chat.completions.create({
-        model: this.model,
-        messages: [{ role: "system", content: system_prompt }, { role: "user", content: user_prompt }],
-        temperature: 0.2,
-        max_tokens: this.maxTokens
-      });
-      return response.choices[0]?.message?.content?.trim();
-    });
+  /**
+   * Free-text completion
+   * @param {string} system_prompt
+   * @param {string} user_prompt
+   * @param {Object} options - { task, input } so the rule-based provider can answer
+   */
+  async callLLM(system_prompt, user_prompt, options = {}) {
+    return this._retry(() => this.provider.complete({
+      systemPrompt: system_prompt,
+      userPrompt: user_prompt,
+      json: false,
+      task: options.task,
+      input: options.input
+    }));
   }
 
-  async callLLMJson(system_prompt, user_prompt, schema_validation = null) {
+  /**
+   * JSON completion
+   * @param {string} system_prompt
+   * @param {string} user_prompt
+   * @param {Object} options - { schema, task, input }; schema may be any object with safeParse (e.g. zod)
+   */
+  async callLLMJson(system_prompt, user_prompt, options = {}) {
     return this._retry(async () => {
-      const response = await this.client.chat.completions.create({
-        model: this.model,
-        messages: [
-          { role: "system", content: system_prompt }, 
-          { role: "user", content: user_prompt }
-        ],
-        temperature: 0.1,
-        top_p: 0.9,
-        frequency_penalty: 0,
-        presence_penalty: 0,
-        response_format: { type: "json_object" },
-        max_tokens: 2000
+      const text = await this.provider.complete({
+        systemPrompt: system_prompt,
+        userPrompt: user_prompt,
+        json: true,
+        task: options.task,
+        input: options.input
       });
 
-      let text = response.choices[0]?.message?.content || "{}";
       let parsed;
       try {
-        parsed = JSON.parse(text);
+        parsed = JSON.parse(text || "{}");
       } catch (e) {
         throw new Error("Invalid JSON returned by LLM");
       }
 
-      if (schema_validation) {
-        const valid = schema_validation.safeParse ? schema_validation.safeParse(parsed) : { success: true };
+      if (options.schema) {
+        const valid = options.schema.safeParse ? options.schema.safeParse(parsed) : { success: true, data: parsed };
         if (!valid.success) {
           throw new Error("Validation failed: " + JSON.stringify(valid.error));
         }
@@ -0,0 +1,602 @@
+const { ValidationError } = require('../news/errors/NewsErrors');
+const { SortBy, SearchInOptions, ALL_PROVIDERS } = require('../news/enums');
+
+// What a watch condition measures over the analyzed articles found within its window
+const WatchMetrics = {
+  NEGATIVE_SHARE: 'negative_share',
+  POSITIVE_SHARE: 'positive_share',
+  NEUTRAL_SHARE: 'neutral_share',
+  LEFT_SHARE: 'left_share',
+  CENTER_SHARE: 'center_share',
+  RIGHT_SHARE: 'right_share',
+  ARTICLE_COUNT: 'article_count'
+};
+
+const ConditionOperators = {
+  ABOVE: 'above',
+  BELOW: 'below'
+};
+
+const AlertTypes = {
+  NEW_ARTICLES: 'new_articles',
+  CONDITION: 'condition'
+};
+
+// Metric -> breakdown and key it is the share of
+const SHARE_METRICS = {
+  [WatchMetrics.NEGATIVE_SHARE]: ['sentimentBreakdown', 'negative'],
+  [WatchMetrics.POSITIVE_SHARE]: ['sentimentBreakdown', 'positive'],
+  [WatchMetrics.NEUTRAL_SHARE]: ['sentimentBreakdown', 'neutral'],
+  [WatchMetrics.LEFT_SHARE]: ['politicalBreakdown', 'left'],
+  [WatchMetrics.CENTER_SHARE]: ['politicalBreakdown', 'center'],
+  [WatchMetrics.RIGHT_SHARE]: ['politicalBreakdown', 'right']
+};
+
+const FILTER_FIELDS = ['provider', 'searchIn', 'sortBy', 'country', 'lang'];
+const MAX_ALERT_ARTICLES = 20;
+const MAX_CONDITIONS = 10;
+const MAX_BACKOFF_INTERVALS = 8;
+
+/**
+ * SavedSearches - Named news searches that can be watched for new articles and conditions
+ *
+ * Features:
+ * - A saved search is a query plus the same filters as GET /news/search, run from Agora in one click
+ * - A watched search is checked on its own interval, on a timer of its own so that watchlists keep
+ *   running whatever the ingestion jobs do: articles it has not seen before raise a new_articles
+ *   alert, and new articles not yet stored are queued for analysis
+ * - Conditions such as "negative share above 0.6 in the last 24 hours" are evaluated over the analyzed
+ *   articles the watch has found, and alert once each time they start to hold
+ * - The first check only records what already matches, so enabling a watch does not flood the alerts
+ */
+class SavedSearches {
+  constructor(options = {}) {
+    if (!options.newsClient || !options.dbManager || !options.analysisQueue) {
+      throw new Error('SavedSearches requires a NewsClient, a DatabaseManager and an AnalysisQueue');
+    }
+
+    this.newsClient = options.newsClient;
+    this.dbManager = options.dbManager;
+    this.analysisQueue = options.analysisQueue;
+    this.minIntervalMinutes = options.minIntervalMinutes || 5;
+    this.maxIntervalMinutes = options.maxIntervalMinutes || 7 * 24 * 60;
+    this.tickMs = options.tickMs || 60 * 1000; // how often due watches are looked for
+
+    this.timer = null;
+    this.ticking = false;
+    this.checking = new Set(); // ids of saved searches with a check in progress
+  }
+
+  /**
+   * Start checking due watches every tick
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.checkDue().catch(error => console.warn('SavedSearches: tick failed:', error.message));
+    }, this.tickMs);
+    this.timer.unref?.(); // never keeps the process alive on its own
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async list() {
+    const searches = await this.dbManager.listSavedSearches();
+    return searches.map(search => this._format(search));
+  }
+
+  async get(id) {
+    const search = await this.dbManager.findSavedSearch(id);
+    return search ? this._format(search) : null;
+  }
+
+  /**
+   * Save a search; a watched search is first checked on the next tick
+   * @param {Object} definition - { name, query, filters, watch: { enabled, intervalMinutes, limit, conditions } }
+   * @returns {Promise<Object>} Saved search
+   */
+  async create(definition) {
+    const fields = this._validateDefinition(definition);
+    const search = await this.dbManager.createSavedSearch({
+      ...fields,
+      nextCheckAt: fields.watch.enabled ? new Date() : null
+    });
+    return this._format(search);
+  }
+
+  /**
+   * Change a saved search; a changed query or filters start a fresh baseline of seen articles
+   * @param {string} id - Saved search ID
+   * @param {Object} changes - Any of name, query, filters, watch (watch fields merge with the current ones)
+   * @returns {Promise<Object|null>} Updated saved search or null if not found
+   */
+  async update(id, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ValidationError('Saved search changes must be an object');
+    }
+
+    const existing = await this.dbManager.findSavedSearch(id);
+    if (!existing) {
+      return null;
+    }
+
+    const fields = this._validateDefinition({
+      name: changes.name ?? existing.name,
+      query: changes.query ?? existing.query,
+      filters: changes.filters ?? existing.filters,
+      watch: { ...existing.watch, ...changes.watch }
+    });
+
+    // Condition state carries over only for conditions left as they were
+    fields.watch.conditions = fields.watch.conditions.map(condition => {
+      const previous = (existing.watch?.conditions || []).find(candidate => this._sameCondition(candidate, condition));
+      return previous ? { ...condition, met: previous.met, lastValue: previous.lastValue } : condition;
+    });
+
+    const updates = { ...fields };
+    const freshBaseline = fields.query !== existing.query ||
+      JSON.stringify(fields.filters) !== JSON.stringify(this._validateFilters(existing.filters || {}));
+    if (freshBaseline) {
+      updates.lastCheck = null;
+    }
+
+    const wasWatched = existing.watch?.enabled;
+    if (!fields.watch.enabled) {
+      updates.nextCheckAt = null;
+    } else if (!wasWatched || freshBaseline || fields.watch.intervalMinutes !== existing.watch.intervalMinutes) {
+      updates.nextCheckAt = freshBaseline
+        ? new Date()
+        : this._nextCheckAt(existing.lastCheck?.completedAt || new Date(0), fields.watch.intervalMinutes, existing.consecutiveFailures);
+    }
+
+    const search = await this.dbManager.updateSavedSearch(id, updates);
+    if (search && freshBaseline) {
+      await this.dbManager.clearSeenUrls(id);
+    }
+    return search ? this._format(search) : null;
+  }
+
+  async remove(id) {
+    const deleted = await this.dbManager.deleteSavedSearch(id);
+    return !!deleted;
+  }
+
+  /**
+   * Check every watched search that is due, one after another
+   * @returns {Promise<Array<Object>>} Outcome of each check
+   */
+  async checkDue() {
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    try {
+      const due = await this.dbManager.findDueSavedSearches(new Date());
+      const checks = [];
+      for (const search of due) {
+        if (this.checking.has(String(search._id))) continue;
+        checks.push(await this._check(search, 'schedule'));
+      }
+      return checks;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Check a saved search now, watched or not; a watch's schedule restarts from this check
+   * @param {string} id - Saved search ID
+   * @returns {Promise<Object|null>} { search, check, alerts } or null if not found
+   */
+  async checkNow(id) {
+    const search = await this.dbManager.findSavedSearch(id);
+    if (!search) {
+      return null;
+    }
+    if (this.checking.has(String(search._id))) {
+      throw new ValidationError('Saved search is already being checked');
+    }
+
+    return this._check(search, 'manual');
+  }
+
+  /**
+   * Alerts, newest first, with the number still unread
+   * @param {Object} options - { savedSearch, unread, page, limit }
+   */
+  async listAlerts(options = {}) {
+    const result = await this.dbManager.listAlerts(options);
+    return {
+      ...result,
+      alerts: result.alerts.map(alert => this._formatAlert(alert))
+    };
+  }
+
+  async setAlertRead(id, read = true) {
+    if (typeof read !== 'boolean') {
+      throw new ValidationError('read must be a boolean');
+    }
+    const alert = await this.dbManager.setAlertRead(id, read);
+    return alert ? this._formatAlert(alert) : null;
+  }
+
+  async markAlertsRead(options = {}) {
+    return await this.dbManager.markAlertsRead(options);
+  }
+
+  /**
+   * Search, record what is new, queue it for analysis, evaluate conditions and raise alerts
+   * @private
+   */
+  async _check(search, trigger) {
+    const id = String(search._id);
+    this.checking.add(id);
+
+    const check = {
+      trigger,
+      status: 'succeeded',
+      startedAt: new Date(),
+      completedAt: null,
+      fetched: 0,
+      newArticles: 0,
+      queued: 0,
+      alerts: 0,
+      error: null
+    };
+    let newUrls = [];
+    let conditions;
+    let alerts = [];
+
+    try {
+      const articles = await this._search(search);
+      check.fetched = articles.length;
+
+      const found = new Map();
+      for (const article of articles) {
+        if (article?.url && !found.has(article.url)) found.set(article.url, article);
+      }
+      const seen = found.size > 0 ? await this.dbManager.findSeenUrls(id, [...found.keys()]) : new Set();
+      const fresh = new Map([...found].filter(([url]) => !seen.has(url)));
+      newUrls = [...fresh.keys()];
+      check.newArticles = newUrls.length;
+
+      if (newUrls.length > 0) {
+        const stored = await this.dbManager.findExistingUrls(newUrls);
+        const toAnalyze = [...fresh.values()].filter(article => !stored.has(article.url));
+        if (toAnalyze.length > 0) {
+          check.queued = this.analysisQueue.enqueue(toAnalyze).total;
+        }
+      }
+
+      // The first successful check is the baseline: what already matches is not news
+      const isBaseline = search.lastCheck?.status !== 'succeeded' && !(await this.dbManager.hasSeenUrls(id));
+      if (!isBaseline && newUrls.length > 0) {
+        alerts.push(this._newArticlesAlert(search, [...fresh.values()]));
+      }
+
+      const evaluated = await this._evaluateConditions(search, newUrls, check.startedAt);
+      conditions = evaluated.conditions;
+      alerts.push(...evaluated.alerts);
+
+      if (alerts.length > 0) {
+        alerts = await this.dbManager.createAlerts(alerts);
+        check.alerts = alerts.length;
+      }
+    } catch (error) {
+      check.status = 'failed';
+      check.error = {
+        message: error.message,
+        type: error.name,
+        statusCode: error.statusCode || 500
+      };
+      newUrls = [];
+      alerts = [];
+      conditions = undefined;
+      console.warn(`SavedSearches: check of "${search.name}" failed:`, error.message);
+    } finally {
+      this.checking.delete(id);
+    }
+
+    check.completedAt = new Date();
+    const consecutiveFailures = check.status === 'failed' ? (search.consecutiveFailures || 0) + 1 : 0;
+
+    const updated = await this.dbManager.recordSavedSearchCheck(id, check, {
+      newUrls,
+      conditions,
+      nextCheckAt: this._nextCheckAt(check.completedAt, search.watch?.intervalMinutes || 60, consecutiveFailures),
+      consecutiveFailures
+    });
+
+    return {
+      search: this._format(updated || search),
+      check,
+      alerts: alerts.map(alert => this._formatAlert(alert))
+    };
+  }
+
+  async _search(search) {
+    const options = { limit: search.watch?.limit || 20 };
+    for (const field of FILTER_FIELDS) {
+      if (search.filters?.[field]) options[field] = search.filters[field];
+    }
+
+    const result = await this.newsClient.searchNews(search.query, options);
+    return result.articles || [];
+  }
+
+  _newArticlesAlert(search, articles) {
+    return {
+      savedSearch: search._id,
+      searchName: search.name,
+      type: AlertTypes.NEW_ARTICLES,
+      message: `${articles.length} new ${articles.length === 1 ? 'article matches' : 'articles match'} "${search.query}"`,
+      articles: articles.slice(0, MAX_ALERT_ARTICLES).map(article => ({
+        title: article.title,
+        url: article.url,
+        source: article.source?.name || null,
+        publishedAt: article.publishedAt || null
+      }))
+    };
+  }
+
+  /**
+   * Evaluate each condition over the analyzed articles among the watch's URLs; alert when one starts to hold.
+   * An article published within a window was first seen within it too, so only those URLs are summarized.
+   * @private
+   */
+  async _evaluateConditions(search, newUrls, now) {
+    const conditions = [];
+    const alerts = [];
+
+    for (const condition of search.watch?.conditions || []) {
+      const since = new Date(now.getTime() - condition.windowHours * 60 * 60 * 1000);
+      const seenUrls = await this.dbManager.listSeenUrls(String(search._id), { since });
+      const summary = await this.dbManager.summarizeArticlesByUrl([...seenUrls, ...newUrls], { since });
+      const value = this._metricValue(condition.metric, summary);
+
+      // Shares over a handful of articles say little; leave the condition as it was
+      const enough = condition.metric === WatchMetrics.ARTICLE_COUNT || summary.articleCount >= condition.minArticles;
+      const met = enough
+        ? (condition.operator === ConditionOperators.ABOVE ? value > condition.threshold : value < condition.threshold)
+        : condition.met;
+
+      if (met && !condition.met) {
+        alerts.push({
+          savedSearch: search._id,
+          searchName: search.name,
+          type: AlertTypes.CONDITION,
+          message: this._describeCondition(condition, value, summary.articleCount),
+          condition: {
+            metric: condition.metric,
+            operator: condition.operator,
+            threshold: condition.threshold,
+            windowHours: condition.windowHours,
+            value,
+            articleCount: summary.articleCount
+          }
+        });
+      }
+
+      conditions.push({ ...condition, met, lastValue: enough ? value : condition.lastValue });
+    }
+
+    return { conditions, alerts };
+  }
+
+  _metricValue(metric, summary) {
+    if (metric === WatchMetrics.ARTICLE_COUNT) {
+      return summary.articleCount;
+    }
+    const [breakdown, key] = SHARE_METRICS[metric];
+    return summary.articleCount > 0
+      ? Math.round(((summary[breakdown][key] || 0) / summary.articleCount) * 1000) / 1000
+      : 0;
+  }
+
+  _describeCondition(condition, value, articleCount) {
+    const label = condition.metric.replace('_', ' ');
+    const window = `the last ${condition.windowHours} hours`;
+
+    if (condition.metric === WatchMetrics.ARTICLE_COUNT) {
+      return `${value} analyzed articles in ${window}, ${condition.operator} ${condition.threshold}`;
+    }
+    return `${label} is ${Math.round(value * 100)}% across ${articleCount} analyzed articles in ${window}, ` +
+      `${condition.operator} ${Math.round(condition.threshold * 100)}%`;
+  }
+
+  _sameCondition(a, b) {
+    return ['metric', 'operator', 'threshold', 'windowHours', 'minArticles'].every(field => a[field] === b[field]);
+  }
+
+  _nextCheckAt(from, intervalMinutes, consecutiveFailures = 0) {
+    const intervals = consecutiveFailures > 0 ? Math.min(2 ** (consecutiveFailures - 1), MAX_BACKOFF_INTERVALS) : 1;
+    const next = new Date(new Date(from).getTime() + intervals * intervalMinutes * 60 * 1000);
+    return next < new Date() ? new Date() : next;
+  }
+
+  _validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new ValidationError('Saved search must be an object');
+    }
+
+    const { name, query, filters = {}, watch = {} } = definition;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      throw new ValidationError('Name is required and must be at most 100 characters');
+    }
+    if (typeof query !== 'string' || query.trim().length === 0 || query.length > 500) {
+      throw new ValidationError('Query is required and must be at most 500 characters');
+    }
+
+    return {
+      name: name.trim(),
+      query: query.trim(),
+      filters: this._validateFilters(filters || {}),
+      watch: this._validateWatch(watch || {})
+    };
+  }
+
+  _validateFilters(filters) {
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      throw new ValidationError('Filters must be an object');
+    }
+
+    const unknown = Object.keys(filters).filter(field => !FILTER_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown filters: ${unknown.join(', ')}. Allowed: ${FILTER_FIELDS.join(', ')}`);
+    }
+
+    const validated = {};
+    for (const field of FILTER_FIELDS) {
+      const value = filters[field];
+      if (value === undefined || value === null || value === '') {
+        validated[field] = null;
+        continue;
+      }
+      if (typeof value !== 'string') {
+        throw new ValidationError(`Filter ${field} must be a string`);
+      }
+      validated[field] = value;
+    }
+
+    const searchIn = Object.values(SearchInOptions);
+    if (validated.searchIn && !searchIn.includes(validated.searchIn)) {
+      throw new ValidationError(`Invalid searchIn. Must be: ${searchIn.join(', ')}`);
+    }
+
+    const sortOptions = Object.values(SortBy);
+    if (validated.sortBy && !sortOptions.includes(validated.sortBy)) {
+      throw new ValidationError(`Invalid sortBy. Must be: ${sortOptions.join(', ')}`);
+    }
+
+    const providers = [...this.newsClient.getAvailableProviders(), ALL_PROVIDERS];
+    if (validated.provider && !providers.includes(validated.provider)) {
+      throw new ValidationError(`Invalid provider. Must be: ${providers.join(', ')}`);
+    }
+
+    return validated;
+  }
+
+  _validateWatch(watch) {
+    if (typeof watch !== 'object' || Array.isArray(watch)) {
+      throw new ValidationError('Watch settings must be an object');
+    }
+
+    const { enabled = false, intervalMinutes = 60, limit = 20, conditions = [] } = watch;
+
+    if (typeof enabled !== 'boolean') {
+      throw new ValidationError('watch.enabled must be a boolean');
+    }
+
+    const interval = Number(intervalMinutes);
+    if (!Number.isInteger(interval) || interval < this.minIntervalMinutes || interval > this.maxIntervalMinutes) {
+      throw new ValidationError(`watch.intervalMinutes must be a whole number between ${this.minIntervalMinutes} and ${this.maxIntervalMinutes}`);
+    }
+
+    const limitNum = Number(limit);
+    if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > 100) {
+      throw new ValidationError('watch.limit must be a whole number between 1 and 100');
+    }
+
+    if (!Array.isArray(conditions) || conditions.length > MAX_CONDITIONS) {
+      throw new ValidationError(`watch.conditions must be an array of at most ${MAX_CONDITIONS} conditions`);
+    }
+
+    return {
+      enabled,
+      intervalMinutes: interval,
+      limit: limitNum,
+      conditions: conditions.map(condition => this._validateCondition(condition))
+    };
+  }
+
+  _validateCondition(condition) {
+    if (!condition || typeof condition !== 'object') {
+      throw new ValidationError('Each condition must be an object');
+    }
+
+    const { metric, operator, threshold, windowHours = 24, minArticles = 5 } = condition;
+
+    const metrics = Object.values(WatchMetrics);
+    if (!metrics.includes(metric)) {
+      throw new ValidationError(`Invalid condition metric. Must be: ${metrics.join(', ')}`);
+    }
+
+    const operators = Object.values(ConditionOperators);
+    if (!operators.includes(operator)) {
+      throw new ValidationError(`Invalid condition operator. Must be: ${operators.join(', ')}`);
+    }
+
+    const value = Number(threshold);
+    const isShare = metric !== WatchMetrics.ARTICLE_COUNT;
+    if (typeof threshold === 'boolean' || !Number.isFinite(value) || value < 0 || (isShare && value > 1)) {
+      throw new ValidationError(isShare
+        ? 'Share thresholds must be between 0.0 and 1.0 (e.g. 0.6 for 60%)'
+        : 'Article count thresholds must be 0 or more');
+    }
+
+    const hours = Number(windowHours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 24 * 30) {
+      throw new ValidationError('Condition windowHours must be a whole number between 1 and 720');
+    }
+
+    const minimum = Number(minArticles);
+    if (!Number.isInteger(minimum) || minimum < 1) {
+      throw new ValidationError('Condition minArticles must be a whole number of at least 1');
+    }
+
+    return {
+      metric,
+      operator,
+      threshold: value,
+      windowHours: hours,
+      minArticles: minimum,
+      met: false,
+      lastValue: null
+    };
+  }
+
+  _format(search) {
+    return {
+      id: String(search._id),
+      name: search.name,
+      query: search.query,
+      filters: search.filters,
+      watch: {
+        enabled: search.watch?.enabled || false,
+        intervalMinutes: search.watch?.intervalMinutes,
+        limit: search.watch?.limit,
+        conditions: search.watch?.conditions || []
+      },
+      checking: this.checking.has(String(search._id)),
+      nextCheckAt: search.nextCheckAt,
+      lastCheck: search.lastCheck || null,
+      consecutiveFailures: search.consecutiveFailures || 0,
+      unreadAlerts: search.unreadAlerts,
+      createdAt: search.createdAt,
+      updatedAt: search.updatedAt
+    };
+  }
+
+  _formatAlert(alert) {
+    return {
+      id: String(alert._id),
+      savedSearchId: String(alert.savedSearch),
+      searchName: alert.searchName,
+      type: alert.type,
+      message: alert.message,
+      articles: alert.articles || [],
+      condition: alert.type === AlertTypes.CONDITION ? alert.condition : null,
+      read: alert.read,
+      readAt: alert.readAt,
+      createdAt: alert.createdAt
+    };
+  }
+}
+
+module.exports = { SavedSearches, WatchMetrics, ConditionOperators, AlertTypes };
@@ -0,0 +1,211 @@
+const { ValidationError } = require('../news/errors/NewsErrors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Function words that say nothing about which event an article covers
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'that', 'with', 'this', 'from', 'are', 'was', 'were', 'has', 'have', 'had',
+  'but', 'not', 'its', 'his', 'her', 'their', 'they', 'them', 'she', 'him', 'you', 'who', 'what',
+  'when', 'where', 'which', 'while', 'will', 'would', 'could', 'should', 'can', 'may', 'might', 'been',
+  'being', 'into', 'over', 'after', 'before', 'about', 'than', 'then', 'also', 'more', 'most', 'some',
+  'such', 'only', 'other', 'out', 'our', 'all', 'any', 'one', 'two', 'new', 'said', 'says', 'say',
+  'according', 'just', 'like', 'there', 'here', 'these', 'those', 'because', 'year', 'years', 'week',
+  'day', 'days', 'now', 'how', 'why', 'did', 'does', 'get', 'got', 'make', 'made', 'first', 'last',
+  'people', 'time', 'news', 'report', 'reported', 'reports', 'told', 'amid', 'per', 'via', 'chars',
+  'off', 'again', 'against', 'still', 'back', 'under', 'during', 'through', 'between', 'very'
+]);
+
+// Headlines and entities carry more signal about the event than body text
+const FIELD_WEIGHTS = { title: 3, description: 2, content: 1, entity: 2 };
+
+// Body text beyond the opening paragraphs adds noise rather than signal
+const MAX_CONTENT_CHARS = 3000;
+
+const MAX_TERMS = 40;
+
+/**
+ * Weighted terms describing what an article is about, stored on the article for clustering
+ * @param {Object} article - Article with title, description, content/fullText and entities
+ * @returns {Array<Object>} [{ term, weight }] heaviest first
+ */
+function storyTerms(article) {
+  const weights = new Map();
+  const add = (term, weight) => weights.set(term, (weights.get(term) || 0) + weight);
+
+  for (const token of tokenize(article.title)) add(token, FIELD_WEIGHTS.title);
+  for (const token of tokenize(article.description)) add(token, FIELD_WEIGHTS.description);
+  for (const token of tokenize((article.fullText || article.content || '').slice(0, MAX_CONTENT_CHARS))) {
+    add(token, FIELD_WEIGHTS.content);
+  }
+  // Multi-word entities ("joe biden") are one term, so shared entities count beyond their words
+  for (const entity of article.entities || []) {
+    if (entity.normalized?.includes(' ')) add(entity.normalized, FIELD_WEIGHTS.entity);
+  }
+
+  return [...weights.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_TERMS)
+    .map(([term, weight]) => ({ term, weight }));
+}
+
+function tokenize(text) {
+  return ((text || '').toLowerCase().match(/\p{L}[\p{L}\p{N}'-]*/gu) || [])
+    .map(token => token.replace(/['’]s$/, ''))
+    .filter(token => token.length >= 3 && !STOPWORDS.has(token));
+}
+
+/**
+ * Inverse document frequency of every term, over the documents being compared
+ * @param {Array<Array<Object>>} documents - Term lists
+ * @returns {Map<string, number>}
+ */
+function inverseDocumentFrequency(documents) {
+  const frequency = new Map();
+  for (const terms of documents) {
+    for (const { term } of terms) frequency.set(term, (frequency.get(term) || 0) + 1);
+  }
+
+  const idf = new Map();
+  for (const [term, count] of frequency) {
+    idf.set(term, Math.log((documents.length + 1) / (count + 1)) + 1);
+  }
+  return idf;
+}
+
+// Unit-length TF-IDF vector
+function tfidfVector(terms, idf) {
+  const vector = new Map();
+  for (const { term, weight } of terms) {
+    vector.set(term, weight * (idf.get(term) || 1));
+  }
+  return normalize(vector);
+}
+
+function centroid(vectors) {
+  const sum = new Map();
+  for (const vector of vectors) {
+    for (const [term, value] of vector) sum.set(term, (sum.get(term) || 0) + value);
+  }
+  return normalize(sum);
+}
+
+function normalize(vector) {
+  const length = Math.sqrt([...vector.values()].reduce((total, value) => total + value * value, 0));
+  if (length === 0) return vector;
+  for (const [term, value] of vector) vector.set(term, value / length);
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, value] of small) {
+    dot += value * (large.get(term) || 0);
+  }
+  return dot;
+}
+
+/**
+ * StoryClusterer - Groups analyzed articles about the same event into stories
+ *
+ * Each new article is compared, by TF-IDF cosine similarity of its terms, with the centroid
+ * of every story that has articles published within the time window around it. It joins the
+ * most similar story above the threshold, or starts a new one. Everything is computed locally.
+ */
+class StoryClusterer {
+  constructor(options = {}) {
+    if (!options.dbManager) {
+      throw new Error('StoryClusterer requires a DatabaseManager instance');
+    }
+
+    this.dbManager = options.dbManager;
+    this.threshold = parseFloat(options.threshold ?? process.env.STORY_SIMILARITY_THRESHOLD) || 0.35;
+    this.windowHours = parseFloat(options.windowHours ?? process.env.STORY_WINDOW_HOURS) || 72;
+    this.maxCandidates = options.maxCandidates || 1000;
+  }
+
+  /**
+   * Assign an analyzed article to the most similar story in its time window, or to a new story
+   * @param {Object} article - Saved article
+   * @returns {Promise<Object>} { storyId, created, similarity }
+   */
+  async assignArticle(article) {
+    const terms = storyTerms(article);
+    const publishedAt = new Date(article.publishedAt || article.analyzedAt || Date.now());
+    const windowMs = this.windowHours * HOUR_MS;
+
+    const candidates = await this.dbManager.findStoryCandidates({
+      excludeId: article._id,
+      from: new Date(publishedAt.getTime() - windowMs),
+      to: new Date(publishedAt.getTime() + windowMs),
+      limit: this.maxCandidates
+    });
+
+    const idf = inverseDocumentFrequency([terms, ...candidates.map(candidate => candidate.storyTerms || [])]);
+    const vector = tfidfVector(terms, idf);
+
+    const members = new Map();
+    for (const candidate of candidates) {
+      const storyId = String(candidate.story);
+      if (!members.has(storyId)) members.set(storyId, []);
+      members.get(storyId).push(tfidfVector(candidate.storyTerms || [], idf));
+    }
+
+    let best = null;
+    for (const [storyId, vectors] of members) {
+      const storyCentroid = centroid(vectors);
+      const similarity = cosine(vector, storyCentroid);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+        best = { storyId, similarity, centroid: centroid([...vectors, vector]) };
+      }
+    }
+
+    if (!best) {
+      const story = await this.dbManager.createStory({
+        title: article.title,
+        keywords: this._keywords(vector)
+      });
+      await this.dbManager.assignArticleToStory(article._id, story._id, terms);
+      return { storyId: story._id, created: true, similarity: null };
+    }
+
+    await this.dbManager.assignArticleToStory(article._id, best.storyId, terms, {
+      keywords: this._keywords(best.centroid)
+    });
+    return { storyId: best.storyId, created: false, similarity: Math.round(best.similarity * 1000) / 1000 };
+  }
+
+  /**
+   * Cluster analyzed articles that have no story yet (e.g. analyzed before clustering existed)
+   * @param {Object} options - { limit } maximum number of articles to assign
+   * @returns {Promise<Object>} { assigned, created }
+   */
+  async assignPending({ limit = 200 } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      throw new ValidationError('Limit must be an integer between 1 and 1000');
+    }
+
+    // Oldest first, so each article can join stories started by earlier coverage
+    const articles = await this.dbManager.findArticlesWithoutStory({ limit });
+    let created = 0;
+    for (const article of articles) {
+      const result = await this.assignArticle(article);
+      if (result.created) created++;
+    }
+
+    return { assigned: articles.length, created };
+  }
+
+  // Highest-weighted centroid terms, used to label a story
+  _keywords(vector, limit = 8) {
+    return [...vector.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([term]) => term);
+  }
+}
+
+module.exports = {
+  StoryClusterer,
+  storyTerms
+};
@@ -0,0 +1,413 @@
+const { ValidationError, ExternalAPIError } = require('../news/errors/NewsErrors');
+const { LLMTasks } = require('./enums');
+const { estimateTokens } = require('./chunking');
+const { ClaimTypes } = require('./claims');
+const { isLanguageCode } = require('./language');
+
+const BRIEFING_FORMAT = `Response format (JSON only):
+{
+  "headline": "One line naming the topic and its main development",
+  "overview": "3-5 sentence overview of what the press is reporting",
+  "keyDevelopments": [
+    { "text": "One development, in one or two sentences", "articles": ["A1", "A4"] }
+  ],
+  "perspectives": [
+    { "viewpoint": "One angle or position taken in the coverage", "articles": ["A2"] }
+  ]
+}`;
+
+const SYSTEM_PROMPT = `You are an expert media analyst writing a briefing on how the press is covering a topic. You are given digests of several analyzed news articles, each labelled A1, A2, ...
+
+Produce:
+1. A one-line headline for the topic
+2. A short overview of what is being reported
+3. The key developments, most important first
+4. The range of perspectives: the distinct angles, positions and framings outlets take
+
+Guidelines:
+- Use only what the digests say; never add outside knowledge
+- Cite every development and perspective with the labels of the articles that report it
+- Refer to articles only by their labels, never by title
+- Describe perspectives neutrally, without judging which is right
+- Keep lists short: at most 8 developments and 6 perspectives
+- Always respond with valid JSON in the exact format specified
+
+${BRIEFING_FORMAT}`;
+
+const REDUCE_PROMPT = `You are an expert media analyst. Several partial briefings cover different articles about the same topic. Merge them into one briefing.
+
+Guidelines:
+- Combine developments and perspectives that say the same thing, keeping the article labels of all of them
+- Keep every article label exactly as given (A1, A2, ...); never invent labels
+- Order developments by importance and by how many articles report them
+- Use only what the partial briefings say; never add outside knowledge
+- Keep lists short: at most 8 developments and 6 perspectives
+- Always respond with valid JSON in the exact format specified
+
+${BRIEFING_FORMAT}`;
+
+// Claims per article digest; digests stay short so one call covers many articles
+const MAX_DIGEST_CLAIMS = 3;
+
+// Search filters a synopsis selection accepts, by the type each one takes
+const TEXT_FILTERS = ['title', 'description', 'content', 'entity', 'claim', 'sourceName', 'sourceUrl'];
+const ENUM_FILTERS = {
+  sentiment: ['positive', 'neutral', 'negative'],
+  politicalBias: ['left', 'center', 'right'],
+  claimType: ClaimTypes
+};
+const NUMBER_FILTERS = [
+  'minConfidence', 'maxConfidence', 'minPoliticalScore', 'maxPoliticalScore',
+  'minSensationalism', 'maxSensationalism', 'minConsistency', 'maxConsistency'
+];
+const DATE_FILTERS = ['dateFrom', 'dateTo', 'publishedFrom', 'publishedTo'];
+// Accepted for compatibility with search criteria, but the selection is ours to make
+const IGNORED_CRITERIA = ['page', 'limit', 'fields', 'includeContent', 'sortBy', 'sortOrder'];
+
+/**
+ * TopicSynopsis - Multi-source briefing over the analyzed articles matching a search
+ *
+ * Features:
+ * - Selects articles with the same criteria as the search endpoint, most recently published first
+ * - Works from each article's stored analysis (summary, claims, verdicts), not its full text
+ * - Selections over the token budget are briefed batch by batch and the partial briefings merged,
+ *   in as many rounds as it takes to fit
+ * - Sentiment, bias and framing distributions are counted from the stored verdicts, not asked of the model
+ * - Developments and perspectives cite article ids; citations of articles the model was not shown are dropped
+ */
+class TopicSynopsis {
+  constructor(options = {}) {
+    if (!options.llmClient || !options.dbManager) {
+      throw new Error('TopicSynopsis requires an LLMClient and a DatabaseManager');
+    }
+
+    this.llmClient = options.llmClient;
+    this.dbManager = options.dbManager;
+    this.defaultArticles = options.defaultArticles || 40;
+    this.maxArticles = options.maxArticles || 200;
+    this.batchTokens = options.batchTokens || 6000; // digest text per LLM call
+    this.systemPrompt = SYSTEM_PROMPT;
+    this.reducePrompt = REDUCE_PROMPT;
+  }
+
+  /**
+   * Brief the coverage of the articles matching a search
+   * @param {Object} request - { criteria, maxArticles } where criteria is what DatabaseManager.searchArticles accepts
+   * @returns {Promise<Object|null>} Briefing, or null if no analyzed article matches
+   */
+  async synthesize({ criteria = {}, maxArticles } = {}) {
+    if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+      throw new ValidationError('Criteria must be an object');
+    }
+
+    const limit = maxArticles === undefined ? this.defaultArticles : parseInt(maxArticles);
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxArticles) {
+      throw new ValidationError(`maxArticles must be between 1 and ${this.maxArticles}`);
+    }
+
+    // The selection is ours to make: newest first, without full text
+    const filters = this._parseCriteria(criteria);
+    const result = await this.dbManager.searchArticles({
+      ...filters,
+      page: 1,
+      limit,
+      sortBy: 'publishedAt',
+      sortOrder: -1,
+      includeContent: false
+    });
+
+    if (result.articles.length === 0) {
+      return null;
+    }
+
+    // Oldest first, so labels follow the order the coverage came out in
+    const articles = [...result.articles].sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+    const digests = articles.map((article, index) => this._digest(article, `A${index + 1}`));
+    const batches = this._packBatches(digests, digest => digest.tokens);
+
+    let briefings = [];
+    for (const batch of batches) {
+      briefings.push(await this._briefBatch(batch));
+    }
+
+    // Merge partial briefings, several at a time, until one is left
+    let rounds = 0;
+    while (briefings.length > 1) {
+      // At least two per group, so every round shrinks the list even when briefings are long
+      const groups = this._packBatches(briefings, briefing => estimateTokens(JSON.stringify(briefing)), 2);
+      const merged = [];
+      for (const group of groups) {
+        merged.push(group.length === 1 ? group[0] : await this._mergeBriefings(group));
+      }
+      briefings = merged;
+      rounds++;
+    }
+
+    return this._formatBriefing(briefings[0], digests, {
+      criteria: filters,
+      totalMatches: result.pagination.totalResults,
+      stages: batches.length > 1 ? 1 + rounds : 1,
+      batches: batches.length
+    });
+  }
+
+  /**
+   * Known search filters with their values checked and coerced, so only plain strings, numbers
+   * and dates reach the query
+   * @private
+   */
+  _parseCriteria(criteria) {
+    const filters = {};
+
+    for (const [key, value] of Object.entries(criteria)) {
+      if (IGNORED_CRITERIA.includes(key) || value === undefined || value === null || value === '') {
+        continue;
+      }
+
+      if (TEXT_FILTERS.includes(key)) {
+        if (typeof value !== 'string') {
+          throw new ValidationError(`Criterion ${key} must be a string`);
+        }
+        filters[key] = value;
+      } else if (ENUM_FILTERS[key]) {
+        if (!ENUM_FILTERS[key].includes(value)) {
+          throw new ValidationError(`Invalid ${key}. Must be: ${ENUM_FILTERS[key].join(', ')}`);
+        }
+        filters[key] = value;
+      } else if (key === 'language') {
+        if (typeof value !== 'string' || !isLanguageCode(value)) {
+          throw new ValidationError('Invalid language. Must be an ISO 639-1 code (e.g. en, es)');
+        }
+        filters[key] = value;
+      } else if (NUMBER_FILTERS.includes(key)) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          throw new ValidationError(`Criterion ${key} must be a number`);
+        }
+        filters[key] = number;
+      } else if (DATE_FILTERS.includes(key)) {
+        const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+          throw new ValidationError(`Criterion ${key} must be a date`);
+        }
+        filters[key] = date;
+      } else {
+        throw new ValidationError(`Unknown criterion ${key}`);
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * What the model sees of one article
+   * @private
+   */
+  _digest(article, label) {
+    const digest = {
+      label,
+      article,
+      source: article.source?.name || 'Unknown',
+      title: article.title,
+      publishedAt: new Date(article.publishedAt).toISOString(),
+      summary: article.summary || article.description || '',
+      sentiment: article.sentiment?.score || null,
+      politicalBias: article.sentiment?.politicalBias || null,
+      framing: article.framing || null,
+      claims: (article.claims || [])
+        .filter(claim => claim.type !== 'opinion')
+        .slice(0, MAX_DIGEST_CLAIMS)
+        .map(claim => claim.text)
+    };
+    digest.text = this._digestText(digest);
+    digest.tokens = estimateTokens(digest.text);
+    return digest;
+  }
+
+  _digestText(digest) {
+    const lines = [
+      `[${digest.label}] Source: ${digest.source}`,
+      `Title: ${digest.title}`,
+      `Published: ${digest.publishedAt}`,
+      `Verdict: ${digest.sentiment || 'unknown'} sentiment, ${digest.politicalBias || 'unknown'} bias, ${digest.framing || 'unknown'} framing`,
+      `Summary: ${digest.summary}`
+    ];
+    if (digest.claims.length > 0) {
+      lines.push(`Claims: ${digest.claims.join(' | ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Consecutive groups within the token budget, each of at least minSize items (an oversized item gets a group of its own)
+   * @private
+   */
+  _packBatches(items, tokensOf, minSize = 1) {
+    const batches = [];
+    let current = [];
+    let tokens = 0;
+
+    for (const item of items) {
+      const itemTokens = tokensOf(item);
+      if (current.length >= minSize && tokens + itemTokens > this.batchTokens) {
+        batches.push(current);
+        current = [];
+        tokens = 0;
+      }
+      current.push(item);
+      tokens += itemTokens;
+    }
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    return batches;
+  }
+
+  async _briefBatch(digests) {
+    const userPrompt = `BRIEF THE COVERAGE OF THIS TOPIC ACROSS ${digests.length} ARTICLES:
+
+${digests.map(digest => digest.text).join('\n\n---\n\n')}
+
+Provide the briefing in the specified JSON format, citing articles by label.`;
+
+    try {
+      const response = await this.llmClient.callLLMJson(this.systemPrompt, userPrompt, {
+        task: LLMTasks.TOPIC_SYNOPSIS,
+        input: {
+          articles: digests.map(({ label, source, title, summary, sentiment, politicalBias, framing, claims }) => ({
+            label, source, title, summary, sentiment, politicalBias, framing, claims
+          }))
+        }
+      });
+
+      return this._validateBriefing(response, digests.map(digest => digest.label));
+    } catch (error) {
+      throw new ExternalAPIError('Topic synopsis', error);
+    }
+  }
+
+  async _mergeBriefings(briefings) {
+    const labels = [...new Set(briefings.flatMap(briefing => briefing.labels))];
+    const userPrompt = `MERGE THESE ${briefings.length} PARTIAL BRIEFINGS INTO ONE:
+
+${briefings.map((briefing, index) => `Partial briefing ${index + 1} (articles ${briefing.labels.join(', ')}):
+${JSON.stringify(this._stripLabels(briefing), null, 2)}`).join('\n\n---\n\n')}
+
+Provide the merged briefing in the specified JSON format.`;
+
+    try {
+      const response = await this.llmClient.callLLMJson(this.reducePrompt, userPrompt, {
+        task: LLMTasks.TOPIC_SYNOPSIS_REDUCE,
+        input: { briefings: briefings.map(briefing => this._stripLabels(briefing)) }
+      });
+
+      return this._validateBriefing(response, labels);
+    } catch (error) {
+      throw new ExternalAPIError('Topic synopsis', error);
+    }
+  }
+
+  _stripLabels({ labels, ...briefing }) {
+    return briefing;
+  }
+
+  /**
+   * Check the response shape and keep only citations of labels the model was given
+   * @private
+   */
+  _validateBriefing(response, labels) {
+    if (!response || typeof response !== 'object') {
+      throw new Error('LLM response must be an object');
+    }
+    if (typeof response.overview !== 'string' || response.overview.trim().length === 0) {
+      throw new Error('LLM response missing valid overview');
+    }
+    if (!Array.isArray(response.keyDevelopments) || !Array.isArray(response.perspectives)) {
+      throw new Error('LLM response missing keyDevelopments or perspectives array');
+    }
+
+    const cited = (items, field) => items
+      .filter(item => item && typeof item[field] === 'string' && Array.isArray(item.articles))
+      .map(item => ({
+        [field]: item[field],
+        articles: [...new Set(item.articles.filter(label => labels.includes(label)))]
+      }))
+      .filter(item => item.articles.length > 0);
+
+    return {
+      headline: typeof response.headline === 'string' ? response.headline : null,
+      overview: response.overview,
+      keyDevelopments: cited(response.keyDevelopments, 'text'),
+      perspectives: cited(response.perspectives, 'viewpoint'),
+      labels
+    };
+  }
+
+  _formatBriefing(briefing, digests, meta) {
+    const byLabel = new Map(digests.map(digest => [digest.label, digest.article]));
+    const toIds = labels => labels.map(label => String(byLabel.get(label)._id));
+
+    return {
+      criteria: meta.criteria,
+      articleCount: digests.length,
+      totalMatches: meta.totalMatches,
+      model: this.llmClient.model || null,
+      stages: meta.stages,
+      batches: meta.batches,
+      generatedAt: new Date(),
+      period: {
+        from: digests[0].article.publishedAt,
+        to: digests[digests.length - 1].article.publishedAt
+      },
+      headline: briefing.headline,
+      overview: briefing.overview,
+      keyDevelopments: briefing.keyDevelopments.map(item => ({ text: item.text, articleIds: toIds(item.articles) })),
+      perspectives: briefing.perspectives.map(item => ({ viewpoint: item.viewpoint, articleIds: toIds(item.articles) })),
+      distribution: this._distribution(digests.map(digest => digest.article)),
+      articles: digests.map(({ article }) => ({
+        id: article._id,
+        title: article.title,
+        url: article.url,
+        source: article.source,
+        publishedAt: article.publishedAt,
+        sentiment: article.sentiment && {
+          score: article.sentiment.score,
+          confidence: article.sentiment.confidence,
+          politicalBias: article.sentiment.politicalBias
+        },
+        politicalScore: article.politicalScore?.score ?? null,
+        framing: article.framing || null
+      }))
+    };
+  }
+
+  // Counts over the stored verdicts of the selected articles
+  _distribution(articles) {
+    const count = values => values.reduce((counts, value) => {
+      const key = value || 'unknown';
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+
+    const scores = articles
+      .map(article => article.politicalScore?.score)
+      .filter(score => typeof score === 'number');
+
+    const sources = count(articles.map(article => article.source?.name));
+
+    return {
+      sentiment: count(articles.map(article => article.sentiment?.score)),
+      politicalBias: count(articles.map(article => article.sentiment?.politicalBias)),
+      framing: count(articles.map(article => article.framing)),
+      averagePoliticalScore: scores.length > 0
+        ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 1000) / 1000
+        : null,
+      sources: Object.entries(sources)
+        .map(([name, articleCount]) => ({ name, articleCount }))
+        .sort((a, b) => b.articleCount - a.articleCount || a.name.localeCompare(b.name))
+    };
+  }
+}
+
+module.exports = { TopicSynopsis };
@@ -0,0 +1,118 @@
+/**
+ * Helpers for comparing two analysis versions of the same article
+ */
+
+// Word-level LCS is quadratic; summaries are short, but guard against huge inputs
+const MAX_DIFF_WORDS = 1500;
+
+/**
+ * Word-level diff between two texts
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {Array<Object>} Segments of { type: 'equal'|'added'|'removed', text }
+ */
+function diffWords(before = '', after = '') {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  if (a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) {
+    return before === after
+      ? [{ type: 'equal', text: before }]
+      : [{ type: 'removed', text: before }, { type: 'added', text: after }].filter(segment => segment.text);
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, word) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      segments.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return segments;
+}
+
+/**
+ * Describe how sentiment, bias and summary changed between two versions
+ * @param {Object} from - Earlier version
+ * @param {Object} to - Later version
+ * @returns {Object} Field-level changes
+ */
+function diffAnalyses(from, to) {
+  const confidenceDelta = (to.sentiment?.confidence ?? 0) - (from.sentiment?.confidence ?? 0);
+
+  return {
+    from: from.version,
+    to: to.version,
+    sentiment: {
+      from: from.sentiment?.score,
+      to: to.sentiment?.score,
+      changed: from.sentiment?.score !== to.sentiment?.score
+    },
+    confidence: {
+      from: from.sentiment?.confidence,
+      to: to.sentiment?.confidence,
+      delta: Math.round(confidenceDelta * 1000) / 1000
+    },
+    politicalBias: {
+      from: from.sentiment?.politicalBias,
+      to: to.sentiment?.politicalBias,
+      changed: from.sentiment?.politicalBias !== to.sentiment?.politicalBias
+    },
+    politicalScore: {
+      from: from.politicalScore?.score ?? null,
+      to: to.politicalScore?.score ?? null,
+      delta: typeof from.politicalScore?.score === 'number' && typeof to.politicalScore?.score === 'number'
+        ? Math.round((to.politicalScore.score - from.politicalScore.score) * 1000) / 1000
+        : null
+    },
+    model: {
+      from: from.model,
+      to: to.model,
+      changed: from.model !== to.model
+    },
+    promptVersion: {
+      from: from.promptVersion,
+      to: to.promptVersion,
+      changed: from.promptVersion !== to.promptVersion
+    },
+    summary: {
+      changed: from.summary !== to.summary,
+      segments: diffWords(from.summary, to.summary)
+    }
+  };
+}
+
+function tokenize(text) {
+  return (text || '').split(/\s+/).filter(Boolean);
+}
+
+module.exports = { diffAnalyses, diffWords };
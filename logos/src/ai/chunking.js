@@ -0,0 +1,135 @@
+// Rough English average; good enough for budgeting without a tokenizer dependency
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split text into chunks on paragraph boundaries, each under a token budget.
+ * Chunk text is always an exact slice of the input, so offsets inside a chunk
+ * map back to the full text by adding chunk.start.
+ *
+ * @param {string} text - Full article text
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget per chunk
+ * @param {number} options.maxChunks - Raise the budget as needed to stay within this many chunks
+ * @returns {Array<Object>} [{ index, start, end, text, tokens }]
+ */
+function chunkText(text, { maxTokens = 2000, maxChunks = Infinity } = {}) {
+  let budget = maxTokens;
+  let chunks = packChunks(text, budget);
+
+  // Terminates: once the budget covers the whole text there is a single chunk
+  while (chunks.length > maxChunks) {
+    budget = Math.ceil(budget * 1.5);
+    chunks = packChunks(text, budget);
+  }
+
+  return chunks.map((chunk, index) => {
+    const chunkText = text.slice(chunk.start, chunk.end);
+    return {
+      index,
+      start: chunk.start,
+      end: chunk.end,
+      text: chunkText,
+      tokens: estimateTokens(chunkText)
+    };
+  });
+}
+
+/**
+ * Greedily pack paragraphs (split further when oversized) into ranges under the budget
+ * @private
+ */
+function packChunks(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const pieces = [];
+
+  for (const paragraph of findParagraphs(text)) {
+    if (paragraph.end - paragraph.start <= maxChars) {
+      pieces.push(paragraph);
+    } else {
+      pieces.push(...splitOversized(text, paragraph, maxChars));
+    }
+  }
+
+  // Greedily pack consecutive pieces into chunks
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (current && piece.end - current.start <= maxChars) {
+      current.end = piece.end;
+    } else {
+      if (current) chunks.push(current);
+      current = { start: piece.start, end: piece.end };
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Paragraph ranges (blank-line separated, falling back to single newlines)
+ * @private
+ */
+function findParagraphs(text) {
+  const separator = /\n\s*\n/.test(text) ? /\n\s*\n/g : /\n/g;
+  const paragraphs = [];
+  let start = 0;
+  let match;
+
+  while ((match = separator.exec(text)) !== null) {
+    pushRange(text, paragraphs, start, match.index);
+    start = match.index + match[0].length;
+  }
+  pushRange(text, paragraphs, start, text.length);
+
+  return paragraphs;
+}
+
+/**
+ * Split a paragraph that exceeds the budget on sentence boundaries, then hard-split as a last resort
+ * @private
+ */
+function splitOversized(text, range, maxChars) {
+  const sentenceEnd = /[.!?]["'”’)\]]*\s+/g;
+  sentenceEnd.lastIndex = range.start;
+
+  const sentences = [];
+  let start = range.start;
+  let match;
+  while ((match = sentenceEnd.exec(text)) !== null && match.index < range.end) {
+    const end = match.index + match[0].length;
+    sentences.push({ start, end: Math.min(end, range.end) });
+    start = end;
+  }
+  if (start < range.end) sentences.push({ start, end: range.end });
+
+  const result = [];
+  for (const sentence of sentences) {
+    for (let pieceStart = sentence.start; pieceStart < sentence.end; pieceStart += maxChars) {
+      pushRange(text, result, pieceStart, Math.min(sentence.end, pieceStart + maxChars));
+    }
+  }
+  return result;
+}
+
+function pushRange(text, ranges, start, end) {
+  // Trim surrounding whitespace so chunks start and end on content
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  if (end > start) ranges.push({ start, end });
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  chunkText
+};
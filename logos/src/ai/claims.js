@@ -0,0 +1,106 @@
+/**
+ * Factual claim verification and merging
+ *
+ * Each claim carries the verbatim sentence it was taken from. As with evidence, that source
+ * quote is located in the analyzed text and its offsets recomputed; claims whose source
+ * cannot be found are dropped.
+ */
+
+const { locateQuote } = require('./evidence');
+
+// statistic: a figure that can be checked; quote: words attributed to a speaker;
+// prediction: a claim about the future; opinion: a judgement that cannot be checked
+const ClaimTypes = ['statistic', 'quote', 'prediction', 'opinion'];
+
+// Types a fact-checker can check against a record now
+const VERIFIABLE_CLAIM_TYPES = ['statistic', 'quote'];
+
+const MAX_CLAIMS = 25;
+
+/**
+ * Locate each claim's source quote in the text it was extracted from
+ * @param {Array<Object>} claims - [{ text, type, speaker, quote }]
+ * @param {string} text - Text the claims were extracted from
+ * @param {string} field - Article field holding the text ('fullText' or 'content')
+ * @returns {Object} { claims, rejected } claims with offsets, and the number dropped
+ */
+function verifyClaims(claims, text, field) {
+  const verified = [];
+  let rejected = 0;
+
+  for (const claim of claims || []) {
+    const location = locateQuote(text, claim.quote);
+    if (!location) {
+      rejected++;
+      continue;
+    }
+
+    verified.push({
+      text: claim.text.trim(),
+      type: claim.type,
+      verifiable: VERIFIABLE_CLAIM_TYPES.includes(claim.type),
+      speaker: typeof claim.speaker === 'string' && claim.speaker.trim() ? claim.speaker.trim() : null,
+      quote: text.slice(location.start, location.end),
+      field,
+      start: location.start,
+      end: location.end
+    });
+  }
+
+  return { claims: mergeClaims([verified]), rejected };
+}
+
+/**
+ * Merge claim lists (e.g. from the chunks of one article), dropping repeats of the same source span
+ * @param {Array<Array<Object>>} lists - Verified claim lists with offsets into the same text
+ * @returns {Array<Object>} Claims in text order
+ */
+function mergeClaims(lists) {
+  const merged = [];
+
+  for (const claim of lists.flat().sort((a, b) => a.start - b.start)) {
+    const duplicate = merged.some(existing =>
+      existing.type === claim.type && existing.start === claim.start && existing.end === claim.end
+    );
+    if (!duplicate) merged.push(claim);
+  }
+
+  return merged.slice(0, MAX_CLAIMS);
+}
+
+/**
+ * Structural validation of a claim extraction response
+ * @param {*} response
+ * @throws {Error} When the structure is invalid
+ */
+function validateClaimSchema(response) {
+  if (!response || !Array.isArray(response.claims)) {
+    throw new Error('LLM response missing claims array');
+  }
+
+  for (const claim of response.claims) {
+    if (!claim || typeof claim !== 'object') {
+      throw new Error('LLM response has an invalid claim entry');
+    }
+    if (typeof claim.text !== 'string' || claim.text.trim().length === 0) {
+      throw new Error('LLM response has a claim without text');
+    }
+    if (!ClaimTypes.includes(claim.type)) {
+      throw new Error(`LLM response claim type must be one of: ${ClaimTypes.join(', ')}`);
+    }
+    if (typeof claim.quote !== 'string' || claim.quote.trim().length === 0) {
+      throw new Error('LLM response has a claim without a source quote');
+    }
+    if (claim.speaker !== undefined && claim.speaker !== null && typeof claim.speaker !== 'string') {
+      throw new Error('LLM response has an invalid claim speaker');
+    }
+  }
+}
+
+module.exports = {
+  ClaimTypes,
+  VERIFIABLE_CLAIM_TYPES,
+  verifyClaims,
+  mergeClaims,
+  validateClaimSchema
+};
@@ -0,0 +1,189 @@
+/**
+ * Named entity verification and merging
+ *
+ * As with evidence quotes, model-reported mention counts are not trusted: each entity's
+ * name and aliases are counted in the analyzed text, and entities that never occur are dropped.
+ */
+
+const EntityTypes = ['person', 'organization', 'place'];
+
+const SENTIMENT_POLARITY = { positive: 1, neutral: 0, negative: -1 };
+
+const MAX_ENTITIES = 15;
+
+/**
+ * Key used to group the same entity across articles
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeEntityName(name) {
+  return (name || '')
+    .normalize('NFKC')
+    .replace(/[’‘]/g, "'")
+    .replace(/'s$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Count non-overlapping whole-word occurrences of any of the names
+ * @param {string} text
+ * @param {Array<string>} names - Entity name and aliases
+ * @returns {number}
+ */
+function countMentions(text, names) {
+  const ranges = [];
+
+  for (const name of new Set(names.filter(Boolean))) {
+    const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    if (!escaped) continue;
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu');
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // "Joe Biden" and the alias "Biden" match the same mention once
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  let count = 0;
+  let coveredUntil = -1;
+  for (const range of ranges) {
+    if (range.start >= coveredUntil) {
+      count++;
+      coveredUntil = range.end;
+    }
+  }
+  return count;
+}
+
+/**
+ * Recount mentions of extracted entities in the text they came from
+ * @param {Array<Object>} entities - [{ name, type, aliases, sentiment }]
+ * @param {string} text - Text the entities were extracted from
+ * @returns {Object} { entities, rejected } entities with verified mention counts, and the number dropped
+ */
+function verifyEntities(entities, text) {
+  const verified = [];
+  let rejected = 0;
+
+  for (const entity of entities || []) {
+    const aliases = (entity.aliases || []).filter(alias => typeof alias === 'string' && alias.trim());
+    const mentions = countMentions(text, [entity.name, ...aliases]);
+    if (mentions === 0) {
+      rejected++;
+      continue;
+    }
+
+    verified.push({
+      name: entity.name.trim(),
+      normalized: normalizeEntityName(entity.name),
+      type: entity.type,
+      aliases,
+      mentions,
+      sentiment: {
+        score: entity.sentiment.score,
+        confidence: entity.sentiment.confidence
+      }
+    });
+  }
+
+  return { entities: mergeEntities([verified]), rejected };
+}
+
+/**
+ * Merge entity lists (e.g. from the chunks of one article) by normalized name
+ * Mention counts add up; sentiment is weighted by mentions and confidence.
+ * @param {Array<Array<Object>>} lists - Verified entity lists
+ * @param {Object} options
+ * @param {string} options.text - Whole text; when given, mentions of every name and alias are recounted in it,
+ *   since an alias learned from one chunk also names the entity in the others
+ * @returns {Array<Object>} Merged entities, most mentioned first
+ */
+function mergeEntities(lists, { text } = {}) {
+  const merged = new Map();
+
+  for (const entity of lists.flat()) {
+    const existing = merged.get(entity.normalized);
+    if (!existing) {
+      merged.set(entity.normalized, { ...entity, aliases: [...entity.aliases], parts: [entity] });
+      continue;
+    }
+
+    existing.parts.push(entity);
+    existing.mentions += entity.mentions;
+    for (const alias of entity.aliases) {
+      if (!existing.aliases.includes(alias)) existing.aliases.push(alias);
+    }
+  }
+
+  return [...merged.values()]
+    .map(({ parts, ...entity }) => ({
+      ...entity,
+      // The type reported where the entity is mentioned most wins
+      type: [...parts].sort((a, b) => b.mentions - a.mentions)[0].type,
+      sentiment: combineSentiment(parts),
+      mentions: text === undefined ? entity.mentions : countMentions(text, [entity.name, ...entity.aliases])
+    }))
+    .sort((a, b) => b.mentions - a.mentions || a.name.localeCompare(b.name))
+    .slice(0, MAX_ENTITIES);
+}
+
+function combineSentiment(parts) {
+  if (parts.length === 1) return parts[0].sentiment;
+
+  const weights = parts.map(part => part.mentions * part.sentiment.confidence);
+  const total = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+  const polarity = parts.reduce((sum, part, i) => sum + SENTIMENT_POLARITY[part.sentiment.score] * weights[i], 0) / total;
+  const mentions = parts.reduce((sum, part) => sum + part.mentions, 0);
+  const confidence = parts.reduce((sum, part) => sum + part.sentiment.confidence * part.mentions, 0) / mentions;
+
+  let score = 'neutral';
+  if (polarity >= 0.34) score = 'positive';
+  if (polarity <= -0.34) score = 'negative';
+
+  return { score, confidence: Math.round(confidence * 1000) / 1000 };
+}
+
+/**
+ * Structural validation of an entity extraction response
+ * @param {*} response
+ * @throws {Error} When the structure is invalid
+ */
+function validateEntitySchema(response) {
+  if (!response || !Array.isArray(response.entities)) {
+    throw new Error('LLM response missing entities array');
+  }
+
+  for (const entity of response.entities) {
+    if (!entity || typeof entity !== 'object') {
+      throw new Error('LLM response has an invalid entity entry');
+    }
+    if (typeof entity.name !== 'string' || entity.name.trim().length === 0) {
+      throw new Error('LLM response has an entity without a name');
+    }
+    if (!EntityTypes.includes(entity.type)) {
+      throw new Error(`LLM response entity type must be one of: ${EntityTypes.join(', ')}`);
+    }
+    if (entity.aliases !== undefined && entity.aliases !== null && !Array.isArray(entity.aliases)) {
+      throw new Error('LLM response has invalid entity aliases');
+    }
+    if (!entity.sentiment || !(entity.sentiment.score in SENTIMENT_POLARITY)) {
+      throw new Error('LLM response has invalid entity sentiment');
+    }
+    const confidence = entity.sentiment.confidence;
+    if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+      throw new Error('LLM response has invalid entity sentiment confidence');
+    }
+  }
+}
+
+module.exports = {
+  EntityTypes,
+  normalizeEntityName,
+  countMentions,
+  verifyEntities,
+  mergeEntities,
+  validateEntitySchema
+};
@@ -0,0 +1,71 @@
+/**
+ * AI Enums and Constants
+ */
+
+const LLMProviderNames = {
+  OPENAI: 'openai',
+  LOCAL: 'local',
+  RULE_BASED: 'rule-based'
+};
+
+// Request formats understood by LocalLLMProvider
+const LocalApiStyles = {
+  OLLAMA: 'ollama', // POST /api/chat
+  OPENAI: 'openai'  // POST /v1/chat/completions (llama.cpp server, LM Studio, vLLM)
+};
+
+// Optional sub-dimensions of the continuous political score, each in [-1, 1]
+const PoliticalDimensions = {
+  ECONOMIC: 'economic',           // -1 redistributive/regulatory, 1 free-market
+  SOCIAL: 'social',               // -1 progressive, 1 traditional/conservative
+  ESTABLISHMENT: 'establishment'  // -1 anti-establishment, 1 pro-establishment
+};
+
+// Emotions scored per article, each an intensity in [0, 1]
+const Emotions = {
+  FEAR: 'fear',
+  ANGER: 'anger',
+  HOPE: 'hope',
+  SADNESS: 'sadness',
+  JOY: 'joy',
+  SURPRISE: 'surprise'
+};
+
+// Dominant news frame of an article (Semetko & Valkenburg's generic frames)
+const FramingTypes = {
+  CONFLICT: 'conflict',                             // disagreement between people, groups or countries
+  HUMAN_INTEREST: 'human_interest',                 // a personal or emotional angle on the event
+  ECONOMIC_CONSEQUENCES: 'economic_consequences',   // costs, gains and financial effects
+  MORALITY: 'morality',                             // moral or religious prescriptions
+  RESPONSIBILITY: 'responsibility'                  // who caused the problem or should solve it
+};
+
+// Structured tasks the agent sends to the LLM; the rule-based provider answers these without a model
+const LLMTasks = {
+  ARTICLE_ANALYSIS: 'article_analysis',
+  ANALYSIS_REDUCE: 'analysis_reduce',
+  ENTITY_EXTRACTION: 'entity_extraction',
+  CLAIM_EXTRACTION: 'claim_extraction',
+  QUOTE_EXTRACTION: 'quote_extraction',
+  HEADLINE_CONSISTENCY: 'headline_consistency',
+  ARTICLE_QA: 'article_qa',
+  COVERAGE_COMPARISON: 'coverage_comparison',
+  TOPIC_SYNOPSIS: 'topic_synopsis',
+  TOPIC_SYNOPSIS_REDUCE: 'topic_synopsis_reduce'
+};
+
+// How an article's text was fed to the LLM
+const AnalysisModes = {
+  SINGLE: 'single',  // one pass over the whole text
+  CHUNKED: 'chunked' // per-chunk analyses reduced to one verdict
+};
+
+module.exports = {
+  LLMProviderNames,
+  LocalApiStyles,
+  PoliticalDimensions,
+  Emotions,
+  FramingTypes,
+  LLMTasks,
+  AnalysisModes
+};
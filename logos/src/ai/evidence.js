@@ -0,0 +1,150 @@
+/**
+ * Evidence span verification
+ *
+ * LLMs quote reliably but count characters badly, so offsets are never trusted as given:
+ * each quote is located in the stored article text and its offsets are recomputed.
+ * Quotes that cannot be found are rejected.
+ */
+
+const EvidenceTargets = ['sentiment', 'politicalBias'];
+
+const MAX_QUOTE_LENGTH = 500;
+
+// Typographic variants LLMs commonly swap when quoting
+const CHARACTER_EQUIVALENTS = {
+  '‘': "'", '’': "'", '‚': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"',
+  '–': '-', '—': '-', '−': '-',
+  ' ': ' '
+};
+
+/**
+ * Normalize text for matching while keeping a map back to original offsets
+ * @param {string} text
+ * @returns {Object} { normalized, offsets } where offsets[i] is the original index of normalized[i]
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let previousWasSpace = true; // also trims leading whitespace
+
+  for (let i = 0; i < text.length; i++) {
+    let char = CHARACTER_EQUIVALENTS[text[i]] || text[i];
+
+    if (/\s/.test(char)) {
+      if (previousWasSpace) continue;
+      char = ' ';
+      previousWasSpace = true;
+    } else {
+      previousWasSpace = false;
+    }
+
+    normalized += char.toLowerCase();
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * Find a quote in text, tolerating whitespace, case and typographic differences
+ * @param {string} text - Article text
+ * @param {string} quote - Quoted span
+ * @param {Object} hint - Offsets proposed by the model, checked first
+ * @returns {Object|null} { start, end } in original text offsets
+ */
+function locateQuote(text, quote, hint = {}) {
+  if (!quote || !text) return null;
+
+  // Model-supplied offsets are accepted only if they point at exactly the quoted text
+  if (Number.isInteger(hint.start) && Number.isInteger(hint.end) && text.slice(hint.start, hint.end) === quote) {
+    return { start: hint.start, end: hint.end };
+  }
+
+  const exact = text.indexOf(quote);
+  if (exact !== -1) {
+    return { start: exact, end: exact + quote.length };
+  }
+
+  const haystack = normalizeWithOffsets(text);
+  const needle = normalizeWithOffsets(quote).normalized.trim().replace(/^["']|["']$/g, '').trim();
+  if (needle.length === 0) return null;
+
+  const index = haystack.normalized.indexOf(needle);
+  if (index === -1) return null;
+
+  return {
+    start: haystack.offsets[index],
+    end: haystack.offsets[index + needle.length - 1] + 1
+  };
+}
+
+/**
+ * Verify evidence spans against the text they claim to quote
+ * @param {Array<Object>} spans - [{ supports, quote, explanation, start?, end? }]
+ * @param {string} text - Stored article text the analysis was run on
+ * @param {string} field - Article field holding the text ('fullText' or 'content')
+ * @returns {Object} { evidence, rejected } verified spans with offsets, and the number rejected
+ */
+function verifyEvidence(spans, text, field) {
+  const evidence = [];
+  let rejected = 0;
+
+  for (const span of spans || []) {
+    const location = locateQuote(text, span.quote, span);
+    if (!location) {
+      rejected++;
+      continue;
+    }
+
+    const duplicate = evidence.some(existing =>
+      existing.supports === span.supports && existing.start === location.start && existing.end === location.end
+    );
+    if (duplicate) continue;
+
+    evidence.push({
+      supports: span.supports,
+      quote: text.slice(location.start, location.end),
+      explanation: span.explanation || null,
+      field,
+      start: location.start,
+      end: location.end
+    });
+  }
+
+  evidence.sort((a, b) => a.start - b.start);
+  return { evidence, rejected };
+}
+
+/**
+ * Structural validation of the evidence array in an LLM response
+ * @param {*} evidence
+ * @throws {Error} When the structure is invalid
+ */
+function validateEvidenceSchema(evidence) {
+  if (!Array.isArray(evidence)) {
+    throw new Error('LLM response missing evidence array');
+  }
+
+  for (const span of evidence) {
+    if (!span || typeof span !== 'object') {
+      throw new Error('LLM response has an invalid evidence entry');
+    }
+    if (!EvidenceTargets.includes(span.supports)) {
+      throw new Error(`LLM response evidence must support one of: ${EvidenceTargets.join(', ')}`);
+    }
+    if (typeof span.quote !== 'string' || span.quote.trim().length === 0 || span.quote.length > MAX_QUOTE_LENGTH) {
+      throw new Error('LLM response has an invalid evidence quote');
+    }
+    if (span.explanation !== undefined && span.explanation !== null && typeof span.explanation !== 'string') {
+      throw new Error('LLM response has an invalid evidence explanation');
+    }
+  }
+}
+
+module.exports = {
+  EvidenceTargets,
+  locateQuote,
+  verifyEvidence,
+  validateEvidenceSchema
+};
@@ -0,0 +1,32 @@
+/**
+ * Headline-vs-body consistency
+ *
+ * sensationalism: how much the headline and description sensationalize the story (0 sober, 1 clickbait)
+ * consistency: how well the body supports what the headline says (0 contradicts or ignores it, 1 fully)
+ */
+
+/**
+ * Structural validation of a headline consistency response
+ * @param {*} response
+ * @throws {Error} When the structure is invalid
+ */
+function validateHeadlineSchema(response) {
+  if (!response || typeof response !== 'object') {
+    throw new Error('LLM response must be an object');
+  }
+
+  for (const score of ['sensationalism', 'consistency']) {
+    const value = response[score];
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      throw new Error(`LLM response has invalid ${score} score (must be 0.0 to 1.0)`);
+    }
+  }
+
+  if (typeof response.explanation !== 'string' || response.explanation.trim().length === 0) {
+    throw new Error('LLM response missing headline explanation');
+  }
+}
+
+module.exports = {
+  validateHeadlineSchema
+};
@@ -0,0 +1,160 @@
+/**
+ * Language detection for ingested articles
+ *
+ * Most non-Latin scripts identify the language on their own; Latin-script languages are told
+ * apart by their most frequent function words. Codes are ISO 639-1, covering the languages
+ * the news providers can return.
+ */
+
+const LANGUAGE_NAMES = {
+  ar: 'Arabic',
+  de: 'German',
+  el: 'Greek',
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  it: 'Italian',
+  ja: 'Japanese',
+  ml: 'Malayalam',
+  mr: 'Marathi',
+  nl: 'Dutch',
+  no: 'Norwegian',
+  pt: 'Portuguese',
+  ro: 'Romanian',
+  ru: 'Russian',
+  sv: 'Swedish',
+  ta: 'Tamil',
+  te: 'Telugu',
+  uk: 'Ukrainian',
+  zh: 'Chinese'
+};
+
+const ISO_639_1 = /^[a-z]{2}$/;
+
+// Scripts checked by letter count; Cyrillic and Devanagari are shared and resolved by marker words
+const SCRIPTS = {
+  kana: /[\u3040-\u30ff]/gu,
+  han: /\p{Script=Han}/gu,
+  ar: /\p{Script=Arabic}/gu,
+  he: /\p{Script=Hebrew}/gu,
+  el: /\p{Script=Greek}/gu,
+  cyrillic: /\p{Script=Cyrillic}/gu,
+  devanagari: /\p{Script=Devanagari}/gu,
+  ml: /\p{Script=Malayalam}/gu,
+  ta: /\p{Script=Tamil}/gu,
+  te: /\p{Script=Telugu}/gu,
+  latin: /\p{Script=Latin}/gu
+};
+
+// Frequent function words; shared words count for every language that uses them
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'with', 'was', 'on', 'are', 'said', 'it', 'this', 'by'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'del', 'por', 'con', 'para', 'una', 'es', 'se', 'según'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'une', 'du', 'que', 'pour', 'dans', 'pas', 'sur', 'au', 'qui'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'den', 'von', 'zu', 'ein', 'eine', 'auf', 'für', 'sich', 'im'],
+  it: ['il', 'la', 'di', 'che', 'e', 'della', 'per', 'non', 'un', 'una', 'sono', 'del', 'gli', 'nel', 'con', 'anche'],
+  pt: ['o', 'a', 'os', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'não', 'com', 'dos', 'foi'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te', 'voor', 'zijn', 'met', 'die', 'ook', 'wordt'],
+  sv: ['och', 'att', 'det', 'som', 'en', 'är', 'på', 'för', 'av', 'med', 'inte', 'den', 'till', 'har', 'om', 'var'],
+  no: ['og', 'i', 'det', 'som', 'er', 'på', 'for', 'av', 'med', 'ikke', 'den', 'til', 'har', 'en', 'at', 'vil'],
+  ro: ['și', 'de', 'la', 'în', 'cu', 'că', 'nu', 'din', 'pe', 'este', 'a', 'o', 'un', 'care', 'să', 'mai']
+};
+
+// Below this many function words a Latin-script text is too short to call
+const MIN_FUNCTION_WORDS = 3;
+
+/**
+ * Detect the language of a text
+ * @param {string} text
+ * @returns {Object|null} { language, confidence } or null when the text is too short or unrecognized
+ */
+function detectLanguage(text) {
+  const sample = (text || '').slice(0, 5000);
+  const counts = {};
+  for (const [script, pattern] of Object.entries(SCRIPTS)) {
+    counts[script] = (sample.match(pattern) || []).length;
+  }
+
+  const letters = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (letters === 0) {
+    return null;
+  }
+
+  // Japanese mixes kana with Han characters; any real share of kana rules out Chinese
+  if (counts.kana / letters >= 0.05) {
+    return { language: 'ja', confidence: round(Math.min(0.95, (counts.kana + counts.han) / letters)) };
+  }
+
+  const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  const share = count / letters;
+
+  if (script === 'latin') {
+    return detectLatinLanguage(sample, share);
+  }
+  if (script === 'han') {
+    return { language: 'zh', confidence: round(Math.min(0.95, share)) };
+  }
+  if (script === 'cyrillic') {
+    // Letters Ukrainian has and Russian lacks
+    const language = /[іїєґ]/iu.test(sample) ? 'uk' : 'ru';
+    return { language, confidence: round(Math.min(0.9, share)) };
+  }
+  if (script === 'devanagari') {
+    const marathi = (sample.match(/(?:आहे|आणि|च्या|केले)/gu) || []).length;
+    const hindi = (sample.match(/(?:है|और|के|की|में)/gu) || []).length;
+    return { language: marathi > hindi ? 'mr' : 'hi', confidence: round(Math.min(0.8, share)) };
+  }
+  return { language: script, confidence: round(Math.min(0.95, share)) };
+}
+
+/**
+ * Function-word vote among Latin-script languages
+ * @private
+ */
+function detectLatinLanguage(text, scriptShare) {
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = {};
+  for (const [language, functionWords] of Object.entries(FUNCTION_WORDS)) {
+    const set = new Set(functionWords);
+    scores[language] = words.filter(word => set.has(word)).length;
+  }
+
+  const [[best, bestScore], [, runnerUp]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (bestScore < MIN_FUNCTION_WORDS) {
+    return null;
+  }
+
+  // A clear margin over the closest language, discounted by any other-script text
+  const margin = (bestScore - runnerUp) / bestScore;
+  return { language: best, confidence: round(Math.min(0.95, (0.5 + margin / 2) * scriptShare)) };
+}
+
+/**
+ * English name of a language code, or the code itself when unknown
+ * @param {string} code
+ * @returns {string}
+ */
+function languageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+/**
+ * Whether a value looks like an ISO 639-1 language code
+ * @param {*} code
+ * @returns {boolean}
+ */
+function isLanguageCode(code) {
+  return typeof code === 'string' && ISO_639_1.test(code);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  detectLanguage,
+  languageName,
+  isLanguageCode
+};
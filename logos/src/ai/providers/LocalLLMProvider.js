@@ -0,0 +1,82 @@
+const { LLMProviderNames, LocalApiStyles } = require('../enums');
+
+/**
+ * Local HTTP LLM Provider (Ollama or llama.cpp-style servers)
+ */
+class LocalLLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Server URL, e.g. http://localhost:11434
+   * @param {string} options.model - Model name as known to the server
+   * @param {string} options.api - 'ollama' or 'openai' request style
+   * @param {number} options.timeoutMs - Request timeout (local models can be slow)
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor({
+    baseUrl = 'http://localhost:11434',
+    model = 'llama3.1',
+    api = LocalApiStyles.OLLAMA,
+    timeoutMs = 120000,
+    fetch: fetchImpl
+  } = {}) {
+    this.name = LLMProviderNames.LOCAL;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.api = Object.values(LocalApiStyles).includes(api) ? api : LocalApiStyles.OLLAMA;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetchImpl || ((...args) => fetch(...args));
+  }
+
+  isReady() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { systemPrompt, userPrompt, json }
+   * @returns {Promise<string>} Completion text
+   */
+  async complete({ systemPrompt, userPrompt, json = false }) {
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+
+    if (this.api === LocalApiStyles.OLLAMA) {
+      const data = await this._post('/api/chat', {
+        model: this.model,
+        messages,
+        stream: false,
+        ...(json ? { format: 'json' } : {}),
+        options: { temperature: json ? 0.1 : 0.2 }
+      });
+      return (data.message?.content || '').trim();
+    }
+
+    const data = await this._post('/v1/chat/completions', {
+      model: this.model,
+      messages,
+      temperature: json ? 0.1 : 0.2,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+    return (data.choices?.[0]?.message?.content || '').trim();
+  }
+
+  async _post(path, body) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Local LLM request failed: ${response.status} ${detail}`.trim());
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = LocalLLMProvider;
@@ -0,0 +1,59 @@
+const OpenAI = require('openai');
+const { LLMProviderNames } = require('../enums');
+
+/**
+ * OpenAI-compatible Chat Completions Provider
+ * Works with OpenAI and any service exposing the same API (set baseURL)
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key
+   * @param {string} options.baseURL - API base URL (optional, for compatible services)
+   * @param {string} options.model - Model name
+   * @param {number} options.maxTokens - Token limit for completions
+   */
+  constructor({ apiKey, baseURL, model = 'gpt-4o-mini', maxTokens = 100000 } = {}) {
+    this.name = LLMProviderNames.OPENAI;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.maxTokens = maxTokens;
+    this.client = apiKey ? new OpenAI({ apiKey, baseURL }) : null;
+  }
+
+  isReady() {
+    return !!this.client;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { systemPrompt, userPrompt, json }
+   * @returns {Promise<string>} Completion text
+   */
+  async complete({ systemPrompt, userPrompt, json = false }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      ...(json
+        ? {
+          temperature: 0.1,
+          top_p: 0.9,
+          frequency_penalty: 0,
+          presence_penalty: 0,
+          response_format: { type: 'json_object' },
+          max_tokens: this.maxTokens
+        }
+        : {
+          temperature: 0.2,
+          max_tokens: this.maxTokens
+        })
+    });
+
+    return response.choices[0]?.message?.content?.trim() || '';
+  }
+}
+
+module.exports = OpenAIProvider;
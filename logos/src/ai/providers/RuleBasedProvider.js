@@ -0,0 +1,332 @@
+const { LLMProviderNames, LLMTasks, PoliticalDimensions, Emotions, FramingTypes } = require('../enums');
+const {
+  splitSentences,
+  tokenize,
+  summarize,
+  scoreSentiment,
+  scoreEmotions,
+  detectFraming,
+  scorePoliticalLean,
+  sentimentEvidence,
+  politicalEvidence,
+  extractEntities,
+  extractClaims,
+  extractQuotes,
+  findLoadedLanguage,
+  findAnswerSentences,
+  scoreHeadline
+} = require('../textHeuristics');
+const { NOT_ANSWERED } = require('../ArticleQA');
+
+/**
+ * Task handlers; each returns output in the same schema the LLM is asked for
+ */
+const TASK_HANDLERS = {
+  [LLMTasks.ARTICLE_ANALYSIS]: ({ title = '', description = '', content = '', language = null }) => {
+    const text = [title, description, content].filter(Boolean).join('. ');
+    const sentiment = scoreSentiment(text);
+    const political = scorePoliticalLean(text);
+    const summary = summarize(content) || summarize(description) || title;
+
+    return {
+      // Nothing to translate with offline: a non-English extract stands in for both summaries
+      summary,
+      originalSummary: language && language !== 'en' ? summary : null,
+      sentiment: {
+        score: sentiment.score,
+        confidence: sentiment.confidence
+      },
+      politicalBias: political.bias,
+      politicalScore: {
+        score: political.lean,
+        confidence: political.confidence,
+        dimensions: political.dimensions
+      },
+      emotions: scoreEmotions(text),
+      framing: detectFraming(text),
+      evidence: [
+        ...sentimentEvidence(content, sentiment.score).map(quote => ({
+          supports: 'sentiment',
+          quote,
+          explanation: sentiment.score === 'neutral'
+            ? 'Matter-of-fact wording without emotionally loaded terms'
+            : `Contains ${sentiment.score} wording`
+        })),
+        ...politicalEvidence(content).map(quote => ({
+          supports: 'politicalBias',
+          quote,
+          explanation: 'Contains politically framed wording'
+        }))
+      ]
+    };
+  },
+
+  [LLMTasks.ANALYSIS_REDUCE]: ({ title = '', chunks = [], language = null }) => {
+    const polarity = { positive: 1, neutral: 0, negative: -1 };
+
+    // Longer, more confident parts count for more
+    const sentimentWeights = chunks.map(chunk => (chunk.tokens || 1) * chunk.sentiment.confidence);
+    const meanPolarity = weightedMean(chunks.map(chunk => polarity[chunk.sentiment.score]), sentimentWeights) ?? 0;
+
+    let sentiment = 'neutral';
+    if (meanPolarity >= 0.2) sentiment = 'positive';
+    if (meanPolarity <= -0.2) sentiment = 'negative';
+
+    // Confidence drops with the share of text whose part disagrees with the overall verdict
+    const tokens = chunks.map(chunk => chunk.tokens || 1);
+    const agreement = weightedMean(chunks.map(chunk => (chunk.sentiment.score === sentiment ? 1 : 0)), tokens) ?? 0;
+    const sentimentConfidence = (weightedMean(chunks.map(chunk => chunk.sentiment.confidence), tokens) ?? 0) * agreement;
+
+    const politicalWeights = chunks.map(chunk => (chunk.tokens || 1) * chunk.politicalScore.confidence);
+    const lean = weightedMean(chunks.map(chunk => chunk.politicalScore.score), politicalWeights) ?? 0;
+
+    let politicalBias = 'center';
+    if (lean < -0.2) politicalBias = 'left';
+    if (lean > 0.2) politicalBias = 'right';
+
+    const dimensions = {};
+    for (const dimension of Object.values(PoliticalDimensions)) {
+      const scored = chunks.filter(chunk => typeof chunk.politicalScore.dimensions?.[dimension] === 'number');
+      const mean = weightedMean(scored.map(chunk => chunk.politicalScore.dimensions[dimension]), scored.map(chunk => chunk.tokens || 1));
+      dimensions[dimension] = mean === null ? null : round(mean);
+    }
+
+    const emotions = {};
+    for (const emotion of Object.values(Emotions)) {
+      emotions[emotion] = round(weightedMean(chunks.map(chunk => chunk.emotions[emotion]), tokens) ?? 0);
+    }
+
+    // The frame covering the most text; ties go to the earlier frame in the enum
+    const frameTokens = {};
+    chunks.forEach((chunk, i) => {
+      frameTokens[chunk.framing] = (frameTokens[chunk.framing] || 0) + tokens[i];
+    });
+    const framing = Object.values(FramingTypes)
+      .reduce((best, frame) => ((frameTokens[frame] || 0) > (frameTokens[best] || 0) ? frame : best));
+
+    // Lead sentence of each part, so the summary spans the whole article
+    const leadsOf = field => chunks
+      .map(chunk => splitSentences(chunk[field])[0])
+      .filter(Boolean)
+      .slice(0, 4)
+      .join(' ');
+
+    return {
+      summary: leadsOf('summary') || title,
+      originalSummary: language && language !== 'en' ? leadsOf('originalSummary') || title : null,
+      sentiment: {
+        score: sentiment,
+        confidence: round(sentimentConfidence)
+      },
+      politicalBias,
+      politicalScore: {
+        score: round(lean),
+        confidence: round(weightedMean(chunks.map(chunk => chunk.politicalScore.confidence), tokens) ?? 0),
+        dimensions
+      },
+      emotions,
+      framing
+    };
+  },
+
+  [LLMTasks.ENTITY_EXTRACTION]: ({ content = '' }) => ({
+    entities: extractEntities(content)
+  }),
+
+  [LLMTasks.CLAIM_EXTRACTION]: ({ content = '' }) => ({
+    claims: extractClaims(content)
+  }),
+
+  [LLMTasks.QUOTE_EXTRACTION]: ({ content = '' }) => ({
+    quotes: extractQuotes(content)
+  }),
+
+  [LLMTasks.HEADLINE_CONSISTENCY]: ({ title = '', description = '', content = '' }) =>
+    scoreHeadline(title, description, content),
+
+  // Free-text answer citing passages as [P3], like the model is asked to
+  [LLMTasks.ARTICLE_QA]: ({ question = '', passages = [] }) => {
+    const found = findAnswerSentences(question, passages);
+    if (found.length === 0) {
+      return NOT_ANSWERED;
+    }
+    return found.map(({ id, sentence }) => `${sentence} [P${id}]`).join(' ');
+  },
+
+  [LLMTasks.COVERAGE_COMPARISON]: ({ articles = [] }) => {
+    // Names and figures stand in for facts: what one outlet names and another does not
+    const outlets = articles.map(article => {
+      const text = [article.title, article.content].filter(Boolean).join('. ');
+      const terms = new Map();
+      for (const entity of extractEntities(text)) terms.set(entity.name.toLowerCase(), entity.name);
+      for (const figure of text.match(/\d[\d,.]*\d%?|\d%?/g) || []) {
+        if (figure.length > 1) terms.set(figure, figure);
+      }
+      return { article, text, terms };
+    });
+
+    const outletCount = term => outlets.filter(outlet => outlet.terms.has(term)).length;
+    const shared = [...outlets[0]?.terms.keys() || []].filter(term => outletCount(term) === outlets.length);
+
+    // Omitted: named by at least two outlets, and by half of the others
+    const omissionThreshold = Math.max(2, Math.ceil((outlets.length - 1) / 2));
+
+    const result = outlets.map(({ article, text, terms }) => {
+      const unique = [...terms.keys()].filter(term => outletCount(term) === 1);
+      const omitted = outlets
+        .flatMap(other => [...other.terms.entries()])
+        .filter(([term]) => !terms.has(term) && outletCount(term) >= omissionThreshold);
+
+      return {
+        article: article.label,
+        includedFacts: splitSentences(article.content || '')
+          .filter(sentence => sentence.length <= 300 && unique.some(term => sentence.toLowerCase().includes(term)))
+          .slice(0, 3),
+        omittedFacts: [...new Map(omitted).values()].slice(0, 5).map(name => `Does not mention ${name}`),
+        framing: framingOf(article, text),
+        loadedLanguage: findLoadedLanguage(article.content || '')
+      };
+    });
+
+    const tones = new Set(outlets.map(({ article, text }) => article.sentiment || scoreSentiment(text).score));
+    const leanings = new Set(outlets.map(({ article, text }) => article.politicalBias || scorePoliticalLean(text).bias));
+    const mostLoaded = [...result].sort((a, b) => b.loadedLanguage.length - a.loadedLanguage.length)[0];
+
+    const framingDifferences = [];
+    if (tones.size > 1) framingDifferences.push(`Tone differs between outlets: ${[...tones].join(', ')}`);
+    if (leanings.size > 1) framingDifferences.push(`Political framing differs between outlets: ${[...leanings].join(', ')}`);
+    if (mostLoaded?.loadedLanguage.length > 0) {
+      framingDifferences.push(`${mostLoaded.article} uses the most loaded language (${mostLoaded.loadedLanguage.length} phrases)`);
+    }
+
+    return {
+      summary: `${articles.length} articles compared; ${shared.length} names and figures appear in all of them. ` +
+        (framingDifferences.length > 0 ? 'Tone, framing or wording differs between outlets.' : 'Tone and framing are broadly similar.'),
+      sharedFacts: shared.slice(0, 5).map(term => `All articles mention ${outlets[0].terms.get(term)}`),
+      framingDifferences,
+      outlets: result
+    };
+  },
+
+  [LLMTasks.TOPIC_SYNOPSIS]: ({ articles = [] }) => {
+    // Lead sentences of summaries that share most of their terms report the same development
+    const developments = groupBySharedTerms(articles.map(article => ({
+      text: splitSentences(article.summary)[0] || article.title,
+      articles: [article.label]
+    })));
+
+    const perspectives = groupByText(articles.map(article => ({
+      viewpoint: framingOf(article, article.summary || '') +
+        (article.framing ? `, focused on ${article.framing.replace('_', ' ')}` : ''),
+      articles: [article.label]
+    })), 'viewpoint');
+
+    const tones = articles.map(article => article.sentiment || scoreSentiment(article.summary).score);
+    const tone = ['negative', 'neutral', 'positive']
+      .reduce((best, score) => (tones.filter(t => t === score).length > tones.filter(t => t === best).length ? score : best));
+
+    return {
+      headline: articles.find(article => article.label === developments[0]?.articles[0])?.title || null,
+      overview: [developments[0]?.text, `Coverage is mostly ${tone} in tone.`].filter(Boolean).join(' '),
+      keyDevelopments: developments.slice(0, 8),
+      perspectives: perspectives.slice(0, 6)
+    };
+  },
+
+  [LLMTasks.TOPIC_SYNOPSIS_REDUCE]: ({ briefings = [] }) => {
+    // The partial briefing citing the most articles leads
+    const cites = briefing => new Set(briefing.keyDevelopments.flatMap(item => item.articles)).size;
+    const lead = [...briefings].sort((a, b) => cites(b) - cites(a))[0];
+
+    return {
+      headline: lead?.headline || null,
+      overview: lead?.overview || '',
+      keyDevelopments: groupBySharedTerms(briefings.flatMap(briefing => briefing.keyDevelopments)).slice(0, 8),
+      perspectives: groupByText(briefings.flatMap(briefing => briefing.perspectives), 'viewpoint').slice(0, 6)
+    };
+  }
+};
+
+// Merge items whose text shares at least a third of its content words, citing all of their articles
+function groupBySharedTerms(items) {
+  const termsOf = text => new Set(tokenize(text).filter(term => term.length > 3));
+  const groups = [];
+
+  for (const item of items) {
+    const terms = termsOf(item.text);
+    const group = groups.find(candidate => {
+      const shared = [...terms].filter(term => candidate.terms.has(term)).length;
+      return shared > 0 && shared / Math.min(terms.size, candidate.terms.size) >= 1 / 3;
+    });
+
+    if (group) {
+      group.articles = [...new Set([...group.articles, ...item.articles])];
+    } else {
+      groups.push({ text: item.text, articles: [...item.articles], terms });
+    }
+  }
+
+  return groups
+    .sort((a, b) => b.articles.length - a.articles.length)
+    .map(({ text, articles }) => ({ text, articles }));
+}
+
+function groupByText(items, field) {
+  const groups = new Map();
+  for (const item of items) {
+    const group = groups.get(item[field]) || { [field]: item[field], articles: [] };
+    group.articles = [...new Set([...group.articles, ...item.articles])];
+    groups.set(item[field], group);
+  }
+  return [...groups.values()].sort((a, b) => b.articles.length - a.articles.length);
+}
+
+function framingOf(article, text) {
+  const sentiment = article.sentiment || scoreSentiment(text).score;
+  const bias = article.politicalBias || scorePoliticalLean(text).bias;
+  return `${sentiment.charAt(0).toUpperCase()}${sentiment.slice(1)} tone with ${bias === 'center' ? 'centrist' : `${bias}-leaning`} framing`;
+}
+
+function weightedMean(values, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (values.length === 0 || total === 0) return null;
+  return values.reduce((sum, value, i) => sum + value * weights[i], 0) / total;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Deterministic Rule-Based Provider
+ * Answers known structured tasks with lexicon heuristics, with no model or network.
+ * Used for development, demos and tests; quality is far below a real LLM.
+ */
+class RuleBasedProvider {
+  constructor() {
+    this.name = LLMProviderNames.RULE_BASED;
+    this.model = 'rule-based-v1';
+    this.deterministic = true;
+  }
+
+  isReady() {
+    return true;
+  }
+
+  /**
+   * Answer a structured task
+   * @param {Object} request - { task, input, json }
+   * @returns {Promise<string>} Task output (JSON text when json is set)
+   */
+  async complete({ task, input = {}, json = false }) {
+    const handler = TASK_HANDLERS[task];
+    if (!handler) {
+      throw new Error(`Rule-based provider cannot handle task: ${task || 'free-text completion'}`);
+    }
+
+    const result = handler(input);
+    return json ? JSON.stringify(result) : String(result);
+  }
+}
+
+module.exports = RuleBasedProvider;
@@ -0,0 +1,92 @@
+/**
+ * Direct quote verification and merging
+ *
+ * Quotes feed a who-said-what index, so a quote is kept only if its words are found in the
+ * analyzed text and it is attributed to a speaker. Offsets are recomputed as for evidence.
+ */
+
+const { locateQuote } = require('./evidence');
+const { normalizeEntityName } = require('./entities');
+
+const MAX_QUOTES = 20;
+
+/**
+ * Locate each quote in the text it was extracted from
+ * @param {Array<Object>} quotes - [{ text, speaker, role }]
+ * @param {string} text - Text the quotes were extracted from
+ * @param {string} field - Article field holding the text ('fullText' or 'content')
+ * @returns {Object} { quotes, rejected } attributed quotes with offsets, and the number dropped
+ */
+function verifyQuotes(quotes, text, field) {
+  const verified = [];
+  let rejected = 0;
+
+  for (const quote of quotes || []) {
+    const speaker = typeof quote.speaker === 'string' ? quote.speaker.trim() : '';
+    const location = speaker ? locateQuote(text, quote.text) : null;
+    if (!location) {
+      rejected++;
+      continue;
+    }
+
+    verified.push({
+      text: text.slice(location.start, location.end),
+      speaker,
+      speakerNormalized: normalizeEntityName(speaker),
+      role: typeof quote.role === 'string' && quote.role.trim() ? quote.role.trim() : null,
+      field,
+      start: location.start,
+      end: location.end
+    });
+  }
+
+  return { quotes: mergeQuotes([verified]), rejected };
+}
+
+/**
+ * Merge quote lists (e.g. from the chunks of one article), dropping repeats of the same span
+ * @param {Array<Array<Object>>} lists - Verified quote lists with offsets into the same text
+ * @returns {Array<Object>} Quotes in text order
+ */
+function mergeQuotes(lists) {
+  const merged = [];
+
+  for (const quote of lists.flat().sort((a, b) => a.start - b.start)) {
+    const duplicate = merged.some(existing => existing.start === quote.start && existing.end === quote.end);
+    if (!duplicate) merged.push(quote);
+  }
+
+  return merged.slice(0, MAX_QUOTES);
+}
+
+/**
+ * Structural validation of a quote extraction response
+ * @param {*} response
+ * @throws {Error} When the structure is invalid
+ */
+function validateQuoteSchema(response) {
+  if (!response || !Array.isArray(response.quotes)) {
+    throw new Error('LLM response missing quotes array');
+  }
+
+  for (const quote of response.quotes) {
+    if (!quote || typeof quote !== 'object') {
+      throw new Error('LLM response has an invalid quote entry');
+    }
+    if (typeof quote.text !== 'string' || quote.text.trim().length === 0) {
+      throw new Error('LLM response has a quote without text');
+    }
+    if (quote.speaker !== undefined && quote.speaker !== null && typeof quote.speaker !== 'string') {
+      throw new Error('LLM response has an invalid quote speaker');
+    }
+    if (quote.role !== undefined && quote.role !== null && typeof quote.role !== 'string') {
+      throw new Error('LLM response has an invalid quote speaker role');
+    }
+  }
+}
+
+module.exports = {
+  verifyQuotes,
+  mergeQuotes,
+  validateQuoteSchema
+};
@@ -0,0 +1,695 @@
+/**
+ * Lexicon-based text heuristics used by the rule-based LLM stand-in
+ * Deterministic and dependency-free, so results are reproducible offline
+ */
+
+const POSITIVE_WORDS = new Set([
+  'achieve', 'achieved', 'agreement', 'approve', 'approved', 'benefit', 'best', 'boost', 'breakthrough',
+  'celebrate', 'celebrated', 'confident', 'cure', 'gain', 'gains', 'good', 'great', 'grow', 'growth',
+  'happy', 'help', 'helped', 'hope', 'improve', 'improved', 'improvement', 'innovative', 'landmark',
+  'peace', 'praise', 'praised', 'progress', 'promising', 'prosper', 'recover', 'recovery', 'relief',
+  'rescue', 'rescued', 'resolve', 'resolved', 'rise', 'safe', 'strong', 'succeed', 'success',
+  'successful', 'support', 'surge', 'thrive', 'win', 'wins', 'won'
+]);
+
+const NEGATIVE_WORDS = new Set([
+  'abuse', 'accident', 'attack', 'attacked', 'bad', 'ban', 'collapse', 'conflict', 'crash', 'crisis',
+  'criticism', 'criticized', 'damage', 'danger', 'dead', 'deadly', 'death', 'decline', 'deficit',
+  'destroy', 'destroyed', 'disaster', 'dispute', 'fail', 'failed', 'failure', 'fall', 'fear', 'fears',
+  'fight', 'fire', 'fraud', 'harm', 'hurt', 'illegal', 'injured', 'kill', 'killed', 'lawsuit', 'loss',
+  'losses', 'murder', 'outbreak', 'plunge', 'poverty', 'protest', 'recession', 'risk', 'scandal',
+  'shortage', 'slump', 'strike', 'threat', 'threatens', 'tragedy', 'victims', 'violence', 'war', 'warn',
+  'warning', 'worst'
+]);
+
+// Framing vocabulary, not topics: phrases partisan outlets tend to use for the same events
+const FRAMING = {
+  economic: {
+    left: ['income inequality', 'corporate greed', 'living wage', 'tax breaks for the wealthy', 'universal healthcare', 'worker exploitation'],
+    right: ['tax burden', 'big government', 'job creators', 'death tax', 'socialist', 'free market', 'red tape']
+  },
+  social: {
+    left: ['climate crisis', 'gun violence', 'reproductive rights', 'undocumented', 'social justice', 'systemic racism', 'marginalized', 'voter suppression', 'far-right'],
+    right: ['illegal aliens', 'illegal immigrants', 'pro-life', 'border crisis', 'radical left', 'woke', 'second amendment rights', 'law and order', 'election integrity', 'traditional values']
+  }
+};
+
+const ESTABLISHMENT_FRAMING = {
+  anti: ['the elites', 'deep state', 'rigged', 'mainstream media', 'the establishment', 'corrupt politicians', 'out-of-touch', 'cover-up'],
+  pro: ['officials said', 'experts say', 'according to officials', 'bipartisan', 'the institution', 'regulators said', 'independent review']
+};
+
+// Entity cues: titles before person names, words marking organizations, well-known places
+const PERSON_TITLES = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'president', 'senator', 'sen', 'rep', 'representative', 'governor', 'gov',
+  'mayor', 'minister', 'chancellor', 'judge', 'justice', 'secretary', 'ceo', 'chair', 'chairman', 'chairwoman',
+  'prime', 'king', 'queen', 'pope', 'general', 'gen', 'professor', 'prof', 'coach', 'speaker'
+]);
+
+const ORGANIZATION_WORDS = new Set([
+  'inc', 'corp', 'corporation', 'company', 'co', 'ltd', 'llc', 'plc', 'group', 'party', 'ministry',
+  'department', 'university', 'bank', 'council', 'committee', 'agency', 'association', 'court',
+  'senate', 'congress', 'parliament', 'union', 'commission', 'institute', 'foundation', 'federation',
+  'organization', 'administration', 'police', 'army', 'navy', 'times', 'post', 'news', 'fund',
+  'authority', 'board', 'office', 'reserve', 'house', 'club', 'network', 'airlines', 'motors'
+]);
+
+const PLACES = new Set([
+  'afghanistan', 'africa', 'america', 'argentina', 'asia', 'australia', 'austria', 'beijing', 'belgium',
+  'berlin', 'brazil', 'britain', 'brussels', 'california', 'canada', 'chicago', 'china', 'colombia',
+  'egypt', 'england', 'europe', 'florida', 'france', 'gaza', 'germany', 'greece', 'india', 'indonesia',
+  'iran', 'iraq', 'ireland', 'israel', 'italy', 'japan', 'jerusalem', 'kenya', 'kyiv', 'london',
+  'los angeles', 'mexico', 'moscow', 'new york', 'nigeria', 'north korea', 'pakistan', 'paris',
+  'poland', 'russia', 'saudi arabia', 'scotland', 'south africa', 'south korea', 'spain', 'sweden',
+  'switzerland', 'syria', 'taiwan', 'texas', 'tokyo', 'turkey', 'ukraine', 'united kingdom',
+  'united states', 'u.s.', 'uk', 'washington'
+]);
+
+const NOT_ENTITIES = new Set([
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+  'november', 'december', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'i', 'he', 'she', 'it', 'we', 'they', 'the', 'a', 'an', 'but', 'and', 'or', 'if', 'when', 'while',
+  'this', 'that', 'these', 'those', 'there', 'here', 'after', 'before', 'in', 'on', 'at', 'for'
+]);
+
+const NAME_CONNECTORS = new Set(['of', 'for', 'de']);
+
+// Emotionally charged words a neutral report of the same event would avoid
+const LOADED_WORDS = [
+  'slammed', 'slams', 'blasted', 'blasts', 'lashed out', 'radical', 'extremist', 'chaos', 'chaotic',
+  'draconian', 'disastrous', 'catastrophic', 'shocking', 'outrageous', 'outrage', 'brutal', 'reckless',
+  'scheme', 'regime', 'meltdown', 'bombshell', 'explosive', 'devastating', 'heroic', 'stunning',
+  'crackdown', 'onslaught', 'caved', 'gutted', 'power grab', 'witch hunt'
+];
+
+// Headline hooks that promise more than a news report delivers
+const CLICKBAIT_PHRASES = [
+  "you won't believe", 'what happened next', 'this is why', 'here is why', "here's why", 'will shock you',
+  'the truth about', 'everything you need to know', 'goes viral', 'breaks the internet', 'jaw-dropping',
+  'mind-blowing', 'must see', 'destroys', 'eviscerates', 'epic', 'insane', 'unbelievable', 'the real reason'
+];
+
+// Words too common to show whether the body covers what the headline says
+const HEADLINE_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'after', 'over', 'into', 'about', 'says', 'said',
+  'will', 'what', 'your', 'have', 'has', 'are', 'was', 'were', 'new', 'how', 'why', 'who', 'its', 'his',
+  'her', 'their', 'amid', 'than', 'more', 'just', 'here'
+]);
+
+// Emotion lexicon; keys match the Emotions enum
+const EMOTION_WORDS = {
+  fear: new Set([
+    'afraid', 'alarm', 'alarming', 'anxiety', 'anxious', 'danger', 'dangerous', 'dread', 'fear', 'fears',
+    'feared', 'frightened', 'panic', 'risk', 'risks', 'scared', 'terror', 'threat', 'threatens', 'uncertainty',
+    'vulnerable', 'warn', 'warned', 'warning', 'worried', 'worry'
+  ]),
+  anger: new Set([
+    'anger', 'angry', 'backlash', 'blame', 'blamed', 'condemn', 'condemned', 'furious', 'fury', 'hostile',
+    'outrage', 'outraged', 'protest', 'protesters', 'rage', 'resent', 'slammed', 'denounced', 'unacceptable',
+    'betrayal', 'betrayed', 'infuriated'
+  ]),
+  hope: new Set([
+    'hope', 'hopes', 'hopeful', 'optimism', 'optimistic', 'promise', 'promising', 'recovery', 'progress',
+    'breakthrough', 'opportunity', 'confident', 'aspire', 'encouraging', 'rebuild', 'future', 'potential'
+  ]),
+  sadness: new Set([
+    'grief', 'grieving', 'mourn', 'mourning', 'mourned', 'sad', 'sadness', 'tragedy', 'tragic', 'loss',
+    'lost', 'victims', 'heartbreaking', 'sorrow', 'devastated', 'funeral', 'died', 'dead', 'suffering', 'lonely'
+  ]),
+  joy: new Set([
+    'celebrate', 'celebrated', 'celebration', 'delighted', 'happy', 'joy', 'joyful', 'thrilled', 'cheered',
+    'cheer', 'proud', 'pride', 'excited', 'triumph', 'glad', 'win', 'won', 'victory'
+  ]),
+  surprise: new Set([
+    'surprise', 'surprised', 'surprising', 'unexpected', 'unexpectedly', 'sudden', 'suddenly', 'shock',
+    'shocked', 'shocking', 'stunned', 'stunning', 'astonishing', 'unprecedented', 'abrupt', 'abruptly'
+  ])
+};
+
+// Cue words for the generic news frames; keys match the FramingTypes enum, ties go to the first listed
+const NEWS_FRAME_WORDS = {
+  conflict: new Set([
+    'clash', 'clashed', 'dispute', 'rivals', 'opponents', 'oppose', 'opposed', 'fight', 'battle', 'feud',
+    'versus', 'attack', 'attacked', 'criticized', 'accused', 'rejected', 'war', 'standoff', 'showdown'
+  ]),
+  human_interest: new Set([
+    'family', 'families', 'mother', 'father', 'children', 'child', 'daughter', 'son', 'home', 'personal',
+    'story', 'life', 'lives', 'neighbors', 'community', 'recalled', 'remembers', 'struggle', 'dream'
+  ]),
+  economic_consequences: new Set([
+    'cost', 'costs', 'price', 'prices', 'budget', 'jobs', 'economy', 'economic', 'inflation', 'revenue',
+    'profit', 'profits', 'taxes', 'spending', 'billion', 'million', 'market', 'markets', 'wages', 'investment'
+  ]),
+  morality: new Set([
+    'moral', 'morally', 'ethical', 'ethics', 'faith', 'god', 'church', 'religious', 'sin', 'values',
+    'right', 'wrong', 'shame', 'conscience', 'decency', 'duty', 'justice'
+  ]),
+  responsibility: new Set([
+    'responsible', 'responsibility', 'accountable', 'accountability', 'blame', 'blamed', 'fault', 'failed',
+    'government', 'officials', 'investigation', 'policy', 'solution', 'address', 'negligence', 'oversight'
+  ])
+};
+
+// With no cue words the article is labelled with the most common frame in news coverage
+const DEFAULT_NEWS_FRAME = 'responsibility';
+
+// Claim cues, checked in this order: attributed quotes, predictions, figures, judgements
+const ATTRIBUTION = /\b(said|says|told|added|stated|argued|warned|reported|according to)\b/i;
+const PREDICTION = /\b(will|is expected to|are expected to|forecasts?|predicts?|projected|likely to|plans to|is set to)\b/i;
+const FIGURE = /\d|\b(million|billion|trillion|percent|half|doubled|tripled)\b/i;
+const APPOSITIVE_ATTRIBUTION = /(\p{Lu}[\p{L}.'-]*(?:\s+\p{Lu}[\p{L}.'-]*){1,3}),\s+([^,"“”]{3,60}),\s+(?:said|says|told|added|stated|argued|warned)\b/u;
+const JUDGEMENT = /\b(should|must|ought to|believe|unfair|wrong|disgrace|best|worst|failure)\b/i;
+
+// Question cues: asking for figures, or for who is speaking or cited
+const FIGURE_QUESTION = /\b(numbers?|figures?|statistics?|how many|how much|percent|percentage|cost|amount)\b/i;
+const SOURCE_QUESTION = /\b(who|sources?|quoted|quotes?|said|says)\b/i;
+const QUESTION_WORDS = new Set(['what', 'which', 'when', 'where', 'who', 'whom', 'does', 'did', 'article', 'story', 'there', 'they', 'cited', 'mentioned', 'main', 'else']);
+
+/**
+ * Split text into sentences
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitSentences(text) {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=["'“A-Z0-9])/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Lowercase word tokens
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z][a-z'-]*/g) || [];
+}
+
+/**
+ * Lead-based extractive summary: the first sentences of the article
+ * @param {string} text
+ * @param {number} maxSentences
+ * @returns {string}
+ */
+function summarize(text, maxSentences = 3) {
+  const sentences = splitSentences(text).filter(sentence => sentence.split(' ').length >= 5);
+  return sentences.slice(0, maxSentences).join(' ');
+}
+
+/**
+ * Lexicon sentiment
+ * @param {string} text
+ * @returns {Object} { score, confidence, polarity } where polarity is in [-1, 1]
+ */
+function scoreSentiment(text) {
+  let positive = 0;
+  let negative = 0;
+
+  for (const token of tokenize(text)) {
+    if (POSITIVE_WORDS.has(token)) positive++;
+    if (NEGATIVE_WORDS.has(token)) negative++;
+  }
+
+  const hits = positive + negative;
+  const polarity = hits === 0 ? 0 : (positive - negative) / hits;
+
+  let score = 'neutral';
+  if (hits >= 2 && polarity >= 0.2) score = 'positive';
+  if (hits >= 2 && polarity <= -0.2) score = 'negative';
+
+  // More lexicon hits and a clearer margin mean more confidence, capped well below certainty
+  const confidence = Math.min(0.85, 0.4 + Math.abs(polarity) * 0.3 + Math.min(hits, 20) / 100);
+
+  return { score, confidence: round(confidence), polarity: round(polarity) };
+}
+
+/**
+ * Lexicon emotion intensities
+ * @param {string} text
+ * @returns {Object} { fear, anger, hope, sadness, joy, surprise }, each in [0, 1]
+ */
+function scoreEmotions(text) {
+  const tokens = tokenize(text);
+  // Four cue words per hundred tokens is as intense as it gets; short texts count as a hundred
+  const saturation = Math.max(tokens.length, 100) * 0.04;
+
+  const emotions = {};
+  for (const [emotion, words] of Object.entries(EMOTION_WORDS)) {
+    const hits = tokens.filter(token => words.has(token)).length;
+    emotions[emotion] = round(Math.min(1, hits / saturation));
+  }
+  return emotions;
+}
+
+/**
+ * Dominant generic news frame by cue-word counts
+ * @param {string} text
+ * @returns {string} conflict, human_interest, economic_consequences, morality or responsibility
+ */
+function detectFraming(text) {
+  const tokens = tokenize(text);
+  let best = DEFAULT_NEWS_FRAME;
+  let bestHits = 0;
+
+  for (const [frame, words] of Object.entries(NEWS_FRAME_WORDS)) {
+    const hits = tokens.filter(token => words.has(token)).length;
+    if (hits > bestHits) {
+      best = frame;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+/**
+ * How sensational the headline is, and whether the body backs it up
+ * @param {string} title
+ * @param {string} description
+ * @param {string} content
+ * @returns {Object} { sensationalism, consistency, explanation } with scores in [0, 1]
+ */
+function scoreHeadline(title, description, content) {
+  const headline = [title, description].filter(Boolean).join('. ');
+  const lower = headline.toLowerCase();
+  const reasons = [];
+
+  // Sensationalism: clickbait hooks, loaded words, shouting punctuation and capitals
+  const hooks = countPhrases(lower, CLICKBAIT_PHRASES);
+  const loaded = findLoadedLanguage(headline, 10).length;
+  const exclamations = (headline.match(/!/g) || []).length;
+  const shouting = ((title || '').match(/\b\p{Lu}{4,}\b/gu) || []).length;
+  const headlineTone = scoreSentiment(headline);
+  const bodyTone = scoreSentiment(content);
+
+  if (hooks > 0) reasons.push('clickbait phrasing');
+  if (loaded > 0) reasons.push('loaded wording');
+  if (exclamations + shouting > 0) reasons.push('exclamation marks or capitals');
+  // A headline much more emotional than its article overstates it
+  const amplification = Math.max(0, Math.abs(headlineTone.polarity) - Math.abs(bodyTone.polarity));
+  if (amplification >= 0.5) reasons.push('a more emotional tone than the article');
+
+  const sensationalism = Math.min(1, hooks * 0.3 + loaded * 0.15 + (exclamations + shouting) * 0.15 + amplification * 0.3);
+
+  // Consistency: share of headline terms the body mentions, less a penalty for opposite tones
+  const terms = [...new Set(tokenize(headline).filter(token => token.length >= 4 && !HEADLINE_STOPWORDS.has(token)))];
+  const bodyTokens = new Set(tokenize(content));
+  const covered = terms.filter(term => bodyTokens.has(term)).length;
+  let consistency = terms.length === 0 ? 1 : covered / terms.length;
+
+  const opposite = headlineTone.score !== 'neutral' && bodyTone.score !== 'neutral' && headlineTone.score !== bodyTone.score;
+  if (opposite) {
+    consistency *= 0.5;
+    reasons.push(`a ${headlineTone.score} headline over a ${bodyTone.score} article`);
+  }
+  if (terms.length > 0 && covered / terms.length < 0.5) {
+    reasons.push('headline terms the article does not mention');
+  }
+
+  return {
+    sensationalism: round(sensationalism),
+    consistency: round(consistency),
+    explanation: reasons.length > 0
+      ? `Headline has ${reasons.join(', ')}.`
+      : 'Headline matches the article in substance and tone.'
+  };
+}
+
+/**
+ * Framing-phrase political lean
+ * @param {string} text
+ * @returns {Object} { bias, lean, confidence, hits, dimensions } with scores in [-1 (left), 1 (right)]
+ */
+function scorePoliticalLean(text) {
+  const lower = (text || '').toLowerCase();
+  let left = 0;
+  let right = 0;
+  const dimensions = {};
+
+  for (const [dimension, phrases] of Object.entries(FRAMING)) {
+    const dimensionLeft = countPhrases(lower, phrases.left);
+    const dimensionRight = countPhrases(lower, phrases.right);
+    left += dimensionLeft;
+    right += dimensionRight;
+    dimensions[dimension] = axisScore(dimensionLeft, dimensionRight);
+  }
+
+  dimensions.establishment = axisScore(
+    countPhrases(lower, ESTABLISHMENT_FRAMING.anti),
+    countPhrases(lower, ESTABLISHMENT_FRAMING.pro)
+  );
+
+  const hits = left + right;
+  const lean = axisScore(left, right) ?? 0;
+
+  let bias = 'center';
+  if (hits >= 2 && lean <= -0.34) bias = 'left';
+  if (hits >= 2 && lean >= 0.34) bias = 'right';
+
+  // Damp the score with little evidence so one phrase can't place an article at an extreme
+  const score = round(lean * Math.min(1, hits / 4));
+  const confidence = round(Math.min(0.7, 0.3 + hits * 0.05));
+
+  return { bias, lean: score, confidence, hits, dimensions };
+}
+
+// (positive - negative) / total, or null when there is no evidence on the axis
+function axisScore(negative, positive) {
+  const total = negative + positive;
+  return total === 0 ? null : round((positive - negative) / total);
+}
+
+/**
+ * Sentences that best support a sentiment verdict
+ * @param {string} text
+ * @param {string} score - positive, neutral or negative
+ * @param {number} limit
+ * @returns {Array<string>}
+ */
+function sentimentEvidence(text, score, limit = 2) {
+  const lexicon = score === 'positive' ? [POSITIVE_WORDS] : score === 'negative' ? [NEGATIVE_WORDS] : [];
+  if (lexicon.length === 0) {
+    // Neutral: the most matter-of-fact sentences, i.e. those without loaded words
+    return splitSentences(text)
+      .filter(sentence => sentence.length <= 300)
+      .filter(sentence => !tokenize(sentence).some(token => POSITIVE_WORDS.has(token) || NEGATIVE_WORDS.has(token)))
+      .slice(0, limit);
+  }
+
+  return rankSentences(text, sentence => tokenize(sentence).filter(token => lexicon[0].has(token)).length, limit);
+}
+
+/**
+ * Sentences containing partisan or (anti-)establishment framing phrases
+ * @param {string} text
+ * @param {number} limit
+ * @returns {Array<string>}
+ */
+function politicalEvidence(text, limit = 2) {
+  const phrases = [
+    ...Object.values(FRAMING).flatMap(({ left, right }) => [...left, ...right]),
+    ...ESTABLISHMENT_FRAMING.anti,
+    ...ESTABLISHMENT_FRAMING.pro
+  ];
+  return rankSentences(text, sentence => countPhrases(sentence.toLowerCase(), phrases), limit);
+}
+
+/**
+ * People, organizations and places named in the text, with the tone of the sentences mentioning them
+ * @param {string} text
+ * @param {number} limit
+ * @returns {Array<Object>} [{ name, type, aliases, sentiment: { score, confidence } }]
+ */
+function extractEntities(text, limit = 15) {
+  const sentences = splitSentences(text);
+  const candidates = new Map();
+
+  sentences.forEach((sentence, sentenceIndex) => {
+    for (const candidate of findNameCandidates(sentence)) {
+      const key = candidate.name.toLowerCase();
+      const entry = candidates.get(key) || { name: candidate.name, types: {}, sentences: new Set(), aliases: [] };
+      if (candidate.type) entry.types[candidate.type] = (entry.types[candidate.type] || 0) + 1;
+      entry.sentences.add(sentenceIndex);
+      candidates.set(key, entry);
+    }
+  });
+
+  const typeOf = entry => Object.entries(entry.types).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+  // A surname on its own refers to the full name mentioned elsewhere ("Jane Doe" ... "Doe said")
+  const people = [...candidates.values()].filter(entry => typeOf(entry) === 'person' && entry.name.includes(' '));
+  const resolved = [...candidates.values()].filter(entry => {
+    if (entry.name.includes(' ')) return true;
+    const fullName = people.find(person => person.name.split(' ').pop() === entry.name);
+    if (!fullName) return true;
+    fullName.aliases.push(entry.name);
+    entry.sentences.forEach(index => fullName.sentences.add(index));
+    return false;
+  });
+
+  // Candidates without any typing cue are dropped
+  return resolved
+    .map(entry => ({ ...entry, type: typeOf(entry) }))
+    .filter(entity => entity.type)
+    .map(entity => {
+      const sentiment = scoreSentiment([...entity.sentences].map(index => sentences[index]).join(' '));
+      return {
+        name: entity.name,
+        type: entity.type,
+        aliases: entity.aliases,
+        sentiment: { score: sentiment.score, confidence: sentiment.confidence },
+        weight: entity.sentences.size
+      };
+    })
+    .sort((a, b) => b.weight - a.weight || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ weight, ...entity }) => entity);
+}
+
+// Runs of capitalized words in a sentence, typed from the surrounding cues (type is null when unsure)
+function findNameCandidates(sentence) {
+  const rawWords = sentence.split(/\s+/);
+  const words = rawWords.map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.]+$/gu, '').replace(/['’]s$/, ''));
+  // Punctuation after a word ends a name ("In Washington, the Senate")
+  const endsRun = index => /[,;:!?)"”]$/.test(rawWords[index]);
+  const isCapitalized = word => /^\p{Lu}/u.test(word) && !NOT_ENTITIES.has(word.toLowerCase());
+  const candidates = [];
+
+  let i = 0;
+  while (i < words.length) {
+    if (!isCapitalized(words[i])) {
+      i++;
+      continue;
+    }
+
+    let end = i + 1;
+    while (end < words.length && !endsRun(end - 1) && (isCapitalized(words[end]) ||
+      (NAME_CONNECTORS.has(words[end]) && end + 1 < words.length && isCapitalized(words[end + 1])))) {
+      end++;
+    }
+
+    // Keep the final dot of dotted abbreviations ("U.S."), drop sentence-final ones
+    let parts = words.slice(i, end).map(word => (/\..+\.$/.test(word) ? word : word.replace(/\.$/, '')));
+    const previous = (words[i - 1] || '').toLowerCase();
+    let type = null;
+
+    // "German Chancellor Jane Doe": the title marks a person and is not part of the name
+    const isTitle = word => PERSON_TITLES.has(word.toLowerCase().replace(/\.$/, ''));
+    let titled = isTitle(previous);
+    const lastTitle = parts.slice(0, -1).map(isTitle).lastIndexOf(true);
+    if (lastTitle !== -1) {
+      parts = parts.slice(lastTitle + 1);
+      titled = true;
+    }
+
+    const name = parts.join(' ');
+    const lower = name.toLowerCase();
+    const lastWord = parts[parts.length - 1].toLowerCase().replace(/\.$/, '');
+
+    if (PLACES.has(lower)) {
+      type = 'place';
+    } else if (ORGANIZATION_WORDS.has(lastWord) || /^\p{Lu}{2,6}$/u.test(name)) {
+      type = 'organization';
+    } else if (titled || (parts.length >= 2 && parts.length <= 3)) {
+      type = 'person';
+    } else if (['in', 'from', 'near', 'across'].includes(previous) && i > 0) {
+      type = 'place';
+    }
+
+    // Lone capitalized words stay untyped unless a cue says otherwise; they may still resolve to a full name
+    if (name.length > 1) {
+      candidates.push({ name, type });
+    }
+    i = end;
+  }
+
+  return candidates;
+}
+
+/**
+ * Sentences making checkable or notable claims, typed by cue words
+ * @param {string} text
+ * @param {number} limit
+ * @returns {Array<Object>} [{ text, type, speaker, quote }] in text order
+ */
+function extractClaims(text, limit = 25) {
+  const claims = [];
+
+  for (const sentence of splitSentences(text)) {
+    if (sentence.length > 300 || sentence.split(' ').length < 5) continue;
+
+    // Years on their own ("in 2024") are not figures
+    const hasFigure = FIGURE.test(sentence.replace(/\b(19|20)\d{2}\b/g, ''));
+    let type = null;
+    if (/["“”]/.test(sentence) && ATTRIBUTION.test(sentence)) type = 'quote';
+    else if (PREDICTION.test(sentence)) type = 'prediction';
+    else if (hasFigure) type = 'statistic';
+    else if (JUDGEMENT.test(sentence) || findLoadedLanguage(sentence, 1).length > 0) type = 'opinion';
+    if (!type) continue;
+
+    claims.push({ text: sentence, type, speaker: findSpeaker(sentence), quote: sentence });
+    if (claims.length >= limit) break;
+  }
+
+  return claims;
+}
+
+/**
+ * Direct quotes (text in quotation marks) with the speaker named next to them
+ * @param {string} text
+ * @param {number} limit
+ * @returns {Array<Object>} [{ text, speaker, role }] in text order; speaker is null when no name is found
+ */
+function extractQuotes(text, limit = 20) {
+  const quotes = [];
+  const pattern = /["“]([^"“”]{15,600})["”]/g;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null && quotes.length < limit) {
+    const quoted = match[1].trim().replace(/[,.]$/, '');
+    if (quoted.split(/\s+/).length < 4) continue;
+
+    // Attribution usually follows the quote (", Powell said.") and otherwise leads into it;
+    // an attribution without a name after it ("said one trader") is unattributed
+    const sentenceBreak = /(?<=[.!?]["”]?)\s/;
+    const endsSentence = /[.!?]$/.test(match[1].trim());
+    const after = endsSentence ? '' : text.slice(match.index + match[0].length, match.index + match[0].length + 160).split(sentenceBreak)[0];
+    const before = text.slice(Math.max(0, match.index - 200), match.index).split(sentenceBreak).pop();
+    const context = ATTRIBUTION.test(after) ? after : before;
+
+    // "Jane Doe, chief economist at Acme, said": the name before the appositive is the speaker
+    const appositive = APPOSITIVE_ATTRIBUTION.exec(context);
+    if (appositive) {
+      quotes.push({ text: quoted, speaker: appositive[1], role: appositive[2].replace(/^the\s+/i, '') });
+      continue;
+    }
+
+    const speaker = findSpeaker(context);
+    quotes.push({ text: quoted, speaker, role: speaker ? findRole(context, speaker) : null });
+  }
+
+  return quotes;
+}
+
+// "Fed Chair Jerome Powell": capitalized words ending in a title before the name
+function findRole(context, speaker) {
+  const index = context.indexOf(speaker);
+  const leading = context.slice(0, index).trim().split(/\s+/).slice(-3);
+  const start = leading.findIndex(word => PERSON_TITLES.has(word.toLowerCase().replace(/\.$/, '')));
+  if (start === -1) return null;
+  // Capitalized words before the title qualify it ("Fed Chair")
+  let from = start;
+  while (from > 0 && /^\p{Lu}/u.test(leading[from - 1])) from--;
+  return leading.slice(from).join(' ');
+}
+
+// The name closest to an attribution verb ("..., Powell said"; "according to the IMF")
+function findSpeaker(sentence) {
+  const attribution = ATTRIBUTION.exec(sentence);
+  if (!attribution) return null;
+
+  let best = null;
+  for (const candidate of findNameCandidates(sentence)) {
+    const index = sentence.indexOf(candidate.name);
+    const distance = index < attribution.index
+      ? attribution.index - (index + candidate.name.length)
+      : index - (attribution.index + attribution[0].length);
+    if (distance <= 40 && (!best || distance < best.distance)) {
+      best = { name: candidate.name, distance };
+    }
+  }
+  return best ? best.name : null;
+}
+
+/**
+ * Sentences of numbered passages that best answer a question, by shared terms and question type
+ * @param {string} question
+ * @param {Array<Object>} passages - [{ id, text }]
+ * @param {number} limit
+ * @returns {Array<Object>} [{ id, sentence }] best first
+ */
+function findAnswerSentences(question, passages, limit = 2) {
+  const terms = new Set(tokenize(question)
+    .filter(term => term.length > 2 && !HEADLINE_STOPWORDS.has(term) && !QUESTION_WORDS.has(term)));
+  const wantsFigures = FIGURE_QUESTION.test(question);
+  const wantsSource = SOURCE_QUESTION.test(question);
+
+  const candidates = [];
+  for (const passage of passages) {
+    for (const sentence of splitSentences(passage.text)) {
+      let score = tokenize(sentence).filter(token => terms.has(token)).length;
+      if (wantsFigures && FIGURE.test(sentence)) score += 2;
+      if (wantsSource && ATTRIBUTION.test(sentence)) score += 2;
+      if (score > 0) candidates.push({ id: passage.id, sentence, score, order: candidates.length });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ id, sentence }) => ({ id, sentence }));
+}
+
+/**
+ * Loaded words and partisan framing phrases, as they appear in the text
+ * @param {string} text
+ * @param {number} limit
+ * @returns {Array<Object>} [{ quote, explanation }] in order of first appearance
+ */
+function findLoadedLanguage(text, limit = 5) {
+  const explanations = [
+    ...Object.values(FRAMING).flatMap(({ left, right }) => [...left, ...right])
+      .map(phrase => [phrase, 'Partisan framing phrase']),
+    ...ESTABLISHMENT_FRAMING.anti.map(phrase => [phrase, 'Anti-establishment framing']),
+    ...LOADED_WORDS.map(word => [word, 'Emotionally charged wording'])
+  ];
+
+  const found = [];
+  for (const [phrase, explanation] of explanations) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`(?<![\\p{L}])${escaped}(?![\\p{L}])`, 'iu').exec(text || '');
+    if (match) found.push({ index: match.index, quote: match[0], explanation });
+  }
+
+  return found
+    .sort((a, b) => a.index - b.index)
+    .slice(0, limit)
+    .map(({ quote, explanation }) => ({ quote, explanation }));
+}
+
+function rankSentences(text, scoreFn, limit) {
+  return splitSentences(text)
+    .filter(sentence => sentence.length <= 300)
+    .map((sentence, index) => ({ sentence, index, score: scoreFn(sentence) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(entry => entry.sentence);
+}
+
+function countPhrases(lowerText, phrases) {
+  return phrases.reduce((count, phrase) => count + (lowerText.split(phrase).length - 1), 0);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  splitSentences,
+  tokenize,
+  summarize,
+  scoreSentiment,
+  scoreEmotions,
+  detectFraming,
+  scorePoliticalLean,
+  sentimentEvidence,
+  politicalEvidence,
+  extractEntities,
+  extractClaims,
+  extractQuotes,
+  findLoadedLanguage,
+  findAnswerSentences,
+  scoreHeadline
+};
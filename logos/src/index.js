@@ -8,10 +8,15 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const DatabaseManager = require('./DatabaseManager');
+const { newsClient } = require('./news');
+const { IngestionScheduler } = require('./ai/IngestionScheduler');
+const { SavedSearches } = require('./ai/SavedSearches');
 
 // Import route modules
 const newsRoutes = require('./routes/news');
 const analysisRoutes = require('./routes/analysis');
+const createJobRoutes = require('./routes/jobs');
+const createSearchRoutes = require('./routes/searches');
 
 /**
  * Logos API Server
@@ -35,6 +40,21 @@ class LogosServer {
       dbUrl: process.env.MONGODB_URI || 'mongodb://localhost:27017/logos',
       autoConnect: true
     });
+
+    // Scheduled ingestion and watchlists share the analysis queue; both start once the database is connected
+    const minIntervalMinutes = parseInt(process.env.INGESTION_MIN_INTERVAL_MINUTES) || 5;
+    this.scheduler = options.scheduler || new IngestionScheduler({
+      newsClient,
+      dbManager: this.dbManager,
+      analysisQueue: analysisRoutes.analysisQueue,
+      minIntervalMinutes
+    });
+    this.savedSearches = options.savedSearches || new SavedSearches({
+      newsClient,
+      dbManager: this.dbManager,
+      analysisQueue: analysisRoutes.analysisQueue,
+      minIntervalMinutes
+    });
     
     // Initialize middleware and routes
     this.setupMiddleware();
@@ -157,22 +177,45 @@ class LogosServer {
         version: '1.0.0',
         documentation: {
           news: `${req.protocol}://${req.get('host')}${apiPath}/news`,
-          analysis: `${req.protocol}://${req.get('host')}${apiPath}/analysis`
+          analysis: `${req.protocol}://${req.get('host')}${apiPath}/analysis`,
+          jobs: `${req.protocol}://${req.get('host')}${apiPath}/jobs`,
+          searches: `${req.protocol}://${req.get('host')}${apiPath}/searches`
         },
         endpoints: {
           news: [
             'GET /api/v1/news/search - Search news articles',
             'GET /api/v1/news/headlines - Get top headlines',
             'GET /api/v1/news/providers - Get available providers',
+            'GET /api/v1/news/usage - Get provider quota usage',
             'GET /api/v1/news/enums - Get available enums'
           ],
           analysis: [
             'POST /api/v1/analysis/article - Analyze single article',
+            'POST /api/v1/analysis/extract - Extract full article text from a URL or raw HTML',
             'POST /api/v1/analysis/batch - Batch analyze articles',
-            'GET /api/v1/analysis/search - Search analyzed articles',
-            'GET /api/v1/analysis/stats - Get analysis statistics',
-            'GET /api/v1/analysis/trends/sentiment - Get sentiment trends',
-            'GET /api/v1/analysis/sources/top - Get top sources'
+            'GET /api/v1/analysis/jobs/:id - Get batch job progress',
+            'GET /api/v1/analysis/search - Search analyzed articles (filter by claimType, claim keyword or language)',
+            'GET /api/v1/analysis/stats - Get analysis statistics with a language breakdown (?language= to filter)',
+            'POST /api/v1/analysis/article/:id/ask - Ask a question about an analyzed article; answers cite its passages',
+            'GET /api/v1/analysis/article/:id/history - Get analysis version history',
+            'GET /api/v1/analysis/trends/sentiment - Get sentiment, emotion and framing trends',
+            'GET /api/v1/analysis/sources/top - Get top sources',
+            'GET /api/v1/analysis/sources/sensational - Get sources with the most sensational headlines',
+            'GET /api/v1/analysis/entities/top - Get most covered people, organizations and places',
+            'GET /api/v1/analysis/stories - Get stories covered across sources',
+            'GET /api/v1/analysis/quotes - Who said what across analyzed articles',
+            'POST /api/v1/analysis/compare - Compare coverage of the same event across outlets',
+            'POST /api/v1/analysis/synopsis - Brief the coverage of a topic across matching articles'
+          ],
+          jobs: [
+            'GET /api/v1/jobs - List scheduled ingestion jobs',
+            'POST /api/v1/jobs - Create an ingestion job',
+            'POST /api/v1/jobs/:id/run - Run an ingestion job now'
+          ],
+          searches: [
+            'GET /api/v1/searches - List saved searches and watchlists',
+            'POST /api/v1/searches - Save a search, optionally watched with alert conditions',
+            'GET /api/v1/searches/alerts - Get watchlist alerts and the unread count'
           ]
         }
       });
@@ -181,6 +224,8 @@ class LogosServer {
     // API routes
     this.app.use(`${apiPath}/news`, newsRoutes);
     this.app.use(`${apiPath}/analysis`, analysisRoutes);
+    this.app.use(`${apiPath}/jobs`, createJobRoutes(this.scheduler));
+    this.app.use(`${apiPath}/searches`, createSearchRoutes(this.savedSearches));
 
     // API documentation endpoint
     this.app.get(`${apiPath}`, (req, res) => {
@@ -194,6 +239,10 @@ class LogosServer {
               'GET /search - Search for news articles',
               'GET /headlines - Get top headlines',
               'GET /providers - Get available news providers',
+              'GET /usage - Get per-provider daily quota usage',
+              'PUT /usage/:provider - Set a provider daily limit',
+              'GET /cache/stats - Get search cache statistics',
+              'DELETE /cache - Invalidate cached searches by query or provider',
               'GET /enums - Get available search options'
             ]
           },
@@ -202,18 +251,60 @@ class LogosServer {
             description: 'AI-powered article analysis endpoints',
             endpoints: [
               'POST /article - Analyze a single article',
+              'POST /extract - Extract full article text from a URL or raw HTML',
               'POST /batch - Batch analyze multiple articles',
-              'GET /search - Search analyzed articles',
-              'GET /stats - Get analysis statistics',
+              'GET /jobs/:id - Get batch job progress and results',
+              'GET /search - Search analyzed articles (sentiment, bias, claimType, claim keyword, language)',
+              'GET /stats - Get analysis statistics with a language breakdown',
+              'POST /article/:id/ask - Ask a question about an analyzed article',
               'GET /article/:id - Get specific analyzed article',
               'DELETE /article/:id - Delete analyzed article',
-              'POST /reanalyze/:id - Re-analyze existing article',
-              'GET /trends/sentiment - Get sentiment trends',
+              'GET /article/:id/history - Get analysis versions of an article',
+              'GET /article/:id/diff - Compare two analysis versions',
+              'POST /reanalyze/:id - Re-analyze existing article as a new version',
+              'GET /trends/sentiment - Get sentiment, emotion and framing trends',
               'GET /sources/top - Get top news sources',
+              'GET /sources/sensational - Rank sources by headline sensationalism',
+              'GET /entities/top - Get most covered entities with their sentiment',
+              'GET /entities/:name/articles - Get articles mentioning an entity',
+              'GET /quotes - List direct quotes, optionally by speaker',
+              'GET /quotes/search - Search the words of direct quotes',
+              'GET /stories - List stories (articles about the same event)',
+              'POST /stories/assign - Cluster articles that have no story yet',
+              'GET /stories/:id - Get a story with each source\'s coverage side by side',
+              'POST /compare - Compare how outlets covered the same event (article ids or a story id)',
+              'POST /synopsis - Multi-source briefing on the articles matching search criteria',
               'GET /sentiment/:sentiment - Filter by sentiment',
               'GET /political/:bias - Filter by political bias',
               'GET /url/:encodedUrl - Find article by URL'
             ]
+          },
+          jobs: {
+            path: '/jobs',
+            description: 'Scheduled ingestion: fetch headlines or searches on an interval and queue new articles for analysis',
+            endpoints: [
+              'GET / - List ingestion jobs with their last run status',
+              'POST / - Create a job (headlines or search, with an interval in minutes)',
+              'GET /:id - Get a job with its recent runs and errors',
+              'PATCH /:id - Change a job, e.g. pause it or change its interval',
+              'DELETE /:id - Delete a job',
+              'POST /:id/run - Run a job now'
+            ]
+          },
+          searches: {
+            path: '/searches',
+            description: 'Saved searches and watchlists that alert on new articles and conditions',
+            endpoints: [
+              'GET / - List saved searches with their unread alert counts',
+              'POST / - Save a search (query and filters), optionally as a watchlist with conditions',
+              'GET /alerts - List alerts (?unread=true&searchId=)',
+              'POST /alerts/read - Mark all alerts read',
+              'PATCH /alerts/:id - Mark an alert read or unread',
+              'GET /:id - Get a saved search with its condition state and last check',
+              'PATCH /:id - Change a saved search or its watch settings',
+              'DELETE /:id - Delete a saved search and its alerts',
+              'POST /:id/check - Check a saved search for new articles and conditions now'
+            ]
           }
         }
       });
@@ -226,7 +317,9 @@ class LogosServer {
         message: `The endpoint ${req.method} ${req.originalUrl} does not exist`,
         availableEndpoints: {
           news: '/api/v1/news',
-          analysis: '/api/v1/analysis'
+          analysis: '/api/v1/analysis',
+          jobs: '/api/v1/jobs',
+          searches: '/api/v1/searches'
         }
       });
     });
@@ -301,6 +394,13 @@ class LogosServer {
       await this.dbManager.connect();
       console.log('Database connected successfully');
 
+      if (process.env.INGESTION_SCHEDULER !== 'false') {
+        this.scheduler.start();
+      }
+      if (process.env.WATCHLIST_SCHEDULER !== 'false') {
+        this.savedSearches.start();
+      }
+
       // Start HTTP server
               this.server = this.app.listen(this.port, () => {
           console.log(`Logos API server running on port ${this.port}`);
@@ -320,6 +420,10 @@ class LogosServer {
    * Stop the server gracefully
    */
   async stop() {
+    // No new scheduled runs or watch checks once shutdown begins
+    this.scheduler.stop();
+    this.savedSearches.stop();
+
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close(async () => {
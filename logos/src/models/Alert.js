@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Watchlist alert: new articles matching a saved search, or one of its conditions starting to hold
+const AlertSchema = new mongoose.Schema({
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  // Denormalized so alerts stay readable after the saved search is renamed
+  searchName: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['new_articles', 'condition'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // New matching articles (new_articles alerts)
+  articles: [{
+    _id: false,
+    title: String,
+    url: String,
+    source: String,
+    publishedAt: Date
+  }],
+  // The condition and the value that met it (condition alerts)
+  condition: {
+    metric: String,
+    operator: String,
+    threshold: Number,
+    windowHours: Number,
+    value: Number,
+    articleCount: Number
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+
+AlertSchema.index({ read: 1, createdAt: -1 });
+AlertSchema.index({ savedSearch: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Alert', AlertSchema);
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+
+// One document per analysis run of an article; the Article holds the latest verdict
+const AnalysisVersionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  promptVersion: {
+    type: String,
+    default: null
+  },
+  summary: {
+    type: String,
+    required: true
+  },
+  originalSummary: {
+    type: String,
+    default: null
+  },
+  sentiment: {
+    score: {
+      type: String,
+      enum: ['positive', 'neutral', 'negative'],
+      required: true
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      required: true
+    },
+    politicalBias: {
+      type: String,
+      enum: ['left', 'center', 'right'],
+      required: true
+    }
+  },
+  politicalScore: {
+    score: {
+      type: Number,
+      min: -1,
+      max: 1
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    dimensions: {
+      economic: { type: Number, min: -1, max: 1 },
+      social: { type: Number, min: -1, max: 1 },
+      establishment: { type: Number, min: -1, max: 1 }
+    }
+  },
+  emotions: {
+    fear: { type: Number, min: 0, max: 1 },
+    anger: { type: Number, min: 0, max: 1 },
+    hope: { type: Number, min: 0, max: 1 },
+    sadness: { type: Number, min: 0, max: 1 },
+    joy: { type: Number, min: 0, max: 1 },
+    surprise: { type: Number, min: 0, max: 1 }
+  },
+  framing: {
+    type: String,
+    enum: ['conflict', 'human_interest', 'economic_consequences', 'morality', 'responsibility']
+  },
+  evidence: [{
+    _id: false,
+    supports: {
+      type: String,
+      enum: ['sentiment', 'politicalBias'],
+      required: true
+    },
+    quote: {
+      type: String,
+      required: true
+    },
+    explanation: String,
+    field: {
+      type: String,
+      enum: ['fullText', 'content'],
+      required: true
+    },
+    start: {
+      type: Number,
+      min: 0,
+      required: true
+    },
+    end: {
+      type: Number,
+      min: 0,
+      required: true
+    }
+  }],
+  analysisMode: {
+    type: String,
+    enum: ['single', 'chunked'],
+    default: 'single'
+  },
+  // Per-chunk verdicts of a chunked analysis; offsets index into the analyzed text
+  chunks: [{
+    _id: false,
+    index: { type: Number, required: true },
+    start: { type: Number, min: 0, required: true },
+    end: { type: Number, min: 0, required: true },
+    tokens: Number,
+    summary: String,
+    originalSummary: String,
+    sentiment: {
+      score: { type: String, enum: ['positive', 'neutral', 'negative'] },
+      confidence: { type: Number, min: 0, max: 1 }
+    },
+    politicalBias: { type: String, enum: ['left', 'center', 'right'] },
+    politicalScore: {
+      score: { type: Number, min: -1, max: 1 },
+      confidence: { type: Number, min: 0, max: 1 },
+      dimensions: {
+        economic: { type: Number, min: -1, max: 1 },
+        social: { type: Number, min: -1, max: 1 },
+        establishment: { type: Number, min: -1, max: 1 }
+      }
+    },
+    emotions: {
+      fear: { type: Number, min: 0, max: 1 },
+      anger: { type: Number, min: 0, max: 1 },
+      hope: { type: Number, min: 0, max: 1 },
+      sadness: { type: Number, min: 0, max: 1 },
+      joy: { type: Number, min: 0, max: 1 },
+      surprise: { type: Number, min: 0, max: 1 }
+    },
+    framing: { type: String, enum: ['conflict', 'human_interest', 'economic_consequences', 'morality', 'responsibility'] }
+  }],
+  entities: [{
+    _id: false,
+    name: { type: String, required: true },
+    normalized: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ['person', 'organization', 'place'],
+      required: true
+    },
+    aliases: [String],
+    mentions: { type: Number, min: 1, required: true },
+    sentiment: {
+      score: { type: String, enum: ['positive', 'neutral', 'negative'] },
+      confidence: { type: Number, min: 0, max: 1 }
+    }
+  }],
+  claims: [{
+    _id: false,
+    text: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ['statistic', 'quote', 'prediction', 'opinion'],
+      required: true
+    },
+    verifiable: { type: Boolean, default: false },
+    speaker: { type: String, default: null },
+    quote: { type: String, required: true },
+    field: {
+      type: String,
+      enum: ['fullText', 'content'],
+      required: true
+    },
+    start: { type: Number, min: 0, required: true },
+    end: { type: Number, min: 0, required: true }
+  }],
+  quotes: [{
+    _id: false,
+    text: { type: String, required: true },
+    speaker: { type: String, required: true },
+    speakerNormalized: { type: String, required: true },
+    role: { type: String, default: null },
+    field: {
+      type: String,
+      enum: ['fullText', 'content'],
+      required: true
+    },
+    start: { type: Number, min: 0, required: true },
+    end: { type: Number, min: 0, required: true }
+  }],
+  headline: {
+    sensationalism: { type: Number, min: 0, max: 1 },
+    consistency: { type: Number, min: 0, max: 1 },
+    explanation: String
+  },
+  extractionQuality: {
+    type: String
+  },
+  analyzedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+
+AnalysisVersionSchema.index({ article: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('AnalysisVersion', AnalysisVersionSchema);
@@ -13,6 +13,20 @@ const ArticleSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  fullText: {
+    type: String
+  },
+  extraction: {
+    quality: {
+      type: String,
+      enum: ['full', 'partial', 'provider', 'failed'],
+      default: 'provider'
+    },
+    method: String,
+    length: Number,
+    error: String,
+    extractedAt: Date
+  },
   url: {
     type: String,
     required: true,
@@ -29,10 +43,20 @@ const ArticleSchema = new mongoose.Schema({
     name: String,
     url: String
   },
+  // ISO 639-1 code detected from the text at ingest; null before detection existed or when undetermined
+  language: {
+    type: String,
+    default: null
+  },
+  // English summary; non-English articles also keep it in their own language
   summary: {
     type: String,
     required: true
   },
+  originalSummary: {
+    type: String,
+    default: null
+  },
   sentiment: {
     score: {
       type: String,
@@ -51,9 +75,185 @@ const ArticleSchema = new mongoose.Schema({
       required: true
     }
   },
+  // Continuous -1 (left) to 1 (right) scale; absent on articles analyzed before it existed
+  politicalScore: {
+    score: {
+      type: Number,
+      min: -1,
+      max: 1
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    dimensions: {
+      economic: { type: Number, min: -1, max: 1 },
+      social: { type: Number, min: -1, max: 1 },
+      establishment: { type: Number, min: -1, max: 1 }
+    }
+  },
+  // Emotion intensities (0 absent to 1 dominant) and dominant news frame; absent before they were scored
+  emotions: {
+    fear: { type: Number, min: 0, max: 1 },
+    anger: { type: Number, min: 0, max: 1 },
+    hope: { type: Number, min: 0, max: 1 },
+    sadness: { type: Number, min: 0, max: 1 },
+    joy: { type: Number, min: 0, max: 1 },
+    surprise: { type: Number, min: 0, max: 1 }
+  },
+  framing: {
+    type: String,
+    enum: ['conflict', 'human_interest', 'economic_consequences', 'morality', 'responsibility']
+  },
+  // Headline and description judged against the body: 0 sober to 1 clickbait, 0 unsupported to 1 fully backed
+  headline: {
+    sensationalism: { type: Number, min: 0, max: 1 },
+    consistency: { type: Number, min: 0, max: 1 },
+    explanation: String
+  },
+  // Verified quotes supporting the verdicts; offsets index into `field`
+  evidence: [{
+    _id: false,
+    supports: {
+      type: String,
+      enum: ['sentiment', 'politicalBias'],
+      required: true
+    },
+    quote: {
+      type: String,
+      required: true
+    },
+    explanation: String,
+    field: {
+      type: String,
+      enum: ['fullText', 'content'],
+      required: true
+    },
+    start: {
+      type: Number,
+      min: 0,
+      required: true
+    },
+    end: {
+      type: Number,
+      min: 0,
+      required: true
+    }
+  }],
+  // Per-chunk verdicts of a chunked analysis; offsets index into the analyzed text
+  chunks: [{
+    _id: false,
+    index: { type: Number, required: true },
+    start: { type: Number, min: 0, required: true },
+    end: { type: Number, min: 0, required: true },
+    tokens: Number,
+    summary: String,
+    originalSummary: String,
+    sentiment: {
+      score: { type: String, enum: ['positive', 'neutral', 'negative'] },
+      confidence: { type: Number, min: 0, max: 1 }
+    },
+    politicalBias: { type: String, enum: ['left', 'center', 'right'] },
+    politicalScore: {
+      score: { type: Number, min: -1, max: 1 },
+      confidence: { type: Number, min: 0, max: 1 },
+      dimensions: {
+        economic: { type: Number, min: -1, max: 1 },
+        social: { type: Number, min: -1, max: 1 },
+        establishment: { type: Number, min: -1, max: 1 }
+      }
+    },
+    emotions: {
+      fear: { type: Number, min: 0, max: 1 },
+      anger: { type: Number, min: 0, max: 1 },
+      hope: { type: Number, min: 0, max: 1 },
+      sadness: { type: Number, min: 0, max: 1 },
+      joy: { type: Number, min: 0, max: 1 },
+      surprise: { type: Number, min: 0, max: 1 }
+    },
+    framing: { type: String, enum: ['conflict', 'human_interest', 'economic_consequences', 'morality', 'responsibility'] }
+  }],
+  // People, organizations and places named in the article; normalized groups them across articles
+  entities: [{
+    _id: false,
+    name: { type: String, required: true },
+    normalized: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ['person', 'organization', 'place'],
+      required: true
+    },
+    aliases: [String],
+    mentions: { type: Number, min: 1, required: true },
+    sentiment: {
+      score: { type: String, enum: ['positive', 'neutral', 'negative'] },
+      confidence: { type: Number, min: 0, max: 1 }
+    }
+  }],
+  // Factual claims for fact-check triage; offsets locate each claim's source quote in `field`
+  claims: [{
+    _id: false,
+    text: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ['statistic', 'quote', 'prediction', 'opinion'],
+      required: true
+    },
+    verifiable: { type: Boolean, default: false },
+    speaker: { type: String, default: null },
+    quote: { type: String, required: true },
+    field: {
+      type: String,
+      enum: ['fullText', 'content'],
+      required: true
+    },
+    start: { type: Number, min: 0, required: true },
+    end: { type: Number, min: 0, required: true }
+  }],
+  // Direct quotes with who said them; speakerNormalized groups a speaker's quotes across articles
+  quotes: [{
+    _id: false,
+    text: { type: String, required: true },
+    speaker: { type: String, required: true },
+    speakerNormalized: { type: String, required: true },
+    role: { type: String, default: null },
+    field: {
+      type: String,
+      enum: ['fullText', 'content'],
+      required: true
+    },
+    start: { type: Number, min: 0, required: true },
+    end: { type: Number, min: 0, required: true }
+  }],
+  // Story cluster this article belongs to, and the weighted terms it was clustered on
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  storyTerms: [{
+    _id: false,
+    term: String,
+    weight: Number
+  }],
   analyzedAt: {
     type: Date,
     default: Date.now
+  },
+  // Latest analysis run; earlier runs live in AnalysisVersion
+  analysis: {
+    version: {
+      type: Number,
+      default: 1
+    },
+    model: String,
+    promptVersion: String,
+    mode: {
+      type: String,
+      enum: ['single', 'chunked'],
+      default: 'single'
+    }
   }
 }, {
   timestamps: true
@@ -63,5 +263,14 @@ const ArticleSchema = new mongoose.Schema({
 ArticleSchema.index({ analyzedAt: -1 });
 ArticleSchema.index({ 'sentiment.score': 1 });
 ArticleSchema.index({ 'sentiment.politicalBias': 1 });
+ArticleSchema.index({ 'extraction.quality': 1 });
+ArticleSchema.index({ language: 1, analyzedAt: -1 });
+ArticleSchema.index({ 'politicalScore.score': 1 });
+ArticleSchema.index({ 'headline.sensationalism': -1 });
+ArticleSchema.index({ 'entities.normalized': 1, analyzedAt: -1 });
+ArticleSchema.index({ 'claims.type': 1, analyzedAt: -1 });
+ArticleSchema.index({ 'quotes.speakerNormalized': 1, publishedAt: -1 });
+ArticleSchema.index({ story: 1, publishedAt: 1 });
+ArticleSchema.index({ publishedAt: -1 });
 
 module.exports = mongoose.model('Article', ArticleSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Cached cross-source coverage comparison, keyed by the sorted set of compared article ids
+const ComparisonSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  articles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  // Analysis version of each article when compared; a re-analysis makes the comparison stale
+  articleVersions: [{
+    _id: false,
+    article: mongoose.Schema.Types.ObjectId,
+    version: Number
+  }],
+  model: {
+    type: String,
+    default: null
+  },
+  promptVersion: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+
+ComparisonSchema.index({ articles: 1 });
+ComparisonSchema.index({ story: 1 });
+
+module.exports = mongoose.model('Comparison', ComparisonSchema);
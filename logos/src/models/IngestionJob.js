@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Outcome of one run: what was fetched, what was already stored and what went to the analysis queue
+const IngestionRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  startedAt: { type: Date, required: true },
+  completedAt: { type: Date, required: true },
+  fetched: { type: Number, min: 0, default: 0 },
+  skipped: { type: Number, min: 0, default: 0 },
+  queued: { type: Number, min: 0, default: 0 },
+  // Batch id in the analysis queue, pollable at /analysis/jobs/:id
+  analysisJobId: { type: String, default: null },
+  error: {
+    message: String,
+    type: { type: String },
+    statusCode: Number
+  }
+}, { _id: false });
+
+// Scheduled fetch of headlines or a search, whose new articles are queued for analysis
+const IngestionJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['headlines', 'search'],
+    required: true
+  },
+  // Search query; null for headline jobs
+  query: {
+    type: String,
+    default: null
+  },
+  // Passed to NewsClient as-is
+  options: {
+    country: { type: String, default: null },
+    lang: { type: String, default: null },
+    category: { type: String, default: null },
+    provider: { type: String, default: null },
+    sortBy: { type: String, default: null }
+  },
+  limit: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 20
+  },
+  intervalMinutes: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // null while the job is disabled
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  // Claim held by the run in progress, on whichever instance; null when idle
+  runningUntil: {
+    type: Date,
+    default: null
+  },
+  lastRun: {
+    type: IngestionRunSchema,
+    default: null
+  },
+  // Most recent runs, oldest first
+  recentRuns: [IngestionRunSchema],
+  consecutiveFailures: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+
+IngestionJobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('IngestionJob', IngestionJobSchema);
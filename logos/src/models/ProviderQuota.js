@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const ProviderQuotaSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // null means unlimited
+  dailyLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ProviderQuota', ProviderQuotaSchema);
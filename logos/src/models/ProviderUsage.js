@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One document per provider per UTC day
+const ProviderUsageSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  day: {
+    type: String, // YYYY-MM-DD (UTC)
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastRequestAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+
+ProviderUsageSchema.index({ provider: 1, day: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProviderUsage', ProviderUsageSchema);
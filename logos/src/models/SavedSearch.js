@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Alert rule on the analyzed articles a watchlist has found within a time window
+const WatchConditionSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    enum: ['negative_share', 'positive_share', 'neutral_share', 'left_share', 'center_share', 'right_share', 'article_count'],
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: ['above', 'below'],
+    required: true
+  },
+  // Shares are 0.0-1.0; article_count is a number of articles
+  threshold: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  windowHours: {
+    type: Number,
+    min: 1,
+    default: 24
+  },
+  // Share metrics are not evaluated on fewer analyzed articles than this
+  minArticles: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+  // Whether the condition held at the last check; an alert fires only when it starts to hold
+  met: {
+    type: Boolean,
+    default: false
+  },
+  lastValue: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// Outcome of one watchlist check
+const WatchCheckSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  startedAt: { type: Date, required: true },
+  completedAt: { type: Date, required: true },
+  fetched: { type: Number, min: 0, default: 0 },
+  newArticles: { type: Number, min: 0, default: 0 },
+  queued: { type: Number, min: 0, default: 0 },
+  alerts: { type: Number, min: 0, default: 0 },
+  error: {
+    message: String,
+    type: { type: String },
+    statusCode: Number
+  }
+}, { _id: false });
+
+// Named news search with its filters; optionally a watchlist checked on a schedule
+const SavedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  query: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Passed to NewsClient.searchNews as-is
+  filters: {
+    provider: { type: String, default: null },
+    searchIn: { type: String, default: null },
+    sortBy: { type: String, default: null },
+    country: { type: String, default: null },
+    lang: { type: String, default: null }
+  },
+  watch: {
+    enabled: { type: Boolean, default: false },
+    intervalMinutes: { type: Number, min: 1, default: 60 },
+    limit: { type: Number, min: 1, max: 100, default: 20 },
+    conditions: [WatchConditionSchema]
+  },
+  // null while the watch is off
+  nextCheckAt: {
+    type: Date,
+    default: null
+  },
+  lastCheck: {
+    type: WatchCheckSchema,
+    default: null
+  },
+  consecutiveFailures: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+  // URLs found by earlier checks are kept per search in WatchSeenUrl
+}, {
+  timestamps: true
+});
+
+
+SavedSearchSchema.index({ 'watch.enabled': 1, nextCheckAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const SearchCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  query: {
+    type: String,
+    required: true
+  },
+  providers: [String],
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+
+// MongoDB removes expired entries on its own
+SearchCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SearchCacheEntrySchema.index({ query: 1 });
+SearchCacheEntrySchema.index({ providers: 1 });
+
+module.exports = mongoose.model('SearchCacheEntry', SearchCacheEntrySchema);
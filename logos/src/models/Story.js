@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A group of articles from one or more sources about the same event; members reference it from Article.story
+const StorySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  keywords: [String],
+  articleCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sources: [String],
+  firstPublishedAt: {
+    type: Date
+  },
+  lastPublishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+
+StorySchema.index({ lastPublishedAt: -1 });
+StorySchema.index({ articleCount: -1 });
+
+module.exports = mongoose.model('Story', StorySchema);
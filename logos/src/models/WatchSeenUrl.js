@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A URL a saved search has found; one that is not recorded here for the search is a new match.
+// createdAt is when the URL was first seen.
+const WatchSeenUrlSchema = new mongoose.Schema({
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+
+WatchSeenUrlSchema.index({ savedSearch: 1, url: 1 }, { unique: true });
+WatchSeenUrlSchema.index({ savedSearch: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WatchSeenUrl', WatchSeenUrlSchema);
@@ -8,6 +8,7 @@ class ArticleData {
     this.urlToImage = this._validateUrl(data.urlToImage) || null;
     this.publishedAt = this._validateDate(data.publishedAt);
     this.source = this._normalizeSource(data.source);
+    this.category = data.category || null;
     this.provider = data.provider || 'unknown';
     
     // Auto-generated fields
@@ -40,11 +41,16 @@ class ArticleData {
       urlToImage: this.urlToImage,
       publishedAt: this.publishedAt,
       source: this.source,
+      category: this.category,
       provider: this.provider,
       createdAt: this.createdAt
     };
   }
 
+  isValid() {
+    return !!this.url && this.title !== 'No title available';
+  }
+
   getSummary() {
     const text = this.content || this.description;
     if (!text) return '';
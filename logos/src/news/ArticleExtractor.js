@@ -0,0 +1,392 @@
+const dns = require('dns');
+const net = require('net');
+const cheerio = require('cheerio');
+const { ValidationError, ExternalAPIError } = require('./errors/NewsErrors');
+
+const ExtractionQuality = {
+  FULL: 'full',         // Main body extracted with enough text to analyze confidently
+  PARTIAL: 'partial',   // Some body text extracted, but less than expected for a full article
+  PROVIDER: 'provider', // Provider content used as-is (no extraction needed or nothing better found)
+  FAILED: 'failed'      // Extraction attempted and failed; provider content used
+};
+
+// Class/id hints borrowed from readability-style extractors
+const UNLIKELY_CANDIDATES = /combx|comment|community|disqus|extra|foot|header|menu|remark|rss|shoutbox|sidebar|sponsor|ad-break|agegate|pagination|pager|popup|share|social|newsletter|subscribe|related|promo|cookie|consent|banner|breadcrumb/i;
+const MAYBE_CANDIDATES = /and|article|body|column|main|shadow|content|story/i;
+const POSITIVE_HINTS = /article|body|content|entry|hentry|main|page|post|text|blog|story/i;
+const NEGATIVE_HINTS = /combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|shoutbox|sidebar|sponsor|shopping|tags|tool|widget|share|social|newsletter|subscribe/i;
+
+// Addresses article URLs may not resolve to: loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// "... [+1234 chars]" (NewsAPI) and "... [1234 chars]" (GNews) markers on truncated content
+const TRUNCATION_MARKER = /\s*(\.\.\.|…)?\s*\[\+?\d+\s*chars\]\s*$/i;
+
+/**
+ * ArticleExtractor - Pulls the main body text out of article HTML
+ *
+ * Features:
+ * - Fetches article pages or accepts raw HTML (for offline use with saved pages)
+ * - Only fetches public hosts: every redirect hop is resolved and checked, and page size is capped while reading
+ * - Prefers schema.org articleBody from JSON-LD when publishers provide it
+ * - Falls back to readability-style paragraph scoring with link-density penalties
+ * - Reports an extraction quality flag for every result
+ */
+class ArticleExtractor {
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.lookup = options.lookup || dns.promises.lookup;
+    this.maxHtmlLength = options.maxHtmlLength || 3 * 1024 * 1024; // bytes read from a page
+    this.maxRedirects = options.maxRedirects ?? 5;
+    this.minFullLength = options.minFullLength || 1000;
+    this.maxTextLength = options.maxTextLength || 100000;
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (compatible; LogosBot/1.0; +https://github.com/Eliminate-Entrant/Agora-Logos)';
+  }
+
+  /**
+   * Whether provider content looks truncated or too short to analyze well
+   * @param {string} content - Provider content
+   * @returns {boolean}
+   */
+  needsExtraction(content) {
+    if (!content || typeof content !== 'string') return true;
+    return this.isTruncated(content) || content.trim().length < this.minFullLength;
+  }
+
+  /**
+   * Detect provider truncation markers like "[+1234 chars]"
+   */
+  isTruncated(content) {
+    return TRUNCATION_MARKER.test(content || '');
+  }
+
+  /**
+   * Remove provider truncation markers from content
+   */
+  stripTruncationMarker(content) {
+    return (content || '').replace(TRUNCATION_MARKER, '').trim();
+  }
+
+  /**
+   * Fetch a page and extract its main text
+   * @param {string} url - Article URL
+   * @returns {Promise<Object>} Extraction result
+   */
+  async extractFromUrl(url) {
+    const html = await this._fetchPage(url);
+    return this.extractFromHtml(html, url);
+  }
+
+  /**
+   * Extract the main text from raw HTML
+   * @param {string} html - Page HTML
+   * @param {string} url - Page URL (optional, for reporting)
+   * @returns {Object} { text, title, method, quality, length, paragraphs }
+   */
+  extractFromHtml(html, url = null) {
+    if (!html || typeof html !== 'string') {
+      throw new ValidationError('HTML must be a non-empty string');
+    }
+
+    const $ = cheerio.load(html.substring(0, this.maxHtmlLength));
+    const title = this._extractTitle($);
+
+    // 1. Structured data is the most reliable source when present
+    const jsonLdBody = this._extractJsonLdBody($);
+    if (jsonLdBody && jsonLdBody.length >= 200) {
+      const paragraphs = jsonLdBody.split(/\n{2,}|\r\n\r\n/).map(p => this._cleanText(p)).filter(Boolean);
+      return this._buildResult({ url, title, paragraphs, method: 'json-ld' });
+    }
+
+    // 2. Readability-style scoring
+    const paragraphs = this._extractByScoring($);
+    return this._buildResult({ url, title, paragraphs, method: 'readability' });
+  }
+
+  /**
+   * Fetch page HTML, following redirects by hand so that every hop is checked
+   * @private
+   */
+  async _fetchPage(url) {
+    const signal = AbortSignal.timeout(this.timeoutMs);
+    let pageUrl = this._parseArticleUrl(url);
+
+    for (let redirects = 0; ; redirects++) {
+      await this._assertPublicHost(pageUrl);
+
+      let response;
+      try {
+        response = await this.fetch(pageUrl.toString(), {
+          headers: {
+            'User-Agent': this.userAgent,
+            Accept: 'text/html,application/xhtml+xml'
+          },
+          redirect: 'manual',
+          signal
+        });
+      } catch (error) {
+        throw new ExternalAPIError('Article extraction', error);
+      }
+
+      if (!REDIRECT_STATUSES.includes(response.status)) {
+        return this._readHtml(response, signal);
+      }
+
+      await response.body?.cancel();
+      const location = response.headers.get('location');
+      if (!location) {
+        throw new ExternalAPIError('Article extraction', new Error(`Redirect ${response.status} without a Location header`));
+      }
+      if (redirects >= this.maxRedirects) {
+        throw new ExternalAPIError('Article extraction', new Error(`More than ${this.maxRedirects} redirects`));
+      }
+      pageUrl = this._parseArticleUrl(new URL(location, pageUrl).toString());
+    }
+  }
+
+  _parseArticleUrl(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      throw new ValidationError(`Invalid article URL: ${url}`);
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new ValidationError('Only http and https article URLs can be extracted');
+    }
+    return parsedUrl;
+  }
+
+  /**
+   * Refuse hosts that resolve to loopback, private, link-local or otherwise internal addresses
+   * @private
+   */
+  async _assertPublicHost(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+      addresses = await this.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new ExternalAPIError('Article extraction', error);
+    }
+
+    const blocked = addresses.length === 0 || addresses.some(({ address, family }) =>
+      BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+      throw new ValidationError(`Article URL host ${hostname} does not resolve to a public address`);
+    }
+  }
+
+  /**
+   * Read the response body up to maxHtmlLength bytes, then stop downloading
+   * @private
+   */
+  async _readHtml(response, signal) {
+    try {
+      if (!response.ok) {
+        throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType && !/html|xml/i.test(contentType)) {
+        throw new Error(`Unsupported content type: ${contentType}`);
+      }
+
+      const declaredLength = parseInt(response.headers.get('content-length'));
+      if (declaredLength > this.maxHtmlLength) {
+        throw new Error(`Page is too large: ${declaredLength} bytes (max ${this.maxHtmlLength})`);
+      }
+
+      if (!response.body) return '';
+
+      const reader = response.body.getReader();
+      const chunks = [];
+      let received = 0;
+      while (received < this.maxHtmlLength) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+      }
+      if (received >= this.maxHtmlLength) {
+        await reader.cancel();
+      }
+
+      return Buffer.concat(chunks).subarray(0, this.maxHtmlLength).toString('utf8');
+    } catch (error) {
+      await response.body?.cancel().catch(() => {});
+      throw new ExternalAPIError('Article extraction', signal.aborted ? new Error(`Timed out after ${this.timeoutMs}ms`) : error);
+    }
+  }
+
+  _buildResult({ url, title, paragraphs, method }) {
+    const text = paragraphs.join('\n\n').substring(0, this.maxTextLength);
+
+    let quality = ExtractionQuality.FAILED;
+    if (text.length >= this.minFullLength && paragraphs.length >= 3) {
+      quality = ExtractionQuality.FULL;
+    } else if (text.length >= 200) {
+      quality = ExtractionQuality.PARTIAL;
+    }
+
+    return {
+      url,
+      title,
+      text: quality === ExtractionQuality.FAILED ? '' : text,
+      method,
+      quality,
+      length: quality === ExtractionQuality.FAILED ? 0 : text.length,
+      paragraphs: quality === ExtractionQuality.FAILED ? 0 : paragraphs.length
+    };
+  }
+
+  _extractTitle($) {
+    return this._cleanText(
+      $('meta[property="og:title"]').attr('content') ||
+      $('h1').first().text() ||
+      $('title').first().text()
+    ) || null;
+  }
+
+  _extractJsonLdBody($) {
+    let body = null;
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+      if (body) return;
+      try {
+        const data = JSON.parse($(element).contents().text());
+        body = this._findArticleBody(data);
+      } catch {
+        // Malformed JSON-LD is common; ignore it
+      }
+    });
+
+    return body;
+  }
+
+  _findArticleBody(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        const found = this._findArticleBody(item);
+        if (found) return found;
+      }
+      return null;
+    }
+    if (typeof node.articleBody === 'string' && node.articleBody.trim()) {
+      return node.articleBody.trim();
+    }
+    return this._findArticleBody(node['@graph']);
+  }
+
+  /**
+   * Score paragraph containers and return the paragraphs of the best one
+   * @private
+   */
+  _extractByScoring($) {
+    $('script, style, noscript, iframe, svg, nav, header, footer, aside, form, button, select, input, template').remove();
+
+    // Drop blocks that are very unlikely to hold the article body
+    $('div, section, ul, ol, span, table').each((_, element) => {
+      const hint = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+      if (UNLIKELY_CANDIDATES.test(hint) && !MAYBE_CANDIDATES.test(hint)) {
+        $(element).remove();
+      }
+    });
+
+    const scores = new Map();
+    const initialize = (element) => {
+      if (!scores.has(element)) {
+        scores.set(element, this._initialScore($, element));
+      }
+    };
+
+    $('p, pre, blockquote').each((_, element) => {
+      const text = this._cleanText($(element).text());
+      if (text.length < 25) return;
+
+      const parent = element.parent;
+      const grandparent = parent?.parent;
+      if (!parent || parent.type !== 'tag') return;
+
+      const score = 1 + (text.split(',').length - 1) + Math.min(Math.floor(text.length / 100), 3);
+
+      initialize(parent);
+      scores.set(parent, scores.get(parent) + score);
+
+      if (grandparent && grandparent.type === 'tag') {
+        initialize(grandparent);
+        scores.set(grandparent, scores.get(grandparent) + score / 2);
+      }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [element, score] of scores) {
+      const adjusted = score * (1 - this._linkDensity($, element));
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    }
+
+    const container = best ? $(best) : $('article').first().length ? $('article').first() : $('body');
+    const paragraphs = [];
+    container.find('p, h2, h3, blockquote, li, pre').each((_, element) => {
+      // Nested matches (e.g. p inside blockquote) are collected via their ancestor
+      if ($(element).parents('p, blockquote, li').filter((__, ancestor) => container.has(ancestor).length > 0).length > 0) {
+        return;
+      }
+
+      const text = this._cleanText($(element).text());
+      const isHeading = /^h[23]$/i.test(element.tagName);
+      if (!text || (!isHeading && text.length < 40)) return;
+      if (this._linkDensity($, element) > 0.5) return;
+
+      paragraphs.push(text);
+    });
+
+    return paragraphs;
+  }
+
+  _initialScore($, element) {
+    const tagScores = { article: 10, div: 5, section: 3, main: 5, pre: 3, td: 3, blockquote: 3, form: -3, ol: -3, ul: -3, li: -3, th: -5 };
+    let score = tagScores[element.tagName] || 0;
+
+    const hint = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+    if (NEGATIVE_HINTS.test(hint)) score -= 25;
+    if (POSITIVE_HINTS.test(hint)) score += 25;
+    if ($(element).attr('itemprop') === 'articleBody') score += 50;
+
+    return score;
+  }
+
+  _linkDensity($, element) {
+    const textLength = this._cleanText($(element).text()).length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    $(element).find('a').each((_, link) => {
+      linkLength += this._cleanText($(link).text()).length;
+    });
+    return linkLength / textLength;
+  }
+
+  _cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = { ArticleExtractor, ExtractionQuality };
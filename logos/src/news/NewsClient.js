@@ -1,9 +1,16 @@
 const GNewsProvider = require('./providers/GNewsProvider');
 const NewsAPIProvider = require('./providers/NewsAPIProvider');
-const { ProviderNames } = require('./enums');
+const GuardianProvider = require('./providers/GuardianProvider');
+const RssProvider = require('./providers/RssProvider');
+const { ProviderNames, ALL_PROVIDERS } = require('./enums');
+const { dedupeArticles } = require('./dedupe');
+const { ProviderHealth } = require('./ProviderHealth');
+const { QuotaTracker } = require('./QuotaTracker');
+const { SearchCache } = require('./SearchCache');
 const { 
   ProviderNotFoundError, 
   NoProvidersAvailableError, 
+  ProvidersUnavailableError,
   InvalidQueryError 
 } = require('./errors/NewsErrors');
 
@@ -11,10 +18,20 @@ const {
  * News Client - Simplified main interface for all news operations
  */
 class NewsClient {
-  constructor() {
+  constructor(options = {}) {
     this.providers = new Map();
     this.defaultProvider = null;
-    this.articleCache = new Map(); // Cache articles by search query to handle pagination
+    // Cache articles by search query to handle pagination without re-spending provider quota
+    this.searchCache = options.searchCache || new SearchCache({
+      ttlMs: parseInt(process.env.SEARCH_CACHE_TTL_MS) || undefined,
+      maxEntries: parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES) || undefined,
+      persistent: process.env.SEARCH_CACHE_STORE === 'mongo'
+    });
+    this.health = options.health || new ProviderHealth({
+      failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || undefined,
+      cooldownMs: parseInt(process.env.PROVIDER_COOLDOWN_MS) || undefined
+    });
+    this.quota = options.quota || new QuotaTracker();
     this._autoRegisterProviders();
   }
 
@@ -36,6 +53,18 @@ class NewsClient {
       this._registerProvider(provider);
     }
 
+    // Register Guardian provider if API key is available
+    if (env.GUARDIAN_API_KEY) {
+      const provider = new GuardianProvider(env.GUARDIAN_API_KEY);
+      this._registerProvider(provider);
+    }
+
+    // Register RSS/Atom provider if feeds are configured (comma-separated URLs or file paths)
+    if (env.RSS_FEEDS) {
+      const provider = new RssProvider(env.RSS_FEEDS);
+      this._registerProvider(provider);
+    }
+
     // Log initialization status
     console.log(`News Client initialized with ${this.providers.size} providers`);
     if (this.defaultProvider) {
@@ -49,7 +78,9 @@ class NewsClient {
    * Register a provider
    */
   _registerProvider(provider) {
-    if (!provider.apiKey) {
+    // Keyless providers (e.g. RSS) report readiness themselves
+    const isReady = typeof provider.isReady === 'function' ? provider.isReady() : !!provider.apiKey;
+    if (!isReady) {
       console.warn(`Provider ${provider.name} is not ready, skipping registration`);
       return;
     }
@@ -104,50 +135,49 @@ class NewsClient {
       throw new InvalidQueryError(limit, 'Limit must be between 1 or more');
     }
 
-    const newsProvider = this._getProvider(provider);
-    
+    if (provider === ALL_PROVIDERS) {
+      return this._searchAllProviders(query.trim(), pageNum, limitNum, searchOptions);
+    }
+
+    return this._withFailover(provider, newsProvider =>
+      this._searchProvider(newsProvider, query.trim(), pageNum, limitNum, searchOptions)
+    );
+  }
+
+  /**
+   * Search a single provider, serving pages from the per-query article cache
+   */
+  async _searchProvider(newsProvider, query, pageNum, limitNum, searchOptions) {
     // Create cache key for this search
     const cacheKey = JSON.stringify({ 
-      query: query.trim(), 
+      query: query, 
       provider: newsProvider.name,
       ...searchOptions 
     });
     
-    // Get or initialize cache for this search
-    if (!this.articleCache.has(cacheKey)) {
-      this.articleCache.set(cacheKey, {
-        articles: [],
-        totalArticles: 0,
-        lastFetchSize: 0,
-        hasMore: true
-      });
-    }
-    
-    const cache = this.articleCache.get(cacheKey);
     const startIndex = (pageNum - 1) * limitNum;
     const endIndex = startIndex + limitNum;
     
-    // Check if we need to fetch articles from the provider (only once for GNews free plan)
-    if (cache.articles.length === 0 && cache.hasMore) {
-      // For GNews free plan: fetch all available articles in one go (max 10)
-      const fetchSize = newsProvider.name === 'gnews' ? 10 : Math.max(endIndex, limitNum * 2);
+    // Fetch articles from the provider only on a cache miss (only once for GNews free plan)
+    let cache = await this.searchCache.get(cacheKey);
+    if (!cache) {
+      const fetchSize = this._getFetchSize(newsProvider.name, endIndex, limitNum);
       
-      const result = await newsProvider.searchNews(query.trim(), {
+      const result = await this._callProvider(newsProvider, 'searchNews', query, {
         ...searchOptions,
         max: fetchSize
       });
       
-      // Update cache with all articles from this single fetch
-      cache.articles = result.articles || [];
-      cache.totalArticles = result.totalResults || 0;
-      cache.lastFetchSize = fetchSize;
-      
-      // For GNews free plan: We never have more than what we got in this single fetch
-      if (newsProvider.name === 'gnews') {
-        cache.hasMore = false; // GNews free plan gives us everything in one shot
-      } else {
-        cache.hasMore = result.articles.length >= fetchSize;
-      }
+      // Cache all articles from this single fetch
+      const articles = result.articles || [];
+      cache = {
+        articles: articles,
+        totalArticles: result.totalResults || 0,
+        lastFetchSize: fetchSize,
+        // For GNews free plan: We never have more than what we got in this single fetch
+        hasMore: newsProvider.name === 'gnews' ? false : articles.length >= fetchSize
+      };
+      await this.searchCache.set(cacheKey, cache, { query, providers: [newsProvider.name] });
     }
     
     // Slice the requested page from cached articles
@@ -186,6 +216,227 @@ class NewsClient {
     );
   }
 
+  /**
+   * Search every registered provider in parallel and merge the results,
+   * removing duplicates by canonical URL and near-identical title.
+   * A failing provider is reported in the response instead of failing the search.
+   */
+  async _searchAllProviders(query, pageNum, limitNum, searchOptions) {
+    const registered = Array.from(this.providers.values());
+    if (registered.length === 0) {
+      throw new NoProvidersAvailableError();
+    }
+
+    const cacheKey = JSON.stringify({
+      query,
+      provider: ALL_PROVIDERS,
+      ...searchOptions
+    });
+
+    const startIndex = (pageNum - 1) * limitNum;
+    const endIndex = startIndex + limitNum;
+
+    // Re-fetch on a fresh search if any provider failed last time
+    let cache = await this.searchCache.get(cacheKey);
+    const hadErrors = cache && Object.values(cache.providers).some(stats => stats.error);
+    if (!cache || (pageNum === 1 && hadErrors)) {
+      const providerStats = {};
+      const resultLists = [];
+      let firstError = null;
+
+      // Providers with an open circuit are reported but not called
+      const providers = registered.filter(newsProvider => {
+        if (this.health.canRequest(newsProvider.name)) return true;
+        providerStats[newsProvider.name] = {
+          count: 0,
+          totalResults: 0,
+          error: this._circuitOpenError(newsProvider.name)
+        };
+        return false;
+      });
+
+      if (providers.length === 0) {
+        throw new ProvidersUnavailableError(
+          Object.entries(providerStats).map(([name, stats]) => ({ provider: name, skipped: true, error: stats.error }))
+        );
+      }
+
+      const outcomes = await Promise.allSettled(providers.map(newsProvider =>
+        this._callProvider(newsProvider, 'searchNews', query, {
+          ...searchOptions,
+          max: this._getFetchSize(newsProvider.name, endIndex, limitNum)
+        })
+      ));
+
+      outcomes.forEach((outcome, index) => {
+        const name = providers[index].name;
+        if (outcome.status === 'fulfilled') {
+          this.health.recordSuccess(name);
+          const articles = outcome.value.articles || [];
+          resultLists.push(articles);
+          providerStats[name] = {
+            count: articles.length,
+            totalResults: outcome.value.totalResults || 0,
+            error: null
+          };
+        } else {
+          const error = outcome.reason;
+          this._recordProviderError(name, error);
+          firstError = firstError || error;
+          providerStats[name] = {
+            count: 0,
+            totalResults: 0,
+            error: {
+              message: error.message,
+              type: error.name,
+              statusCode: error.statusCode || 500
+            }
+          };
+        }
+      });
+
+      // Nothing to merge if every provider failed
+      if (resultLists.length === 0) {
+        throw firstError;
+      }
+
+      const { articles, duplicatesRemoved } = dedupeArticles(this._interleave(resultLists));
+      cache = { articles, providers: providerStats, duplicatesRemoved };
+      await this.searchCache.set(cacheKey, cache, { query, providers: Object.keys(providerStats) });
+    }
+
+    const pageArticles = cache.articles.slice(startIndex, endIndex);
+    const hasNextPage = cache.articles.length > endIndex;
+
+    return {
+      ...this._createPaginatedResponse(
+        pageArticles,
+        cache.articles.length,
+        pageNum,
+        limitNum,
+        hasNextPage,
+        ALL_PROVIDERS
+      ),
+      providers: cache.providers,
+      duplicatesRemoved: cache.duplicatesRemoved
+    };
+  }
+
+  /**
+   * Run an operation against the requested (or default) provider, failing over
+   * to the next healthy registered provider when it errors or its circuit is open.
+   * Client errors (bad parameters) are rethrown without failover.
+   */
+  async _withFailover(name, operation) {
+    const primary = this._getProvider(name);
+    const candidates = [
+      primary,
+      ...Array.from(this.providers.values()).filter(newsProvider => newsProvider !== primary)
+    ];
+
+    const attempts = [];
+    let lastError = null;
+
+    for (const newsProvider of candidates) {
+      if (!this.health.canRequest(newsProvider.name)) {
+        attempts.push({ provider: newsProvider.name, skipped: true, error: this._circuitOpenError(newsProvider.name) });
+        continue;
+      }
+
+      try {
+        const result = await operation(newsProvider);
+        this.health.recordSuccess(newsProvider.name);
+
+        if (attempts.length > 0) {
+          console.warn(`News request failed over from ${primary.name} to ${newsProvider.name}`);
+        }
+
+        return {
+          ...result,
+          provider: newsProvider.name,
+          requestedProvider: primary.name,
+          failover: attempts.length > 0 ? attempts : null
+        };
+      } catch (error) {
+        if (this.health.isClientError(error)) {
+          this.health.release(newsProvider.name);
+          throw error;
+        }
+
+        this._recordProviderError(newsProvider.name, error);
+        lastError = error;
+        attempts.push({
+          provider: newsProvider.name,
+          skipped: false,
+          error: {
+            message: error.message,
+            type: error.name,
+            statusCode: error.statusCode || 500
+          }
+        });
+      }
+    }
+
+    // Nothing to fail over to: surface the provider's own error
+    if (attempts.length === 1 && lastError) {
+      throw lastError;
+    }
+
+    throw new ProvidersUnavailableError(attempts);
+  }
+
+  /**
+   * Call a provider method, refusing early once its daily quota is spent
+   */
+  async _callProvider(newsProvider, method, ...args) {
+    await this.quota.reserveRequest(newsProvider.name);
+    return newsProvider[method](...args);
+  }
+
+  /**
+   * Record a provider failure unless it was caused by the request itself
+   */
+  _recordProviderError(name, error) {
+    if (this.health.isClientError(error)) {
+      this.health.release(name);
+    } else {
+      this.health.recordFailure(name, error);
+    }
+  }
+
+  _circuitOpenError(name) {
+    const status = this.health.getStatus(name);
+    return {
+      message: status.openUntil
+        ? `Circuit open until ${status.openUntil.toISOString()}`
+        : 'Circuit open, trial request in progress',
+      type: 'CircuitOpen',
+      statusCode: 503
+    };
+  }
+
+  /**
+   * Number of articles to request from a provider for one cached search
+   */
+  _getFetchSize(providerName, endIndex, limitNum) {
+    // For GNews free plan: fetch all available articles in one go (max 10)
+    return providerName === ProviderNames.GNEWS ? 10 : Math.max(endIndex, limitNum * 2);
+  }
+
+  /**
+   * Round-robin merge so each provider's own ranking is preserved
+   */
+  _interleave(lists) {
+    const merged = [];
+    const longest = Math.max(...lists.map(list => list.length));
+    for (let i = 0; i < longest; i++) {
+      for (const list of lists) {
+        if (i < list.length) merged.push(list[i]);
+      }
+    }
+    return merged;
+  }
+
   /**
    * Get top headlines
    */
@@ -204,20 +455,20 @@ class NewsClient {
       throw new InvalidQueryError(limit, 'Limit must be 1 or more');
     }
 
-    const newsProvider = this._getProvider(provider);
-    
     // Calculate offset for provider
     const offset = (pageNum - 1) * limitNum;
     const maxResults = limitNum;
     
-    const result = await newsProvider.getTopHeadlines({
-      ...headlineOptions,
-      max: maxResults,
-      offset: offset
+    return this._withFailover(provider, async newsProvider => {
+      const result = await this._callProvider(newsProvider, 'getTopHeadlines', {
+        ...headlineOptions,
+        max: maxResults,
+        offset: offset
+      });
+      
+      // Add pagination metadata
+      return this._addPaginationMetadata(result, pageNum, limitNum);
     });
-    
-    // Add pagination metadata
-    return this._addPaginationMetadata(result, pageNum, limitNum);
   }
 
   /**
@@ -227,6 +478,39 @@ class NewsClient {
     return Array.from(this.providers.keys());
   }
 
+  /**
+   * Get circuit breaker status for every registered provider
+   */
+  getProviderHealth() {
+    const health = {};
+    for (const name of this.providers.keys()) {
+      health[name] = this.health.getStatus(name);
+    }
+    return health;
+  }
+
+  /**
+   * Get today's request counts and limits for every registered provider
+   */
+  async getUsage() {
+    return this.quota.getUsage(this.getAvailableProviders());
+  }
+
+  /**
+   * Set (and persist) a provider's daily request limit
+   * @param {string} name - Provider name
+   * @param {number|null} dailyLimit - Requests per day, or null for unlimited
+   */
+  async setProviderLimit(name, dailyLimit) {
+    if (!this.providers.has(name)) {
+      throw new ProviderNotFoundError(name, this.getAvailableProviders());
+    }
+    const usage = await this.quota.setLimit(name, dailyLimit);
+    // A raised budget should take effect immediately
+    this.health.reset(name);
+    return usage;
+  }
+
   /**
    * Set default provider
    */
@@ -241,7 +525,22 @@ class NewsClient {
    * Clear article cache (useful for testing or memory management)
    */
   clearCache() {
-    this.articleCache.clear();
+    return this.searchCache.clear();
+  }
+
+  /**
+   * Remove cached searches for a query and/or provider
+   * @param {Object} filter - { query, provider }
+   */
+  invalidateCache(filter) {
+    return this.searchCache.invalidate(filter);
+  }
+
+  /**
+   * Get search cache hit/miss statistics
+   */
+  getCacheStats() {
+    return this.searchCache.getStats();
   }
 
   /**
@@ -0,0 +1,167 @@
+const { RateLimitError } = require('./errors/NewsErrors');
+
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * ProviderHealth - Per-provider circuit breaker
+ *
+ * - CLOSED: requests flow normally; consecutive failures are counted
+ * - OPEN: requests are skipped until the cooldown (or rate limit reset) passes
+ * - HALF_OPEN: a single trial request is let through; success closes the circuit,
+ *   failure opens it again
+ *
+ * A RateLimitError (or HTTP 429) opens the circuit immediately.
+ */
+class ProviderHealth {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60 * 1000;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Whether a request may be sent to the provider right now
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  canRequest(name) {
+    const circuit = this._getCircuit(name);
+
+    if (circuit.state === CircuitState.OPEN) {
+      if (Date.now() < circuit.openUntil) {
+        return false;
+      }
+      circuit.state = CircuitState.HALF_OPEN;
+      circuit.trialInFlight = false;
+    }
+
+    if (circuit.state === CircuitState.HALF_OPEN) {
+      if (circuit.trialInFlight) {
+        return false;
+      }
+      circuit.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} name - Provider name
+   */
+  recordSuccess(name) {
+    const circuit = this._getCircuit(name);
+    circuit.state = CircuitState.CLOSED;
+    circuit.consecutiveFailures = 0;
+    circuit.openUntil = null;
+    circuit.trialInFlight = false;
+    circuit.totalSuccesses++;
+    circuit.lastSuccessAt = new Date();
+  }
+
+  /**
+   * Record a failed request, opening the circuit when needed
+   * @param {string} name - Provider name
+   * @param {Error} error - The failure
+   */
+  recordFailure(name, error) {
+    const circuit = this._getCircuit(name);
+    circuit.consecutiveFailures++;
+    circuit.totalFailures++;
+    circuit.trialInFlight = false;
+    circuit.lastFailureAt = new Date();
+    circuit.lastError = {
+      message: error.message,
+      type: error.name,
+      statusCode: error.statusCode || 500
+    };
+
+    if (this.isRateLimitError(error)) {
+      const resetAt = error.resetTime ? new Date(error.resetTime).getTime() : NaN;
+      this._open(circuit, isNaN(resetAt) ? Date.now() + this.cooldownMs : resetAt);
+    } else if (circuit.state === CircuitState.HALF_OPEN || circuit.consecutiveFailures >= this.failureThreshold) {
+      this._open(circuit, Date.now() + this.cooldownMs);
+    }
+  }
+
+  /**
+   * Release a half-open trial slot without judging the provider
+   * (e.g. the request was rejected before reaching it)
+   * @param {string} name - Provider name
+   */
+  release(name) {
+    this._getCircuit(name).trialInFlight = false;
+  }
+
+  /**
+   * Client errors (bad parameters) say nothing about provider health
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isClientError(error) {
+    const statusCode = error.statusCode || 500;
+    return statusCode >= 400 && statusCode < 500 && statusCode !== 429;
+  }
+
+  isRateLimitError(error) {
+    return error instanceof RateLimitError ||
+      error.statusCode === 429 ||
+      /\b429\b|rate limit|too many requests|quota/i.test(error.message || '');
+  }
+
+  /**
+   * Health snapshot for one provider
+   * @param {string} name - Provider name
+   */
+  getStatus(name) {
+    const circuit = this._getCircuit(name);
+    const isOpen = circuit.state === CircuitState.OPEN && Date.now() < circuit.openUntil;
+
+    return {
+      state: circuit.state === CircuitState.OPEN && !isOpen ? CircuitState.HALF_OPEN : circuit.state,
+      healthy: circuit.state === CircuitState.CLOSED,
+      consecutiveFailures: circuit.consecutiveFailures,
+      totalFailures: circuit.totalFailures,
+      totalSuccesses: circuit.totalSuccesses,
+      openUntil: isOpen ? new Date(circuit.openUntil) : null,
+      lastError: circuit.lastError,
+      lastFailureAt: circuit.lastFailureAt,
+      lastSuccessAt: circuit.lastSuccessAt
+    };
+  }
+
+  /**
+   * Manually close a provider's circuit
+   */
+  reset(name) {
+    this.circuits.delete(name);
+  }
+
+  _open(circuit, until) {
+    circuit.state = CircuitState.OPEN;
+    circuit.openUntil = until;
+  }
+
+  _getCircuit(name) {
+    if (!this.circuits.has(name)) {
+      this.circuits.set(name, {
+        state: CircuitState.CLOSED,
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        openUntil: null,
+        trialInFlight: false,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null
+      });
+    }
+    return this.circuits.get(name);
+  }
+}
+
+module.exports = { ProviderHealth, CircuitState };
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const ProviderUsage = require('../models/ProviderUsage');
+const ProviderQuota = require('../models/ProviderQuota');
+const { ProviderNames } = require('./enums');
+const { RateLimitError, ValidationError } = require('./errors/NewsErrors');
+
+// Free-tier daily request budgets; override with NEWS_QUOTA_<PROVIDER> or the usage API
+const DEFAULT_DAILY_LIMITS = {
+  [ProviderNames.GNEWS]: 100,
+  [ProviderNames.NEWSAPI]: 100,
+  [ProviderNames.GUARDIAN]: 500,
+  [ProviderNames.RSS]: null
+};
+
+/**
+ * QuotaTracker - Per-provider daily request accounting
+ *
+ * Features:
+ * - Counts provider requests per UTC day
+ * - Refuses requests early with RateLimitError once a daily budget is spent
+ * - Persists counters and limits in MongoDB so restarts don't reset them
+ * - Keeps working in memory while the database is unavailable
+ */
+class QuotaTracker {
+  constructor(options = {}) {
+    this.limits = { ...DEFAULT_DAILY_LIMITS, ...this._limitsFromEnv(), ...options.limits };
+    this.historyDays = options.historyDays || 7;
+    this.counters = new Map(); // `${provider}:${day}` -> count
+    this._loadedDay = null;
+  }
+
+  /**
+   * Count one request against the provider's budget, refusing it once the budget is spent.
+   * The check and the increment happen together, so concurrent calls cannot overshoot the limit.
+   * @param {string} provider - Provider name
+   * @throws {RateLimitError}
+   */
+  async reserveRequest(provider) {
+    await this._ensureLoaded();
+
+    const day = this._today();
+    const key = `${provider}:${day}`;
+    const limit = this.getLimit(provider);
+
+    if (limit !== null && this._getCount(provider, day) >= limit) {
+      throw new RateLimitError(provider, this._nextReset().toISOString());
+    }
+    this.counters.set(key, this._getCount(provider, day) + 1);
+
+    if (!this._isDatabaseReady()) {
+      return;
+    }
+
+    // Other instances share the budget: only increment while the stored count is under the limit
+    try {
+      const usage = await ProviderUsage.findOneAndUpdate(
+        limit === null ? { provider, day } : { provider, day, count: { $lt: limit } },
+        { $inc: { count: 1 }, $set: { lastRequestAt: new Date() } },
+        { upsert: true, new: true }
+      ).lean();
+      this.counters.set(key, Math.max(this._getCount(provider, day), usage.count));
+    } catch (error) {
+      // The guard failed on an existing document, so the upsert collided with it: the budget is spent
+      if (error.code === 11000) {
+        this.counters.set(key, Math.max(this._getCount(provider, day), limit));
+        throw new RateLimitError(provider, this._nextReset().toISOString());
+      }
+      console.warn(`QuotaTracker: Failed to persist usage for ${provider}:`, error.message);
+    }
+  }
+
+  /**
+   * Get the daily limit for a provider (null = unlimited)
+   */
+  getLimit(provider) {
+    return this.limits[provider] ?? null;
+  }
+
+  /**
+   * Set and persist a provider's daily limit
+   * @param {string} provider - Provider name
+   * @param {number|null} dailyLimit - Requests per day, or null for unlimited
+   */
+  async setLimit(provider, dailyLimit) {
+    if (dailyLimit !== null && (!Number.isInteger(dailyLimit) || dailyLimit < 0)) {
+      throw new ValidationError('dailyLimit must be a non-negative integer or null');
+    }
+
+    this.limits[provider] = dailyLimit;
+
+    if (this._isDatabaseReady()) {
+      await ProviderQuota.updateOne(
+        { provider },
+        { $set: { dailyLimit } },
+        { upsert: true }
+      );
+    }
+
+    return this.getProviderUsage(provider);
+  }
+
+  /**
+   * Today's usage for a single provider
+   */
+  getProviderUsage(provider) {
+    const used = this._getCount(provider, this._today());
+    const limit = this.getLimit(provider);
+
+    return {
+      provider,
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      exhausted: limit !== null && used >= limit,
+      resetAt: this._nextReset()
+    };
+  }
+
+  /**
+   * Usage for the given providers, with recent daily history when the database is available
+   * @param {Array<string>} providers - Provider names
+   */
+  async getUsage(providers) {
+    await this._ensureLoaded();
+
+    const history = {};
+    if (this._isDatabaseReady()) {
+      const since = new Date(Date.now() - (this.historyDays - 1) * 24 * 60 * 60 * 1000);
+      const docs = await ProviderUsage.find({
+        provider: { $in: providers },
+        day: { $gte: this._formatDay(since) }
+      }).sort({ day: 1 }).lean();
+
+      for (const doc of docs) {
+        (history[doc.provider] = history[doc.provider] || []).push({ day: doc.day, count: doc.count });
+      }
+    }
+
+    return {
+      day: this._today(),
+      resetAt: this._nextReset(),
+      persisted: this._isDatabaseReady(),
+      providers: providers.map(provider => ({
+        ...this.getProviderUsage(provider),
+        history: history[provider] || []
+      }))
+    };
+  }
+
+  /**
+   * Load today's counters and stored limits once per day, as soon as the database is connected
+   * @private
+   */
+  async _ensureLoaded() {
+    const today = this._today();
+    if (this._loadedDay === today || !this._isDatabaseReady()) {
+      return;
+    }
+
+    try {
+      const [usageDocs, quotaDocs] = await Promise.all([
+        ProviderUsage.find({ day: today }).lean(),
+        ProviderQuota.find({}).lean()
+      ]);
+
+      // Requests counted before the database connected may not have been persisted
+      for (const doc of usageDocs) {
+        const key = `${doc.provider}:${today}`;
+        this.counters.set(key, Math.max(this.counters.get(key) || 0, doc.count));
+      }
+
+      for (const doc of quotaDocs) {
+        this.limits[doc.provider] = doc.dailyLimit;
+      }
+
+      // Drop counters from previous days
+      for (const key of this.counters.keys()) {
+        if (!key.endsWith(`:${today}`)) this.counters.delete(key);
+      }
+
+      this._loadedDay = today;
+    } catch (error) {
+      console.warn('QuotaTracker: Failed to load persisted usage:', error.message);
+    }
+  }
+
+  _limitsFromEnv() {
+    const limits = {};
+    for (const provider of Object.values(ProviderNames)) {
+      const value = process.env[`NEWS_QUOTA_${provider.toUpperCase()}`];
+      if (value === undefined || value === '') continue;
+      if (value === 'unlimited') {
+        limits[provider] = null;
+      } else if (/^\d+$/.test(value.trim())) {
+        limits[provider] = parseInt(value, 10);
+      } else {
+        console.warn(`QuotaTracker: Ignoring NEWS_QUOTA_${provider.toUpperCase()}="${value}" (expected a whole number or "unlimited")`);
+      }
+    }
+    return limits;
+  }
+
+  _getCount(provider, day) {
+    return this.counters.get(`${provider}:${day}`) || 0;
+  }
+
+  _isDatabaseReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  _today() {
+    return this._formatDay(new Date());
+  }
+
+  _formatDay(date) {
+    return date.toISOString().substring(0, 10);
+  }
+
+  _nextReset() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+}
+
+module.exports = { QuotaTracker, DEFAULT_DAILY_LIMITS };
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const SearchCacheEntry = require('../models/SearchCacheEntry');
+const { ValidationError } = require('./errors/NewsErrors');
+
+/**
+ * In-process LRU store with per-entry expiry
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // Map keeps insertion order, so the first key is the least recently used
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  async delete(filter) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (matchesFilter(entry, filter)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    return removed;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * MongoDB-backed store shared across restarts and instances
+ * Expired documents are removed by a TTL index
+ */
+class MongoCacheStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  isReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async get(key) {
+    const doc = await SearchCacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    if (!doc) return null;
+
+    return {
+      value: doc.value,
+      query: doc.query,
+      providers: doc.providers,
+      expiresAt: doc.expiresAt.getTime(),
+      createdAt: doc.createdAt.getTime()
+    };
+  }
+
+  async set(key, entry) {
+    await SearchCacheEntry.updateOne(
+      { key },
+      {
+        $set: {
+          query: entry.query,
+          providers: entry.providers,
+          value: entry.value,
+          expiresAt: new Date(entry.expiresAt)
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async delete(filter) {
+    const query = {};
+    if (filter.query) query.query = normalizeQuery(filter.query);
+    if (filter.provider) query.providers = filter.provider;
+
+    const result = await SearchCacheEntry.deleteMany(query);
+    return result.deletedCount;
+  }
+
+  async clear() {
+    const result = await SearchCacheEntry.deleteMany({});
+    return result.deletedCount;
+  }
+
+  async size() {
+    return SearchCacheEntry.countDocuments({ expiresAt: { $gt: new Date() } });
+  }
+}
+
+/**
+ * SearchCache - TTL-bounded cache for provider search results
+ *
+ * Features:
+ * - In-memory LRU tier with a size cap
+ * - Optional MongoDB tier so cached searches survive restarts and are shared by instances
+ * - Hit/miss statistics
+ * - Invalidation by query and/or provider
+ */
+class SearchCache {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 15 * 60 * 1000; // 15 minutes
+    this.memory = new MemoryCacheStore({ maxEntries: options.maxEntries || 500 });
+    this.persistent = options.persistent ? new MongoCacheStore() : null;
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      memoryHits: 0,
+      persistentHits: 0,
+      sets: 0,
+      invalidations: 0
+    };
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cached value or null on miss
+   */
+  async get(key) {
+    const entry = await this.memory.get(key);
+    if (entry) {
+      this.stats.hits++;
+      this.stats.memoryHits++;
+      return entry.value;
+    }
+
+    if (this._persistentReady()) {
+      try {
+        const stored = await this.persistent.get(key);
+        if (stored) {
+          await this.memory.set(key, stored);
+          this.stats.hits++;
+          this.stats.persistentHits++;
+          return stored.value;
+        }
+      } catch (error) {
+        console.warn('SearchCache: Persistent lookup failed:', error.message);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {Object} value - Value to cache (treated as immutable once stored)
+   * @param {Object} meta - Invalidation metadata
+   * @param {string} meta.query - Search query
+   * @param {Array<string>} meta.providers - Providers whose results are in the value
+   */
+  async set(key, value, { query, providers = [] } = {}) {
+    const now = Date.now();
+    const entry = {
+      value,
+      query: normalizeQuery(query),
+      providers,
+      createdAt: now,
+      expiresAt: now + this.ttlMs
+    };
+
+    await this.memory.set(key, entry);
+    this.stats.sets++;
+
+    if (this._persistentReady()) {
+      try {
+        await this.persistent.set(key, entry);
+      } catch (error) {
+        console.warn('SearchCache: Persistent write failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Remove entries matching a query and/or provider
+   * @param {Object} filter - { query, provider }
+   * @returns {Promise<Object>} Number of entries removed per store
+   */
+  async invalidate({ query, provider } = {}) {
+    if (!query && !provider) {
+      throw new ValidationError('Provide a query and/or provider to invalidate');
+    }
+
+    const filter = { query, provider };
+    const removed = { memory: await this.memory.delete(filter) };
+    if (this._persistentReady()) {
+      removed.persistent = await this.persistent.delete(filter);
+    }
+
+    this.stats.invalidations++;
+    return removed;
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    const removed = { memory: await this.memory.clear() };
+    if (this._persistentReady()) {
+      removed.persistent = await this.persistent.clear();
+    }
+    return removed;
+  }
+
+  /**
+   * Hit/miss statistics and store sizes
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+      ttlMs: this.ttlMs,
+      memory: {
+        entries: await this.memory.size(),
+        maxEntries: this.memory.maxEntries,
+        evictions: this.memory.evictions
+      },
+      persistent: this.persistent
+        ? {
+          enabled: true,
+          connected: this._persistentReady(),
+          entries: this._persistentReady() ? await this.persistent.size() : null
+        }
+        : { enabled: false }
+    };
+  }
+
+  _persistentReady() {
+    return !!this.persistent && this.persistent.isReady();
+  }
+}
+
+function normalizeQuery(query) {
+  return (query || '').trim().toLowerCase();
+}
+
+function matchesFilter(entry, { query, provider }) {
+  if (query && entry.query !== normalizeQuery(query)) return false;
+  if (provider && !entry.providers.includes(provider)) return false;
+  return true;
+}
+
+module.exports = { SearchCache, MemoryCacheStore, MongoCacheStore };
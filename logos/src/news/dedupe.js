@@ -0,0 +1,133 @@
+/**
+ * Cross-provider article de-duplication helpers
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|mc_cid|mc_eid|cmpid|ref|ref_src|ocid|smid|partner)$/i;
+
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * Reduce a URL to a canonical form so the same story linked through
+ * different providers compares equal
+ * @param {string} url - Article URL
+ * @returns {string|null} Canonical URL or null if unparseable
+ */
+function canonicalizeUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+    const path = parsed.pathname.replace(/\/amp\/?$/, '').replace(/\/+$/, '');
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const search = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+    return `${host}${path}${search}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize a headline for comparison: lowercase, no punctuation and
+ * no trailing " - Source Name" suffix that aggregators append
+ * @param {string} title - Article title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  if (!title || typeof title !== 'string') {
+    return '';
+  }
+
+  return title
+    .replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Jaccard similarity of the word sets of two normalized titles
+ * @returns {number} Similarity between 0 and 1
+ */
+function titleSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const tokensA = new Set(a.split(' '));
+  const tokensB = new Set(b.split(' '));
+  let intersection = 0;
+  for (const token of tokensA) {
+    if (tokensB.has(token)) intersection++;
+  }
+
+  return intersection / (tokensA.size + tokensB.size - intersection);
+}
+
+/**
+ * Remove duplicate articles by canonical URL and near-identical title.
+ * When duplicates are found the copy with the most content is kept and
+ * annotated with every provider that returned it.
+ * @param {Array<Object>} articles - Normalized articles (ArticleData JSON)
+ * @param {Object} options - Options
+ * @param {number} options.titleThreshold - Title similarity needed to treat two articles as one
+ * @returns {{articles: Array<Object>, duplicatesRemoved: number}}
+ */
+function dedupeArticles(articles, { titleThreshold = TITLE_SIMILARITY_THRESHOLD } = {}) {
+  const kept = [];
+  const byUrl = new Map();
+  let duplicatesRemoved = 0;
+
+  for (const article of articles) {
+    const canonicalUrl = canonicalizeUrl(article.url);
+    const normalizedTitle = normalizeTitle(article.title);
+
+    let match = canonicalUrl ? byUrl.get(canonicalUrl) : undefined;
+    if (!match && normalizedTitle) {
+      match = kept.find(entry => titleSimilarity(entry.normalizedTitle, normalizedTitle) >= titleThreshold);
+    }
+
+    if (!match) {
+      const entry = {
+        article: { ...article, providers: [article.provider] },
+        normalizedTitle
+      };
+      kept.push(entry);
+      if (canonicalUrl) byUrl.set(canonicalUrl, entry);
+      continue;
+    }
+
+    duplicatesRemoved++;
+    const providers = match.article.providers.includes(article.provider)
+      ? match.article.providers
+      : [...match.article.providers, article.provider];
+
+    if ((article.content || '').length > (match.article.content || '').length) {
+      match.article = { ...article, providers };
+    } else {
+      match.article.providers = providers;
+    }
+    if (canonicalUrl) byUrl.set(canonicalUrl, match);
+  }
+
+  return {
+    articles: kept.map(entry => entry.article),
+    duplicatesRemoved
+  };
+}
+
+module.exports = {
+  canonicalizeUrl,
+  normalizeTitle,
+  titleSimilarity,
+  dedupeArticles
+};
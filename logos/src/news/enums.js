@@ -26,12 +26,18 @@ const NewsCategory = {
 
 const ProviderNames = {
   GNEWS: 'gnews',
-  NEWSAPI: 'newsapi'
+  NEWSAPI: 'newsapi',
+  GUARDIAN: 'guardian',
+  RSS: 'rss'
 };
 
+// Pseudo-provider that fans a search out to every registered provider
+const ALL_PROVIDERS = 'all';
+
 module.exports = {
   SortBy,
   SearchInOptions,
   NewsCategory,
-  ProviderNames
+  ProviderNames,
+  ALL_PROVIDERS
 };
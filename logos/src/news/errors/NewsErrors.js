@@ -77,6 +77,18 @@ class NoProvidersAvailableError extends NewsError {
   }
 }
 
+/**
+ * Providers Unavailable Error - 503 Service Unavailable
+ * Used when every candidate provider failed or has an open circuit
+ */
+class ProvidersUnavailableError extends NewsError {
+  constructor(attempts = []) {
+    const details = attempts.map(attempt => `${attempt.provider}: ${attempt.error.message}`).join('; ');
+    super(`All news providers are currently unavailable${details ? ` (${details})` : ''}`, 503);
+    this.attempts = attempts;
+  }
+}
+
 /**
  * API Rate Limit Error - 429 Too Many Requests
  * Used when provider API rate limits are exceeded
@@ -182,6 +194,7 @@ module.exports = {
   ProviderNotFoundError,
   ProviderConfigurationError,
   NoProvidersAvailableError,
+  ProvidersUnavailableError,
   RateLimitError,
   ExternalAPIError,
   ArticleNotFoundError,
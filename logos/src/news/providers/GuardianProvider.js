@@ -0,0 +1,257 @@
+const { SortBy, SearchInOptions, NewsCategory, ProviderNames } = require('../enums');
+const ArticleData = require('../ArticleData');
+const { ValidationError, ProviderConfigurationError, ExternalAPIError, RateLimitError } = require('../errors/NewsErrors');
+
+/**
+ * Guardian sections that make up each NewsCategory
+ * Health has no section of its own, so it is matched by tag instead
+ */
+const CATEGORY_SECTIONS = {
+  [NewsCategory.GENERAL]: { section: 'world|uk-news|us-news|australia-news|politics|news' },
+  [NewsCategory.BUSINESS]: { section: 'business|money' },
+  [NewsCategory.ENTERTAINMENT]: { section: 'culture|film|music|tv-and-radio|books|stage|artanddesign|games' },
+  [NewsCategory.HEALTH]: { tag: 'society/health' },
+  [NewsCategory.SCIENCE]: { section: 'science|environment' },
+  [NewsCategory.SPORTS]: { section: 'sport|football' },
+  [NewsCategory.TECHNOLOGY]: { section: 'technology' }
+};
+
+/**
+ * Guardian production offices keyed by the country codes used elsewhere in the API
+ */
+const COUNTRY_OFFICES = {
+  us: 'us',
+  uk: 'uk',
+  gb: 'uk',
+  au: 'aus'
+};
+
+/**
+ * The Guardian Open Platform Provider Implementation
+ */
+class GuardianProvider {
+  /**
+   * @param {string} apiKey - Guardian Open Platform API key
+   * @param {Object} options - Optional overrides
+   * @param {string} options.baseUrl - API base URL
+   * @param {Function} options.fetch - fetch implementation (inject to replay recorded responses)
+   */
+  constructor(apiKey, options = {}) {
+    this.name = ProviderNames.GUARDIAN;
+    this.apiKey = apiKey;
+    if (!apiKey) {
+      throw new ProviderConfigurationError('Guardian API KEY not provided');
+    }
+
+    this.baseUrl = options.baseUrl || 'https://content.guardianapis.com';
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async searchNews(query, options = {}) {
+    const {
+      max = 10,
+      offset = 0,
+      country,
+      lang,
+      from,
+      to,
+      sortBy,
+      searchIn
+    } = options;
+
+    // Validate enum options
+    this._validateOptions({ sortBy, searchIn });
+
+    const params = this._buildBaseParams({ max, offset, country, lang });
+    params.set('q', query);
+    params.set('order-by', this._mapSortBy(sortBy));
+
+    if (from) params.set('from-date', this._formatDate(from));
+    if (to) params.set('to-date', this._formatDate(to));
+    if (searchIn) params.set('query-fields', this._mapSearchIn(searchIn));
+
+    const response = await this._request('/search', params);
+    return this.normalizeResponse(response);
+  }
+
+  async getTopHeadlines(options = {}) {
+    const {
+      category,
+      max = 10,
+      offset = 0,
+      lang,
+      country
+    } = options;
+
+    // Validate enum options
+    this._validateOptions({ category });
+
+    // The Guardian has no headlines endpoint; newest content per section is the closest equivalent
+    const params = this._buildBaseParams({ max, offset, country, lang });
+    params.set('order-by', 'newest');
+
+    const filter = CATEGORY_SECTIONS[category || NewsCategory.GENERAL];
+    if (filter.section) params.set('section', filter.section);
+    if (filter.tag) params.set('tag', filter.tag);
+
+    const response = await this._request('/search', params);
+    return this.normalizeResponse(response);
+  }
+
+  normalizeResponse(response) {
+    const body = response?.response || {};
+    const rawArticles = body.results || [];
+
+    // Map Guardian content items to Article model
+    const articles = rawArticles.map(item => {
+      const fields = item.fields || {};
+      return new ArticleData({
+        title: fields.headline || item.webTitle,
+        description: this._stripHtml(fields.trailText),
+        content: fields.bodyText,
+        url: item.webUrl,
+        urlToImage: fields.thumbnail,
+        publishedAt: item.webPublicationDate,
+        source: {
+          name: 'The Guardian',
+          url: 'https://www.theguardian.com'
+        },
+        category: this._mapSectionToCategory(item.sectionId),
+        provider: this.name
+      });
+    }).filter(article => article.isValid());
+
+    return {
+      status: 'ok',
+      totalResults: body.total || 0,
+      actualResults: articles.length,
+      provider: this.name,
+      articles: articles.map(article => article.toJSON())
+    };
+  }
+
+  /**
+   * Perform a GET request against the Content API
+   * @private
+   */
+  async _request(path, params) {
+    params.set('api-key', this.apiKey);
+
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}?${params}`);
+    } catch (error) {
+      throw new ExternalAPIError('Guardian', error);
+    }
+
+    if (response.status === 429) {
+      throw new RateLimitError('Guardian');
+    }
+
+    if (!response.ok) {
+      throw new ExternalAPIError('Guardian', new Error(`Request failed: ${response.status} ${response.statusText}`));
+    }
+
+    const data = await response.json();
+    if (data?.response?.status !== 'ok') {
+      throw new ExternalAPIError('Guardian', new Error(data?.response?.message || 'Unexpected response'));
+    }
+
+    return data;
+  }
+
+  /**
+   * Parameters shared by search and headlines requests
+   * @private
+   */
+  _buildBaseParams({ max, offset, country, lang }) {
+    const pageSize = Math.min(200, Math.max(1, parseInt(max) || 10));
+    const page = Math.floor((parseInt(offset) || 0) / pageSize) + 1;
+
+    const params = new URLSearchParams({
+      'page-size': pageSize,
+      page: page,
+      'show-fields': 'headline,trailText,bodyText,thumbnail'
+    });
+
+    if (lang) params.set('lang', lang);
+    if (country && COUNTRY_OFFICES[country]) {
+      params.set('production-office', COUNTRY_OFFICES[country]);
+    }
+
+    return params;
+  }
+
+  /**
+   * Map a Guardian section id back onto our NewsCategory values
+   */
+  _mapSectionToCategory(sectionId) {
+    if (!sectionId) return NewsCategory.GENERAL;
+
+    for (const [category, filter] of Object.entries(CATEGORY_SECTIONS)) {
+      if (filter.section && filter.section.split('|').includes(sectionId)) {
+        return category;
+      }
+    }
+    return NewsCategory.GENERAL;
+  }
+
+  /**
+   * Map our standard sort options to Guardian format
+   */
+  _mapSortBy(sortBy) {
+    const mapping = {
+      [SortBy.RELEVANCE]: 'relevance',
+      [SortBy.DATE]: 'newest',
+      [SortBy.PUBLISH_TIME]: 'newest'
+    };
+    return mapping[sortBy] || 'relevance';
+  }
+
+  /**
+   * Map our searchIn options to Guardian query-fields
+   */
+  _mapSearchIn(searchIn) {
+    const mapping = {
+      [SearchInOptions.TITLE]: 'headline',
+      [SearchInOptions.DESCRIPTION]: 'trailText',
+      [SearchInOptions.CONTENT]: 'body'
+    };
+    return mapping[searchIn];
+  }
+
+  /**
+   * The Guardian only accepts YYYY-MM-DD dates
+   */
+  _formatDate(date) {
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) {
+      throw new ValidationError(`Invalid date: ${date}`);
+    }
+    return parsed.toISOString().substring(0, 10);
+  }
+
+  _stripHtml(html) {
+    if (!html || typeof html !== 'string') return '';
+    return html.replace(/<[^>]*>/g, '');
+  }
+
+  /**
+   * Validate option values against enums
+   */
+  _validateOptions({ sortBy, searchIn, category }) {
+    if (sortBy && !Object.values(SortBy).includes(sortBy)) {
+      throw new ValidationError(`Invalid sortBy option. Must be one of: ${Object.values(SortBy).join(', ')}`);
+    }
+
+    if (searchIn && !Object.values(SearchInOptions).includes(searchIn)) {
+      throw new ValidationError(`Invalid searchIn option. Must be one of: ${Object.values(SearchInOptions).join(', ')}`);
+    }
+
+    if (category && !Object.values(NewsCategory).includes(category)) {
+      throw new ValidationError(`Invalid category option. Must be one of: ${Object.values(NewsCategory).join(', ')}`);
+    }
+  }
+}
+
+module.exports = GuardianProvider;
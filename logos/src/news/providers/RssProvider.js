@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { SortBy, SearchInOptions, NewsCategory, ProviderNames } = require('../enums');
+const ArticleData = require('../ArticleData');
+const { ValidationError, ProviderConfigurationError, ExternalAPIError } = require('../errors/NewsErrors');
+
+/**
+ * RSS 2.0 / RSS 1.0 / Atom Feed Provider Implementation
+ *
+ * Feeds are configured as a list of URLs or local file paths, optionally
+ * with a display name and a NewsCategory:
+ *   new RssProvider(['https://example.com/feed.xml', { url: './feeds/tech.xml', name: 'Tech', category: 'technology' }])
+ */
+class RssProvider {
+  /**
+   * @param {Array<string|Object>} feeds - Feed URLs/paths or { url, name, category } objects
+   * @param {Object} options - Optional overrides
+   * @param {number} options.cacheTtlMs - How long parsed feeds are reused
+   * @param {Function} options.fetch - fetch implementation for remote feeds
+   */
+  constructor(feeds = [], options = {}) {
+    this.name = ProviderNames.RSS;
+    this.feeds = this._normalizeFeeds(feeds);
+    this.isConfigured = this.feeds.length > 0;
+    if (!this.isConfigured) {
+      throw new ProviderConfigurationError('RSS provider requires at least one feed URL or file');
+    }
+
+    this.cacheTtlMs = options.cacheTtlMs ?? 10 * 60 * 1000; // 10 minutes
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      textNodeName: '#text',
+      processEntities: true,
+      htmlEntities: true
+    });
+    this.feedCache = new Map(); // feed url -> { items, fetchedAt }
+  }
+
+  isReady() {
+    return this.isConfigured;
+  }
+
+  async searchNews(query, options = {}) {
+    const {
+      max = 10,
+      offset = 0,
+      from,
+      to,
+      sortBy = SortBy.RELEVANCE,
+      searchIn
+    } = options;
+
+    // Validate enum options
+    this._validateOptions({ sortBy, searchIn });
+
+    const terms = this._tokenizeQuery(query);
+    if (terms.length === 0) {
+      throw new ValidationError('Search query must contain at least one keyword');
+    }
+
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const items = await this._loadAllItems();
+    const matches = items
+      .filter(item => {
+        const published = item.publishedAt ? new Date(item.publishedAt).getTime() : null;
+        if (fromTime && (!published || published < fromTime)) return false;
+        if (toTime && (!published || published > toTime)) return false;
+        return true;
+      })
+      .map(item => ({ item, score: this._scoreItem(item, terms, searchIn) }))
+      .filter(({ score }) => score > 0);
+
+    if (sortBy === SortBy.RELEVANCE) {
+      matches.sort((a, b) => b.score - a.score || this._compareDates(a.item, b.item));
+    } else {
+      matches.sort((a, b) => this._compareDates(a.item, b.item));
+    }
+
+    const start = parseInt(offset) || 0;
+    return this.normalizeResponse({
+      items: matches.slice(start, start + parseInt(max)).map(({ item }) => item),
+      totalResults: matches.length
+    });
+  }
+
+  async getTopHeadlines(options = {}) {
+    const {
+      category,
+      max = 10,
+      offset = 0
+    } = options;
+
+    // Validate enum options
+    this._validateOptions({ category });
+
+    const items = (await this._loadAllItems())
+      .filter(item => !category || item.category === category)
+      .sort((a, b) => this._compareDates(a, b));
+
+    const start = parseInt(offset) || 0;
+    return this.normalizeResponse({
+      items: items.slice(start, start + parseInt(max)),
+      totalResults: items.length
+    });
+  }
+
+  normalizeResponse(response) {
+    const rawItems = response.items || [];
+
+    // Map feed items to Article model
+    const articles = rawItems.map(item => {
+      return new ArticleData({
+        title: item.title,
+        description: item.description,
+        content: item.content || item.description,
+        url: item.url,
+        urlToImage: item.image,
+        publishedAt: item.publishedAt,
+        source: item.source,
+        category: item.category,
+        provider: this.name
+      });
+    }).filter(article => article.isValid());
+
+    return {
+      status: 'ok',
+      totalResults: response.totalResults ?? articles.length,
+      actualResults: articles.length,
+      provider: this.name,
+      articles: articles.map(article => article.toJSON())
+    };
+  }
+
+  /**
+   * Parse a feed document into plain items
+   * @param {string} xml - Feed XML
+   * @param {Object} feed - Feed configuration
+   * @returns {Array<Object>} Feed items
+   */
+  parseFeed(xml, feed) {
+    const doc = this.parser.parse(xml);
+
+    if (doc.rss?.channel) {
+      return this._parseRssChannel(doc.rss.channel, feed);
+    }
+    if (doc['rdf:RDF']) {
+      return this._parseRssChannel({ ...doc['rdf:RDF'].channel, item: doc['rdf:RDF'].item }, feed);
+    }
+    if (doc.feed) {
+      return this._parseAtomFeed(doc.feed, feed);
+    }
+
+    throw new Error('Unrecognized feed format (expected RSS or Atom)');
+  }
+
+  /**
+   * Load items from every feed, skipping feeds that fail as long as one succeeds
+   * @private
+   */
+  async _loadAllItems() {
+    const outcomes = await Promise.allSettled(this.feeds.map(feed => this._loadFeed(feed)));
+
+    const items = [];
+    const errors = [];
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        items.push(...outcome.value);
+      } else {
+        errors.push(outcome.reason);
+        console.warn(`RSS feed ${this.feeds[index].url} failed: ${outcome.reason.message}`);
+      }
+    });
+
+    if (errors.length === this.feeds.length) {
+      throw new ExternalAPIError('RSS', errors[0]);
+    }
+
+    return items;
+  }
+
+  /**
+   * Load and parse a single feed, reusing the cached copy while fresh
+   * @private
+   */
+  async _loadFeed(feed) {
+    const cached = this.feedCache.get(feed.url);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return cached.items;
+    }
+
+    const xml = await this._readSource(feed.url);
+    const items = this.parseFeed(xml, feed);
+    this.feedCache.set(feed.url, { items, fetchedAt: Date.now() });
+    return items;
+  }
+
+  /**
+   * Read feed XML from a URL or a local file
+   * @private
+   */
+  async _readSource(source) {
+    if (/^https?:\/\//i.test(source)) {
+      const response = await this.fetch(source, {
+        headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+      });
+      if (!response.ok) {
+        throw new Error(`Feed request failed: ${response.status} ${response.statusText}`);
+      }
+      return response.text();
+    }
+
+    const filePath = source.startsWith('file://') ? new URL(source) : path.resolve(source);
+    return fs.promises.readFile(filePath, 'utf8');
+  }
+
+  _parseRssChannel(channel, feed) {
+    const source = {
+      name: feed.name || this._text(channel.title) || 'Unknown',
+      url: this._text(channel.link) || null
+    };
+
+    return this._toArray(channel.item).map(item => ({
+      title: this._text(item.title),
+      description: this._stripHtml(this._text(item.description)),
+      content: this._stripHtml(this._text(item['content:encoded'])),
+      url: this._text(item.link) || this._permalinkGuid(item.guid),
+      image: this._rssImage(item),
+      publishedAt: this._toIsoDate(this._text(item.pubDate) || this._text(item['dc:date'])),
+      category: feed.category || this._mapCategory(item.category),
+      source
+    }));
+  }
+
+  _parseAtomFeed(atom, feed) {
+    const source = {
+      name: feed.name || this._text(atom.title) || 'Unknown',
+      url: this._atomLink(atom.link)
+    };
+
+    return this._toArray(atom.entry).map(entry => ({
+      title: this._text(entry.title),
+      description: this._stripHtml(this._text(entry.summary)),
+      content: this._stripHtml(this._text(entry.content)),
+      url: this._atomLink(entry.link),
+      image: this._atomImage(entry),
+      publishedAt: this._toIsoDate(this._text(entry.published) || this._text(entry.updated)),
+      category: feed.category || this._mapCategory(this._toArray(entry.category).map(c => c['@_term'] || this._text(c))),
+      source
+    }));
+  }
+
+  _normalizeFeeds(feeds) {
+    const list = typeof feeds === 'string' ? feeds.split(',') : feeds;
+    return (list || [])
+      .map(feed => (typeof feed === 'string' ? { url: feed.trim() } : { ...feed, url: feed.url?.trim() }))
+      .filter(feed => feed.url);
+  }
+
+  _tokenizeQuery(query) {
+    return (query || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .map(term => term.replace(/^["']|["']$/g, ''))
+      .filter(term => term && !['and', 'or'].includes(term));
+  }
+
+  /**
+   * Score an item by keyword hits; every term must appear somewhere
+   * @private
+   */
+  _scoreItem(item, terms, searchIn) {
+    const fields = {
+      [SearchInOptions.TITLE]: (item.title || '').toLowerCase(),
+      [SearchInOptions.DESCRIPTION]: (item.description || '').toLowerCase(),
+      [SearchInOptions.CONTENT]: (item.content || '').toLowerCase()
+    };
+    const weights = {
+      [SearchInOptions.TITLE]: 3,
+      [SearchInOptions.DESCRIPTION]: 2,
+      [SearchInOptions.CONTENT]: 1
+    };
+    const searched = searchIn ? [searchIn] : Object.keys(fields);
+
+    let score = 0;
+    for (const term of terms) {
+      let termScore = 0;
+      for (const field of searched) {
+        if (fields[field].includes(term)) termScore += weights[field];
+      }
+      if (termScore === 0) return 0;
+      score += termScore;
+    }
+    return score;
+  }
+
+  _compareDates(a, b) {
+    const timeA = a.publishedAt ? new Date(a.publishedAt).getTime() : 0;
+    const timeB = b.publishedAt ? new Date(b.publishedAt).getTime() : 0;
+    return timeB - timeA;
+  }
+
+  /**
+   * Map free-form feed categories onto NewsCategory values
+   */
+  _mapCategory(categories) {
+    const values = this._toArray(categories).map(c => (this._text(c) || '').toLowerCase());
+    const categoryValues = Object.values(NewsCategory);
+    for (const value of values) {
+      if (categoryValues.includes(value)) return value;
+      if (value === 'sport') return NewsCategory.SPORTS;
+      if (value === 'tech') return NewsCategory.TECHNOLOGY;
+    }
+    return null;
+  }
+
+  _rssImage(item) {
+    const candidates = [
+      ...this._toArray(item.enclosure).filter(e => (e['@_type'] || '').startsWith('image/')),
+      ...this._toArray(item['media:content']),
+      ...this._toArray(item['media:thumbnail'])
+    ];
+    return candidates.map(c => c['@_url']).find(Boolean) || null;
+  }
+
+  _atomImage(entry) {
+    const enclosure = this._toArray(entry.link)
+      .find(link => link['@_rel'] === 'enclosure' && (link['@_type'] || '').startsWith('image/'));
+    if (enclosure) return enclosure['@_href'];
+    return this._toArray(entry['media:thumbnail']).map(c => c['@_url']).find(Boolean) || null;
+  }
+
+  _atomLink(links) {
+    const list = this._toArray(links);
+    const alternate = list.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+    return (alternate || list[0])?.['@_href'] || null;
+  }
+
+  _permalinkGuid(guid) {
+    if (!guid) return null;
+    const value = this._text(guid);
+    return guid['@_isPermaLink'] === 'false' ? null : value;
+  }
+
+  _toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  _text(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+    return String(node).trim();
+  }
+
+  _toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  _stripHtml(html) {
+    if (!html) return '';
+    return html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Validate option values against enums
+   */
+  _validateOptions({ sortBy, searchIn, category }) {
+    if (sortBy && !Object.values(SortBy).includes(sortBy)) {
+      throw new ValidationError(`Invalid sortBy option. Must be one of: ${Object.values(SortBy).join(', ')}`);
+    }
+
+    if (searchIn && !Object.values(SearchInOptions).includes(searchIn)) {
+      throw new ValidationError(`Invalid searchIn option. Must be one of: ${Object.values(SearchInOptions).join(', ')}`);
+    }
+
+    if (category && !Object.values(NewsCategory).includes(category)) {
+      throw new ValidationError(`Invalid category option. Must be one of: ${Object.values(NewsCategory).join(', ')}`);
+    }
+  }
+}
+
+module.exports = RssProvider;
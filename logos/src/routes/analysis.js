@@ -1,6 +1,10 @@
 const express = require('express');
 const AgentSynopsis = require('../ai/AgentSynopsis');
+const { AnalysisQueue } = require('../ai/AnalysisQueue');
 const DatabaseManager = require('../DatabaseManager');
+const { EntityTypes } = require('../ai/entities');
+const { ClaimTypes } = require('../ai/claims');
+const { isLanguageCode } = require('../ai/language');
 const { newsErrorHandler } = require('../news/errors/NewsErrors');
 
 const router = express.Router();
@@ -11,6 +15,12 @@ const agent = new AgentSynopsis({
   maxContentLength: 8000
 });
 
+// Background queue for batch analysis, bounded so large batches don't flood the LLM
+const analysisQueue = new AnalysisQueue({
+  agent,
+  concurrency: process.env.ANALYSIS_CONCURRENCY || 3
+});
+
 
 router.post('/article', async (req, res) => {
   try {
@@ -29,6 +39,83 @@ router.post('/article', async (req, res) => {
   }
 });
 
+/**
+ * POST /analysis/extract
+ * Extract the main text of an article without analyzing or saving it
+ * 
+ * Body:
+ * - url: Article URL to fetch (ignored for fetching when html is given)
+ * - html: Raw page HTML, e.g. a saved page for offline testing
+ */
+router.post('/extract', async (req, res) => {
+  try {
+    const { url, html } = req.body || {};
+
+    const extraction = await agent.extractArticle({ url, html });
+
+    res.json({
+      success: true,
+      data: extraction
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * POST /analysis/batch
+ * Enqueue many articles for background analysis
+ * 
+ * Body:
+ * - articles: Array of article objects (same shape as POST /analysis/article)
+ * 
+ * Responds immediately with a job id; poll GET /analysis/jobs/:id for progress
+ */
+router.post('/batch', async (req, res) => {
+  try {
+    const { articles } = req.body || {};
+
+    const job = analysisQueue.enqueue(articles);
+
+    res.status(202).json({
+      success: true,
+      message: 'Batch analysis queued',
+      data: {
+        ...job,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`
+      }
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * GET /analysis/jobs/:id
+ * Get progress, per-article results and failures for a batch job
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = analysisQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
 
 /**
  * GET /analysis/search
@@ -39,6 +126,13 @@ router.post('/article', async (req, res) => {
  * - politicalBias: Filter by political bias (left, center, right)
  * - minConfidence: Minimum confidence score (0.0-1.0)
  * - maxConfidence: Maximum confidence score (0.0-1.0)
+ * - minPoliticalScore: Minimum continuous political score (-1.0 left to 1.0 right)
+ * - maxPoliticalScore: Maximum continuous political score (-1.0 left to 1.0 right)
+ * - claimType: Only articles with a claim of this type (statistic, quote, prediction, opinion)
+ * - claim: Only articles with a claim mentioning this keyword (combined with claimType, the same claim must match both)
+ * - minSensationalism / maxSensationalism: Headline sensationalism range (0.0 sober to 1.0 clickbait)
+ * - minConsistency / maxConsistency: Headline-body consistency range (0.0 unsupported to 1.0 fully backed)
+ * - language: ISO 639-1 code of the article language (en, es, fr...)
  * - dateFrom: Start date filter (ISO string)
  * - dateTo: End date filter (ISO string)
  * - limit: Maximum results (default: 50)
@@ -52,6 +146,15 @@ router.get('/search', async (req, res) => {
       politicalBias,
       minConfidence,
       maxConfidence,
+      minPoliticalScore,
+      maxPoliticalScore,
+      claimType,
+      claim,
+      minSensationalism,
+      maxSensationalism,
+      minConsistency,
+      maxConsistency,
+      language,
       dateFrom,
       dateTo,
       limit,
@@ -59,11 +162,34 @@ router.get('/search', async (req, res) => {
       sortOrder
     } = req.query;
 
+    if (language && !isLanguageCode(language)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid language. Must be an ISO 639-1 code (e.g. en, es)'
+      });
+    }
+
+    if (claimType && !ClaimTypes.includes(claimType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid claim type. Must be: ${ClaimTypes.join(', ')}`
+      });
+    }
+
     const criteria = {};
     if (sentiment) criteria.sentiment = sentiment;
     if (politicalBias) criteria.politicalBias = politicalBias;
     if (minConfidence) criteria.minConfidence = parseFloat(minConfidence);
     if (maxConfidence) criteria.maxConfidence = parseFloat(maxConfidence);
+    if (minPoliticalScore) criteria.minPoliticalScore = parseFloat(minPoliticalScore);
+    if (maxPoliticalScore) criteria.maxPoliticalScore = parseFloat(maxPoliticalScore);
+    if (claimType) criteria.claimType = claimType;
+    if (claim) criteria.claim = claim;
+    if (minSensationalism) criteria.minSensationalism = parseFloat(minSensationalism);
+    if (maxSensationalism) criteria.maxSensationalism = parseFloat(maxSensationalism);
+    if (minConsistency) criteria.minConsistency = parseFloat(minConsistency);
+    if (maxConsistency) criteria.maxConsistency = parseFloat(maxConsistency);
+    if (language) criteria.language = language;
     if (dateFrom) criteria.dateFrom = dateFrom;
     if (dateTo) criteria.dateTo = dateTo;
     if (limit) criteria.limit = parseInt(limit);
@@ -88,11 +214,23 @@ router.get('/search', async (req, res) => {
 
 /**
  * GET /analysis/stats
- * Get analysis statistics and summaries
+ * Get analysis statistics and summaries, including a breakdown by article language
+ * 
+ * Query parameters:
+ * - language: Limit the statistics to one ISO 639-1 language (en, es, fr...)
  */
 router.get('/stats', async (req, res) => {
   try {
-    const stats = await agent.getAnalysisStats();
+    const { language } = req.query;
+
+    if (language && !isLanguageCode(language)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid language. Must be an ISO 639-1 code (e.g. en, es)'
+      });
+    }
+
+    const stats = await agent.getAnalysisStats({ language });
     
     res.json({
       success: true,
@@ -155,38 +293,112 @@ router.delete('/article/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /analysis/article/:id/history
+ * Get every analysis version of an article, newest first, with changes between runs
+ */
+router.get('/article/:id/history', async (req, res) => {
+  try {
+    const history = await agent.getAnalysisHistory(req.params.id);
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * GET /analysis/article/:id/diff
+ * Compare two analysis versions of an article
+ * 
+ * Query parameters:
+ * - from: Earlier version number (default: the version before "to")
+ * - to: Later version number (default: latest)
+ */
+router.get('/article/:id/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const diff = await agent.diffAnalysisVersions(req.params.id, {
+      from: from ? parseInt(from) : undefined,
+      to: to ? parseInt(to) : undefined
+    });
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diff
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * POST /analysis/article/:id/ask
+ * Answer a question about an analyzed article from its stored text only,
+ * citing the passages the answer comes from
+ * 
+ * Body:
+ * - question: The reader's question (max 500 characters)
+ * - conversationId: Id returned by a previous answer, to ask a follow-up with the short history kept
+ */
+router.post('/article/:id/ask', async (req, res) => {
+  try {
+    const { question, conversationId } = req.body || {};
+
+    const answer = await agent.askArticle(req.params.id, { question, conversationId });
+
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: answer
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
 /**
  * POST /analysis/reanalyze/:id
- * Re-analyze an existing article with fresh AI analysis
+ * Re-analyze an existing article; the result is stored as a new version under the same id
  */
 router.post('/reanalyze/:id', async (req, res) => {
   try {
-    // Find existing article
-    const existingArticle = await agent.findArticleById(req.params.id);
+    const freshAnalysis = await agent.reanalyzeArticle(req.params.id);
     
-    if (!existingArticle) {
+    if (!freshAnalysis) {
       return res.status(404).json({
         success: false,
         error: 'Article not found'
       });
     }
 
-    // Delete existing article to force re-analysis
-    await agent.deleteArticle(req.params.id);
-
-    // Re-analyze with fresh AI call
-    const articleData = {
-      title: existingArticle.title,
-      description: existingArticle.description,
-      content: existingArticle.content,
-      url: existingArticle.url,
-      urlToImage: existingArticle.urlToImage,
-      publishedAt: existingArticle.publishedAt,
-      source: existingArticle.source
-    };
-
-    const freshAnalysis = await agent.analyzeArticle(articleData);
-    
     res.json({
       success: true,
       message: 'Article re-analyzed successfully',
@@ -200,7 +412,8 @@ router.post('/reanalyze/:id', async (req, res) => {
 
 /**
  * GET /analysis/trends/sentiment
- * Get sentiment trends over time
+ * Get sentiment trends over time; each period also carries mean emotion
+ * intensities (fear, anger, hope, sadness, joy, surprise) and a framing breakdown
  * 
  * Query parameters:
  * - groupBy: Grouping period (day, week, month) default: day
@@ -256,6 +469,334 @@ router.get('/sources/top', async (req, res) => {
   }
 });
 
+/**
+ * GET /analysis/sources/sensational
+ * Get sources ranked by how sensational their headlines are, with how well their articles back them up
+ * 
+ * Query parameters:
+ * - limit: Maximum results (default: 10)
+ * - minArticles: Minimum scored articles per source (default: 3)
+ */
+router.get('/sources/sensational', async (req, res) => {
+  try {
+    const { limit, minArticles } = req.query;
+
+    const sources = await agent.getMostSensationalSources({
+      limit: limit ? parseInt(limit) : undefined,
+      minArticles: minArticles ? parseInt(minArticles) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: sources
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * GET /analysis/entities/top
+ * Get the most covered people, organizations and places, with how articles portray them
+ * 
+ * Query parameters:
+ * - limit: Maximum results (default: 20)
+ * - type: Entity type (person, organization, place)
+ * - minArticles: Minimum article count (default: 1)
+ * - dateFrom: Start date filter (ISO string)
+ * - dateTo: End date filter (ISO string)
+ */
+router.get('/entities/top', async (req, res) => {
+  try {
+    const { limit, type, minArticles, dateFrom, dateTo } = req.query;
+
+    if (type && !EntityTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid entity type. Must be: ${EntityTypes.join(', ')}`
+      });
+    }
+
+    const topEntities = await agent.getTopEntities({
+      limit: limit ? parseInt(limit) : undefined,
+      type,
+      minArticles: minArticles ? parseInt(minArticles) : undefined,
+      dateFrom,
+      dateTo
+    });
+
+    res.json({
+      success: true,
+      data: topEntities
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * GET /analysis/entities/:name/articles
+ * Get analyzed articles mentioning an entity (matched case-insensitively on its name)
+ * 
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 50)
+ * - sortBy: Sort field (default: analyzedAt)
+ * - sortOrder: Sort order 1=asc, -1=desc (default: -1)
+ */
+router.get('/entities/:name/articles', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { page, limit, sortBy, sortOrder } = req.query;
+
+    const results = await agent.findByEntity(name, {
+      page: page ? parseInt(page) : undefined,
+      limit: limit ? parseInt(limit) : undefined,
+      sortBy,
+      sortOrder: sortOrder ? parseInt(sortOrder) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * GET /analysis/quotes
+ * Who said what: direct quotes across analyzed articles, newest first
+ *
+ * Query parameters:
+ * - speaker: Only quotes by this speaker (matched case-insensitively on the full name)
+ * - excludeArticle: Leave out quotes from this article ID
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 20)
+ */
+router.get('/quotes', async (req, res) => {
+  try {
+    const { speaker, excludeArticle, page, limit } = req.query;
+
+    const results = await agent.searchQuotes({
+      speaker,
+      excludeArticleId: excludeArticle,
+      page: page ? parseInt(page) : undefined,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * GET /analysis/quotes/search
+ * Search the words of direct quotes
+ *
+ * Query parameters:
+ * - q: Text to search for in quotes (required)
+ * - speaker: Only quotes by this speaker
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 20)
+ */
+router.get('/quotes/search', async (req, res) => {
+  try {
+    const { q, speaker, page, limit } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter q is required'
+      });
+    }
+
+    const results = await agent.searchQuotes({
+      q: q.trim(),
+      speaker,
+      page: page ? parseInt(page) : undefined,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * GET /analysis/stories
+ * List stories: groups of articles about the same event across sources
+ * 
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 20)
+ * - minArticles: Minimum articles in the story (default: 1)
+ * - minSources: Minimum distinct sources covering the story (default: 1)
+ * - dateFrom: Only stories with coverage since this date (ISO string)
+ * - dateTo: Only stories with coverage until this date (ISO string)
+ */
+router.get('/stories', async (req, res) => {
+  try {
+    const { page, limit, minArticles, minSources, dateFrom, dateTo } = req.query;
+
+    const stories = await agent.getStories({
+      page: page ? parseInt(page) : undefined,
+      limit: limit ? parseInt(limit) : undefined,
+      minArticles: minArticles ? parseInt(minArticles) : undefined,
+      minSources: minSources ? parseInt(minSources) : undefined,
+      dateFrom,
+      dateTo
+    });
+
+    res.json({
+      success: true,
+      data: stories
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * POST /analysis/stories/assign
+ * Cluster stored articles that have no story yet (e.g. analyzed before clustering was enabled)
+ * 
+ * Body:
+ * - limit: Maximum articles to assign in this call (default: 200, max: 1000)
+ */
+router.post('/stories/assign', async (req, res) => {
+  try {
+    const { limit } = req.body || {};
+
+    const result = await agent.assignPendingStories({
+      limit: limit !== undefined ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * GET /analysis/stories/:id
+ * Get a story with its articles and each source's sentiment and bias side by side
+ */
+router.get('/stories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const story = await agent.getStory(id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: story
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * POST /analysis/compare
+ * Compare how several outlets covered the same event: shared facts, what each one includes
+ * or leaves out, framing and loaded language. Cached by the set of article ids.
+ *
+ * Body (one of articleIds or storyId):
+ * - articleIds: Analyzed article IDs to compare (2-8)
+ * - storyId: Story whose articles to compare, one per source first
+ * - refresh: Regenerate even if a cached comparison is still current
+ */
+router.post('/compare', async (req, res) => {
+  try {
+    const { articleIds, storyId, refresh } = req.body || {};
+
+    const comparison = await agent.compareCoverage({
+      articleIds,
+      storyId,
+      refresh: refresh === true || refresh === 'true'
+    });
+
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/**
+ * POST /analysis/synopsis
+ * Brief how the press is covering a topic: key developments, the range of perspectives and the
+ * sentiment, bias and framing distribution across the matching articles, citing article ids.
+ * Large selections are briefed in batches and the partial briefings merged.
+ *
+ * Body:
+ * - criteria: Search criteria, as accepted by GET /analysis/search (title, content, entity, claim,
+ *   sentiment, politicalBias, language, dateFrom, dateTo, sourceName...); pagination and sorting are ignored,
+ *   other keys and values of the wrong type are rejected
+ * - maxArticles: Most recently published matches to include (default: 40, max: 200)
+ */
+router.post('/synopsis', async (req, res) => {
+  try {
+    const { criteria = {}, maxArticles } = req.body || {};
+
+    // Criteria are checked and coerced by the synopsis; anything unknown or mistyped is a 400
+    const synopsis = await agent.synthesizeTopic({ criteria, maxArticles });
+
+    if (!synopsis) {
+      return res.status(404).json({
+        success: false,
+        error: 'No analyzed articles match the criteria'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: synopsis
+    });
+
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
 /**
  * GET /analysis/sentiment/:sentiment
  * Get articles by specific sentiment
@@ -350,3 +891,5 @@ router.get('/political/:bias', async (req, res) => {
 
 
 module.exports = router;
+// Shared with scheduled ingestion, so its batches use the same concurrency limit and are polled the same way
+module.exports.analysisQueue = analysisQueue;
@@ -0,0 +1,169 @@
+const express = require('express');
+const { newsErrorHandler } = require('../news/errors/NewsErrors');
+
+/**
+ * Routes for scheduled ingestion jobs
+ * @param {IngestionScheduler} scheduler - Scheduler owned by LogosServer, which starts and stops it
+ * @returns {express.Router}
+ */
+function createJobRoutes(scheduler) {
+  const router = express.Router();
+
+  /**
+   * GET /jobs
+   * List scheduled ingestion jobs with their next run and recent run outcomes
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const jobs = await scheduler.listJobs();
+
+      res.json({
+        success: true,
+        count: jobs.length,
+        data: jobs,
+        scheduler: scheduler.getStatus()
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * POST /jobs
+   * Create a scheduled ingestion job; enabled jobs first run within a minute
+   *
+   * Body:
+   * - name: Unique job name
+   * - type: headlines (top headlines) or search
+   * - query: Search query (search jobs only)
+   * - options: { country, lang, category, provider, sortBy } passed to the news client
+   * - limit: Articles fetched per run (1-100, default: 20)
+   * - intervalMinutes: Minutes between runs (at least 5 by default)
+   * - enabled: Whether the job runs on schedule (default: true)
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const job = await scheduler.createJob(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: job
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * GET /jobs/:id
+   * Get a job's definition, schedule and recent runs (with errors of failed runs)
+   */
+  router.get('/:id', async (req, res) => {
+    try {
+      const job = await scheduler.getJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * PATCH /jobs/:id
+   * Change any definition field, e.g. { "enabled": false } to pause a job or { "intervalMinutes": 60 }
+   */
+  router.patch('/:id', async (req, res) => {
+    try {
+      const job = await scheduler.updateJob(req.params.id, req.body);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * DELETE /jobs/:id
+   * Delete a job; articles it already queued are still analyzed
+   */
+  router.delete('/:id', async (req, res) => {
+    try {
+      const deleted = await scheduler.deleteJob(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Job deleted successfully'
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * POST /jobs/:id/run
+   * Run a job now, even if it is paused; the next scheduled run counts from this one.
+   * Responds once the articles are fetched and queued; poll the analysis batch for progress.
+   */
+  router.post('/:id/run', async (req, res) => {
+    try {
+      const result = await scheduler.runJob(req.params.id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...result,
+          statusUrl: result.run.analysisJobId
+            ? `${req.baseUrl.replace(/\/jobs$/, '/analysis')}/jobs/${result.run.analysisJobId}`
+            : null
+        }
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  return router;
+}
+
+
+module.exports = createJobRoutes;
@@ -74,7 +74,96 @@ router.get('/providers', (req, res) => {
     res.json({
       success: true,
       defaultProvider: newsClient.defaultProvider,
-      availableProviders: providers
+      availableProviders: providers,
+      health: newsClient.getProviderHealth()
+    });
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/*
+    GET /usage
+    Get today's request counts, limits and recent history per provider
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const usage = await newsClient.getUsage();
+
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/*
+    PUT /usage/:provider
+    Set a provider's daily request limit
+    Body: { dailyLimit: number | null }  (null = unlimited)
+ */
+router.put('/usage/:provider', async (req, res) => {
+  try {
+    const { dailyLimit } = req.body || {};
+
+    if (dailyLimit === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'dailyLimit is required (number or null for unlimited)'
+      });
+    }
+
+    const usage = await newsClient.setProviderLimit(
+      req.params.provider,
+      dailyLimit === null ? null : Number(dailyLimit)
+    );
+
+    res.json({
+      success: true,
+      message: 'Provider limit updated',
+      data: usage
+    });
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/*
+    GET /cache/stats
+    Get search cache hit/miss statistics
+ */
+router.get('/cache/stats', async (req, res) => {
+  try {
+    const stats = await newsClient.getCacheStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    newsErrorHandler(error, req, res);
+  }
+});
+
+/*
+    DELETE /cache
+    Invalidate cached searches
+    Query: query and/or provider, or all=true to clear everything
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const { query, provider, all } = req.query;
+
+    const removed = all === 'true'
+      ? await newsClient.clearCache()
+      : await newsClient.invalidateCache({ query, provider });
+
+    res.json({
+      success: true,
+      message: 'Search cache invalidated',
+      data: { removed }
     });
   } catch (error) {
     newsErrorHandler(error, req, res);
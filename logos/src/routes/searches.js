@@ -0,0 +1,246 @@
+const express = require('express');
+const { newsErrorHandler } = require('../news/errors/NewsErrors');
+
+/**
+ * Routes for saved searches, watchlists and their alerts
+ * @param {SavedSearches} savedSearches - Saved searches owned by LogosServer, which starts and stops their checks
+ * @returns {express.Router}
+ */
+function createSearchRoutes(savedSearches) {
+  const router = express.Router();
+
+  /**
+   * GET /searches
+   * List saved searches with their watch settings and number of unread alerts
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const searches = await savedSearches.list();
+
+      res.json({
+        success: true,
+        count: searches.length,
+        data: searches
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * POST /searches
+   * Save a search, optionally as a watchlist
+   *
+   * Body:
+   * - name: Unique name
+   * - query: Search query
+   * - filters: { provider, searchIn, sortBy, country, lang }, as for GET /news/search
+   * - watch: { enabled, intervalMinutes (default: 60), limit (default: 20), conditions }
+   *   where each condition is { metric, operator, threshold, windowHours (default: 24), minArticles (default: 5) },
+   *   e.g. { "metric": "negative_share", "operator": "above", "threshold": 0.6 }
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const search = await savedSearches.create(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: search
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * GET /searches/alerts
+   * Watchlist alerts, newest first, with the number still unread
+   *
+   * Query parameters:
+   * - unread: Only unread alerts (true/false)
+   * - searchId: Only alerts of one saved search
+   * - page: Page number (default: 1)
+   * - limit: Results per page (default: 20, max: 100)
+   */
+  router.get('/alerts', async (req, res) => {
+    try {
+      const { unread, searchId, page, limit } = req.query;
+
+      const result = await savedSearches.listAlerts({
+        unread: unread === 'true',
+        savedSearch: searchId,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * POST /searches/alerts/read
+   * Mark all unread alerts read
+   *
+   * Body:
+   * - searchId: Only the alerts of one saved search
+   */
+  router.post('/alerts/read', async (req, res) => {
+    try {
+      const { searchId } = req.body || {};
+
+      const marked = await savedSearches.markAlertsRead({ savedSearch: searchId });
+
+      res.json({
+        success: true,
+        data: { marked }
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * PATCH /searches/alerts/:id
+   * Mark one alert read or unread
+   *
+   * Body:
+   * - read: true or false (default: true)
+   */
+  router.patch('/alerts/:id', async (req, res) => {
+    try {
+      const { read = true } = req.body || {};
+
+      const alert = await savedSearches.setAlertRead(req.params.id, read);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          error: 'Alert not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: alert
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * GET /searches/:id
+   * Get a saved search with its watch settings, condition state and last check
+   */
+  router.get('/:id', async (req, res) => {
+    try {
+      const search = await savedSearches.get(req.params.id);
+
+      if (!search) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved search not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: search
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * PATCH /searches/:id
+   * Change a saved search; watch fields merge with the current ones, e.g. { "watch": { "enabled": true } }.
+   * Changing the query or filters starts a fresh baseline of seen articles.
+   */
+  router.patch('/:id', async (req, res) => {
+    try {
+      const search = await savedSearches.update(req.params.id, req.body);
+
+      if (!search) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved search not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: search
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * DELETE /searches/:id
+   * Delete a saved search and its alerts
+   */
+  router.delete('/:id', async (req, res) => {
+    try {
+      const deleted = await savedSearches.remove(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved search not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Saved search deleted successfully'
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  /**
+   * POST /searches/:id/check
+   * Check a saved search for new articles and conditions now, even if it is not watched
+   */
+  router.post('/:id/check', async (req, res) => {
+    try {
+      const result = await savedSearches.checkNow(req.params.id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved search not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      newsErrorHandler(error, req, res);
+    }
+  });
+
+  return router;
+}
+
+
+module.exports = createSearchRoutes;
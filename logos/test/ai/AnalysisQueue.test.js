@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AnalysisQueue, JobStatus, ItemStatus } = require('../../src/ai/AnalysisQueue');
+const { ValidationError } = require('../../src/news/errors/NewsErrors');
+
+// Agent whose analyses stay in progress until settled by URL, counting calls and peak concurrency
+const createAgent = () => {
+  const pending = new Map(); // url -> [{ resolve, reject }]
+  const agent = {
+    calls: [],
+    active: 0,
+    peak: 0,
+    analyzeArticle(articleData) {
+      agent.calls.push(articleData.url);
+      agent.active++;
+      agent.peak = Math.max(agent.peak, agent.active);
+      return new Promise((resolve, reject) => {
+        const waiting = pending.get(articleData.url) || [];
+        waiting.push({ resolve, reject });
+        pending.set(articleData.url, waiting);
+      }).finally(() => { agent.active--; });
+    },
+    succeed(url) {
+      pending.get(url).shift().resolve({ url, sentiment: 'neutral' });
+    },
+    fail(url) {
+      pending.get(url).shift().reject(new Error(`Could not analyze ${url}`));
+    }
+  };
+  return agent;
+};
+
+const articles = (...urls) => urls.map(url => ({ url, title: `Article ${url}` }));
+
+// Lets settled analyses run their continuations and the queue start the next items
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('never runs more analyses at once than the concurrency limit', async () => {
+  const agent = createAgent();
+  const queue = new AnalysisQueue({ agent, concurrency: 2 });
+
+  queue.enqueue(articles('a', 'b', 'c', 'd', 'e'));
+  assert.deepStrictEqual(queue.getStats(), { concurrency: 2, active: 2, pending: 3, jobs: 1 });
+
+  for (const url of ['a', 'b', 'c', 'd', 'e']) {
+    await flush();
+    agent.succeed(url);
+  }
+  await flush();
+
+  assert.strictEqual(agent.peak, 2);
+  assert.deepStrictEqual(agent.calls, ['a', 'b', 'c', 'd', 'e']);
+  assert.strictEqual(queue.getStats().active, 0);
+});
+
+test('the concurrency limit is shared across jobs', async () => {
+  const agent = createAgent();
+  const queue = new AnalysisQueue({ agent, concurrency: 1 });
+
+  queue.enqueue(articles('a'));
+  queue.enqueue(articles('b'));
+  await flush();
+
+  assert.deepStrictEqual(agent.calls, ['a']);
+  agent.succeed('a');
+  await flush();
+  assert.deepStrictEqual(agent.calls, ['a', 'b']);
+  agent.succeed('b');
+  await flush();
+  assert.strictEqual(agent.peak, 1);
+});
+
+test('a URL already being analyzed is analyzed once and both items get the result', async () => {
+  const agent = createAgent();
+  const queue = new AnalysisQueue({ agent, concurrency: 3 });
+
+  const first = queue.enqueue(articles('a'));
+  const second = queue.enqueue(articles('a', 'b'));
+  await flush();
+  assert.deepStrictEqual(agent.calls, ['a', 'b']);
+
+  agent.succeed('a');
+  agent.succeed('b');
+  await flush();
+
+  assert.strictEqual(queue.getJob(first.id).items[0].result.url, 'a');
+  assert.strictEqual(queue.getJob(second.id).items[0].result.url, 'a');
+  assert.strictEqual(queue.getJob(second.id).status, JobStatus.COMPLETED);
+
+  // Once settled, the same URL is analyzed again
+  queue.enqueue(articles('a'));
+  await flush();
+  assert.deepStrictEqual(agent.calls, ['a', 'b', 'a']);
+  agent.succeed('a');
+  await flush();
+});
+
+test('a job moves from queued through running to its final status', async () => {
+  const agent = createAgent();
+  const queue = new AnalysisQueue({ agent, concurrency: 1 });
+
+  const blocker = queue.enqueue(articles('x'));
+  const summary = queue.enqueue(articles('a', 'b'));
+  assert.strictEqual(summary.status, JobStatus.QUEUED);
+  assert.strictEqual(summary.items, undefined);
+  assert.strictEqual(queue.getJob(summary.id).startedAt, null);
+
+  agent.succeed('x');
+  await flush();
+  let job = queue.getJob(summary.id);
+  assert.strictEqual(queue.getJob(blocker.id).status, JobStatus.COMPLETED);
+  assert.strictEqual(job.status, JobStatus.RUNNING);
+  assert.ok(job.startedAt instanceof Date);
+  assert.deepStrictEqual(job.items.map(item => item.status), [ItemStatus.RUNNING, ItemStatus.PENDING]);
+
+  agent.succeed('a');
+  await flush();
+  job = queue.getJob(summary.id);
+  assert.strictEqual(job.status, JobStatus.RUNNING);
+  assert.strictEqual(job.progress, 0.5);
+
+  agent.fail('b');
+  await flush();
+  job = queue.getJob(summary.id);
+  assert.strictEqual(job.status, JobStatus.COMPLETED_WITH_ERRORS);
+  assert.deepStrictEqual([job.processed, job.succeeded, job.failed, job.progress], [2, 1, 1, 1]);
+  assert.deepStrictEqual(job.items.map(item => item.status), [ItemStatus.SUCCEEDED, ItemStatus.FAILED]);
+  assert.strictEqual(job.items[1].error.message, 'Could not analyze b');
+  assert.strictEqual(job.items[1].error.statusCode, 500);
+  assert.ok(job.completedAt instanceof Date);
+});
+
+test('a job whose every item fails is failed', async () => {
+  const agent = createAgent();
+  const queue = new AnalysisQueue({ agent });
+
+  const { id } = queue.enqueue(articles('a', 'b'));
+  agent.fail('a');
+  agent.fail('b');
+  await flush();
+
+  assert.strictEqual(queue.getJob(id).status, JobStatus.FAILED);
+});
+
+test('finished jobs are pruned once older than the TTL; unfinished ones are kept', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const agent = createAgent();
+  const queue = new AnalysisQueue({ agent, concurrency: 2, jobTtlMs: 60 * 1000 });
+
+  const finished = queue.enqueue(articles('a'));
+  const unfinished = queue.enqueue(articles('b'));
+  agent.succeed('a');
+  await flush();
+
+  t.mock.timers.tick(60 * 1000);
+  assert.ok(queue.getJob(finished.id), 'kept until the TTL has passed');
+
+  t.mock.timers.tick(1);
+  assert.strictEqual(queue.getJob(finished.id), null);
+  assert.ok(queue.getJob(unfinished.id));
+  assert.strictEqual(queue.getStats().jobs, 1);
+
+  agent.succeed('b');
+  await flush();
+});
+
+test('rejects empty batches and batches over maxBatchSize', () => {
+  const queue = new AnalysisQueue({ agent: createAgent(), maxBatchSize: 2 });
+
+  assert.throws(() => queue.enqueue([]), ValidationError);
+  assert.throws(() => queue.enqueue('not a batch'), ValidationError);
+  assert.throws(() => queue.enqueue(articles('a', 'b', 'c')), /exceeds the maximum of 2/);
+  assert.strictEqual(queue.getStats().jobs, 0);
+
+  assert.strictEqual(queue.enqueue(articles('a', 'b')).total, 2);
+});
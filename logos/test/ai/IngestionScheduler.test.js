@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { IngestionScheduler } = require('../../src/ai/IngestionScheduler');
+const { ValidationError } = require('../../src/news/errors/NewsErrors');
+
+// In-memory stand-in for the DatabaseManager methods the scheduler uses; claims behave like findOneAndUpdate
+const createDb = (jobs) => {
+  const byId = new Map(jobs.map(job => [job._id, { runningUntil: null, consecutiveFailures: 0, ...job }]));
+
+  return {
+    byId,
+    async findDueIngestionJobs(now) {
+      return [...byId.values()].filter(job => job.enabled && job.nextRunAt <= now).map(job => ({ ...job }));
+    },
+    async findIngestionJob(id) {
+      return byId.has(id) ? { ...byId.get(id) } : null;
+    },
+    async claimIngestionJob(id, { now, until, due }) {
+      const job = byId.get(id);
+      if (!job || (job.runningUntil && job.runningUntil > now)) return null;
+      if (due && !(job.enabled && job.nextRunAt <= now)) return null;
+      job.runningUntil = until;
+      return { ...job };
+    },
+    async recordIngestionRun(id, run, { nextRunAt, consecutiveFailures }) {
+      Object.assign(byId.get(id), { lastRun: run, nextRunAt, consecutiveFailures, runningUntil: null });
+      return { ...byId.get(id) };
+    },
+    async findExistingUrls() {
+      return new Set();
+    }
+  };
+};
+
+// Headlines that only arrive when released, so a run can be held in progress
+const createNewsClient = () => {
+  let release;
+  const fetched = new Promise(resolve => { release = resolve; });
+  const client = {
+    calls: 0,
+    release: () => release({ articles: [{ url: 'https://example.com/a', title: 'A' }] }),
+    async getTopHeadlines() {
+      client.calls++;
+      return fetched;
+    }
+  };
+  return client;
+};
+
+const job = { _id: 'job1', name: 'Top stories', type: 'headlines', limit: 20, intervalMinutes: 30, enabled: true };
+
+const createScheduler = (dbManager, newsClient) => new IngestionScheduler({
+  newsClient,
+  dbManager,
+  analysisQueue: { enqueue: articles => ({ id: 'batch1', total: articles.length }) }
+});
+
+test('a due job runs on only one of two schedulers sharing the database', async () => {
+  const db = createDb([{ ...job, nextRunAt: new Date(Date.now() - 1000) }]);
+  const newsClient = createNewsClient();
+  const first = createScheduler(db, newsClient);
+  const second = createScheduler(db, newsClient);
+
+  const ticks = Promise.all([first.tick(), second.tick()]);
+  await new Promise(resolve => setImmediate(resolve));
+  newsClient.release();
+  const [a, b] = await ticks;
+
+  assert.strictEqual(newsClient.calls, 1);
+  assert.strictEqual(a.length + b.length, 1);
+  assert.strictEqual(db.byId.get('job1').runningUntil, null);
+  assert.ok(db.byId.get('job1').nextRunAt > new Date());
+});
+
+test('a manual run is refused while another instance holds the claim', async () => {
+  const db = createDb([{ ...job, nextRunAt: new Date(Date.now() - 1000) }]);
+  const newsClient = createNewsClient();
+  const scheduled = createScheduler(db, newsClient);
+  const manual = createScheduler(db, newsClient);
+
+  const tick = scheduled.tick();
+  await new Promise(resolve => setImmediate(resolve));
+  await assert.rejects(manual.runJob('job1'), ValidationError);
+  assert.strictEqual((await manual.getJob('job1')).running, true);
+
+  newsClient.release();
+  await tick;
+  const result = await manual.runJob('job1');
+  assert.strictEqual(result.run.queued, 1);
+  assert.strictEqual(result.job.running, false);
+});
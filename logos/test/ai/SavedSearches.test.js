@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SavedSearches } = require('../../src/ai/SavedSearches');
+
+// In-memory stand-in for the DatabaseManager methods SavedSearches uses
+const createDb = (analyzed = {}) => {
+  const searches = new Map();
+  const seen = new Map(); // search id -> Map(url -> first seen)
+  let nextId = 1;
+
+  return {
+    searches,
+    seen,
+    async createSavedSearch(fields) {
+      const search = { _id: `search${nextId++}`, consecutiveFailures: 0, lastCheck: null, ...fields };
+      searches.set(search._id, search);
+      return structuredClone(search);
+    },
+    async findSavedSearch(id) {
+      return searches.has(id) ? structuredClone(searches.get(id)) : null;
+    },
+    async updateSavedSearch(id, updates) {
+      Object.assign(searches.get(id), structuredClone(updates));
+      return structuredClone(searches.get(id));
+    },
+    async recordSavedSearchCheck(id, check, { newUrls, conditions, nextCheckAt, consecutiveFailures }) {
+      const search = searches.get(id);
+      Object.assign(search, { lastCheck: check, nextCheckAt, consecutiveFailures });
+      if (conditions) search.watch.conditions = conditions;
+      const urls = seen.get(id) || new Map();
+      newUrls.forEach(url => urls.set(url, new Date()));
+      seen.set(id, urls);
+      return structuredClone(search);
+    },
+    async findSeenUrls(id, urls) {
+      return new Set(urls.filter(url => seen.get(id)?.has(url)));
+    },
+    async listSeenUrls(id, { since } = {}) {
+      return [...(seen.get(id) || new Map())].filter(([, at]) => !since || at >= since).map(([url]) => url);
+    },
+    async hasSeenUrls(id) {
+      return (seen.get(id)?.size || 0) > 0;
+    },
+    async clearSeenUrls(id) {
+      seen.delete(id);
+    },
+    async findExistingUrls(urls) {
+      return new Set(urls.filter(url => analyzed[url]));
+    },
+    async summarizeArticlesByUrl(urls) {
+      const scores = urls.map(url => analyzed[url]).filter(Boolean);
+      const sentimentBreakdown = {};
+      scores.forEach(score => { sentimentBreakdown[score] = (sentimentBreakdown[score] || 0) + 1; });
+      return { articleCount: scores.length, sentimentBreakdown, politicalBreakdown: {} };
+    },
+    async createAlerts(alerts) {
+      return alerts.map((alert, index) => ({ _id: `alert${index}`, read: false, createdAt: new Date(), ...alert }));
+    }
+  };
+};
+
+const createWatch = (results, analyzed) => {
+  const dbManager = createDb(analyzed);
+  const queued = [];
+  const savedSearches = new SavedSearches({
+    dbManager,
+    newsClient: {
+      getAvailableProviders: () => ['gnews'],
+      searchNews: async () => ({ articles: results.current })
+    },
+    analysisQueue: {
+      enqueue: (articles) => { queued.push(...articles); return { id: 'batch', total: articles.length }; }
+    }
+  });
+  return { savedSearches, dbManager, queued };
+};
+
+const article = (n) => ({ title: `Article ${n}`, url: `https://news.example.com/${n}`, source: { name: 'Example' } });
+
+test('the first check is a baseline and later new matches raise one alert', async () => {
+  const results = { current: [article(1), article(2)] };
+  const { savedSearches, queued } = createWatch(results);
+  const search = await savedSearches.create({ name: 'Fed', query: 'federal reserve', watch: { enabled: true } });
+
+  const baseline = await savedSearches.checkNow(search.id);
+  assert.strictEqual(baseline.check.newArticles, 2);
+  assert.strictEqual(baseline.alerts.length, 0);
+  assert.strictEqual(queued.length, 2);
+
+  results.current = [article(1), article(2), article(3)];
+  const next = await savedSearches.checkNow(search.id);
+  assert.strictEqual(next.check.newArticles, 1);
+  assert.deepStrictEqual(next.alerts.map(alert => alert.type), ['new_articles']);
+  assert.strictEqual(next.alerts[0].articles[0].url, 'https://news.example.com/3');
+});
+
+test('URLs seen long ago are not alerted again however many URLs the watch has seen since', async () => {
+  const results = { current: [article(0)] };
+  const { savedSearches } = createWatch(results);
+  const search = await savedSearches.create({ name: 'Busy', query: 'markets', watch: { enabled: true, limit: 100 } });
+  await savedSearches.checkNow(search.id);
+
+  for (let batch = 0; batch < 15; batch++) {
+    results.current = Array.from({ length: 100 }, (_, i) => article(1 + batch * 100 + i));
+    await savedSearches.checkNow(search.id);
+  }
+
+  // The provider returns the very first match again
+  results.current = [article(0), article(5), article(2000)];
+  const result = await savedSearches.checkNow(search.id);
+  assert.strictEqual(result.check.newArticles, 1);
+  assert.deepStrictEqual(result.alerts[0].articles.map(a => a.url), ['https://news.example.com/2000']);
+});
+
+test('a changed query starts a fresh baseline', async () => {
+  const results = { current: [article(1)] };
+  const { savedSearches, dbManager } = createWatch(results);
+  const search = await savedSearches.create({ name: 'Topic', query: 'tariffs', watch: { enabled: true } });
+  await savedSearches.checkNow(search.id);
+
+  await savedSearches.update(search.id, { query: 'trade war' });
+  assert.strictEqual(dbManager.seen.has(search.id), false);
+
+  results.current = [article(1), article(2)];
+  const result = await savedSearches.checkNow(search.id);
+  assert.strictEqual(result.check.newArticles, 2);
+  assert.strictEqual(result.alerts.length, 0);
+});
+
+test('a share condition alerts once when it starts to hold', async () => {
+  const analyzed = {};
+  const results = { current: [article(1)] };
+  const { savedSearches } = createWatch(results, analyzed);
+  const search = await savedSearches.create({
+    name: 'Mood',
+    query: 'economy',
+    watch: { enabled: true, conditions: [{ metric: 'negative_share', operator: 'above', threshold: 0.7, minArticles: 3 }] }
+  });
+  await savedSearches.checkNow(search.id);
+
+  analyzed['https://news.example.com/1'] = 'negative';
+  analyzed['https://news.example.com/2'] = 'negative';
+  analyzed['https://news.example.com/3'] = 'positive';
+  results.current = [article(1), article(2), article(3)];
+  const below = await savedSearches.checkNow(search.id);
+  assert.ok(below.alerts.every(alert => alert.type === 'new_articles'));
+  assert.strictEqual(below.search.watch.conditions[0].lastValue, 0.667);
+
+  analyzed['https://news.example.com/4'] = 'negative';
+  results.current = [article(4)];
+  const met = await savedSearches.checkNow(search.id);
+  const conditionAlerts = met.alerts.filter(alert => alert.type === 'condition');
+  assert.strictEqual(conditionAlerts.length, 1);
+  assert.strictEqual(conditionAlerts[0].condition.value, 0.75);
+
+  const again = await savedSearches.checkNow(search.id);
+  assert.strictEqual(again.alerts.length, 0);
+  assert.strictEqual(again.search.watch.conditions[0].met, true);
+});
+
+test('invalid definitions are rejected', async () => {
+  const { savedSearches } = createWatch({ current: [] });
+
+  await assert.rejects(savedSearches.create({ name: '', query: 'q' }), { name: 'ValidationError' });
+  await assert.rejects(savedSearches.create({ name: 'x', query: 'q', filters: { topic: 'a' } }), /Unknown filters: topic/);
+  await assert.rejects(
+    savedSearches.create({ name: 'x', query: 'q', watch: { conditions: [{ metric: 'negative_share', operator: 'above', threshold: 60 }] } }),
+    /Share thresholds must be between 0.0 and 1.0/
+  );
+});
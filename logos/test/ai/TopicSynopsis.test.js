@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TopicSynopsis } = require('../../src/ai/TopicSynopsis');
+const { ValidationError } = require('../../src/news/errors/NewsErrors');
+
+// Records the criteria the synopsis searches with; no article matches, so no LLM call is made
+const createSynopsis = () => {
+  const searches = [];
+  const synopsis = new TopicSynopsis({
+    llmClient: {},
+    dbManager: {
+      async searchArticles(criteria) {
+        searches.push(criteria);
+        return { articles: [] };
+      }
+    }
+  });
+  return { synopsis, searches };
+};
+
+test('coerces range and date criteria and overrides pagination and sorting', async () => {
+  const { synopsis, searches } = createSynopsis();
+
+  const result = await synopsis.synthesize({
+    criteria: {
+      entity: 'Jerome Powell',
+      sentiment: 'negative',
+      minConfidence: '0.5',
+      maxPoliticalScore: 0.2,
+      dateFrom: '2026-01-01',
+      page: 3,
+      sortBy: 'title'
+    }
+  });
+
+  assert.strictEqual(result, null);
+  const [criteria] = searches;
+  assert.strictEqual(criteria.entity, 'Jerome Powell');
+  assert.strictEqual(criteria.minConfidence, 0.5);
+  assert.strictEqual(criteria.maxPoliticalScore, 0.2);
+  assert.ok(criteria.dateFrom instanceof Date);
+  assert.strictEqual(criteria.dateFrom.toISOString(), '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(criteria.page, 1);
+  assert.strictEqual(criteria.sortBy, 'publishedAt');
+});
+
+test('rejects unknown criteria and values of the wrong type before searching', async () => {
+  const invalid = [
+    { entity: { $ne: null } },
+    { claim: ['a', 'b'] },
+    { sentiment: 'angry' },
+    { politicalBias: { $exists: true } },
+    { language: 'english' },
+    { minConfidence: 'high' },
+    { maxConsistency: { $gt: 0 } },
+    { publishedTo: 'not a date' },
+    { $where: 'sleep(1000)' }
+  ];
+
+  for (const criteria of invalid) {
+    const { synopsis, searches } = createSynopsis();
+    await assert.rejects(synopsis.synthesize({ criteria }), ValidationError, JSON.stringify(criteria));
+    assert.strictEqual(searches.length, 0);
+  }
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { chunkText, estimateTokens, CHARS_PER_TOKEN } = require('../../src/ai/chunking');
+
+// Paragraphs of varied length, some single-newline separated, one with no sentence breaks at all
+const paragraph = (words, end = '.') => `${Array.from({ length: words }, (_, i) => `word${i}`).join(' ')}${end}`;
+const article = [
+  paragraph(40),
+  `${paragraph(25)} ${paragraph(30, '!')}\n${paragraph(10, '?')}`,
+  '   ',
+  `“${paragraph(20)}” ${paragraph(15)}`,
+  paragraph(400, ''),
+  paragraph(5)
+].join('\n\n');
+
+const assertSlices = (chunks, text) => {
+  chunks.forEach((chunk, index) => {
+    assert.strictEqual(chunk.index, index);
+    assert.strictEqual(chunk.text, text.slice(chunk.start, chunk.end));
+    assert.strictEqual(chunk.tokens, estimateTokens(chunk.text));
+    assert.strictEqual(chunk.text, chunk.text.trim(), 'chunks start and end on content');
+    if (index > 0) assert.ok(chunk.start >= chunks[index - 1].end, 'chunks do not overlap');
+  });
+};
+
+test('every chunk is an exact slice of the text, in order and within the budget', () => {
+  for (const maxTokens of [20, 50, 200]) {
+    const chunks = chunkText(article, { maxTokens });
+
+    assert.ok(chunks.length > 1);
+    assertSlices(chunks, article);
+    for (const chunk of chunks) {
+      assert.ok(chunk.end - chunk.start <= maxTokens * CHARS_PER_TOKEN, `${maxTokens}: ${chunk.end - chunk.start}`);
+    }
+  }
+});
+
+test('chunks cover all of the text except the whitespace between them', () => {
+  const chunks = chunkText(article, { maxTokens: 50 });
+
+  assert.strictEqual(chunks[0].start, 0);
+  assert.strictEqual(chunks[chunks.length - 1].end, article.length);
+  for (let i = 1; i < chunks.length; i++) {
+    assert.match(article.slice(chunks[i - 1].end, chunks[i].start), /^\s*$/);
+  }
+});
+
+test('a text within the budget is one chunk', () => {
+  const chunks = chunkText('One short paragraph.\n\nAnd another.', { maxTokens: 100 });
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.text), ['One short paragraph.\n\nAnd another.']);
+});
+
+test('the budget grows until the text fits in maxChunks', () => {
+  const unbounded = chunkText(article, { maxTokens: 20 });
+  assert.ok(unbounded.length > 4);
+
+  for (const maxChunks of [4, 2, 1]) {
+    const chunks = chunkText(article, { maxTokens: 20, maxChunks });
+
+    assert.ok(chunks.length <= maxChunks, `${maxChunks}: got ${chunks.length}`);
+    assertSlices(chunks, article);
+    assert.ok(chunks.some(chunk => chunk.end - chunk.start > 20 * CHARS_PER_TOKEN), 'the budget was raised');
+  }
+
+  assert.deepStrictEqual(chunkText(article, { maxTokens: 20, maxChunks: 1 })[0].text, article.trim());
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { locateQuote, verifyEvidence } = require('../../src/ai/evidence');
+
+const text = 'The minister said:  “We will  NOT raise taxes”\n\nbefore the vote — which failed.';
+
+test('model offsets are kept only when they point at exactly the quote', () => {
+  const start = text.indexOf('before');
+  assert.deepStrictEqual(locateQuote(text, 'before the vote', { start, end: start + 15 }), { start, end: start + 15 });
+
+  // Wrong offsets are recomputed from the text
+  assert.deepStrictEqual(locateQuote(text, 'before the vote', { start: 0, end: 15 }), { start, end: start + 15 });
+});
+
+test('maps a quote through collapsed whitespace, case and typographic quotes back to original offsets', () => {
+  const location = locateQuote(text, '"we will not raise taxes"');
+
+  assert.ok(location);
+  assert.strictEqual(text.slice(location.start, location.end), 'We will  NOT raise taxes');
+});
+
+test('maps across line breaks and dash variants', () => {
+  const location = locateQuote(text, "taxes\" before the vote - which");
+
+  assert.ok(location);
+  assert.strictEqual(text.slice(location.start, location.end), 'taxes”\n\nbefore the vote — which');
+});
+
+test('a quote that is not in the text is not located', () => {
+  assert.strictEqual(locateQuote(text, 'we will raise taxes'), null);
+  assert.strictEqual(locateQuote(text, '""'), null);
+  assert.strictEqual(locateQuote('', 'anything'), null);
+});
+
+test('verifyEvidence quotes the stored text, drops duplicates and counts rejected spans', () => {
+  const { evidence, rejected } = verifyEvidence([
+    { supports: 'sentiment', quote: 'which failed', explanation: 'Negative outcome' },
+    { supports: 'politicalBias', quote: '“we will not raise taxes”' },
+    { supports: 'sentiment', quote: 'WHICH FAILED' },
+    { supports: 'sentiment', quote: 'a landslide victory' }
+  ], text, 'fullText');
+
+  assert.strictEqual(rejected, 1);
+  assert.deepStrictEqual(evidence.map(span => [span.supports, span.quote]), [
+    ['politicalBias', 'We will  NOT raise taxes'],
+    ['sentiment', 'which failed']
+  ]);
+  assert.strictEqual(evidence[1].explanation, 'Negative outcome');
+  assert.strictEqual(evidence[1].field, 'fullText');
+  assert.strictEqual(text.slice(evidence[1].start, evidence[1].end), 'which failed');
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { ArticleExtractor, ExtractionQuality } = require('../../src/news/ArticleExtractor');
+
+const page = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/pages', name), 'utf8');
+
+// Resolves IP literals to themselves and other hosts to a public address unless mapped otherwise
+const lookupFrom = (hosts = {}) => async (hostname) => {
+  const address = hosts[hostname] || (net.isIP(hostname) ? hostname : '93.184.216.34');
+  return [{ address, family: net.isIP(address) }];
+};
+
+const htmlResponse = (body, headers = {}) =>
+  new Response(body, { status: 200, headers: { 'content-type': 'text/html; charset=utf-8', ...headers } });
+
+test('extracts the JSON-LD articleBody from a saved page', () => {
+  const result = new ArticleExtractor().extractFromHtml(page('json-ld-article.html'), 'https://harbordaily.example.com/city/trams');
+
+  assert.strictEqual(result.method, 'json-ld');
+  assert.strictEqual(result.quality, ExtractionQuality.FULL);
+  assert.strictEqual(result.title, 'Port city votes to rebuild tram network');
+  assert.strictEqual(result.paragraphs, 5);
+  assert.match(result.text, /^The city council voted 31 to 9/);
+  assert.match(result.text, /contingency fund of 15 percent\.$/);
+});
+
+test('falls back to readability scoring on a saved page without structured data', () => {
+  const result = new ArticleExtractor().extractFromHtml(page('readability-article.html'));
+
+  assert.strictEqual(result.method, 'readability');
+  assert.strictEqual(result.quality, ExtractionQuality.FULL);
+  assert.strictEqual(result.title, 'Glacier retreat exposes ancient forest');
+  assert.strictEqual(result.paragraphs, 6);
+  assert.match(result.text, /^Researchers working on a retreating glacier/);
+  assert.doesNotMatch(result.text, /Most read|Share on|Great article|Copyright/);
+});
+
+test('reports a failed extraction for a page too short to analyze', () => {
+  const result = new ArticleExtractor().extractFromHtml(page('too-short.html'));
+
+  assert.strictEqual(result.method, 'readability');
+  assert.strictEqual(result.quality, ExtractionQuality.FAILED);
+  assert.strictEqual(result.text, '');
+  assert.strictEqual(result.length, 0);
+});
+
+test('extractFromUrl refuses hosts that resolve to internal addresses', async () => {
+  const requested = [];
+  const extractor = new ArticleExtractor({
+    fetch: async (url) => { requested.push(url); return htmlResponse(page('json-ld-article.html')); },
+    lookup: lookupFrom({ localhost: '127.0.0.1', intranet: '10.1.2.3', 'rebound.example.com': '169.254.169.254' })
+  });
+
+  for (const url of [
+    'http://127.0.0.1:27017/',
+    'http://localhost:5001/api/v1/analysis',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fd00::1]/',
+    'http://2130706433/',
+    'http://intranet/wiki',
+    'https://rebound.example.com/latest/meta-data/'
+  ]) {
+    await assert.rejects(
+      extractor.extractFromUrl(url),
+      { name: 'ValidationError', message: /does not resolve to a public address/ },
+      url
+    );
+  }
+  await assert.rejects(extractor.extractFromUrl('file:///etc/passwd'), { name: 'ValidationError' });
+  assert.deepStrictEqual(requested, []);
+});
+
+test('extractFromUrl checks every redirect hop', async () => {
+  const requested = [];
+  const routes = {
+    'https://news.example.com/story': () => new Response(null, { status: 301, headers: { location: '/amp/story' } }),
+    'https://news.example.com/amp/story': () => htmlResponse(page('json-ld-article.html')),
+    'https://short.example.com/x': () => new Response(null, { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } }),
+    'https://loop.example.com/': () => new Response(null, { status: 302, headers: { location: 'https://loop.example.com/' } })
+  };
+  const extractor = new ArticleExtractor({
+    fetch: async (url, init) => {
+      assert.strictEqual(init.redirect, 'manual');
+      requested.push(url);
+      return routes[url]();
+    },
+    lookup: lookupFrom()
+  });
+
+  const result = await extractor.extractFromUrl('https://news.example.com/story');
+  assert.strictEqual(result.method, 'json-ld');
+  assert.strictEqual(result.url, 'https://news.example.com/story');
+
+  await assert.rejects(extractor.extractFromUrl('https://short.example.com/x'), { name: 'ValidationError' });
+  assert.ok(!requested.some(url => url.includes('169.254.169.254')));
+
+  await assert.rejects(extractor.extractFromUrl('https://loop.example.com/'), /More than 5 redirects/);
+});
+
+test('extractFromUrl stops reading once maxHtmlLength bytes have arrived', async () => {
+  let pulls = 0;
+  const endless = new ReadableStream({
+    pull(controller) {
+      pulls++;
+      controller.enqueue(new TextEncoder().encode(`<p>${'word '.repeat(2000)}</p>`));
+    }
+  });
+  const extractor = new ArticleExtractor({
+    maxHtmlLength: 64 * 1024,
+    fetch: async () => htmlResponse(endless),
+    lookup: lookupFrom()
+  });
+
+  const result = await extractor.extractFromUrl('https://news.example.com/endless');
+  assert.strictEqual(result.method, 'readability');
+  assert.ok(pulls < 20, `read ${pulls} chunks`);
+});
+
+test('extractFromUrl rejects pages whose declared length exceeds the cap', async () => {
+  let cancelled = false;
+  const body = new ReadableStream({ cancel() { cancelled = true; } });
+  const extractor = new ArticleExtractor({
+    maxHtmlLength: 1024,
+    fetch: async () => htmlResponse(body, { 'content-length': '5000000000' }),
+    lookup: lookupFrom()
+  });
+
+  await assert.rejects(extractor.extractFromUrl('https://news.example.com/huge'), /Page is too large/);
+  assert.strictEqual(cancelled, true);
+});
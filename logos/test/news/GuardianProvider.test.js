@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const GuardianProvider = require('../../src/news/providers/GuardianProvider');
+const { NewsCategory } = require('../../src/news/enums');
+
+const fixture = (name) => require(path.join(__dirname, '../fixtures/guardian', name));
+
+// Replays a recorded response and keeps the requested URLs
+const replay = (body) => {
+  const requests = [];
+  const fetch = async (url) => {
+    requests.push(new URL(url));
+    return { ok: true, status: 200, json: async () => body };
+  };
+  return { fetch, requests };
+};
+
+test('normalizeResponse maps search results to articles', () => {
+  const provider = new GuardianProvider('test-key');
+  const result = provider.normalizeResponse(fixture('search-climate.json'));
+
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.provider, 'guardian');
+  assert.strictEqual(result.totalResults, 3);
+  assert.strictEqual(result.actualResults, 3);
+
+  const [wmo, housing, bonds] = result.articles;
+  assert.strictEqual(wmo.title, '2023 was hottest year on record by huge margin, says WMO');
+  assert.strictEqual(wmo.description, 'Climate crisis report finds heat, ocean warming and ice loss all broke records');
+  assert.match(wmo.content, /World Meteorological Organization/);
+  assert.strictEqual(wmo.urlToImage, 'https://media.guim.co.uk/a1b2c3/0_0_5000_3000/500.jpg');
+  assert.strictEqual(new Date(wmo.publishedAt).toISOString(), '2024-03-19T10:00:12.000Z');
+  assert.strictEqual(wmo.source.name, 'The Guardian');
+  assert.strictEqual(wmo.category, NewsCategory.SCIENCE);
+
+  assert.strictEqual(housing.description, 'Charities say the freeze on housing support leaves thousands exposed');
+  assert.strictEqual(housing.category, NewsCategory.GENERAL);
+
+  // Without a headline field the web title is used
+  assert.strictEqual(bonds.title, 'Green bond issuance hits record as investors bet on climate transition');
+  assert.strictEqual(bonds.urlToImage, null);
+  assert.strictEqual(bonds.category, NewsCategory.BUSINESS);
+});
+
+test('normalizeResponse drops results without a web URL', () => {
+  const provider = new GuardianProvider('test-key');
+  const result = provider.normalizeResponse(fixture('search-newest.json'));
+
+  assert.strictEqual(result.totalResults, 48213);
+  assert.strictEqual(result.actualResults, 3);
+  assert.deepStrictEqual(
+    result.articles.map(article => article.category),
+    [NewsCategory.SPORTS, NewsCategory.ENTERTAINMENT, NewsCategory.GENERAL]
+  );
+});
+
+test('_mapSectionToCategory maps every section in the fixtures', () => {
+  const provider = new GuardianProvider('test-key');
+  const sections = [
+    ...fixture('search-climate.json').response.results,
+    ...fixture('search-newest.json').response.results
+  ].map(item => item.sectionId);
+
+  assert.deepStrictEqual(
+    sections.map(section => provider._mapSectionToCategory(section)),
+    [
+      NewsCategory.SCIENCE,
+      NewsCategory.GENERAL,
+      NewsCategory.BUSINESS,
+      NewsCategory.SPORTS,
+      NewsCategory.ENTERTAINMENT,
+      NewsCategory.GENERAL,
+      NewsCategory.TECHNOLOGY
+    ]
+  );
+  assert.strictEqual(provider._mapSectionToCategory(undefined), NewsCategory.GENERAL);
+});
+
+test('searchNews sends the mapped query parameters', async () => {
+  const { fetch, requests } = replay(fixture('search-climate.json'));
+  const provider = new GuardianProvider('test-key', { fetch });
+
+  const result = await provider.searchNews('climate', {
+    max: 10,
+    offset: 20,
+    country: 'gb',
+    sortBy: 'publishedAt',
+    searchIn: 'title',
+    from: '2024-03-01T12:00:00Z'
+  });
+
+  assert.strictEqual(result.actualResults, 3);
+  const params = requests[0].searchParams;
+  assert.strictEqual(requests[0].pathname, '/search');
+  assert.strictEqual(params.get('q'), 'climate');
+  assert.strictEqual(params.get('page'), '3');
+  assert.strictEqual(params.get('order-by'), 'newest');
+  assert.strictEqual(params.get('query-fields'), 'headline');
+  assert.strictEqual(params.get('from-date'), '2024-03-01');
+  assert.strictEqual(params.get('production-office'), 'uk');
+  assert.strictEqual(params.get('api-key'), 'test-key');
+});
+
+test('getTopHeadlines filters health by tag and other categories by section', async () => {
+  const { fetch, requests } = replay(fixture('search-newest.json'));
+  const provider = new GuardianProvider('test-key', { fetch });
+
+  await provider.getTopHeadlines({ category: NewsCategory.HEALTH });
+  await provider.getTopHeadlines({ category: NewsCategory.SPORTS });
+
+  assert.strictEqual(requests[0].searchParams.get('tag'), 'society/health');
+  assert.strictEqual(requests[0].searchParams.get('section'), null);
+  assert.strictEqual(requests[1].searchParams.get('section'), 'sport|football');
+  assert.strictEqual(requests[1].searchParams.get('order-by'), 'newest');
+});
@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ProviderHealth, CircuitState } = require('../../src/news/ProviderHealth');
+const { RateLimitError, ExternalAPIError, ValidationError } = require('../../src/news/errors/NewsErrors');
+
+const outage = () => new ExternalAPIError('newsapi', new Error('socket hang up'));
+
+// Frozen clock, so cooldowns pass only when the test says so
+const createHealth = (t, options = {}) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+  return new ProviderHealth({ failureThreshold: 3, cooldownMs: 60 * 1000, ...options });
+};
+
+test('stays closed below the failure threshold and opens when it is reached', (t) => {
+  const health = createHealth(t);
+
+  health.recordFailure('newsapi', outage());
+  health.recordFailure('newsapi', outage());
+  assert.strictEqual(health.getStatus('newsapi').state, CircuitState.CLOSED);
+  assert.strictEqual(health.canRequest('newsapi'), true);
+
+  health.recordFailure('newsapi', outage());
+  const status = health.getStatus('newsapi');
+  assert.strictEqual(status.state, CircuitState.OPEN);
+  assert.strictEqual(status.healthy, false);
+  assert.strictEqual(status.consecutiveFailures, 3);
+  assert.strictEqual(status.lastError.statusCode, 502);
+  assert.deepStrictEqual(status.openUntil, new Date('2026-03-01T12:01:00Z'));
+  assert.strictEqual(health.canRequest('newsapi'), false);
+});
+
+test('a success resets the consecutive failure count', (t) => {
+  const health = createHealth(t);
+
+  health.recordFailure('newsapi', outage());
+  health.recordFailure('newsapi', outage());
+  health.recordSuccess('newsapi');
+  health.recordFailure('newsapi', outage());
+
+  const status = health.getStatus('newsapi');
+  assert.strictEqual(status.state, CircuitState.CLOSED);
+  assert.strictEqual(status.consecutiveFailures, 1);
+  assert.strictEqual(status.totalFailures, 3);
+  assert.strictEqual(status.totalSuccesses, 1);
+});
+
+test('after the cooldown one trial request is let through; its success closes the circuit', (t) => {
+  const health = createHealth(t);
+  for (let i = 0; i < 3; i++) health.recordFailure('newsapi', outage());
+
+  t.mock.timers.tick(60 * 1000 - 1);
+  assert.strictEqual(health.canRequest('newsapi'), false);
+
+  t.mock.timers.tick(1);
+  assert.strictEqual(health.getStatus('newsapi').state, CircuitState.HALF_OPEN);
+  assert.strictEqual(health.canRequest('newsapi'), true);
+  assert.strictEqual(health.canRequest('newsapi'), false, 'only one trial at a time');
+
+  health.recordSuccess('newsapi');
+  const status = health.getStatus('newsapi');
+  assert.strictEqual(status.state, CircuitState.CLOSED);
+  assert.strictEqual(status.openUntil, null);
+  assert.strictEqual(health.canRequest('newsapi'), true);
+  assert.strictEqual(health.canRequest('newsapi'), true);
+});
+
+test('a failed trial opens the circuit again for another cooldown', (t) => {
+  const health = createHealth(t);
+  for (let i = 0; i < 3; i++) health.recordFailure('newsapi', outage());
+  t.mock.timers.tick(60 * 1000);
+
+  assert.strictEqual(health.canRequest('newsapi'), true);
+  health.recordFailure('newsapi', outage());
+
+  assert.strictEqual(health.getStatus('newsapi').state, CircuitState.OPEN);
+  assert.strictEqual(health.canRequest('newsapi'), false);
+  t.mock.timers.tick(60 * 1000);
+  assert.strictEqual(health.canRequest('newsapi'), true);
+});
+
+test('releasing a trial slot lets the next request try instead', (t) => {
+  const health = createHealth(t);
+  for (let i = 0; i < 3; i++) health.recordFailure('newsapi', outage());
+  t.mock.timers.tick(60 * 1000);
+
+  assert.strictEqual(health.canRequest('newsapi'), true);
+  health.release('newsapi');
+  assert.strictEqual(health.canRequest('newsapi'), true);
+  assert.strictEqual(health.getStatus('newsapi').state, CircuitState.HALF_OPEN);
+});
+
+test('a rate limit opens the circuit at once, until the provider\'s reset time', (t) => {
+  const health = createHealth(t);
+
+  health.recordFailure('newsapi', new RateLimitError('newsapi', '2026-03-01T12:30:00Z'));
+  assert.strictEqual(health.getStatus('newsapi').state, CircuitState.OPEN);
+  assert.deepStrictEqual(health.getStatus('newsapi').openUntil, new Date('2026-03-01T12:30:00Z'));
+
+  t.mock.timers.tick(29 * 60 * 1000);
+  assert.strictEqual(health.canRequest('newsapi'), false);
+  t.mock.timers.tick(60 * 1000);
+  assert.strictEqual(health.canRequest('newsapi'), true);
+});
+
+test('a 429 without a reset time, or a rate limit message, opens the circuit for the cooldown', (t) => {
+  const health = createHealth(t);
+
+  const tooMany = Object.assign(new Error('Request failed'), { statusCode: 429 });
+  health.recordFailure('guardian', tooMany);
+  assert.deepStrictEqual(health.getStatus('guardian').openUntil, new Date('2026-03-01T12:01:00Z'));
+
+  health.recordFailure('gnews', new Error('HTTP 429: Too Many Requests'));
+  assert.strictEqual(health.getStatus('gnews').state, CircuitState.OPEN);
+
+  assert.strictEqual(health.isClientError(tooMany), false);
+  assert.strictEqual(health.isClientError(new ValidationError('Bad query')), true);
+  assert.strictEqual(health.isClientError(outage()), false);
+});
+
+test('providers have separate circuits, and reset closes one', (t) => {
+  const health = createHealth(t);
+  for (let i = 0; i < 3; i++) health.recordFailure('newsapi', outage());
+
+  assert.strictEqual(health.canRequest('guardian'), true);
+  health.reset('newsapi');
+  assert.strictEqual(health.getStatus('newsapi').state, CircuitState.CLOSED);
+  assert.strictEqual(health.getStatus('newsapi').totalFailures, 0);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { QuotaTracker, DEFAULT_DAILY_LIMITS } = require('../../src/news/QuotaTracker');
+
+const withEnv = (env, fn) => {
+  const previous = {};
+  for (const [name, value] of Object.entries(env)) {
+    previous[name] = process.env[name];
+    process.env[name] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+test('limits from the environment ignore values that are not whole numbers', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const tracker = withEnv({
+    NEWS_QUOTA_GNEWS: 'abc',
+    NEWS_QUOTA_NEWSAPI: '250',
+    NEWS_QUOTA_GUARDIAN: 'unlimited'
+  }, () => new QuotaTracker());
+
+  assert.strictEqual(tracker.getLimit('gnews'), DEFAULT_DAILY_LIMITS.gnews);
+  assert.strictEqual(tracker.getLimit('newsapi'), 250);
+  assert.strictEqual(tracker.getLimit('guardian'), null);
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /NEWS_QUOTA_GNEWS="abc"/);
+});
+
+test('concurrent reservations never exceed the daily limit', async () => {
+  const tracker = new QuotaTracker({ limits: { gnews: 3 } });
+
+  const outcomes = await Promise.allSettled(
+    Array.from({ length: 10 }, () => tracker.reserveRequest('gnews'))
+  );
+
+  assert.strictEqual(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 3);
+  assert.ok(outcomes
+    .filter(outcome => outcome.status === 'rejected')
+    .every(outcome => outcome.reason.name === 'RateLimitError'));
+  const usage = tracker.getProviderUsage('gnews');
+  assert.strictEqual(usage.used, 3);
+  assert.strictEqual(usage.exhausted, true);
+});
+
+test('providers without a limit are counted but never refused', async () => {
+  const tracker = new QuotaTracker();
+
+  await Promise.all(Array.from({ length: 5 }, () => tracker.reserveRequest('rss')));
+
+  assert.strictEqual(tracker.getProviderUsage('rss').used, 5);
+  assert.strictEqual(tracker.getProviderUsage('rss').remaining, null);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const RssProvider = require('../../src/news/providers/RssProvider');
+const { NewsCategory } = require('../../src/news/enums');
+
+const RSS_FEED = path.join(__dirname, '../fixtures/rss/rss2-world.xml');
+const ATOM_FEED = path.join(__dirname, '../fixtures/rss/atom-tech.xml');
+
+const createProvider = () => new RssProvider([
+  RSS_FEED,
+  { url: ATOM_FEED, name: 'Circuit Notes Tech' }
+]);
+
+test('getTopHeadlines normalizes RSS and Atom items newest first', async () => {
+  const result = await createProvider().getTopHeadlines({ max: 10 });
+
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.provider, 'rss');
+  // The RSS item without a link or permalink guid is dropped
+  assert.strictEqual(result.totalResults, 6);
+  assert.strictEqual(result.actualResults, 5);
+  assert.deepStrictEqual(result.articles.map(article => article.url), [
+    'https://circuitnotes.example.org/2024/03/cooling-water',
+    'https://harbordaily.example.com/world/2024/03/19/flood-defence-plan',
+    'https://harbordaily.example.com/business/2024/03/18/rates-hold',
+    'https://circuitnotes.example.org/2024/03/chip-battery',
+    'https://harbordaily.example.com/sport/2024/03/17/marathon'
+  ]);
+
+  const [cooling, flood, rates, chip, marathon] = result.articles;
+
+  assert.strictEqual(flood.title, 'Coastal cities agree on shared flood defence plan');
+  assert.strictEqual(flood.description, 'Mayors of twelve cities sign a climate adaptation pact.');
+  assert.strictEqual(flood.content, 'Mayors of twelve coastal cities signed a pact on Tuesday to fund sea walls and wetland restoration together.');
+  assert.strictEqual(flood.urlToImage, 'https://harbordaily.example.com/img/flood.jpg');
+  assert.strictEqual(new Date(flood.publishedAt).toISOString(), '2024-03-19T09:30:00.000Z');
+  assert.strictEqual(flood.source.name, 'Harbor Daily - World');
+  assert.strictEqual(flood.category, NewsCategory.GENERAL);
+
+  // Without content:encoded the description stands in for the content
+  assert.strictEqual(rates.content, 'Policymakers say climate-related food prices remain a risk.');
+  assert.strictEqual(rates.urlToImage, 'https://harbordaily.example.com/img/bank.png');
+  assert.strictEqual(rates.category, NewsCategory.BUSINESS);
+  assert.strictEqual(marathon.category, NewsCategory.SPORTS);
+
+  assert.strictEqual(cooling.description, 'Operators turn to climate-friendly cooling.');
+  assert.strictEqual(cooling.urlToImage, 'https://circuitnotes.example.org/img/cooling.jpg');
+  assert.strictEqual(new Date(cooling.publishedAt).toISOString(), '2024-03-19T11:00:00.000Z');
+  assert.strictEqual(cooling.source.name, 'Circuit Notes Tech');
+  assert.strictEqual(cooling.category, NewsCategory.TECHNOLOGY);
+
+  // Atom entries without a published date fall back to updated
+  assert.strictEqual(new Date(chip.publishedAt).toISOString(), '2024-03-18T08:00:00.000Z');
+  assert.strictEqual(chip.urlToImage, 'https://circuitnotes.example.org/img/chip.jpg');
+});
+
+test('getTopHeadlines filters by category and pages with offset', async () => {
+  const provider = createProvider();
+
+  const business = await provider.getTopHeadlines({ category: NewsCategory.BUSINESS });
+  assert.deepStrictEqual(business.articles.map(article => article.title), ['Central bank holds rates as inflation cools']);
+
+  const page = await provider.getTopHeadlines({ max: 2, offset: 2 });
+  assert.deepStrictEqual(page.articles.map(article => article.title), [
+    'Central bank holds rates as inflation cools',
+    'New chip design promises longer phone battery life'
+  ]);
+});
+
+test('searchNews matches keywords across both feeds, title hits first', async () => {
+  const result = await createProvider().searchNews('climate');
+
+  assert.strictEqual(result.totalResults, 3);
+  assert.deepStrictEqual(result.articles.map(article => article.url), [
+    'https://circuitnotes.example.org/2024/03/cooling-water',
+    'https://harbordaily.example.com/world/2024/03/19/flood-defence-plan',
+    'https://harbordaily.example.com/business/2024/03/18/rates-hold'
+  ]);
+});
+
+test('searchNews requires every keyword and honours searchIn and date range', async () => {
+  const provider = createProvider();
+
+  const both = await provider.searchNews('climate cooling');
+  assert.deepStrictEqual(both.articles.map(article => article.title), ['Data centres race to cut cooling water use']);
+
+  const inTitle = await provider.searchNews('climate', { searchIn: 'title' });
+  assert.strictEqual(inTitle.totalResults, 0);
+
+  const byDate = await provider.searchNews('climate', { sortBy: 'publishedAt', to: '2024-03-19T10:00:00Z' });
+  assert.deepStrictEqual(byDate.articles.map(article => article.title), [
+    'Coastal cities agree on shared flood defence plan',
+    'Central bank holds rates as inflation cools'
+  ]);
+
+  await assert.rejects(provider.searchNews('and or'), { name: 'ValidationError' });
+  await assert.rejects(provider.searchNews('climate', { sortBy: 'popularity' }), { name: 'ValidationError' });
+});
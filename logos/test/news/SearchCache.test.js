@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SearchCache } = require('../../src/news/SearchCache');
+const { ValidationError } = require('../../src/news/errors/NewsErrors');
+
+// Memory tier only, on a frozen clock
+const createCache = (t, options = {}) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  return new SearchCache({ ttlMs: 60 * 1000, maxEntries: 3, ...options });
+};
+
+test('entries are served until their TTL passes, then miss', async (t) => {
+  const cache = createCache(t);
+  await cache.set('q:climate', { articles: ['a'] }, { query: 'Climate', providers: ['newsapi'] });
+
+  t.mock.timers.tick(60 * 1000 - 1);
+  assert.deepStrictEqual(await cache.get('q:climate'), { articles: ['a'] });
+
+  t.mock.timers.tick(1);
+  assert.strictEqual(await cache.get('q:climate'), null);
+
+  const stats = await cache.getStats();
+  assert.deepStrictEqual([stats.hits, stats.misses, stats.memoryHits, stats.hitRate], [1, 1, 1, 0.5]);
+  assert.strictEqual(stats.memory.entries, 0, 'an expired entry is dropped when read');
+  assert.deepStrictEqual(stats.persistent, { enabled: false });
+});
+
+test('setting a key again restarts its TTL', async (t) => {
+  const cache = createCache(t);
+  await cache.set('q:climate', 'first');
+
+  t.mock.timers.tick(50 * 1000);
+  await cache.set('q:climate', 'second');
+  t.mock.timers.tick(50 * 1000);
+
+  assert.strictEqual(await cache.get('q:climate'), 'second');
+});
+
+test('evicts the least recently used entry once over maxEntries', async (t) => {
+  const cache = createCache(t);
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.set('c', 3);
+
+  // Reading "a" makes "b" the least recently used
+  assert.strictEqual(await cache.get('a'), 1);
+  await cache.set('d', 4);
+
+  assert.strictEqual(await cache.get('b'), null);
+  assert.strictEqual(await cache.get('a'), 1);
+  assert.strictEqual(await cache.get('c'), 3);
+  assert.strictEqual(await cache.get('d'), 4);
+
+  const { memory } = await cache.getStats();
+  assert.deepStrictEqual(memory, { entries: 3, maxEntries: 3, evictions: 1 });
+});
+
+test('overwriting a key does not evict another entry', async (t) => {
+  const cache = createCache(t);
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.set('c', 3);
+  await cache.set('a', 10);
+
+  assert.strictEqual((await cache.getStats()).memory.evictions, 0);
+  assert.strictEqual(await cache.get('a'), 10);
+  assert.strictEqual(await cache.get('b'), 2);
+});
+
+test('invalidates by normalized query and by provider', async (t) => {
+  const cache = createCache(t, { maxEntries: 10 });
+  await cache.set('1', 'x', { query: ' Climate ', providers: ['newsapi'] });
+  await cache.set('2', 'y', { query: 'climate', providers: ['guardian'] });
+  await cache.set('3', 'z', { query: 'elections', providers: ['guardian', 'rss'] });
+
+  assert.deepStrictEqual(await cache.invalidate({ query: 'CLIMATE', provider: 'guardian' }), { memory: 1 });
+  assert.strictEqual(await cache.get('1'), 'x');
+  assert.strictEqual(await cache.get('2'), null);
+
+  assert.deepStrictEqual(await cache.invalidate({ provider: 'rss' }), { memory: 1 });
+  assert.strictEqual(await cache.get('3'), null);
+
+  await assert.rejects(cache.invalidate({}), ValidationError);
+  assert.strictEqual((await cache.getStats()).invalidations, 2);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { canonicalizeUrl, normalizeTitle, dedupeArticles } = require('../../src/news/dedupe');
+
+test('canonical URLs ignore www/amp variants, trailing slashes, tracking parameters and parameter order', () => {
+  const canonical = 'example.com/world/story?id=7&page=2';
+
+  assert.strictEqual(canonicalizeUrl('https://www.example.com/world/story/?page=2&id=7&utm_source=x'), canonical);
+  assert.strictEqual(canonicalizeUrl('http://amp.example.com/world/story/amp?id=7&fbclid=abc&page=2'), canonical);
+  assert.strictEqual(canonicalizeUrl('https://m.EXAMPLE.com/world/story?page=2&id=7#comments'), canonical);
+  assert.notStrictEqual(canonicalizeUrl('https://example.com/world/story?id=8&page=2'), canonical);
+
+  assert.strictEqual(canonicalizeUrl('not a url'), null);
+  assert.strictEqual(canonicalizeUrl(undefined), null);
+});
+
+test('normalized titles drop the source suffix, case, accents and punctuation', () => {
+  assert.strictEqual(normalizeTitle('Café owners protest new rules - The Daily News'), 'cafe owners protest new rules');
+  assert.strictEqual(normalizeTitle('CAFÉ OWNERS PROTEST NEW RULES!'), 'cafe owners protest new rules');
+  assert.strictEqual(normalizeTitle(null), '');
+});
+
+test('keeps the copy with the most content and records every provider that returned it', () => {
+  const { articles, duplicatesRemoved } = dedupeArticles([
+    { url: 'https://www.example.com/a?utm_medium=rss', title: 'Storm hits coast', content: 'Short', provider: 'newsapi' },
+    { url: 'https://example.com/a/', title: 'Storm hits coast', content: 'A much longer body', provider: 'guardian' },
+    { url: 'https://example.com/a', title: 'Storm hits coast', content: '', provider: 'newsapi' }
+  ]);
+
+  assert.strictEqual(duplicatesRemoved, 2);
+  assert.strictEqual(articles.length, 1);
+  assert.strictEqual(articles[0].content, 'A much longer body');
+  assert.strictEqual(articles[0].provider, 'guardian');
+  assert.deepStrictEqual(articles[0].providers, ['newsapi', 'guardian']);
+});
+
+test('merges near-identical titles from different URLs, but only above the threshold', () => {
+  const stories = [
+    { url: 'https://one.example/x', title: 'Central bank raises interest rates again - One', provider: 'newsapi' },
+    { url: 'https://two.example/y', title: 'Central bank raises interest rates again', provider: 'rss' },
+    { url: 'https://three.example/z', title: 'Central bank holds interest rates', provider: 'rss' }
+  ];
+
+  const merged = dedupeArticles(stories);
+  assert.strictEqual(merged.duplicatesRemoved, 1);
+  assert.deepStrictEqual(merged.articles.map(article => article.url), ['https://one.example/x', 'https://three.example/z']);
+  assert.deepStrictEqual(merged.articles[0].providers, ['newsapi', 'rss']);
+
+  // "central bank holds interest rates" shares 4 of 7 words with the first title
+  const loose = dedupeArticles(stories, { titleThreshold: 0.5 });
+  assert.strictEqual(loose.articles.length, 1);
+});
+
+test('articles without a URL or title are never merged with each other', () => {
+  const { articles, duplicatesRemoved } = dedupeArticles([
+    { title: '', provider: 'rss' },
+    { title: '', provider: 'rss' }
+  ]);
+
+  assert.strictEqual(duplicatesRemoved, 0);
+  assert.strictEqual(articles.length, 2);
+});